@@ -1,9 +1,12 @@
 import convict from 'convict'
+import os from 'node:os'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 
 import convictFormatWithValidator from 'convict-format-with-validator'
 
+import { GENERIC_MIME_TYPE, acceptedMimeTypes } from './spreadsheet-formats.js'
+
 const dirname = path.dirname(fileURLToPath(import.meta.url))
 
 const fourHoursMs = 14400000
@@ -161,6 +164,59 @@ export const config = convict({
       }
     }
   },
+  auth: {
+    oidc: {
+      discoveryUrl: {
+        doc: 'OpenID Connect discovery document of the identity provider (DEFRA ID)',
+        format: String,
+        default: 'http://localhost:3939/.well-known/openid-configuration',
+        env: 'OIDC_DISCOVERY_URL'
+      },
+      clientId: {
+        doc: 'Client ID registered with the identity provider',
+        format: String,
+        default: 'apha-sdo-portal',
+        env: 'OIDC_CLIENT_ID'
+      },
+      clientSecret: {
+        doc: 'Client secret registered with the identity provider',
+        format: String,
+        default: 'dev-client-secret',
+        sensitive: true,
+        env: 'OIDC_CLIENT_SECRET'
+      },
+      redirectUrl: {
+        doc: 'URL the identity provider returns to after sign in, ending in /auth/callback',
+        format: String,
+        default: 'http://localhost:3000/auth/callback',
+        env: 'OIDC_REDIRECT_URL'
+      },
+      postLogoutRedirectUrl: {
+        doc: 'URL the identity provider returns to after sign out',
+        format: String,
+        default: 'http://localhost:3000/signout',
+        env: 'OIDC_POST_LOGOUT_REDIRECT_URL'
+      },
+      scopes: {
+        doc: 'Scopes requested on sign in',
+        format: Array,
+        default: ['openid', 'profile', 'email', 'offline_access'],
+        env: 'OIDC_SCOPES'
+      },
+      serviceId: {
+        doc: 'DEFRA ID service the sign in is for, sent as serviceId when set',
+        format: String,
+        default: '',
+        env: 'OIDC_SERVICE_ID'
+      },
+      refreshBefore: {
+        doc: 'How long before the access token expires it is refreshed, in milliseconds',
+        format: Number,
+        default: 60000,
+        env: 'OIDC_REFRESH_BEFORE'
+      }
+    }
+  },
   redis: {
     host: {
       doc: 'Redis cache host',
@@ -200,6 +256,62 @@ export const config = convict({
       env: 'REDIS_TLS'
     }
   },
+  jobQueue: {
+    engine: {
+      doc: 'Backend background jobs are queued in',
+      format: ['redis', 'memory'],
+      default: isProduction ? 'redis' : 'memory',
+      env: 'JOB_QUEUE_ENGINE'
+    },
+    concurrency: {
+      doc: 'Number of jobs a single instance runs at once',
+      format: 'nat',
+      default: 2,
+      env: 'JOB_QUEUE_CONCURRENCY'
+    },
+    pollInterval: {
+      doc: 'How often workers look for due jobs, in milliseconds',
+      format: 'nat',
+      default: 1000,
+      env: 'JOB_QUEUE_POLL_INTERVAL'
+    },
+    visibilityTimeout: {
+      doc: 'How long a claimed job is hidden from other workers before it is assumed lost and re-queued, in milliseconds',
+      format: 'nat',
+      default: 300000, // 5 minutes
+      env: 'JOB_QUEUE_VISIBILITY_TIMEOUT'
+    },
+    maxAttempts: {
+      doc: 'Attempts before a job is moved to the dead-letter state',
+      format: 'nat',
+      default: 5,
+      env: 'JOB_QUEUE_MAX_ATTEMPTS'
+    },
+    backoffBase: {
+      doc: 'Delay before the first retry, doubled on each further attempt, in milliseconds',
+      format: 'nat',
+      default: 5000,
+      env: 'JOB_QUEUE_BACKOFF_BASE'
+    },
+    backoffMax: {
+      doc: 'Upper bound on the retry delay, in milliseconds',
+      format: 'nat',
+      default: 300000, // 5 minutes
+      env: 'JOB_QUEUE_BACKOFF_MAX'
+    },
+    completedTtl: {
+      doc: 'How long completed jobs are kept so repeated enqueues stay idempotent, in seconds',
+      format: 'nat',
+      default: 7 * 24 * 60 * 60, // 7 days
+      env: 'JOB_QUEUE_COMPLETED_TTL'
+    },
+    callbackTimeout: {
+      doc: 'How long an upload may wait for its virus scan callback before it is timed out and CDP is polled instead, in milliseconds',
+      format: 'nat',
+      default: 3600000, // 1 hour
+      env: 'JOB_QUEUE_CALLBACK_TIMEOUT'
+    }
+  },
   nunjucks: {
     watch: {
       doc: 'Reload templates when they are changed.',
@@ -213,6 +325,14 @@ export const config = convict({
     }
   },
   storage: {
+    delivery: {
+      defaultTargets: {
+        doc: 'Storage providers files are delivered to when a form does not declare its own deliveryTargets, as a comma-separated list (azure, s3, filesystem)',
+        format: Array,
+        default: ['azure'],
+        env: 'DELIVERY_DEFAULT_TARGETS'
+      }
+    },
     cdpUploader: {
       endpoint: {
         doc: 'CDP Uploader service endpoint',
@@ -226,6 +346,12 @@ export const config = convict({
         default: '',
         env: 'CDP_UPLOADER_API_KEY',
         sensitive: true
+      },
+      mode: {
+        doc: 'How files reach the CDP uploader: `proxy` streams them through this service to upload-and-scan, `direct` has the browser post them to the upload URL returned by initiate',
+        format: ['proxy', 'direct'],
+        default: 'proxy',
+        env: 'CDP_UPLOADER_MODE'
       }
     },
     s3: {
@@ -254,6 +380,24 @@ export const config = convict({
         default: '',
         env: 'AWS_SECRET_ACCESS_KEY',
         sensitive: true
+      },
+      endpoint: {
+        doc: 'S3 endpoint, for S3-compatible stores such as LocalStack. Leave empty for AWS',
+        format: String,
+        default: '',
+        env: 'S3_ENDPOINT'
+      },
+      forcePathStyle: {
+        doc: 'Address buckets by path rather than subdomain, as LocalStack needs',
+        format: Boolean,
+        default: false,
+        env: 'S3_FORCE_PATH_STYLE'
+      },
+      keyTemplate: {
+        doc: 'Key of each delivered object. Takes the same placeholders as storage.azure.blobPathTemplate',
+        format: String,
+        default: '{formSlug}/{yyyy}/{mm}/{submissionId}/{filename}',
+        env: 'S3_KEY_TEMPLATE'
       }
     },
     azure: {
@@ -269,6 +413,87 @@ export const config = convict({
         format: String,
         default: 'uploads',
         env: 'AZURE_CONTAINER_NAME'
+      },
+      blobPathTemplate: {
+        doc: 'Path of each delivered blob. Placeholders: {formSlug}, {formId}, {yyyy}, {mm}, {dd}, {submissionId}, {uploadId} and {filename}, which is required',
+        format: String,
+        default: '{formSlug}/{yyyy}/{mm}/{submissionId}/{filename}',
+        env: 'AZURE_BLOB_PATH_TEMPLATE'
+      },
+      blockSize: {
+        doc: 'Size in bytes of each block staged files are uploaded to Azure in. A transfer cut short resumes from the last staged block',
+        format: 'nat',
+        default: 4194304, // 4MB
+        env: 'AZURE_UPLOAD_BLOCK_SIZE'
+      },
+      uploadConcurrency: {
+        doc: 'Number of blocks uploaded to Azure in parallel',
+        format: 'nat',
+        default: 5,
+        env: 'AZURE_UPLOAD_CONCURRENCY'
+      }
+    },
+    filesystem: {
+      directory: {
+        doc: 'Directory the filesystem storage provider delivers files to, for running the pipeline without cloud storage',
+        format: String,
+        default: path.join(os.tmpdir(), 'apha-sdo-storage'),
+        env: 'FILESYSTEM_STORAGE_DIR'
+      },
+      pathTemplate: {
+        doc: 'Path of each delivered file within the directory. Takes the same placeholders as storage.azure.blobPathTemplate',
+        format: String,
+        default: '{formSlug}/{yyyy}/{mm}/{submissionId}/{filename}',
+        env: 'FILESYSTEM_PATH_TEMPLATE'
+      }
+    },
+    staging: {
+      directory: {
+        doc: 'Directory uploads are streamed to while awaiting virus scan. Must be shared between instances that receive CDP callbacks',
+        format: String,
+        default: path.join(os.tmpdir(), 'apha-sdo-staging'),
+        env: 'UPLOAD_STAGING_DIR'
+      },
+      ttl: {
+        doc: 'How long a staged upload is kept once its upload is final or no longer tracked, in milliseconds. Uploads still in progress, including ones awaiting a retry, keep their staged file',
+        format: Number,
+        default: 86400000, // 24 hours
+        env: 'UPLOAD_STAGING_TTL'
+      }
+    },
+    download: {
+      signingKey: {
+        doc: 'Secret download links are signed with, so only holders of a link issued for an upload can fetch it',
+        format: String,
+        default: 'the-download-signing-key-must-be-at-least-32-characters',
+        env: 'DOWNLOAD_SIGNING_KEY',
+        sensitive: true
+      },
+      linkTtl: {
+        doc: 'How long a download link stays valid, in milliseconds',
+        format: Number,
+        default: 86400000, // 24 hours
+        env: 'DOWNLOAD_LINK_TTL'
+      },
+      sasExpiry: {
+        doc: 'How long the SAS a download redirects to stays valid, in milliseconds',
+        format: Number,
+        default: 300000, // 5 minutes
+        env: 'DOWNLOAD_SAS_EXPIRY'
+      },
+      mode: {
+        doc: 'Whether downloads redirect to a short-lived SAS URL or are streamed through the service',
+        format: ['redirect', 'stream'],
+        default: 'redirect',
+        env: 'DOWNLOAD_MODE'
+      }
+    },
+    normalisation: {
+      enabled: {
+        doc: 'Deliver a canonical CSV and JSON-lines copy of each spreadsheet alongside the original in Azure',
+        format: Boolean,
+        default: true,
+        env: 'UPLOAD_NORMALISATION_ENABLED'
       }
     },
     maxFileSize: {
@@ -280,16 +505,9 @@ export const config = convict({
     allowedMimeTypes: {
       doc: 'Allowed file MIME types for uploads',
       format: Array,
-      default: [
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
-        'application/vnd.ms-excel', // .xls
-        'text/csv', // .csv
-        'application/vnd.oasis.opendocument.spreadsheet', // .ods
-        'application/vnd.ms-excel.sheet.macroEnabled.12', // .xlsm
-        'application/vnd.ms-excel.sheet.macroenabled.12', // .xlsm (lowercase variant)
-        'application/vnd.ms-excel.sheet.binary.macroEnabled.12', // .xlsb
-        'application/octet-stream' // Generic binary (will rely on extension check)
-      ],
+      // Generic binary is allowed as browsers send it for some formats; the
+      // extension is checked instead
+      default: [...acceptedMimeTypes, GENERIC_MIME_TYPE],
       env: 'ALLOWED_MIME_TYPES'
     }
   },
@@ -301,6 +519,19 @@ export const config = convict({
         ? 'http://localhost:3000'
         : 'http://localhost:3000',
       env: 'FORMS_ENGINE_BASE_URL'
+    },
+    validationSummaryLimit: {
+      doc: 'Number of spreadsheet errors listed in the error summary of a file upload page before users are pointed to the full error report',
+      format: 'nat',
+      default: 10,
+      env: 'FORMS_VALIDATION_SUMMARY_LIMIT'
+    },
+    batRabiesOrganisations: {
+      doc: 'DEFRA ID organisations that may open the bat rabies form, as a comma-separated list of organisation ids. APHA staff can always open it',
+      format: Array,
+      // The laboratory the local OIDC stand-in's users belong to
+      default: ['5e1a7c3b-0d2f-4b8e-9a61-7f3c2d9e4b10'],
+      env: 'BAT_RABIES_ORGANISATIONS'
     }
   },
   tracing: {
@@ -314,3 +545,36 @@ export const config = convict({
 })
 
 config.validate({ allowed: 'strict' })
+
+// Secrets whose defaults are public, by the environment variable that sets
+// them, so production must set its own
+const PRODUCTION_SECRETS = Object.freeze({
+  'storage.download.signingKey': 'DOWNLOAD_SIGNING_KEY',
+  'auth.oidc.clientSecret': 'OIDC_CLIENT_SECRET'
+})
+
+/**
+ * Refuse to run in production with a secret that is unset or left at its
+ * public default
+ * @throws {Error} Naming the environment variables to set
+ */
+export const assertProductionSecrets = () => {
+  if (!config.get('isProduction')) {
+    return
+  }
+
+  const unset = Object.entries(PRODUCTION_SECRETS)
+    .filter(([key]) => {
+      const value = config.get(key)
+      return !value || value === config.default(key)
+    })
+    .map(([, variable]) => variable)
+
+  if (unset.length) {
+    throw new Error(
+      `${unset.join(' and ')} must be set in production, not left unset or at the default`
+    )
+  }
+}
+
+assertProductionSecrets()
@@ -0,0 +1,48 @@
+import { afterEach, describe, expect, it } from 'vitest'
+import { assertProductionSecrets, config } from './config.js'
+
+const SECRETS = ['storage.download.signingKey', 'auth.oidc.clientSecret']
+
+describe('assertProductionSecrets', () => {
+  const defaults = Object.fromEntries(
+    SECRETS.map((key) => [key, config.get(key)])
+  )
+
+  afterEach(() => {
+    config.set('isProduction', false)
+    SECRETS.forEach((key) => config.set(key, defaults[key]))
+  })
+
+  it('allows the default secrets outside production', () => {
+    expect(() => assertProductionSecrets()).not.toThrow()
+  })
+
+  it('refuses the default secrets in production', () => {
+    config.set('isProduction', true)
+
+    expect(() => assertProductionSecrets()).toThrow(
+      'DOWNLOAD_SIGNING_KEY and OIDC_CLIENT_SECRET must be set in production'
+    )
+  })
+
+  it('refuses an unset secret in production', () => {
+    config.set('isProduction', true)
+    config.set('auth.oidc.clientSecret', 'a-secret-only-production-knows')
+    config.set('storage.download.signingKey', '')
+
+    expect(() => assertProductionSecrets()).toThrow(
+      /^DOWNLOAD_SIGNING_KEY must be set in production/
+    )
+  })
+
+  it('allows secrets production has set', () => {
+    config.set('isProduction', true)
+    config.set('auth.oidc.clientSecret', 'a-secret-only-production-knows')
+    config.set(
+      'storage.download.signingKey',
+      'a-signing-key-only-production-knows-at-length'
+    )
+
+    expect(() => assertProductionSecrets()).not.toThrow()
+  })
+})
@@ -1,5 +1,5 @@
 export function buildNavigation(request) {
-  return [
+  const navigation = [
     {
       text: 'Home',
       href: '/',
@@ -11,4 +11,14 @@ export function buildNavigation(request) {
       current: request?.path === '/contact'
     }
   ]
+
+  if (request?.auth?.isAuthenticated) {
+    navigation.push({
+      text: 'Sign out',
+      href: '/signout',
+      current: false
+    })
+  }
+
+  return navigation
 }
@@ -36,4 +36,16 @@ describe('#buildNavigation', () => {
       }
     ])
   })
+
+  test('Should offer signed-in users a way to sign out', () => {
+    expect(
+      buildNavigation(
+        mockRequest({ path: '/', auth: { isAuthenticated: true } })
+      )
+    ).toContainEqual({
+      current: false,
+      text: 'Sign out',
+      href: '/signout'
+    })
+  })
 })
@@ -0,0 +1,150 @@
+/**
+ * Spreadsheet Formats
+ *
+ * Registry of the spreadsheet formats the service accepts. Everything that
+ * needs to know about formats reads it from here: accepted extensions and
+ * MIME types, the forms `accept` attribute, how the validator parses a file
+ * and the content type used when a file is delivered to Azure.
+ *
+ * `parser` is 'csv' for delimited text and 'workbook' for formats SheetJS
+ * reads as a workbook.
+ *
+ * `signature` describes what the bytes of the format look like, so content
+ * can be checked against the extension (see FileTypeDetector): plain text, an
+ * OLE2 compound file, or a ZIP archive whose `entry` declares `marker` as the
+ * content type of its main part.
+ */
+
+const SPREADSHEET_FORMATS = Object.freeze([
+  {
+    extension: 'csv',
+    mimeTypes: ['text/csv'],
+    parser: 'csv',
+    signature: { container: 'text' }
+  },
+  {
+    extension: 'xls',
+    mimeTypes: ['application/vnd.ms-excel'],
+    parser: 'workbook',
+    signature: { container: 'ole2' }
+  },
+  {
+    extension: 'xlsx',
+    mimeTypes: [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ],
+    parser: 'workbook',
+    signature: {
+      container: 'zip',
+      entry: '[Content_Types].xml',
+      marker:
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml'
+    }
+  },
+  {
+    extension: 'xlsm',
+    mimeTypes: [
+      'application/vnd.ms-excel.sheet.macroEnabled.12',
+      // Lowercase variant sent by some browsers
+      'application/vnd.ms-excel.sheet.macroenabled.12'
+    ],
+    parser: 'workbook',
+    signature: {
+      container: 'zip',
+      entry: '[Content_Types].xml',
+      marker: 'application/vnd.ms-excel.sheet.macroEnabled.main+xml'
+    }
+  },
+  {
+    extension: 'xlsb',
+    mimeTypes: ['application/vnd.ms-excel.sheet.binary.macroEnabled.12'],
+    parser: 'workbook',
+    signature: {
+      container: 'zip',
+      entry: '[Content_Types].xml',
+      marker: 'application/vnd.ms-excel.sheet.binary.macroEnabled.main'
+    }
+  },
+  {
+    extension: 'ods',
+    mimeTypes: ['application/vnd.oasis.opendocument.spreadsheet'],
+    parser: 'workbook',
+    signature: {
+      container: 'zip',
+      entry: 'mimetype',
+      marker: 'application/vnd.oasis.opendocument.spreadsheet'
+    }
+  }
+])
+
+const GENERIC_MIME_TYPE = 'application/octet-stream'
+
+/**
+ * Extensions of every accepted format, without the leading dot
+ */
+const acceptedExtensions = SPREADSHEET_FORMATS.map(({ extension }) => extension)
+
+/**
+ * MIME types of every accepted format
+ */
+const acceptedMimeTypes = SPREADSHEET_FORMATS.flatMap(
+  ({ mimeTypes }) => mimeTypes
+)
+
+/**
+ * Value for the `accept` attribute of a file input, listing extensions as
+ * well as MIME types since browsers disagree on the MIME type of some formats
+ */
+const acceptAttribute = [
+  ...acceptedExtensions.map((extension) => `.${extension}`),
+  ...acceptedMimeTypes
+].join(',')
+
+/**
+ * Get the lowercase extension of a filename
+ * @param {string} filename - Filename
+ * @returns {string} Extension without the leading dot, or '' if none
+ */
+const getExtension = (filename) => {
+  const match = String(filename ?? '').match(/\.([^./]+)$/)
+  return match ? match[1].toLowerCase() : ''
+}
+
+/**
+ * Find the format of a file from its filename
+ * @param {string} filename - Filename
+ * @returns {object|undefined} Format, or undefined if not accepted
+ */
+const getFormatForFilename = (filename) => {
+  const extension = getExtension(filename)
+  return SPREADSHEET_FORMATS.find((format) => format.extension === extension)
+}
+
+/**
+ * Get the content type to store a file with, from its filename
+ * @param {string} filename - Filename
+ * @returns {string} Primary MIME type of the format, or a generic binary type
+ */
+const getContentType = (filename) =>
+  getFormatForFilename(filename)?.mimeTypes[0] ?? GENERIC_MIME_TYPE
+
+/**
+ * List the accepted extensions for messages shown to users
+ * @returns {string} For example ".csv, .xls, .xlsx, .xlsm, .xlsb and .ods"
+ */
+const describeAcceptedFormats = () => {
+  const extensions = acceptedExtensions.map((extension) => `.${extension}`)
+  return `${extensions.slice(0, -1).join(', ')} and ${extensions.at(-1)}`
+}
+
+export {
+  SPREADSHEET_FORMATS,
+  GENERIC_MIME_TYPE,
+  acceptedExtensions,
+  acceptedMimeTypes,
+  acceptAttribute,
+  getExtension,
+  getFormatForFilename,
+  getContentType,
+  describeAcceptedFormats
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import {
+  acceptAttribute,
+  acceptedExtensions,
+  describeAcceptedFormats,
+  getContentType,
+  getFormatForFilename
+} from './spreadsheet-formats.js'
+
+describe('spreadsheet formats', () => {
+  it('should list extensions and MIME types in the accept attribute', () => {
+    const accepted = acceptAttribute.split(',')
+
+    expect(accepted).toEqual(
+      expect.arrayContaining([
+        '.ods',
+        '.xlsm',
+        '.xlsb',
+        'application/vnd.oasis.opendocument.spreadsheet'
+      ])
+    )
+    expect(accepted.slice(0, acceptedExtensions.length)).toEqual(
+      acceptedExtensions.map((extension) => `.${extension}`)
+    )
+  })
+
+  it('should find formats by extension regardless of case', () => {
+    expect(getFormatForFilename('Results.XLSB')).toMatchObject({
+      extension: 'xlsb',
+      parser: 'workbook'
+    })
+    expect(getFormatForFilename('results.csv').parser).toBe('csv')
+    expect(getFormatForFilename('results.pdf')).toBeUndefined()
+    expect(getFormatForFilename('results')).toBeUndefined()
+  })
+
+  it('should fall back to a generic content type for unknown files', () => {
+    expect(getContentType('results.ods')).toBe(
+      'application/vnd.oasis.opendocument.spreadsheet'
+    )
+    expect(getContentType('results.bin')).toBe('application/octet-stream')
+  })
+
+  it('should describe the accepted formats for users', () => {
+    expect(describeAcceptedFormats()).toBe(
+      '.csv, .xls, .xlsx, .xlsm, .xlsb and .ods'
+    )
+  })
+})
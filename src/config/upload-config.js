@@ -1,4 +1,11 @@
+import os from 'node:os'
+import path from 'node:path'
 import { config } from './config.js'
+import {
+  GENERIC_MIME_TYPE,
+  acceptedExtensions,
+  acceptedMimeTypes
+} from './spreadsheet-formats.js'
 import {
   BlobServiceClient,
   StorageSharedKeyCredential
@@ -7,6 +14,7 @@ import { DefaultAzureCredential, ClientSecretCredential } from '@azure/identity'
 import {
   S3Client,
   GetObjectCommand,
+  HeadBucketCommand,
   PutObjectCommand
 } from '@aws-sdk/client-s3'
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
@@ -23,17 +31,22 @@ export class UploadConfig {
     this.azureConfig = this.storageConfig.azure || {}
     this.azureConfig.enabled = process.env.AZURE_STORAGE_ENABLED === 'true'
     this.s3Config = this.storageConfig.s3 || {}
+    this.s3Config.enabled = process.env.S3_ENABLED === 'true'
+    this.filesystemConfig = this.storageConfig.filesystem || {}
+    this.filesystemConfig.enabled =
+      process.env.FILESYSTEM_STORAGE_ENABLED === 'true'
 
     // Create forms engine config from storage settings with defaults
     this.formsEngineConfig = {
       uploadPath: '/upload',
       maxFileSize: this.storageConfig.maxFileSize || 52428800, // 50MB default
       uploadDirectory: './uploads',
-      allowedFileTypes: ['.csv', '.xls', '.xlsx']
+      allowedFileTypes: acceptedExtensions.map((extension) => `.${extension}`)
     }
 
     this._azureBlobClient = null
     this._s3Client = null
+    this._cdpUploaderS3Client = null
   }
 
   /**
@@ -52,12 +65,11 @@ export class UploadConfig {
         cdpUploader: storageConfig.cdpUploader || {},
         azure: storageConfig.azure || {},
         s3: storageConfig.s3 || {},
+        filesystem: storageConfig.filesystem || {},
         maxFileSize: storageConfig.maxFileSize || 52428800, // 50MB default
         allowedMimeTypes: storageConfig.allowedMimeTypes || [
-          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
-          'application/vnd.ms-excel', // .xls
-          'text/csv', // .csv
-          'application/octet-stream' // Generic binary (will rely on extension check)
+          ...acceptedMimeTypes,
+          GENERIC_MIME_TYPE
         ]
       }
     } catch (error) {
@@ -77,25 +89,31 @@ export class UploadConfig {
     return {
       cdpUploader: {
         endpoint: 'https://cdp-uploader.service.gov.uk',
-        apiKey: ''
+        apiKey: '',
+        mode: 'proxy'
       },
       azure: {
         connectionString: '',
-        containerName: 'uploads'
+        containerName: 'uploads',
+        blobPathTemplate: '{formSlug}/{yyyy}/{mm}/{submissionId}/{filename}',
+        blockSize: 4194304, // 4MB
+        uploadConcurrency: 5
       },
       s3: {
         bucket: 'apha-sdo-uploads',
         region: 'eu-west-2',
         accessKeyId: '',
-        secretAccessKey: ''
+        secretAccessKey: '',
+        endpoint: '',
+        forcePathStyle: false,
+        keyTemplate: '{formSlug}/{yyyy}/{mm}/{submissionId}/{filename}'
+      },
+      filesystem: {
+        directory: path.join(os.tmpdir(), 'apha-sdo-storage'),
+        pathTemplate: '{formSlug}/{yyyy}/{mm}/{submissionId}/{filename}'
       },
       maxFileSize: 52428800, // 50MB
-      allowedMimeTypes: [
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
-        'application/vnd.ms-excel', // .xls
-        'text/csv', // .csv
-        'application/octet-stream' // Generic binary (will rely on extension check)
-      ]
+      allowedMimeTypes: [...acceptedMimeTypes, GENERIC_MIME_TYPE]
     }
   }
 
@@ -113,6 +131,7 @@ export class UploadConfig {
         process.env.CDP_UPLOADER_BUCKET ||
         'my-bucket',
       stagingPrefix: process.env.CDP_UPLOADER_STAGING_PREFIX || 'staging/',
+      mode: (this.cdpUploaderConfig && this.cdpUploaderConfig.mode) || 'proxy',
       maxFileSize:
         (this.storageConfig && this.storageConfig.maxFileSize) || 26214400,
       timeout: parseInt(process.env.CDP_UPLOADER_TIMEOUT) || 30000,
@@ -178,18 +197,42 @@ export class UploadConfig {
     return this._azureBlobClient
   }
 
+  /**
+   * Get S3 client, pointed at S3_ENDPOINT when one is set (e.g. LocalStack)
+   */
   getS3Client() {
-    const s3Enabled = process.env.S3_ENABLED === 'true'
-    if (!s3Enabled) {
+    if (!this.s3Config.enabled) {
       return null
     }
 
-    if (this._s3Client) {
-      return this._s3Client
+    if (!this._s3Client) {
+      this._s3Client = this._createS3Client()
     }
+    return this._s3Client
+  }
 
+  /**
+   * Get an S3 client for reading files the CDP uploader has scanned into its
+   * bucket. Unlike getS3Client it does not need S3 enabled as a delivery
+   * target, as direct CDP uploads are always read back from S3.
+   */
+  getCdpUploaderS3Client() {
+    if (!this._cdpUploaderS3Client) {
+      this._cdpUploaderS3Client = this._createS3Client()
+    }
+    return this._cdpUploaderS3Client
+  }
+
+  /**
+   * Create an S3 client from the S3 configuration
+   * @returns {S3Client|null} Client, or null if it could not be created
+   * @private
+   */
+  _createS3Client() {
     const clientConfig = {
-      region: (this.s3Config && this.s3Config.region) || 'eu-west-2'
+      region: (this.s3Config && this.s3Config.region) || 'eu-west-2',
+      ...(this.s3Config.endpoint && { endpoint: this.s3Config.endpoint }),
+      forcePathStyle: !!this.s3Config.forcePathStyle
     }
 
     // Add credentials if provided (for non-IAM role environments)
@@ -205,8 +248,7 @@ export class UploadConfig {
     }
 
     try {
-      this._s3Client = new S3Client(clientConfig)
-      return this._s3Client
+      return new S3Client(clientConfig)
     } catch (error) {
       return null
     }
@@ -285,15 +327,12 @@ export class UploadConfig {
     }
 
     // Validate S3 config if explicitly enabled (OPTIONAL)
-    const s3Enabled = process.env.S3_ENABLED === 'true'
-    if (s3Enabled) {
+    if (this.s3Config.enabled) {
       if (!(this.s3Config && this.s3Config.region)) {
         errors.push('AWS_REGION is required when S3 is explicitly enabled')
       }
       if (!(this.s3Config && this.s3Config.bucket)) {
-        errors.push(
-          'S3_DOWNLOAD_BUCKET is required when S3 is explicitly enabled'
-        )
+        errors.push('S3_BUCKET_NAME is required when S3 is explicitly enabled')
       }
     }
 
@@ -309,7 +348,7 @@ export class UploadConfig {
   async getHealthCheck() {
     const cdpConfig = this.getCdpUploaderConfig()
     const azureEnabled = process.env.AZURE_STORAGE_ENABLED === 'true'
-    const s3Enabled = process.env.S3_ENABLED !== 'false'
+    const s3Enabled = this.s3Config.enabled
 
     const health = {
       cdpUploader: {
@@ -359,9 +398,10 @@ export class UploadConfig {
     // Test S3 connection if enabled
     if (s3Enabled) {
       try {
-        // const s3Client = this.getS3Client()
-        // Simple test to check if client is configured correctly
-        health.s3.connectionStatus = 'configured'
+        await this.getS3Client().send(
+          new HeadBucketCommand({ Bucket: this.s3Config.bucket })
+        )
+        health.s3.connectionStatus = 'healthy'
       } catch (error) {
         health.s3.connectionStatus = 'error'
         health.s3.error = error.message
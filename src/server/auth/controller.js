@@ -0,0 +1,129 @@
+import Boom from '@hapi/boom'
+import Joi from 'joi'
+import { oidcClient } from './oidc-client.js'
+import { recordLogout, startAuthSession } from './session.js'
+import { AuditLog, userProfileStore } from '../services/user-profile-store.js'
+
+// Where a sign in started, kept in the session until the provider returns
+const SIGN_IN_KEY = 'oidcSignIn'
+
+// Only paths on this site, so signing in cannot redirect away
+const localPath = Joi.string().pattern(/^\/(?![/\\])/)
+
+export const signInController = {
+  options: {
+    auth: false,
+    validate: {
+      query: Joi.object({
+        redirect: localPath.default('/portal')
+      })
+    }
+  },
+  async handler(request, h) {
+    const { url, state, nonce, codeVerifier } =
+      await oidcClient.createAuthorisationRequest()
+
+    request.yar.set(SIGN_IN_KEY, {
+      state,
+      nonce,
+      codeVerifier,
+      redirect: request.query.redirect
+    })
+
+    return h.redirect(url)
+  }
+}
+
+export const callbackController = {
+  options: {
+    auth: false,
+    validate: {
+      query: Joi.object({
+        code: Joi.string(),
+        state: Joi.string(),
+        error: Joi.string(),
+        error_description: Joi.string()
+      }).unknown()
+    }
+  },
+  async handler(request, h) {
+    const { code, state, error } = request.query
+    const signIn = request.yar.get(SIGN_IN_KEY)
+    request.yar.clear(SIGN_IN_KEY)
+
+    if (error) {
+      request.logger.warn('Sign in refused by the identity provider', {
+        error,
+        description: request.query.error_description
+      })
+      throw Boom.unauthorized('Sign in failed')
+    }
+    if (!signIn || !code || state !== signIn.state) {
+      request.logger.warn('Sign in response does not match a sign in', {
+        hasSignIn: !!signIn
+      })
+      throw Boom.unauthorized('Sign in failed')
+    }
+
+    try {
+      const tokens = await oidcClient.exchangeCode(code, signIn.codeVerifier)
+      const claims = await oidcClient.verifyIdToken(tokens.idToken, {
+        nonce: signIn.nonce
+      })
+      const user = startAuthSession(request, claims, tokens)
+
+      request.logger.info('User signed in', { userId: user.id })
+      await userProfileStore.recordActivity(user.id, AuditLog.SIGN_IN, {
+        organisationId: user.organisationId,
+        organisationName: user.organisationName,
+        ipAddress: request.info.remoteAddress,
+        userAgent: request.headers['user-agent'] ?? null
+      })
+    } catch (err) {
+      request.logger.error('Failed to complete sign in', {
+        error: err.message
+      })
+      throw Boom.unauthorized('Sign in failed')
+    }
+
+    return h.redirect(signIn.redirect)
+  }
+}
+
+export const backChannelLogoutController = {
+  options: {
+    // Called by the identity provider, which proves itself with the token
+    auth: false,
+    plugins: {
+      crumb: false
+    },
+    validate: {
+      payload: Joi.object({
+        logout_token: Joi.string().required()
+      })
+    }
+  },
+  async handler(request, h) {
+    try {
+      const claims = await oidcClient.verifyLogoutToken(
+        request.payload.logout_token
+      )
+      await recordLogout(request.server.plugins.auth.logouts, claims)
+
+      request.logger.info('Identity provider logged a session out', {
+        userId: claims.sub,
+        sid: claims.sid
+      })
+    } catch (err) {
+      request.logger.warn('Refused a back-channel logout', {
+        error: err.message
+      })
+      return h
+        .response({ error: 'invalid_request', error_description: err.message })
+        .code(400)
+        .header('cache-control', 'no-store')
+    }
+
+    return h.response().code(200).header('cache-control', 'no-store')
+  }
+}
@@ -0,0 +1,44 @@
+import Boom from '@hapi/boom'
+import { canOpenForm } from './permissions.js'
+
+const FORMS_ENGINE = '@defra/forms-engine-plugin'
+
+/**
+ * Keeps forms limited to some organisations (`allowedOrganisations` in their
+ * metadata) closed to everyone else, on every page of the form and its
+ * preview. Register after the forms engine, with the same forms service.
+ */
+export const formAccess = {
+  plugin: {
+    name: 'form-access',
+    register(server, { formsService }) {
+      server.ext('onPreHandler', async (request, h) => {
+        const slug = request.params?.slug
+        if (request.route.realm.plugin !== FORMS_ENGINE || !slug) {
+          return h.continue
+        }
+
+        let metadata
+        try {
+          metadata = await formsService.getFormMetadata(slug)
+        } catch {
+          // Unknown forms are left for the forms engine to answer
+          return h.continue
+        }
+        if (canOpenForm(request.auth.credentials, metadata)) {
+          return h.continue
+        }
+
+        request.logger.warn(
+          'Refused a form to a user outside its organisations',
+          {
+            slug,
+            userId: request.auth.credentials?.id,
+            organisationId: request.auth.credentials?.organisationId
+          }
+        )
+        throw Boom.forbidden(`Form '${slug}' is not open to your organisation`)
+      })
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import {
+  backChannelLogoutController,
+  callbackController,
+  signInController
+} from './controller.js'
+import { sessionScheme } from './session.js'
+import { config } from '../../config/config.js'
+
+/**
+ * Sets up sign in with DEFRA ID, and back-channel logout from it, and makes
+ * the `session` strategy the default, so every route registered after this
+ * plugin needs a signed-in user unless it sets its own `auth` option.
+ */
+export const auth = {
+  plugin: {
+    name: 'auth',
+    register(server) {
+      // When the identity provider logged each session or user out, kept
+      // for as long as a session can last
+      const logouts = server.cache({
+        cache: config.get('session.cache.name'),
+        segment: 'oidc-logouts',
+        expiresIn: config.get('session.cache.ttl')
+      })
+      server.expose('logouts', logouts)
+
+      server.auth.scheme('session', sessionScheme)
+      server.auth.strategy('session', 'session', { logouts })
+      server.auth.default('session')
+
+      server.route([
+        {
+          method: 'GET',
+          path: '/auth/sign-in',
+          ...signInController
+        },
+        {
+          method: 'GET',
+          path: '/auth/callback',
+          ...callbackController
+        },
+        {
+          method: 'POST',
+          path: '/auth/backchannel-logout',
+          ...backChannelLogoutController
+        }
+      ])
+    }
+  }
+}
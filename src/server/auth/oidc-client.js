@@ -0,0 +1,360 @@
+import { createHash, createPublicKey, randomBytes, verify } from 'node:crypto'
+import { config } from '../../config/config.js'
+
+/**
+ * OpenID Connect Client
+ *
+ * Signs users in with DEFRA ID (or the local stand-in in tools/oidc-stub)
+ * using the authorisation code flow with PKCE. The provider is found from
+ * its discovery document; ID tokens are checked against the provider's
+ * published RS256 keys, its issuer, our client id and the nonce sent with
+ * the sign-in.
+ */
+
+// Allowed difference between our clock and the provider's, in seconds
+const CLOCK_TOLERANCE = 30
+
+// Event a logout token carries, from OpenID Connect Back-Channel Logout
+const BACKCHANNEL_LOGOUT_EVENT =
+  'http://schemas.openid.net/event/backchannel-logout'
+
+/**
+ * Thrown when the provider refuses a request or returns a token that
+ * cannot be trusted. Signing in again is the only way forward.
+ */
+export class OidcError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = 'OidcError'
+    this.code = code
+  }
+}
+
+let providerCache = null
+let keysCache = null
+
+/**
+ * Random value for state, nonce and the PKCE verifier
+ * @returns {string} 256 random bits, base64url encoded
+ */
+const randomToken = () => randomBytes(32).toString('base64url')
+
+/**
+ * PKCE S256 challenge of a verifier
+ * @param {string} verifier - Code verifier
+ * @returns {string} Code challenge
+ */
+const challengeFor = (verifier) =>
+  createHash('sha256').update(verifier).digest('base64url')
+
+/**
+ * Fetch a JSON document from the provider
+ * @param {string} url - Document URL
+ * @param {RequestInit} [init] - Fetch options
+ * @returns {Promise<object>} Parsed document
+ * @private
+ */
+const fetchJson = async (url, init) => {
+  const response = await fetch(url, init)
+  const body = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    throw new OidcError(
+      body.error_description || `${url} responded ${response.status}`,
+      body.error
+    )
+  }
+  return body
+}
+
+/**
+ * Turn a token endpoint response into the tokens kept in the session
+ * @param {object} response - Token endpoint response
+ * @param {number} now - Time the tokens were issued, in milliseconds
+ * @returns {{accessToken: string, refreshToken?: string, idToken?: string,
+ *   expiresAt: number}} Tokens, with when the access token expires
+ * @private
+ */
+const toTokens = (response, now) => ({
+  accessToken: response.access_token,
+  refreshToken: response.refresh_token,
+  idToken: response.id_token,
+  expiresAt: now + Number(response.expires_in ?? 3600) * 1000
+})
+
+export const oidcClient = {
+  /**
+   * Provider metadata from the discovery document, fetched once per
+   * discovery URL
+   * @returns {Promise<object>} Discovery document
+   */
+  async getProviderMetadata() {
+    const url = config.get('auth.oidc.discoveryUrl')
+
+    if (providerCache?.url !== url) {
+      providerCache = { url, metadata: await fetchJson(url) }
+      keysCache = null
+    }
+    return providerCache.metadata
+  },
+
+  /**
+   * Find the provider's signing key with an id. The key set is fetched
+   * again when the id is unknown, as the provider may have rotated keys.
+   * @param {string} kid - Key id from the token header
+   * @returns {Promise<import('node:crypto').KeyObject>} Public key
+   */
+  async getSigningKey(kid) {
+    const findKey = () =>
+      keysCache?.keys.find(
+        (key) => key.kty === 'RSA' && (kid === undefined || key.kid === kid)
+      )
+
+    if (!findKey()) {
+      const { jwks_uri: jwksUri } = await this.getProviderMetadata()
+      keysCache = await fetchJson(jwksUri)
+    }
+
+    const jwk = findKey()
+    if (!jwk) {
+      throw new OidcError(`No signing key ${kid} published by the provider`)
+    }
+    return createPublicKey({ key: jwk, format: 'jwk' })
+  },
+
+  /**
+   * Start a sign in. The state, nonce and code verifier must be kept until
+   * the provider returns, to check the response against.
+   * @returns {Promise<{url: string, state: string, nonce: string,
+   *   codeVerifier: string}>} Authorisation URL to redirect to, with the
+   *   values it was built from
+   */
+  async createAuthorisationRequest() {
+    const metadata = await this.getProviderMetadata()
+    const state = randomToken()
+    const nonce = randomToken()
+    const codeVerifier = randomToken()
+
+    const url = new URL(metadata.authorization_endpoint)
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.get('auth.oidc.clientId'),
+      redirect_uri: config.get('auth.oidc.redirectUrl'),
+      scope: config.get('auth.oidc.scopes').join(' '),
+      state,
+      nonce,
+      code_challenge: challengeFor(codeVerifier),
+      code_challenge_method: 'S256',
+      ...(config.get('auth.oidc.serviceId') && {
+        serviceId: config.get('auth.oidc.serviceId')
+      })
+    })
+
+    return { url: url.href, state, nonce, codeVerifier }
+  },
+
+  /**
+   * Call the token endpoint, authenticating with the client secret
+   * @param {object} params - Grant parameters
+   * @returns {Promise<object>} Tokens (see toTokens)
+   * @private
+   */
+  async _requestTokens(params) {
+    const { token_endpoint: tokenEndpoint } = await this.getProviderMetadata()
+    const now = Date.now()
+
+    const response = await fetchJson(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: config.get('auth.oidc.clientId'),
+        client_secret: config.get('auth.oidc.clientSecret'),
+        ...params
+      })
+    })
+
+    return toTokens(response, now)
+  },
+
+  /**
+   * Exchange the code the provider returned for tokens
+   * @param {string} code - Authorisation code
+   * @param {string} codeVerifier - PKCE verifier the sign in started with
+   * @returns {Promise<object>} Tokens
+   */
+  exchangeCode(code, codeVerifier) {
+    return this._requestTokens({
+      grant_type: 'authorization_code',
+      code,
+      code_verifier: codeVerifier,
+      redirect_uri: config.get('auth.oidc.redirectUrl')
+    })
+  },
+
+  /**
+   * Get new tokens with a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<object>} Tokens
+   */
+  refreshTokens(refreshToken) {
+    return this._requestTokens({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken
+    })
+  },
+
+  /**
+   * Check a JWT was signed by the provider for us and is current
+   * @param {string} token - JWT
+   * @param {string} kind - What the token is, for error messages
+   * @param {number} now - Current time, in milliseconds
+   * @returns {Promise<object>} The token's claims
+   * @private
+   */
+  async _verifyJwt(token, kind, now) {
+    const [encodedHeader, encodedClaims, signature] = String(token).split('.')
+    if (!signature) {
+      throw new OidcError(`${kind} is not a signed JWT`)
+    }
+
+    const header = JSON.parse(Buffer.from(encodedHeader, 'base64url'))
+    if (header.alg !== 'RS256') {
+      throw new OidcError(`${kind} is signed with ${header.alg}, not RS256`)
+    }
+
+    const key = await this.getSigningKey(header.kid)
+    const signed = verify(
+      'RSA-SHA256',
+      Buffer.from(`${encodedHeader}.${encodedClaims}`),
+      key,
+      Buffer.from(signature, 'base64url')
+    )
+    if (!signed) {
+      throw new OidcError(`${kind} signature is invalid`)
+    }
+
+    const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url'))
+    const { issuer } = await this.getProviderMetadata()
+    const seconds = now / 1000
+
+    if (claims.iss !== issuer) {
+      throw new OidcError(`${kind} was issued by ${claims.iss}`)
+    }
+    if (![claims.aud].flat().includes(config.get('auth.oidc.clientId'))) {
+      throw new OidcError(`${kind} was issued to another client`)
+    }
+    if (claims.exp !== undefined && !(claims.exp + CLOCK_TOLERANCE > seconds)) {
+      throw new OidcError(`${kind} has expired`)
+    }
+    if (!(claims.iat - CLOCK_TOLERANCE <= seconds)) {
+      throw new OidcError(`${kind} was issued in the future`)
+    }
+
+    return claims
+  },
+
+  /**
+   * Check an ID token was signed by the provider for us and is current
+   * @param {string} idToken - ID token
+   * @param {object} [options]
+   * @param {string} [options.nonce] - Nonce the sign in was sent with; not
+   *   checked for tokens from a refresh
+   * @param {number} [options.now] - Current time, in milliseconds
+   * @returns {Promise<object>} The token's claims
+   */
+  async verifyIdToken(idToken, { nonce, now = Date.now() } = {}) {
+    const claims = await this._verifyJwt(idToken, 'ID token', now)
+
+    if (claims.exp === undefined) {
+      throw new OidcError('ID token has no expiry')
+    }
+    if (nonce !== undefined && claims.nonce !== nonce) {
+      throw new OidcError('ID token nonce does not match the sign in')
+    }
+
+    return claims
+  },
+
+  /**
+   * Check a back-channel logout token, which the provider sends when a
+   * user's session with it ends
+   * @param {string} logoutToken - Logout token
+   * @param {object} [options]
+   * @param {number} [options.now] - Current time, in milliseconds
+   * @returns {Promise<object>} The token's claims, with the `sid` of the
+   *   session that ended or the `sub` of the user whose sessions ended
+   */
+  async verifyLogoutToken(logoutToken, { now = Date.now() } = {}) {
+    const claims = await this._verifyJwt(logoutToken, 'Logout token', now)
+
+    if (!(BACKCHANNEL_LOGOUT_EVENT in (claims.events ?? {}))) {
+      throw new OidcError('Logout token is not a back-channel logout')
+    }
+    if (!claims.sid && !claims.sub) {
+      throw new OidcError('Logout token names no session or user')
+    }
+    if ('nonce' in claims) {
+      throw new OidcError('Logout token must not have a nonce')
+    }
+
+    return claims
+  },
+
+  /**
+   * Revoke a token with the provider, if it has a revocation endpoint
+   * @param {string} token - Token to revoke
+   * @param {string} [tokenTypeHint] - Kind of token
+   * @returns {Promise<boolean>} Whether the provider revoked it
+   */
+  async revokeToken(token, tokenTypeHint = 'refresh_token') {
+    const { revocation_endpoint: endpoint } = await this.getProviderMetadata()
+    if (!endpoint) {
+      return false
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: config.get('auth.oidc.clientId'),
+        client_secret: config.get('auth.oidc.clientSecret'),
+        token,
+        token_type_hint: tokenTypeHint
+      })
+    })
+    if (!response.ok) {
+      throw new OidcError(`Token revocation responded ${response.status}`)
+    }
+    return true
+  },
+
+  /**
+   * Where to send the browser to end the user's session with the provider,
+   * which then returns it to auth.oidc.postLogoutRedirectUrl
+   * @param {string} [idToken] - The user's latest ID token
+   * @returns {Promise<string|null>} End session URL, or null when the
+   *   provider has no end session endpoint
+   */
+  async getEndSessionUrl(idToken) {
+    const { end_session_endpoint: endpoint } = await this.getProviderMetadata()
+    if (!endpoint) {
+      return null
+    }
+
+    const url = new URL(endpoint)
+    url.search = new URLSearchParams({
+      client_id: config.get('auth.oidc.clientId'),
+      post_logout_redirect_uri: config.get('auth.oidc.postLogoutRedirectUrl'),
+      ...(idToken && { id_token_hint: idToken })
+    })
+    return url.href
+  },
+
+  /**
+   * Forget the provider metadata and keys, so they are fetched again
+   */
+  reset() {
+    providerCache = null
+    keysCache = null
+  }
+}
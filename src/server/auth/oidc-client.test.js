@@ -0,0 +1,165 @@
+import { generateKeyPairSync, sign } from 'node:crypto'
+import { vi } from 'vitest'
+
+import { OidcError, oidcClient } from './oidc-client.js'
+import { config } from '../../config/config.js'
+
+describe('#oidcClient', () => {
+  const issuer = 'https://id.example.com'
+  const { publicKey, privateKey } = generateKeyPairSync('rsa', {
+    modulusLength: 2048
+  })
+  const now = Date.UTC(2026, 0, 1)
+  const seconds = now / 1000
+
+  const signJwt = (claims, key = privateKey, alg = 'RS256') => {
+    const encode = (part) =>
+      Buffer.from(JSON.stringify(part)).toString('base64url')
+    const data = `${encode({ alg, kid: 'key-1' })}.${encode(claims)}`
+    return `${data}.${sign('RSA-SHA256', Buffer.from(data), key).toString('base64url')}`
+  }
+
+  const claims = (overrides = {}) => ({
+    iss: issuer,
+    aud: config.get('auth.oidc.clientId'),
+    sub: 'user-1',
+    iat: seconds,
+    exp: seconds + 3600,
+    nonce: 'nonce-1',
+    ...overrides
+  })
+
+  beforeEach(() => {
+    vi.spyOn(oidcClient, 'getProviderMetadata').mockResolvedValue({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`
+    })
+    vi.spyOn(oidcClient, 'getSigningKey').mockResolvedValue(publicKey)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('verifyIdToken', () => {
+    test('Should return the claims of a valid token', async () => {
+      await expect(
+        oidcClient.verifyIdToken(signJwt(claims()), { nonce: 'nonce-1', now })
+      ).resolves.toMatchObject({ sub: 'user-1' })
+      expect(oidcClient.getSigningKey).toHaveBeenCalledWith('key-1')
+    })
+
+    test('Should reject a token signed with another key', async () => {
+      const other = generateKeyPairSync('rsa', { modulusLength: 2048 })
+
+      await expect(
+        oidcClient.verifyIdToken(signJwt(claims(), other.privateKey), { now })
+      ).rejects.toThrow('signature is invalid')
+    })
+
+    test('Should reject tokens not signed with RS256', async () => {
+      await expect(
+        oidcClient.verifyIdToken(signJwt(claims(), privateKey, 'none'), {
+          now
+        })
+      ).rejects.toThrow(OidcError)
+    })
+
+    test.each([
+      [{ iss: 'https://other.example.com' }, 'issued by'],
+      [{ aud: 'another-client' }, 'another client'],
+      [{ exp: seconds - 60 }, 'expired'],
+      [{ iat: seconds + 600 }, 'in the future'],
+      [{ nonce: 'nonce-2' }, 'nonce']
+    ])('Should reject a token with %o', async (overrides, message) => {
+      await expect(
+        oidcClient.verifyIdToken(signJwt(claims(overrides)), {
+          nonce: 'nonce-1',
+          now
+        })
+      ).rejects.toThrow(message)
+    })
+
+    test('Should not check the nonce of a refreshed token', async () => {
+      await expect(
+        oidcClient.verifyIdToken(signJwt(claims({ nonce: undefined })), {
+          now
+        })
+      ).resolves.toMatchObject({ sub: 'user-1' })
+    })
+  })
+
+  describe('verifyLogoutToken', () => {
+    const logoutClaims = (overrides = {}) => ({
+      iss: issuer,
+      aud: config.get('auth.oidc.clientId'),
+      iat: seconds,
+      jti: 'logout-1',
+      sub: 'user-1',
+      sid: 'sid-1',
+      events: { 'http://schemas.openid.net/event/backchannel-logout': {} },
+      ...overrides
+    })
+
+    test('Should return the session a logout token ends', async () => {
+      await expect(
+        oidcClient.verifyLogoutToken(signJwt(logoutClaims()), { now })
+      ).resolves.toMatchObject({ sub: 'user-1', sid: 'sid-1' })
+    })
+
+    test.each([
+      [{ events: {} }, 'not a back-channel logout'],
+      [{ sub: undefined, sid: undefined }, 'names no session or user'],
+      [{ nonce: 'nonce-1' }, 'must not have a nonce'],
+      [{ aud: 'another-client' }, 'another client']
+    ])('Should reject a logout token with %o', async (overrides, message) => {
+      await expect(
+        oidcClient.verifyLogoutToken(signJwt(logoutClaims(overrides)), { now })
+      ).rejects.toThrow(message)
+    })
+
+    test('Should not accept an ID token as a logout token', async () => {
+      await expect(
+        oidcClient.verifyLogoutToken(signJwt(claims()), { now })
+      ).rejects.toThrow(OidcError)
+    })
+  })
+
+  describe('getEndSessionUrl', () => {
+    test('Should return to the portal after the provider signs out', async () => {
+      oidcClient.getProviderMetadata.mockResolvedValue({
+        issuer,
+        end_session_endpoint: `${issuer}/logout`
+      })
+
+      const url = new URL(await oidcClient.getEndSessionUrl('id-token'))
+
+      expect(url.origin + url.pathname).toBe(`${issuer}/logout`)
+      expect(Object.fromEntries(url.searchParams)).toEqual({
+        client_id: config.get('auth.oidc.clientId'),
+        post_logout_redirect_uri: config.get('auth.oidc.postLogoutRedirectUrl'),
+        id_token_hint: 'id-token'
+      })
+    })
+
+    test('Should return null when the provider cannot end sessions', async () => {
+      await expect(oidcClient.getEndSessionUrl('id-token')).resolves.toBe(null)
+    })
+  })
+
+  describe('createAuthorisationRequest', () => {
+    test('Should send a PKCE challenge, state and nonce', async () => {
+      const { url, state, nonce, codeVerifier } =
+        await oidcClient.createAuthorisationRequest()
+      const params = new URL(url).searchParams
+
+      expect(url.startsWith(`${issuer}/authorize?`)).toBe(true)
+      expect(params.get('state')).toBe(state)
+      expect(params.get('nonce')).toBe(nonce)
+      expect(params.get('code_challenge_method')).toBe('S256')
+      expect(params.get('code_challenge')).not.toBe(codeVerifier)
+      expect(params.get('scope')).toBe('openid profile email offline_access')
+      expect(params.has('serviceId')).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,184 @@
+/**
+ * Roles and Permissions
+ *
+ * A user's roles come from their DEFRA ID claims and each role grants a set
+ * of permissions. The permissions become the `scope` of the user's
+ * credentials, so routes ask for what they need with hapi's
+ * `auth.access.scope` rather than checking roles themselves.
+ */
+
+export const Role = Object.freeze({
+  SUBMITTER: 'submitter',
+  ORGANISATION_ADMIN: 'organisation-admin',
+  APHA_REVIEWER: 'apha-reviewer',
+  PLATFORM_OPERATOR: 'platform-operator'
+})
+
+export const Permission = Object.freeze({
+  // Fill in and submit the forms the user's organisation may open
+  SUBMIT_FORMS: 'form:submit',
+  // Open every form, whichever organisations it is limited to
+  OPEN_ANY_FORM: 'form:open-any',
+  // Read the status, history and reports of uploads
+  READ_UPLOADS: 'upload:read',
+  // Read uploads from every organisation, not only the user's own
+  READ_ALL_UPLOADS: 'upload:read-all',
+  // Move an upload on through scanning and delivery by hand
+  PROCESS_UPLOADS: 'upload:process',
+  // Trigger the pipeline and re-queue failed transfers
+  OPERATE_PIPELINE: 'pipeline:operate',
+  // Manage the organisation's users and settings in the portal
+  MANAGE_ORGANISATION: 'organisation:manage'
+})
+
+const ROLE_PERMISSIONS = Object.freeze({
+  [Role.SUBMITTER]: [Permission.SUBMIT_FORMS, Permission.READ_UPLOADS],
+  [Role.ORGANISATION_ADMIN]: [
+    Permission.SUBMIT_FORMS,
+    Permission.READ_UPLOADS,
+    Permission.MANAGE_ORGANISATION
+  ],
+  [Role.APHA_REVIEWER]: [
+    Permission.OPEN_ANY_FORM,
+    Permission.READ_UPLOADS,
+    Permission.READ_ALL_UPLOADS,
+    Permission.PROCESS_UPLOADS
+  ],
+  [Role.PLATFORM_OPERATOR]: [
+    Permission.OPEN_ANY_FORM,
+    Permission.READ_UPLOADS,
+    Permission.READ_ALL_UPLOADS,
+    Permission.PROCESS_UPLOADS,
+    Permission.OPERATE_PIPELINE
+  ]
+})
+
+const KNOWN_ROLES = new Set(Object.values(Role))
+
+/**
+ * Role name as the portal spells it, from however DEFRA ID spells it, so
+ * "Organisation Admin" and "organisation_admin" both match
+ * @param {string} name - Role name from a claim
+ * @returns {string} Role name
+ * @private
+ */
+const normaliseRoleName = (name) =>
+  name
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+
+/**
+ * Split a DEFRA ID relationship claim
+ * (`relationshipId:organisationId:organisationName:...`)
+ * @param {string} relationship - Relationship claim entry
+ * @returns {{relationshipId: string, organisationId: string,
+ *   organisationName: string}} Relationship
+ * @private
+ */
+const parseRelationship = (relationship) => {
+  const [relationshipId, organisationId, organisationName] =
+    relationship.split(':')
+  return { relationshipId, organisationId, organisationName }
+}
+
+/**
+ * The organisation the user signed in for: DEFRA ID's current relationship,
+ * or their only one
+ * @param {object} claims - ID token claims
+ * @returns {{relationshipId: string, organisationId: string,
+ *   organisationName: string}|null} Organisation, or null when the user
+ *   signed in as themselves
+ */
+export const getOrganisation = (claims) => {
+  const relationships = (claims.relationships ?? []).map(parseRelationship)
+  const current = claims.currentRelationshipId
+    ? relationships.find(
+        ({ relationshipId }) => relationshipId === claims.currentRelationshipId
+      )
+    : relationships.length === 1 && relationships[0]
+
+  return current?.organisationId ? current : null
+}
+
+/**
+ * Roles of the user. Everyone signed in can submit; other roles are named in
+ * the `roles` claim, either plainly or as DEFRA ID's
+ * `relationshipId:roleName:status`, in which case only roles for the
+ * organisation the user signed in for count.
+ * @param {object} claims - ID token claims
+ * @returns {string[]} Roles
+ */
+export const getRoles = (claims) => {
+  const relationshipId = getOrganisation(claims)?.relationshipId
+  const roles = new Set([Role.SUBMITTER])
+
+  for (const entry of claims.roles ?? []) {
+    const parts = entry.split(':')
+    if (parts.length > 1 && parts[0] !== relationshipId) {
+      continue
+    }
+
+    const role = normaliseRoleName(parts.length > 1 ? parts[1] : parts[0])
+    if (KNOWN_ROLES.has(role)) {
+      roles.add(role)
+    }
+  }
+  return [...roles]
+}
+
+/**
+ * Permissions the roles grant
+ * @param {string[]} roles - Roles
+ * @returns {string[]} Permissions
+ */
+export const getPermissions = (roles) => [
+  ...new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] ?? []))
+]
+
+/**
+ * Whether the user may open a form. Forms with `allowedOrganisations` in
+ * their metadata are only open to those organisations and to staff who may
+ * open any form.
+ * @param {object} credentials - The user's credentials
+ * @param {{allowedOrganisations?: string[]}} metadata - Form metadata
+ * @returns {boolean} Whether they may open it
+ */
+export const canOpenForm = (credentials, metadata) => {
+  const scope = credentials?.scope ?? []
+
+  if (scope.includes(Permission.OPEN_ANY_FORM)) {
+    return true
+  }
+  if (!scope.includes(Permission.SUBMIT_FORMS)) {
+    return false
+  }
+  return (
+    !metadata.allowedOrganisations ||
+    metadata.allowedOrganisations.includes(credentials.organisationId)
+  )
+}
+
+/**
+ * Whether the user may read an upload: its status, history and reports.
+ * Uploads belong to the organisation they were submitted for, or to the
+ * user who uploaded them when they were signed in as themselves. Staff who
+ * may read all uploads can also read ones that were never tracked.
+ * @param {object} credentials - The user's credentials
+ * @param {{organisationId?: string, uploadedBy?: string}|null} upload -
+ *   Upload record, or null when it is not tracked
+ * @returns {boolean} Whether they may read it
+ */
+export const canReadUpload = (credentials, upload) => {
+  const scope = credentials?.scope ?? []
+
+  if (scope.includes(Permission.READ_ALL_UPLOADS)) {
+    return true
+  }
+  if (!upload || !scope.includes(Permission.READ_UPLOADS)) {
+    return false
+  }
+  return upload.organisationId
+    ? upload.organisationId === credentials.organisationId
+    : Boolean(upload.uploadedBy) && upload.uploadedBy === credentials.id
+}
@@ -0,0 +1,150 @@
+import {
+  Permission,
+  Role,
+  canOpenForm,
+  canReadUpload,
+  getOrganisation,
+  getPermissions,
+  getRoles
+} from './permissions.js'
+
+describe('#permissions', () => {
+  const laboratory = 'org-1:Northgate Veterinary Laboratory:0:Employee:0'
+  const claims = (overrides = {}) => ({
+    sub: 'user-1',
+    currentRelationshipId: 'rel-1',
+    relationships: [
+      `rel-1:${laboratory}`,
+      'rel-2:org-2:Westmoor Farm:0:Employee:0'
+    ],
+    ...overrides
+  })
+
+  describe('getOrganisation', () => {
+    test('Should take the organisation the user signed in for', () => {
+      expect(getOrganisation(claims())).toEqual({
+        relationshipId: 'rel-1',
+        organisationId: 'org-1',
+        organisationName: 'Northgate Veterinary Laboratory'
+      })
+    })
+
+    test('Should take the only organisation when none is current', () => {
+      expect(
+        getOrganisation({ relationships: ['rel-2:org-2:Westmoor Farm:0'] })
+      ).toMatchObject({ organisationId: 'org-2' })
+    })
+
+    test('Should have no organisation for users signed in as themselves', () => {
+      expect(getOrganisation({ sub: 'user-1' })).toBe(null)
+      expect(
+        getOrganisation(claims({ currentRelationshipId: undefined }))
+      ).toBe(null)
+    })
+  })
+
+  describe('getRoles', () => {
+    test('Should make everyone a submitter', () => {
+      expect(getRoles({ sub: 'user-1' })).toEqual([Role.SUBMITTER])
+    })
+
+    test('Should only take roles for the current organisation', () => {
+      expect(
+        getRoles(
+          claims({
+            roles: ['rel-1:Organisation Admin:3', 'rel-2:Platform Operator:3']
+          })
+        )
+      ).toEqual([Role.SUBMITTER, Role.ORGANISATION_ADMIN])
+    })
+
+    test('Should take plainly named roles and ignore unknown ones', () => {
+      expect(getRoles({ roles: ['apha_reviewer', 'Chief Vet'] })).toEqual([
+        Role.SUBMITTER,
+        Role.APHA_REVIEWER
+      ])
+    })
+  })
+
+  describe('getPermissions', () => {
+    test('Should only let platform operators operate the pipeline', () => {
+      expect(getPermissions([Role.SUBMITTER])).not.toContain(
+        Permission.OPERATE_PIPELINE
+      )
+      expect(getPermissions([Role.APHA_REVIEWER])).not.toContain(
+        Permission.OPERATE_PIPELINE
+      )
+      expect(
+        getPermissions([Role.SUBMITTER, Role.PLATFORM_OPERATOR])
+      ).toContain(Permission.OPERATE_PIPELINE)
+    })
+  })
+
+  describe('canOpenForm', () => {
+    const form = { allowedOrganisations: ['org-1'] }
+    const submitter = (organisationId) => ({
+      organisationId,
+      scope: getPermissions([Role.SUBMITTER])
+    })
+
+    test('Should open forms to the organisations they allow', () => {
+      expect(canOpenForm(submitter('org-1'), form)).toBe(true)
+      expect(canOpenForm(submitter('org-2'), form)).toBe(false)
+      expect(canOpenForm(submitter(null), form)).toBe(false)
+    })
+
+    test('Should open forms without an allow-list to every submitter', () => {
+      expect(canOpenForm(submitter('org-2'), {})).toBe(true)
+    })
+
+    test('Should open every form to APHA staff', () => {
+      expect(
+        canOpenForm({ scope: getPermissions([Role.APHA_REVIEWER]) }, form)
+      ).toBe(true)
+    })
+
+    test('Should not open forms to users without permissions', () => {
+      expect(canOpenForm({ id: 'user-1' }, {})).toBe(false)
+    })
+  })
+  describe('canReadUpload', () => {
+    const submitter = {
+      id: 'user-1',
+      organisationId: 'org-1',
+      scope: getPermissions([Role.SUBMITTER])
+    }
+    const reviewer = {
+      id: 'user-9',
+      scope: getPermissions([Role.APHA_REVIEWER])
+    }
+
+    test("Should let users read their organisation's uploads only", () => {
+      expect(
+        canReadUpload(submitter, {
+          organisationId: 'org-1',
+          uploadedBy: 'user-2'
+        })
+      ).toBe(true)
+      expect(
+        canReadUpload(submitter, {
+          organisationId: 'org-2',
+          uploadedBy: 'user-1'
+        })
+      ).toBe(false)
+    })
+
+    test('Should let users without an organisation read their own uploads', () => {
+      const individual = { ...submitter, organisationId: null }
+
+      expect(canReadUpload(individual, { uploadedBy: 'user-1' })).toBe(true)
+      expect(canReadUpload(individual, { uploadedBy: 'user-2' })).toBe(false)
+      expect(canReadUpload(individual, {})).toBe(false)
+    })
+
+    test('Should let APHA staff read every upload, tracked or not', () => {
+      expect(canReadUpload(reviewer, { organisationId: 'org-2' })).toBe(true)
+      expect(canReadUpload(reviewer, null)).toBe(true)
+      expect(canReadUpload(submitter, null)).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,259 @@
+import Boom from '@hapi/boom'
+import { config } from '../../config/config.js'
+import { oidcClient } from './oidc-client.js'
+import { getOrganisation, getPermissions, getRoles } from './permissions.js'
+
+/**
+ * Signed-in Sessions
+ *
+ * A signed-in user's identity and tokens are kept in the yar session under
+ * `auth`, so they stay on the server and only the session cookie reaches
+ * the browser. The `session` auth scheme reads them back on each request,
+ * refreshing the tokens shortly before the access token expires, and ends
+ * sessions the provider has logged out over the back channel.
+ */
+
+const AUTH_KEY = 'auth'
+
+/**
+ * The signed-in user, as route handlers see it in `request.auth.credentials`.
+ * `scope` holds the permissions their roles grant, for routes to check with
+ * `auth.access.scope`.
+ * @param {object} claims - ID token claims
+ * @returns {{id: string, email?: string, firstName?: string,
+ *   lastName?: string, displayName: string, organisationId: string|null,
+ *   organisationName: string|null, roles: string[], scope: string[]}}
+ *   Credentials
+ */
+export const toCredentials = (claims) => {
+  const firstName = claims.firstName ?? claims.given_name
+  const lastName = claims.lastName ?? claims.family_name
+  const organisation = getOrganisation(claims)
+  const roles = getRoles(claims)
+
+  return {
+    id: claims.sub,
+    email: claims.email,
+    firstName,
+    lastName,
+    displayName:
+      claims.name ??
+      ([firstName, lastName].filter(Boolean).join(' ') ||
+        claims.email ||
+        claims.sub),
+    organisationId: organisation?.organisationId ?? null,
+    organisationName: organisation?.organisationName ?? null,
+    roles,
+    scope: getPermissions(roles)
+  }
+}
+
+/**
+ * Session of the signed-in user
+ * @param {import('@hapi/hapi').Request} request - Request
+ * @returns {{user: object, tokens: object, sid?: string,
+ *   signedInAt: number}|null} Session, with the provider's session id and
+ *   when the user signed in, or null when nobody is signed in
+ */
+export const getAuthSession = (request) => request.yar.get(AUTH_KEY) ?? null
+
+/**
+ * Sign a user in. The session id is renewed first, so an id planted before
+ * sign in cannot be used to take the session over.
+ * @param {import('@hapi/hapi').Request} request - Request
+ * @param {object} claims - Verified ID token claims
+ * @param {object} tokens - Tokens from the provider
+ * @returns {object} The user's credentials
+ */
+export const startAuthSession = (request, claims, tokens) => {
+  const user = toCredentials(claims)
+
+  request.yar.reset()
+  request.yar.set(AUTH_KEY, {
+    user,
+    tokens,
+    sid: claims.sid,
+    signedInAt: Date.now()
+  })
+  return user
+}
+
+/**
+ * Forget the signed-in user
+ * @param {import('@hapi/hapi').Request} request - Request
+ */
+export const clearAuthSession = (request) => request.yar.clear(AUTH_KEY)
+
+/**
+ * Sign the user out. Everything in the session goes, not only the sign in,
+ * so nothing is left for the next user of a shared computer. The refresh
+ * token is revoked with the provider where it allows.
+ * @param {import('@hapi/hapi').Request} request - Request
+ * @returns {Promise<string|null>} URL that ends the user's session with the
+ *   provider, or null when nobody was signed in or the provider has none
+ */
+export const endAuthSession = async (request) => {
+  const session = getAuthSession(request)
+  request.yar.reset()
+
+  if (!session) {
+    return null
+  }
+
+  try {
+    if (session.tokens.refreshToken) {
+      await oidcClient.revokeToken(session.tokens.refreshToken)
+    }
+  } catch (error) {
+    request.logger.warn('Failed to revoke refresh token on sign out', {
+      userId: session.user.id,
+      error: error.message
+    })
+  }
+
+  try {
+    return await oidcClient.getEndSessionUrl(session.tokens.idToken)
+  } catch (error) {
+    request.logger.warn('Failed to end the identity provider session', {
+      userId: session.user.id,
+      error: error.message
+    })
+    return null
+  }
+}
+
+/**
+ * Record a back-channel logout, ending the provider session it names, or
+ * every session of its user signed in before now when it names none
+ * @param {import('@hapi/catbox').Policy} logouts - Logout cache
+ * @param {{sid?: string, sub?: string}} claims - Logout token claims
+ */
+export const recordLogout = async (logouts, { sid, sub }) => {
+  const key = sid ? `sid:${sid}` : `sub:${sub}`
+  await logouts.set(key, Date.now())
+}
+
+/**
+ * Check whether the provider has logged a session out since it started
+ * @param {import('@hapi/catbox').Policy} logouts - Logout cache
+ * @param {object} session - Session
+ * @returns {Promise<boolean>} True when the session has been logged out
+ * @private
+ */
+const isLoggedOut = async (logouts, session) => {
+  const keys = [session.sid && `sid:${session.sid}`, `sub:${session.user.id}`]
+
+  for (const key of keys.filter(Boolean)) {
+    const loggedOutAt = await logouts.get(key)
+    if (loggedOutAt !== null && loggedOutAt >= session.signedInAt) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Refresh the tokens of a session whose access token is about to expire.
+ * A session that cannot be refreshed ends once its access token expires.
+ * @param {import('@hapi/hapi').Request} request - Request
+ * @param {object} session - Current session
+ * @param {number} now - Current time, in milliseconds
+ * @returns {Promise<object|null>} The session to use, or null when it has
+ *   ended
+ * @private
+ */
+const refreshAuthSession = async (request, session, now) => {
+  const { tokens } = session
+  const expired = tokens.expiresAt <= now
+
+  if (!tokens.refreshToken) {
+    return expired ? null : session
+  }
+
+  try {
+    const refreshed = await oidcClient.refreshTokens(tokens.refreshToken)
+    const user = refreshed.idToken
+      ? toCredentials(await oidcClient.verifyIdToken(refreshed.idToken))
+      : session.user
+    const updated = {
+      ...session,
+      user,
+      tokens: {
+        ...refreshed,
+        refreshToken: refreshed.refreshToken ?? tokens.refreshToken,
+        idToken: refreshed.idToken ?? tokens.idToken
+      }
+    }
+
+    request.yar.set(AUTH_KEY, updated)
+    return updated
+  } catch (error) {
+    request.logger.warn('Failed to refresh sign-in tokens', {
+      userId: session.user.id,
+      error: error.message
+    })
+    return expired ? null : session
+  }
+}
+
+/**
+ * Where a request that needs a signed-in user is sent to sign in. Only
+ * page requests are redirected; anything else gets a 401.
+ * @param {import('@hapi/hapi').Request} request - Request
+ * @returns {string|null} Sign-in URL returning to the request, or null
+ * @private
+ */
+const getSignInRedirect = (request) => {
+  if (request.method !== 'get' || request.auth.mode !== 'required') {
+    return null
+  }
+  if (!request.headers.accept?.includes('text/html')) {
+    return null
+  }
+
+  const redirect = `${request.url.pathname}${request.url.search}`
+  return `/auth/sign-in?${new URLSearchParams({ redirect })}`
+}
+
+/**
+ * hapi auth scheme authenticating requests from the yar session
+ * @param {import('@hapi/hapi').Server} server - Server
+ * @param {object} options - Strategy options
+ * @param {import('@hapi/catbox').Policy} options.logouts - Back-channel
+ *   logouts, see recordLogout
+ * @returns {{authenticate: Function}} Scheme
+ */
+export const sessionScheme = (server, { logouts }) => ({
+  async authenticate(request, h) {
+    let session = getAuthSession(request)
+    const now = Date.now()
+
+    if (session && (await isLoggedOut(logouts, session))) {
+      request.logger.info('Session ended by the identity provider', {
+        userId: session.user.id
+      })
+      clearAuthSession(request)
+      session = null
+    }
+
+    if (
+      session &&
+      session.tokens.expiresAt - now < config.get('auth.oidc.refreshBefore')
+    ) {
+      session = await refreshAuthSession(request, session, now)
+      if (!session) {
+        clearAuthSession(request)
+      }
+    }
+
+    if (session) {
+      return h.authenticated({ credentials: session.user })
+    }
+
+    const signIn = getSignInRedirect(request)
+    if (signIn) {
+      return h.redirect(signIn).takeover()
+    }
+    return h.unauthenticated(Boom.unauthorized(null, 'session'))
+  }
+})
@@ -0,0 +1,156 @@
+import { vi } from 'vitest'
+
+import { sessionScheme, toCredentials } from './session.js'
+import { oidcClient } from './oidc-client.js'
+import { Role, getPermissions } from './permissions.js'
+
+describe('#sessionScheme', () => {
+  const user = { id: 'user-1', displayName: 'Vera Fielding' }
+  const h = {
+    authenticated: vi.fn((result) => ({ authenticated: result })),
+    unauthenticated: vi.fn((error) => ({ unauthenticated: error })),
+    redirect: vi.fn((location) => ({ takeover: () => ({ location }) }))
+  }
+
+  const mockRequest = (session, overrides = {}) => {
+    const store = new Map(session ? [['auth', session]] : [])
+    return {
+      method: 'get',
+      headers: { accept: 'text/html' },
+      url: new URL('http://localhost/portal?tab=forms'),
+      auth: { mode: 'required' },
+      logger: { info: vi.fn(), warn: vi.fn() },
+      yar: {
+        get: (key) => store.get(key),
+        set: (key, value) => store.set(key, value),
+        clear: (key) => store.delete(key)
+      },
+      store,
+      ...overrides
+    }
+  }
+
+  const loggedOut = new Map()
+  const logouts = { get: async (key) => loggedOut.get(key) ?? null }
+  const { authenticate } = sessionScheme({}, { logouts })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    loggedOut.clear()
+  })
+
+  test('Should authenticate a signed-in user', async () => {
+    const request = mockRequest({
+      user,
+      tokens: { expiresAt: Date.now() + 3600000 }
+    })
+
+    expect(await authenticate(request, h)).toEqual({
+      authenticated: { credentials: user }
+    })
+  })
+
+  test('Should send page requests to sign in', async () => {
+    expect(await authenticate(mockRequest(null), h)).toEqual({
+      location: '/auth/sign-in?redirect=%2Fportal%3Ftab%3Dforms'
+    })
+  })
+
+  test('Should not redirect API requests or optional auth', async () => {
+    const api = mockRequest(null, { headers: { accept: 'application/json' } })
+    const optional = mockRequest(null, { auth: { mode: 'try' } })
+
+    expect(await authenticate(api, h)).toHaveProperty('unauthenticated')
+    expect(await authenticate(optional, h)).toHaveProperty('unauthenticated')
+  })
+
+  test('Should refresh tokens about to expire', async () => {
+    vi.spyOn(oidcClient, 'refreshTokens').mockResolvedValue({
+      accessToken: 'access-2',
+      expiresAt: Date.now() + 3600000
+    })
+    const request = mockRequest({
+      user,
+      tokens: {
+        accessToken: 'access-1',
+        refreshToken: 'refresh-1',
+        expiresAt: Date.now() + 1000
+      }
+    })
+
+    await authenticate(request, h)
+
+    expect(oidcClient.refreshTokens).toHaveBeenCalledWith('refresh-1')
+    expect(request.store.get('auth').tokens).toMatchObject({
+      accessToken: 'access-2',
+      refreshToken: 'refresh-1'
+    })
+  })
+
+  test('Should end a session that expired and cannot be refreshed', async () => {
+    vi.spyOn(oidcClient, 'refreshTokens').mockRejectedValue(
+      new Error('invalid_grant')
+    )
+    const request = mockRequest(
+      {
+        user,
+        tokens: { refreshToken: 'refresh-1', expiresAt: Date.now() - 1000 }
+      },
+      { headers: { accept: 'application/json' } }
+    )
+
+    expect(await authenticate(request, h)).toHaveProperty('unauthenticated')
+    expect(request.store.has('auth')).toBe(false)
+    expect(request.logger.warn).toHaveBeenCalled()
+  })
+
+  test('Should end a session the identity provider logged out', async () => {
+    const request = mockRequest({
+      user,
+      sid: 'sid-1',
+      signedInAt: 1000,
+      tokens: { expiresAt: Date.now() + 3600000 }
+    })
+    loggedOut.set('sid:sid-1', 2000)
+
+    expect(await authenticate(request, h)).toHaveProperty('location')
+    expect(request.store.has('auth')).toBe(false)
+  })
+
+  test('Should keep sessions started after their user was logged out', async () => {
+    const request = mockRequest({
+      user,
+      sid: 'sid-2',
+      signedInAt: 3000,
+      tokens: { expiresAt: Date.now() + 3600000 }
+    })
+    loggedOut.set('sub:user-1', 2000)
+
+    expect(await authenticate(request, h)).toEqual({
+      authenticated: { credentials: user }
+    })
+  })
+})
+
+describe('#toCredentials', () => {
+  test('Should name the user from their DEFRA ID claims', () => {
+    expect(
+      toCredentials({
+        sub: 'user-1',
+        email: 'vera@example.com',
+        firstName: 'Vera',
+        lastName: 'Fielding'
+      })
+    ).toEqual({
+      id: 'user-1',
+      email: 'vera@example.com',
+      firstName: 'Vera',
+      lastName: 'Fielding',
+      displayName: 'Vera Fielding',
+      organisationId: null,
+      organisationName: null,
+      roles: [Role.SUBMITTER],
+      scope: getPermissions([Role.SUBMITTER])
+    })
+  })
+})
@@ -19,7 +19,9 @@ describe('#errors', () => {
   test('Should provide expected Not Found page', async () => {
     const { result, statusCode } = await server.inject({
       method: 'GET',
-      url: '/non-existent-path'
+      url: '/non-existent-path',
+      // Unknown paths fall to the forms engine, which needs a signed-in user
+      auth: { strategy: 'session', credentials: { id: 'user-1' } }
     })
 
     expect(result).toEqual(
@@ -45,6 +45,7 @@ export const serveStaticFiles = {
         {
           method: 'GET',
           path: '/favicon.ico',
+          options: { auth: false },
           handler(_request, h) {
             return h.response().code(statusCodes.noContent).type('image/x-icon')
           }
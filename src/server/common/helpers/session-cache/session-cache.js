@@ -21,6 +21,9 @@ export const sessionCache = {
       password: sessionConfig.cookie.password,
       ttl: sessionConfig.cookie.ttl,
       isSecure: config.get('session.cookie.secure'),
+      // Lax so the cookie comes back with the redirects from the identity
+      // provider and the CDP uploader
+      isSameSite: 'Lax',
       clearInvalid: true
     }
   }
@@ -8,6 +8,7 @@ export const contact = {
         {
           method: 'GET',
           path: '/contact',
+          options: { auth: { mode: 'try' } },
           ...contactController
         }
       ])
@@ -11,11 +11,60 @@ import {
   metadata as batRabiesMetadata,
   definition as batRabiesDefinition
 } from './forms/bat-rabies.js'
+import {
+  findFormMetadata,
+  getDeliveryTargets,
+  getFormSlug
+} from './forms/form-metadata.js'
 
 import { cdpUploaderService } from './upload/services/cdp-uploader-service.js'
 import { azureStorageService } from './upload/services/azure-storage-service.js'
+import { createDownloadUrl } from './upload/services/download-links.js'
+import {
+  getTargetOptions,
+  getTargetStorage,
+  resolveDeliveryTargets
+} from './upload/services/delivery-targets.js'
 import { uploadConfig } from '../config/upload-config.js'
 import { redisUploadStore } from './services/redis-upload-store.js'
+import { UploadEvent } from './services/upload-lifecycle.js'
+
+/**
+ * Resolve the bytes of a file in any of the shapes the forms engine hands us.
+ * Streams are returned as-is so they can be staged without buffering.
+ */
+const getFileSource = (file) => {
+  if (Buffer.isBuffer(file)) {
+    return file
+  }
+  if (file.buffer && Buffer.isBuffer(file.buffer)) {
+    return file.buffer
+  }
+  if (file._data && Buffer.isBuffer(file._data)) {
+    return file._data
+  }
+  if (file.stream || typeof file.on === 'function') {
+    return file.stream || file
+  }
+  throw new Error('Invalid file input type')
+}
+
+/**
+ * Version of a form, taken from when its live definition was last updated,
+ * so a submission manifest records which definition the answers came from
+ */
+const getFormVersion = (formId) =>
+  findFormMetadata(formId)?.live?.updatedAt?.toISOString() ?? null
+
+/**
+ * Whether any storage provider is enabled to deliver submissions to
+ */
+const isDeliveryEnabled = () =>
+  Boolean(
+    uploadConfig.azureConfig?.enabled ||
+      uploadConfig.s3Config?.enabled ||
+      uploadConfig.filesystemConfig?.enabled
+  )
 
 const formsService = {
   getFormMetadata: function (slug) {
@@ -63,7 +112,14 @@ const formSubmissionService = {
     })
   },
 
-  uploadFile: async (file, formId) => {
+  /**
+   * Upload a file on its own
+   * @param {object} file - File from the forms engine
+   * @param {string} formId - Form the file was uploaded with
+   * @param {{uploadedBy?: string, organisationId?: string}} [attribution] -
+   *   Who uploaded it and the organisation they uploaded it for
+   */
+  uploadFile: async (file, formId, attribution = {}) => {
     try {
       const originalFilename =
         file.originalname || file.filename || file.name || 'unnamed-file'
@@ -76,57 +132,29 @@ const formSubmissionService = {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
       const timestampedFilename = `${filenameBase}_${timestamp}${fileExtension}`
 
-      // Convert stream to buffer once for both uploads (CDP and Azure)
-      let fileBuffer
-      if (Buffer.isBuffer(file)) {
-        fileBuffer = file
-      } else if (file.buffer && Buffer.isBuffer(file.buffer)) {
-        fileBuffer = file.buffer
-      } else if (file._data && Buffer.isBuffer(file._data)) {
-        fileBuffer = file._data
-      } else if (file.stream || typeof file.on === 'function') {
-        // Convert stream to buffer before any uploads
-        const stream = file.stream || file
-        const chunks = []
-        await new Promise((resolve, reject) => {
-          stream.on('data', (chunk) => chunks.push(chunk))
-          stream.on('end', () => resolve())
-          stream.on('error', reject)
-        })
-        fileBuffer = Buffer.concat(chunks)
-      } else {
-        throw new Error('Invalid file input type')
-      }
-
-      // Upload using CDP uploader service with buffered file
+      // Upload using CDP uploader service, which stages the file for the
+      // post-scan Azure transfer
       const uploadResult = await cdpUploaderService.uploadFile({
-        file: fileBuffer,
+        file: getFileSource(file),
         metadata: {
           originalName: timestampedFilename,
           contentType,
-          size: fileBuffer.length,
           formId,
+          ...attribution,
           uploadedAt: new Date().toISOString()
         }
       })
 
       // Store additional metadata for callback handler to use
-      // Azure upload will happen automatically after virus scan passes via handleCdpCallback
-      if (uploadConfig.azureConfig?.enabled) {
+      // Delivery will happen automatically after virus scan passes via handleCdpCallback
+      if (isDeliveryEnabled()) {
         try {
-          // Get existing upload to preserve fileBuffer and contentType
-          const existingUpload = await redisUploadStore.getUpload(
-            uploadResult.uploadId
-          )
-
           await redisUploadStore.updateUpload(uploadResult.uploadId, {
             originalSpreadsheetName: timestampedFilename,
             originalFilename,
             timestamp,
             formId,
-            // Explicitly preserve fileBuffer and contentType
-            fileBuffer: existingUpload?.fileBuffer,
-            contentType: existingUpload?.contentType || contentType
+            deliveryTargets: getDeliveryTargets(formId)
           })
 
           console.info(
@@ -137,7 +165,7 @@ const formSubmissionService = {
               originalFilename,
               timestamp,
               formId: formId || 'unknown',
-              hasFileBuffer: !!existingUpload?.fileBuffer,
+              size: uploadResult.size,
               note: 'Azure upload will be triggered by CDP callback handler'
             }
           )
@@ -154,7 +182,7 @@ const formSubmissionService = {
         originalName: uploadResult.filename,
         size: uploadResult.size,
         s3Key: uploadResult.s3Key,
-        url: `/download/${uploadResult.uploadId}`
+        url: createDownloadUrl(uploadResult.uploadId)
       }
     } catch (error) {
       console.error(`File upload failed for form ${formId || 'unknown'}:`, {
@@ -207,45 +235,25 @@ const formSubmissionService = {
           jsonExtension: timestampedJsonName.match(/\.[^.]+$/)?.[0]
         })
 
-        // Convert stream to buffer once for both uploads
-        let fileBuffer
-        if (Buffer.isBuffer(file)) {
-          fileBuffer = file
-        } else if (file.buffer && Buffer.isBuffer(file.buffer)) {
-          fileBuffer = file.buffer
-        } else if (file._data && Buffer.isBuffer(file._data)) {
-          fileBuffer = file._data
-        } else if (file.stream || typeof file.on === 'function') {
-          // Convert stream to buffer
-          const stream = file.stream || file
-          const chunks = []
-          await new Promise((resolve, reject) => {
-            stream.on('data', (chunk) => chunks.push(chunk))
-            stream.on('end', () => resolve())
-            stream.on('error', reject)
-          })
-          fileBuffer = Buffer.concat(chunks)
-        } else {
-          throw new Error('Invalid file input type')
-        }
-
-        // Upload spreadsheet via CDP uploader using the buffer
+        // Upload spreadsheet via CDP uploader, which stages it for the
+        // post-scan Azure transfer
         const uploadResult = await cdpUploaderService.uploadFile({
-          file: fileBuffer,
+          file: getFileSource(file),
           metadata: {
             originalName: timestampedSpreadsheetName,
             contentType:
               file.mimetype || file.type || 'application/octet-stream',
-            size: fileBuffer.length,
             formId,
             type: 'spreadsheet',
+            uploadedBy: jsonData.submittedBy,
+            organisationId: jsonData.organisationId,
             uploadedAt: jsonData.submittedAt
           }
         })
 
-        // If Azure is enabled, prepare JSON and store metadata for callback handler
+        // If delivery is enabled, prepare JSON and store metadata for callback handler
         // The callback handler will upload both JSON and spreadsheet after virus scan
-        if (uploadConfig.azureConfig?.enabled) {
+        if (isDeliveryEnabled()) {
           try {
             // Create JSON content but DON'T upload yet (wait for virus scan)
             const jsonContent = JSON.stringify(jsonData, null, 2)
@@ -260,19 +268,6 @@ const formSubmissionService = {
               note: 'Both JSON and spreadsheet will be uploaded after virus scan via callback'
             })
 
-            // Get existing upload data to preserve fileBuffer and contentType
-            const existingUpload = await redisUploadStore.getUpload(
-              uploadResult.uploadId
-            )
-
-            console.log('Existing upload data before JSON metadata update', {
-              uploadId: uploadResult.uploadId,
-              hasFileBuffer: !!existingUpload?.fileBuffer,
-              fileBufferLength: existingUpload?.fileBuffer?.length,
-              contentType: existingUpload?.contentType,
-              filename: existingUpload?.filename
-            })
-
             // Store JSON buffer, filename and spreadsheet name in Redis for callback handler
             // This ensures both files have the same timestamp and are uploaded together
             await redisUploadStore.updateUpload(uploadResult.uploadId, {
@@ -282,14 +277,10 @@ const formSubmissionService = {
               originalSpreadsheetName: timestampedSpreadsheetName,
               originalFilename,
               timestamp,
+              formSlug: getFormSlug(formId),
+              formVersion: getFormVersion(formId),
               formData: jsonData,
-              // Explicitly preserve fileBuffer and contentType from initial upload
-              fileBuffer: existingUpload?.fileBuffer,
-              contentType:
-                existingUpload?.contentType ||
-                file.mimetype ||
-                file.type ||
-                'application/octet-stream'
+              deliveryTargets: getDeliveryTargets(formId)
             })
           } catch (redisError) {
             console.warn(
@@ -304,12 +295,12 @@ const formSubmissionService = {
           originalName: uploadResult.filename,
           size: uploadResult.size,
           s3Key: uploadResult.s3Key,
-          url: `/download/${uploadResult.uploadId}`,
-          jsonCreated: uploadConfig.azureConfig?.enabled
+          url: createDownloadUrl(uploadResult.uploadId),
+          jsonCreated: isDeliveryEnabled()
         }
       } else {
-        // No file, just save form data as JSON if Azure is enabled
-        if (uploadConfig.azureConfig?.enabled) {
+        // No file, just deliver form data as JSON if a storage provider is enabled
+        if (isDeliveryEnabled()) {
           const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
           const jsonFilename = `form_submission_${timestamp}.json`
           const jsonContent = JSON.stringify(jsonData, null, 2)
@@ -323,11 +314,29 @@ const formSubmissionService = {
           }
 
           const uploadId = `form_${timestamp}`
-          await azureStorageService.uploadFile(uploadId, jsonFile, {
-            originalName: jsonFilename,
-            contentType: 'application/json',
-            type: 'form-data-only'
-          })
+          const pathContext = {
+            uploadId,
+            formSlug: getFormSlug(formId),
+            formId,
+            submissionId: jsonData.submissionId ?? null,
+            submittedAt: jsonData.submittedAt
+          }
+
+          for (const target of resolveDeliveryTargets(
+            getDeliveryTargets(formId)
+          )) {
+            const storage = await getTargetStorage(target)
+            await storage.uploadFile(
+              uploadId,
+              jsonFile,
+              {
+                originalName: jsonFilename,
+                contentType: 'application/json',
+                type: 'form-data-only'
+              },
+              { ...getTargetOptions(target), pathContext }
+            )
+          }
 
           return {
             id: uploadId,
@@ -337,7 +346,7 @@ const formSubmissionService = {
           }
         }
 
-        throw new Error('No file provided and Azure storage not enabled')
+        throw new Error('No file provided and no storage provider enabled')
       }
     } catch (error) {
       console.error(
@@ -367,6 +376,12 @@ const formSubmissionService = {
         await azureStorageService.deleteFile(fileId)
       }
 
+      if (fileId) {
+        await redisUploadStore.appendEvent(fileId, UploadEvent.DELETED, {
+          source: 'forms-engine'
+        })
+      }
+
       return { success: true }
     } catch (error) {
       console.error(`File deletion failed for file ${fileId || 'unknown'}:`, {
@@ -385,7 +400,7 @@ const formSubmissionService = {
         (formData.files && formData.files[0]) ||
         formData.supportingDocuments
 
-      if (file || uploadConfig.azureConfig?.enabled) {
+      if (file || isDeliveryEnabled()) {
         // Use the new method that handles both file and JSON
         const uploadResult = await formSubmissionService.uploadFileWithFormData(
           file,
@@ -405,7 +420,10 @@ const formSubmissionService = {
         // Legacy path for forms without files
         if (formData.files && Array.isArray(formData.files)) {
           const uploadPromises = formData.files.map((file) =>
-            formSubmissionService.uploadFile(file, formId)
+            formSubmissionService.uploadFile(file, formId, {
+              uploadedBy: formData.submittedBy,
+              organisationId: formData.organisationId
+            })
           )
           const uploadResults = await Promise.all(uploadPromises)
           formData.uploadedFiles = uploadResults
@@ -449,12 +467,9 @@ const formSubmissionService = {
       }
       */
 
-      // Fallback to Azure if available
-      if (
-        uploadConfig.azureConfig?.enabled &&
-        azureStorageService.generateDownloadUrl
-      ) {
-        return await azureStorageService.generateDownloadUrl(fileId)
+      // Delivered files are served by the signed download route
+      if (isDeliveryEnabled() && fileId) {
+        return createDownloadUrl(fileId)
       }
 
       throw new Error('No download service available')
@@ -517,6 +532,16 @@ const outputService = {
         // Extract form data from request payload
         formData = submission.payload || submission.yar?.get('formData') || {}
 
+        // Submissions are attributed to the signed-in user and the
+        // organisation they signed in for, never to anything posted with
+        // the form
+        formData = {
+          ...formData,
+          submittedBy: submission.auth?.credentials?.id,
+          organisationId:
+            submission.auth?.credentials?.organisationId ?? undefined
+        }
+
         // Try to extract form ID from various locations in the request
         // 1. Check params first (most reliable)
         if (submission.params?.slug) {
@@ -718,13 +743,18 @@ const uploadService = {
   }
 }
 
-// Mock user service
+// User service, reading the signed-in user from the `session` auth
+// strategy's credentials
 const userService = {
   getUser: async (credentials) => {
+    if (!credentials) {
+      return null
+    }
+
     return {
-      id: credentials?.userId || 'anonymous',
-      username: credentials?.username || 'Anonymous User',
-      email: credentials?.email || 'anonymous@example.com'
+      id: credentials.id,
+      username: credentials.displayName,
+      email: credentials.email
     }
   }
 }
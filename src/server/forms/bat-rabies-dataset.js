@@ -0,0 +1,109 @@
+/**
+ * Dataset schema for the laboratory results spreadsheet uploaded with the bat
+ * rabies surveillance report. Attached to the form metadata and checked by
+ * DatasetValidator before the data reaches the data lake.
+ */
+
+const DATE_FORMATS = ['DD/MM/YYYY', 'YYYY-MM-DD']
+
+export const batSpecies = [
+  'Common pipistrelle',
+  'Soprano pipistrelle',
+  "Nathusius' pipistrelle",
+  'Brown long-eared',
+  'Grey long-eared',
+  "Daubenton's",
+  "Natterer's",
+  'Whiskered',
+  "Brandt's",
+  'Alcathoe',
+  "Bechstein's",
+  'Noctule',
+  "Leisler's",
+  'Serotine',
+  'Barbastelle',
+  'Greater horseshoe',
+  'Lesser horseshoe',
+  'Unidentified'
+]
+
+export const testResults = [
+  'Negative',
+  'Positive',
+  'Inconclusive',
+  'Not tested'
+]
+
+export const datasetSchema = {
+  id: 'bat-rabies-results',
+  version: 1,
+  headerRow: 1,
+  columns: [
+    {
+      header: 'Sample ID',
+      type: 'string',
+      required: true,
+      unique: true,
+      maxLength: 50,
+      pattern: '^[A-Za-z0-9/-]+$',
+      patternMessage:
+        'Sample ID must only contain letters, numbers, hyphens and slashes'
+    },
+    {
+      header: 'Date Found',
+      type: 'date',
+      required: true,
+      formats: DATE_FORMATS,
+      notInFuture: true
+    },
+    {
+      header: 'Date Received',
+      type: 'date',
+      required: true,
+      formats: DATE_FORMATS,
+      notInFuture: true
+    },
+    {
+      header: 'Species',
+      type: 'enum',
+      required: true,
+      values: batSpecies
+    },
+    {
+      header: 'Sex',
+      type: 'enum',
+      values: ['Male', 'Female', 'Unknown']
+    },
+    {
+      header: 'County',
+      type: 'string',
+      required: true,
+      maxLength: 100
+    },
+    {
+      header: 'Grid Reference',
+      type: 'string',
+      pattern:
+        '^[A-Za-z]{2}\\s?(\\d{2}\\s?\\d{2}|\\d{3}\\s?\\d{3}|\\d{4}\\s?\\d{4}|\\d{5}\\s?\\d{5})$',
+      patternMessage:
+        'Grid Reference must be an OS grid reference, like SU 1234 5678'
+    },
+    {
+      header: 'Test Result',
+      type: 'enum',
+      required: true,
+      values: testResults
+    },
+    {
+      header: 'Test Date',
+      type: 'date',
+      formats: DATE_FORMATS,
+      notInFuture: true
+    },
+    {
+      header: 'Comments',
+      type: 'string',
+      maxLength: 500
+    }
+  ]
+}
@@ -1,3 +1,10 @@
+import { datasetSchema } from './bat-rabies-dataset.js'
+import { config } from '../../config/config.js'
+import {
+  acceptAttribute,
+  describeAcceptedFormats
+} from '../../config/spreadsheet-formats.js'
+
 // Form metadata
 const now = new Date()
 const user = { id: 'system', displayName: 'System' }
@@ -19,6 +26,10 @@ export const metadata = {
   submissionGuidance:
     'Thank you for submitting your bat rabies surveillance data. We will process your submission and contact you if additional information is required.',
   notificationEmail: 'rabies.surveillance@apha.gov.uk',
+  // Checked against the uploaded results spreadsheet
+  datasetSchema,
+  // Only these DEFRA ID organisations, and APHA staff, may open the form
+  allowedOrganisations: config.get('formsEngine.batRabiesOrganisations'),
   ...author,
   live: author
 }
@@ -70,11 +81,10 @@ export const definition = {
           type: 'FileUploadField',
           name: 'supportingDocuments',
           title: 'Supporting documents',
-          hint: 'Upload laboratory results spreadsheet. Only csv, xls and xlsx files are supported.',
+          hint: `Upload laboratory results spreadsheet. Only ${describeAcceptedFormats()} files are supported.`,
           options: {
             required: true,
-            accept:
-              '.csv,.xls,.xlsx,text/csv,application/vnd.ms-excel,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            accept: acceptAttribute
           },
           schema: {
             min: 1,
@@ -82,7 +92,8 @@ export const definition = {
           }
         }
       ],
-      controller: 'FileUploadPageController',
+      // Validates the spreadsheet against metadata.datasetSchema
+      controller: 'SpreadsheetUploadPageController',
       next: [{ path: '/summary' }]
     },
     {
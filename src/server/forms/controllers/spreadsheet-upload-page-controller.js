@@ -0,0 +1,134 @@
+import { FileUploadPageController } from '@defra/forms-engine-plugin/controllers/FileUploadPageController.js'
+
+import { config } from '../../../config/config.js'
+import { getFormatForFilename } from '../../../config/spreadsheet-formats.js'
+import {
+  uploadValidationService,
+  describeValidationError
+} from '../../services/upload-validation-service.js'
+
+/**
+ * Path of the full error report for an upload, in the format of the uploaded
+ * file so it opens in the same tool
+ * @param {string} uploadId - Upload identifier
+ * @param {string} filename - Uploaded filename
+ * @returns {string} Report URL
+ */
+const getReportUrl = (uploadId, filename) => {
+  const format =
+    getFormatForFilename(filename)?.parser === 'csv' ? 'csv' : 'xlsx'
+  return `/upload/report/${uploadId}?format=${format}`
+}
+
+/**
+ * File upload page that validates uploaded spreadsheets against the form's
+ * dataset schema (`metadata.datasetSchema`) before the user can continue.
+ *
+ * Problems are listed in the GOV.UK error summary, up to
+ * `formsEngine.validationSummaryLimit` of them, followed by a link to the
+ * full error report for the upload.
+ */
+export class SpreadsheetUploadPageController extends FileUploadPageController {
+  makePostRouteHandler() {
+    const postHandler = super.makePostRouteHandler()
+
+    return async (request, context, h) => {
+      // Let the plugin render its own errors first, e.g. no file uploaded
+      if (context.errors || context.isForceAccess) {
+        return postHandler(request, context, h)
+      }
+
+      const errors = await this.validateUploadedFiles(request, context.state)
+
+      if (!errors.length) {
+        return postHandler(request, context, h)
+      }
+
+      const viewModel = this.getViewModel(request, { ...context, errors })
+      viewModel.errors = errors
+
+      return h.view(this.viewName, viewModel)
+    }
+  }
+
+  /**
+   * Validate every uploaded file on the page
+   * @param {object} request - The hapi request
+   * @param {object} state - The form state
+   * @returns {Promise<Array<object>>} Error summary entries, empty if all
+   *   files are valid
+   */
+  async validateUploadedFiles(request, state) {
+    const { fileUpload, model } = this
+    const { formsService } = model.services
+
+    const { datasetSchema } = await formsService.getFormMetadata(
+      request.params.slug
+    )
+    const { credentials } = request.auth
+
+    const errors = []
+
+    for (const { uploadId, status } of this.getFilesFromState(state)) {
+      const { filename, contentLength } = status.form.file
+
+      const validation = await uploadValidationService.validateUpload(
+        { uploadId, filename, size: contentLength },
+        datasetSchema,
+        {
+          uploadedBy: credentials?.id,
+          organisationId: credentials?.organisationId
+        }
+      )
+
+      if (!validation.isValid) {
+        request.logger.info('Uploaded file failed validation', {
+          uploadId,
+          filename,
+          errorCount: validation.errors.length,
+          truncated: validation.truncated
+        })
+        errors.push(...this.getValidationErrors(validation))
+      }
+    }
+
+    return errors.map((error) => ({
+      path: [fileUpload.name],
+      href: `#${fileUpload.name}`,
+      name: fileUpload.name,
+      ...error
+    }))
+  }
+
+  /**
+   * Turn a failed validation into error summary entries: what to do, the
+   * first few problems and a link to the full report
+   * @param {object} validation - Failed validation result
+   * @returns {Array<{text: string, href?: string}>} Error summary entries
+   */
+  getValidationErrors(validation) {
+    const { uploadId, filename, errors, truncated, contentChecked } = validation
+
+    const limit = config.get('formsEngine.validationSummaryLimit')
+    const count = `${truncated ? 'more than ' : ''}${errors.length}`
+    const problems = errors.length === 1 ? 'problem' : 'problems'
+
+    const summary = [
+      {
+        text: `${filename} has ${count} ${problems}. Remove the file, fix the ${problems} and upload it again`
+      },
+      ...errors
+        .slice(0, limit)
+        .map((error) => ({ text: describeValidationError(error) }))
+    ]
+
+    if (contentChecked) {
+      summary.push({
+        text: `Download the full error report for ${filename}`,
+        href: getReportUrl(uploadId, filename)
+      })
+    }
+
+    return summary
+  }
+}
@@ -0,0 +1,205 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { SpreadsheetUploadPageController } from './spreadsheet-upload-page-controller.js'
+import { uploadValidationService } from '../../services/upload-validation-service.js'
+import { config } from '../../../config/config.js'
+
+const postHandler = vi.fn()
+
+vi.mock(
+  '@defra/forms-engine-plugin/controllers/FileUploadPageController.js',
+  () => ({
+    FileUploadPageController: class {
+      makePostRouteHandler() {
+        return postHandler
+      }
+    }
+  })
+)
+
+vi.mock(
+  '../../services/upload-validation-service.js',
+  async (importOriginal) => ({
+    ...(await importOriginal()),
+    uploadValidationService: {
+      validateUpload: vi.fn()
+    }
+  })
+)
+
+const uploadedFile = (uploadId, filename) => ({
+  uploadId,
+  status: { form: { file: { filename, contentLength: 1024 } } }
+})
+
+const cellError = (row) => ({
+  row,
+  column: 'B',
+  field: 'sampleId',
+  value: null,
+  message: 'Sample ID is required'
+})
+
+const failedValidation = (overrides) => ({
+  isValid: false,
+  uploadId: 'upload-1',
+  filename: 'samples.xlsx',
+  errors: [cellError(2)],
+  truncated: false,
+  contentChecked: true,
+  ...overrides
+})
+
+describe('SpreadsheetUploadPageController', () => {
+  let controller
+  let request
+  let h
+
+  beforeEach(() => {
+    controller = Object.create(SpreadsheetUploadPageController.prototype)
+    Object.assign(controller, {
+      viewName: 'file-upload',
+      fileUpload: { name: 'samplesFile' },
+      model: {
+        services: {
+          formsService: {
+            getFormMetadata: vi
+              .fn()
+              .mockResolvedValue({ datasetSchema: 'bat-rabies' })
+          }
+        }
+      },
+      getFilesFromState: vi.fn(() => [
+        uploadedFile('upload-1', 'samples.xlsx')
+      ]),
+      getViewModel: vi.fn(() => ({ pageTitle: 'Upload your samples' }))
+    })
+
+    request = {
+      params: { slug: 'bat-rabies' },
+      auth: { credentials: { id: 'user-1', organisationId: 'org-1' } },
+      logger: { info: vi.fn() }
+    }
+    h = { view: vi.fn((viewName, viewModel) => ({ viewName, viewModel })) }
+  })
+
+  describe('makePostRouteHandler', () => {
+    it('should continue when every uploaded file is valid', async () => {
+      uploadValidationService.validateUpload.mockResolvedValue({
+        isValid: true
+      })
+
+      await controller.makePostRouteHandler()(request, { state: {} }, h)
+
+      expect(uploadValidationService.validateUpload).toHaveBeenCalledWith(
+        { uploadId: 'upload-1', filename: 'samples.xlsx', size: 1024 },
+        'bat-rabies',
+        { uploadedBy: 'user-1', organisationId: 'org-1' }
+      )
+      expect(postHandler).toHaveBeenCalled()
+      expect(h.view).not.toHaveBeenCalled()
+    })
+
+    it('should leave errors the plugin found to the plugin', async () => {
+      const context = { state: {}, errors: [{ text: 'Upload a file' }] }
+
+      await controller.makePostRouteHandler()(request, context, h)
+
+      expect(uploadValidationService.validateUpload).not.toHaveBeenCalled()
+      expect(postHandler).toHaveBeenCalledWith(request, context, h)
+    })
+
+    it('should show the page again with the problems in the error summary', async () => {
+      uploadValidationService.validateUpload.mockResolvedValue(
+        failedValidation()
+      )
+
+      const { viewName, viewModel } = await controller.makePostRouteHandler()(
+        request,
+        { state: {} },
+        h
+      )
+
+      expect(postHandler).not.toHaveBeenCalled()
+      expect(viewName).toBe('file-upload')
+      expect(viewModel.errors).toEqual([
+        {
+          path: ['samplesFile'],
+          href: '#samplesFile',
+          name: 'samplesFile',
+          text: 'samples.xlsx has 1 problem. Remove the file, fix the problem and upload it again'
+        },
+        {
+          path: ['samplesFile'],
+          href: '#samplesFile',
+          name: 'samplesFile',
+          text: 'Row 2, column B: Sample ID is required'
+        },
+        {
+          path: ['samplesFile'],
+          href: '/upload/report/upload-1?format=xlsx',
+          name: 'samplesFile',
+          text: 'Download the full error report for samples.xlsx'
+        }
+      ])
+      expect(request.logger.info).toHaveBeenCalledWith(
+        'Uploaded file failed validation',
+        {
+          uploadId: 'upload-1',
+          filename: 'samples.xlsx',
+          errorCount: 1,
+          truncated: false
+        }
+      )
+    })
+  })
+
+  describe('getValidationErrors', () => {
+    it('should list no more problems than the summary limit', () => {
+      const limit = config.get('formsEngine.validationSummaryLimit')
+      const errors = Array.from({ length: limit + 5 }, (_, i) =>
+        cellError(i + 2)
+      )
+
+      const summary = controller.getValidationErrors(
+        failedValidation({ errors, truncated: true })
+      )
+
+      expect(summary).toHaveLength(limit + 2)
+      expect(summary[0].text).toBe(
+        `samples.xlsx has more than ${limit + 5} problems. Remove the file, fix the problems and upload it again`
+      )
+      expect(summary[limit].text).toBe(
+        `Row ${limit + 1}, column B: Sample ID is required`
+      )
+    })
+
+    it('should link a CSV upload to a CSV report', () => {
+      const summary = controller.getValidationErrors(
+        failedValidation({ filename: 'samples.csv' })
+      )
+
+      expect(summary.at(-1)).toEqual({
+        text: 'Download the full error report for samples.csv',
+        href: '/upload/report/upload-1?format=csv'
+      })
+    })
+
+    it('should not link to a report when the content was not checked', () => {
+      const summary = controller.getValidationErrors(
+        failedValidation({
+          errors: [
+            { row: null, column: null, message: 'The file must be an XLSX' }
+          ],
+          contentChecked: false
+        })
+      )
+
+      expect(summary).toEqual([
+        {
+          text: 'samples.xlsx has 1 problem. Remove the file, fix the problem and upload it again'
+        },
+        { text: 'The file must be an XLSX' }
+      ])
+    })
+  })
+})
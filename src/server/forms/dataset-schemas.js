@@ -0,0 +1,17 @@
+import { datasetSchema as batRabiesResults } from './bat-rabies-dataset.js'
+
+/**
+ * Dataset schemas of every form, so work done after the journey (such as
+ * normalising a delivered spreadsheet) can find the schema an upload was
+ * validated against from the `schemaId` kept on its validation result.
+ */
+
+const DATASET_SCHEMAS = Object.freeze([batRabiesResults])
+
+/**
+ * Find a dataset schema by its id
+ * @param {?string} id - Schema id
+ * @returns {object|null} Dataset schema, or null if there is none
+ */
+export const getDatasetSchema = (id) =>
+  DATASET_SCHEMAS.find((schema) => schema.id === id) ?? null
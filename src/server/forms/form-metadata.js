@@ -0,0 +1,39 @@
+import { metadata as exampleMetadata } from './example-form.js'
+import { metadata as contactMetadata } from './contact-form.js'
+import { metadata as batRabiesMetadata } from './bat-rabies.js'
+
+/**
+ * Metadata of every form, so routes outside the forms engine (such as the
+ * upload API) can find the form an upload names by its `formId`.
+ */
+
+const FORM_METADATA = Object.freeze([
+  exampleMetadata,
+  contactMetadata,
+  batRabiesMetadata
+])
+
+/**
+ * Find the metadata of a form from its id or slug
+ * @param {?string} formId - Form id or slug
+ * @returns {object|undefined} Form metadata, or undefined if there is none
+ */
+export const findFormMetadata = (formId) =>
+  FORM_METADATA.find(({ id, slug }) => id === formId || slug === formId)
+
+/**
+ * Find the slug of a form from its id or slug, so delivered files can be
+ * filed under it
+ * @param {?string} formId - Form id or slug
+ * @returns {?string} Form slug, or the formId itself for a form the portal
+ *   does not know
+ */
+export const getFormSlug = (formId) => findFormMetadata(formId)?.slug ?? formId
+
+/**
+ * Delivery targets a form declares, or null to use the configured defaults
+ * @param {?string} formId - Form id or slug
+ * @returns {Array<object>|null} Delivery targets, see delivery-targets.js
+ */
+export const getDeliveryTargets = (formId) =>
+  findFormMetadata(formId)?.deliveryTargets ?? null
@@ -13,6 +13,7 @@ export const home = {
         {
           method: 'GET',
           path: '/',
+          options: { auth: { mode: 'try' } },
           ...homeController
         }
       ])
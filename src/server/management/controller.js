@@ -1,21 +1,164 @@
+import Joi from 'joi'
+import { Role } from '../auth/permissions.js'
+import {
+  AuditLog,
+  NotificationType,
+  ReportFormat,
+  userProfileStore
+} from '../services/user-profile-store.js'
+
+// How each role is described to the user
+const ROLE_NAMES = Object.freeze({
+  [Role.SUBMITTER]: 'Submitter',
+  [Role.ORGANISATION_ADMIN]: 'Organisation administrator',
+  [Role.APHA_REVIEWER]: 'APHA reviewer',
+  [Role.PLATFORM_OPERATOR]: 'Platform operator'
+})
+
+// Where the settings form sends its success message
+const NOTIFICATION_KEY = 'managementNotification'
+
+/**
+ * Breadcrumbs of the account management pages, ending with the page shown
+ * @param {string} [page] - Title of a page below Account Management
+ * @returns {Array<object>} Breadcrumbs
+ * @private
+ */
+const breadcrumbs = (page) => [
+  {
+    text: 'Home',
+    href: '/'
+  },
+  {
+    text: 'Dashboard',
+    href: '/dashboard'
+  },
+  page
+    ? { text: 'Account Management', href: '/management' }
+    : { text: 'Account Management' },
+  ...(page ? [{ text: page }] : [])
+]
+
+/**
+ * View model of the account management page
+ * @param {object} request - The hapi request
+ * @param {object} preferences - The preferences to show in the form
+ * @param {Array<{text: string, href: string}>} [errorList] - Problems with a
+ *   submitted form
+ * @returns {object} View context
+ * @private
+ */
+const accountView = (request, preferences, errorList = []) => {
+  const { credentials } = request.auth
+
+  return {
+    pageTitle: errorList.length
+      ? 'Error: Account Management'
+      : 'Account Management',
+    heading: 'Account Management',
+    breadcrumbs: breadcrumbs(),
+    user: {
+      displayName: credentials.displayName,
+      email: credentials.email,
+      organisationName: credentials.organisationName,
+      roles: (credentials.roles ?? []).map((role) => ROLE_NAMES[role] ?? role)
+    },
+    preferences,
+    notificationTypes: NotificationType,
+    reportFormats: ReportFormat,
+    errorList,
+    notification: errorList.length
+      ? null
+      : request.yar.flash(NOTIFICATION_KEY)[0]
+  }
+}
+
 export const managementController = {
-  handler(_request, h) {
-    return h.view('management/index', {
-      pageTitle: 'Account Management',
-      heading: 'Account Management',
-      breadcrumbs: [
-        {
-          text: 'Home',
-          href: '/'
-        },
-        {
-          text: 'Dashboard',
-          href: '/dashboard'
-        },
-        {
-          text: 'Account Management'
-        }
-      ]
+  async handler(request, h) {
+    const preferences = await userProfileStore.getPreferences(
+      request.auth.credentials.id
+    )
+
+    return h.view('management/index', accountView(request, preferences))
+  }
+}
+
+export const updatePreferencesController = {
+  options: {
+    validate: {
+      payload: Joi.object({
+        // A single ticked box is posted as a string, none as nothing at all
+        notifications: Joi.array()
+          .items(Joi.string().valid(...Object.values(NotificationType)))
+          .single()
+          .default([]),
+        defaultReportFormat: Joi.string()
+          .valid(...Object.values(ReportFormat))
+          .required()
+          .messages({ '*': 'Select a default report format' })
+      }),
+      async failAction(request, h, error) {
+        const preferences = await userProfileStore.getPreferences(
+          request.auth.credentials.id
+        )
+        const errorList = error.details.map(({ path, message }) => ({
+          text: message,
+          href: `#${path[0]}`
+        }))
+
+        return h
+          .view(
+            'management/index',
+            accountView(request, preferences, errorList)
+          )
+          .code(400)
+          .takeover()
+      }
+    }
+  },
+  async handler(request, h) {
+    const { id } = request.auth.credentials
+    const { notifications, defaultReportFormat } = request.payload
+
+    await userProfileStore.setPreferences(id, {
+      notifications,
+      defaultReportFormat
+    })
+    request.logger.info('User preferences updated', { userId: id })
+    request.yar.flash(NOTIFICATION_KEY, 'Your preferences have been saved')
+
+    return h.redirect('/management')
+  }
+}
+
+export const signInHistoryController = {
+  async handler(request, h) {
+    const signIns = await userProfileStore.getActivity(
+      request.auth.credentials.id,
+      AuditLog.SIGN_IN
+    )
+
+    return h.view('management/sign-in-history', {
+      pageTitle: 'Sign-in history',
+      heading: 'Sign-in history',
+      breadcrumbs: breadcrumbs('Sign-in history'),
+      signIns
+    })
+  }
+}
+
+export const dataAccessLogController = {
+  async handler(request, h) {
+    const entries = await userProfileStore.getActivity(
+      request.auth.credentials.id,
+      AuditLog.DATA_ACCESS
+    )
+
+    return h.view('management/data-access-log', {
+      pageTitle: 'Data access log',
+      heading: 'Data access log',
+      breadcrumbs: breadcrumbs('Data access log'),
+      entries
     })
   }
 }
@@ -1,4 +1,9 @@
-import { managementController } from './controller.js'
+import {
+  dataAccessLogController,
+  managementController,
+  signInHistoryController,
+  updatePreferencesController
+} from './controller.js'
 
 export const management = {
   plugin: {
@@ -9,6 +14,21 @@ export const management = {
           method: 'GET',
           path: '/management',
           ...managementController
+        },
+        {
+          method: 'POST',
+          path: '/management',
+          ...updatePreferencesController
+        },
+        {
+          method: 'GET',
+          path: '/management/sign-in-history',
+          ...signInHistoryController
+        },
+        {
+          method: 'GET',
+          path: '/management/data-access-log',
+          ...dataAccessLogController
         }
       ])
     }
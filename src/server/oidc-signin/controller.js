@@ -1,5 +1,9 @@
 export const oidcSigninController = {
-  handler(_request, h) {
+  handler(request, h) {
+    if (request.auth.isAuthenticated) {
+      return h.redirect('/portal')
+    }
+
     return h.view('oidc-signin/index', {
       pageTitle: 'Sign In',
       heading: 'Sign In'
@@ -8,6 +8,7 @@ export const oidcSignin = {
         {
           method: 'GET',
           path: '/oidc-signin',
+          options: { auth: { mode: 'try' } },
           ...oidcSigninController
         }
       ])
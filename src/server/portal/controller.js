@@ -1,8 +1,12 @@
+import { canOpenForm } from '../auth/permissions.js'
+import { metadata as batRabiesMetadata } from '../forms/bat-rabies.js'
+
 export const portalController = {
-  handler(_request, h) {
+  handler(request, h) {
     return h.view('portal/index', {
       pageTitle: 'Submission Portal',
-      heading: 'Submit Your Data'
+      heading: 'Submit Your Data',
+      canOpenBatRabies: canOpenForm(request.auth.credentials, batRabiesMetadata)
     })
   }
 }
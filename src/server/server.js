@@ -4,6 +4,8 @@ import hapi from '@hapi/hapi'
 import crumb from '@hapi/crumb'
 import plugin from '@defra/forms-engine-plugin'
 
+import { auth } from './auth/index.js'
+import { formAccess } from './auth/form-access.js'
 import { router } from './router.js'
 import { config } from '../config/config.js'
 import { pulse } from './common/helpers/pulse.js'
@@ -18,6 +20,7 @@ import { secureContext } from './common/helpers/secure-context/secure-context.js
 import { context } from '../config/nunjucks/context/context.js'
 
 import services from './forms.js'
+import { SpreadsheetUploadPageController } from './forms/controllers/spreadsheet-upload-page-controller.js'
 
 const { formsService, formSubmissionService, outputService, userService } =
   services
@@ -67,6 +70,7 @@ export async function createServer() {
     secureContext,
     pulse,
     sessionCache,
+    auth, // Must come before any route that needs a signed-in user
     nunjucksConfig,
     router // Register all the controllers/routes defined in src/server/router.js
   ])
@@ -95,6 +99,12 @@ export async function createServer() {
         formSubmissionService, // handles temporary storage of file uploads
         outputService // where your form should be submitted to
       },
+      /**
+       * Custom page controllers, referenced by name from a page's `controller` in the form definition
+       */
+      controllers: {
+        SpreadsheetUploadPageController
+      },
       /**
        * View context attributes made available to your pages. Returns an object containing an arbitrary set of key-value pairs.
        */
@@ -105,7 +115,7 @@ export async function createServer() {
 
         return {
           greeting: 'Hello', // available to render on a nunjucks page as {{ greeting }}
-          username: user.username, // available to render on a nunjucks page as {{ username }}
+          username: user?.username, // available to render on a nunjucks page as {{ username }}
           // Add context variables required by page.njk
           ...pageContext
         }
@@ -113,6 +123,9 @@ export async function createServer() {
     }
   })
 
+  // Forms limited to some organisations are closed to everyone else
+  await server.register({ plugin: formAccess, options: { formsService } })
+
   server.ext('onPreResponse', catchAll)
 
   return server
@@ -0,0 +1,290 @@
+import XLSX from 'xlsx'
+
+/**
+ * Dataset Validator
+ *
+ * Checks the rows of a spreadsheet against a declarative dataset schema (see
+ * src/server/forms/bat-rabies-dataset.js) and reports every problem by row
+ * number and column letter, as a data provider would see them in Excel.
+ *
+ * A schema describes the header row and one entry per column:
+ *   { header, required, unique, type, values, formats, pattern, min, max,
+ *     maxLength, notInFuture }
+ * where type is one of 'string', 'integer', 'number', 'date' or 'enum'.
+ */
+
+const DEFAULT_MAX_ERRORS = 1000
+const DEFAULT_DATE_FORMATS = ['DD/MM/YYYY']
+
+/**
+ * Normalise a header for comparison: case, surrounding and repeated spaces
+ * are ignored
+ * @param {*} header - Header cell value
+ * @returns {string} Comparable header
+ */
+const normaliseHeader = (header) =>
+  String(header ?? '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+
+/**
+ * Check whether a cell has no meaningful value
+ * @param {*} value - Cell value
+ * @returns {boolean} True for null, undefined or blank strings
+ */
+const isBlank = (value) =>
+  value === null || value === undefined || String(value).trim() === ''
+
+/**
+ * Build a matcher for a date format such as DD/MM/YYYY or YYYY-MM-DD
+ * @param {string} format - Date format using DD, MM and YYYY tokens
+ * @returns {{regex: RegExp, order: string[]}} Matcher and token order
+ */
+const compileDateFormat = (format) => {
+  const order = []
+  const source = format
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/YYYY|MM|DD/g, (token) => {
+      order.push(token)
+      return token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})'
+    })
+
+  return { regex: new RegExp(`^${source}$`), order }
+}
+
+/**
+ * Parse a cell as a calendar date. Excel date cells arrive as Date objects or
+ * serial numbers; text cells must match one of the accepted formats.
+ * @param {*} value - Cell value
+ * @param {string[]} formats - Accepted text formats
+ * @returns {Date|null} UTC midnight of the date, or null if not a valid date
+ */
+const parseDate = (value, formats) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? null
+      : new Date(
+          Date.UTC(value.getFullYear(), value.getMonth(), value.getDate())
+        )
+  }
+
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value)
+    return parsed ? new Date(Date.UTC(parsed.y, parsed.m - 1, parsed.d)) : null
+  }
+
+  const text = String(value).trim()
+  for (const format of formats) {
+    const { regex, order } = compileDateFormat(format)
+    const match = text.match(regex)
+    if (!match) continue
+
+    const parts = Object.fromEntries(
+      order.map((token, index) => [token, Number(match[index + 1])])
+    )
+    const date = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD))
+
+    // Reject dates that roll over, e.g. 31/02/2025
+    if (
+      date.getUTCFullYear() === parts.YYYY &&
+      date.getUTCMonth() === parts.MM - 1 &&
+      date.getUTCDate() === parts.DD
+    ) {
+      return date
+    }
+  }
+
+  return null
+}
+
+class DatasetValidator {
+  constructor({ maxErrors = DEFAULT_MAX_ERRORS } = {}) {
+    this.maxErrors = maxErrors
+  }
+
+  /**
+   * Validate spreadsheet rows against a dataset schema
+   * @param {Array<Array<*>>} rows - Sheet rows, header row included
+   * @param {object} schema - Dataset schema
+   * @returns {{isValid: boolean, errors: Array, rowCount: number, truncated: boolean, schemaId: string}}
+   *   Result with row/column-addressed errors
+   */
+  validateRows(rows, schema) {
+    const headerRowNumber = schema.headerRow || 1
+    const headerRow = rows[headerRowNumber - 1] || []
+    const errors = []
+    let truncated = false
+
+    const addError = (error) => {
+      if (errors.length >= this.maxErrors) {
+        truncated = true
+        return
+      }
+      errors.push(error)
+    }
+
+    // Map each schema column to its position in the sheet
+    const headerIndex = new Map(
+      headerRow.map((header, index) => [normaliseHeader(header), index])
+    )
+    const columns = []
+
+    for (const column of schema.columns) {
+      const index = headerIndex.get(normaliseHeader(column.header))
+
+      if (index === undefined) {
+        if (column.required) {
+          addError({
+            row: headerRowNumber,
+            column: null,
+            field: column.header,
+            value: null,
+            message: `Missing required column "${column.header}"`
+          })
+        }
+        continue
+      }
+
+      columns.push({ ...column, index, letter: XLSX.utils.encode_col(index) })
+    }
+
+    const seenValues = new Map(
+      columns.map((column) => [column.header, new Map()])
+    )
+    let rowCount = 0
+
+    for (let i = headerRowNumber; i < rows.length; i++) {
+      const row = rows[i] || []
+      if (row.every(isBlank)) continue
+
+      rowCount++
+      const rowNumber = i + 1
+
+      for (const column of columns) {
+        const value = row[column.index]
+        const message = this._checkCell(value, column)
+
+        if (message) {
+          addError({
+            row: rowNumber,
+            column: column.letter,
+            field: column.header,
+            value: isBlank(value) ? null : value,
+            message
+          })
+          continue
+        }
+
+        if (column.unique && !isBlank(value)) {
+          const key = String(value).trim().toLowerCase()
+          const seen = seenValues.get(column.header)
+
+          if (seen.has(key)) {
+            addError({
+              row: rowNumber,
+              column: column.letter,
+              field: column.header,
+              value,
+              message: `${column.header} "${String(value).trim()}" is a duplicate of row ${seen.get(key)}`
+            })
+          } else {
+            seen.set(key, rowNumber)
+          }
+        }
+      }
+    }
+
+    if (rowCount === 0) {
+      addError({
+        row: headerRowNumber + 1,
+        column: null,
+        field: null,
+        value: null,
+        message: 'The spreadsheet has no data rows'
+      })
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      rowCount,
+      truncated,
+      schemaId: schema.id
+    }
+  }
+
+  /**
+   * Check one cell against its column definition
+   * @param {*} value - Cell value
+   * @param {object} column - Column definition
+   * @returns {string|null} Error message, or null if the value is valid
+   * @private
+   */
+  _checkCell(value, column) {
+    if (isBlank(value)) {
+      return column.required ? `${column.header} is required` : null
+    }
+
+    switch (column.type) {
+      case 'integer':
+      case 'number': {
+        const number = typeof value === 'number' ? value : Number(value)
+        if (!Number.isFinite(number)) {
+          return `${column.header} must be a number`
+        }
+        if (column.type === 'integer' && !Number.isInteger(number)) {
+          return `${column.header} must be a whole number`
+        }
+        if (column.min !== undefined && number < column.min) {
+          return `${column.header} must be ${column.min} or more`
+        }
+        if (column.max !== undefined && number > column.max) {
+          return `${column.header} must be ${column.max} or less`
+        }
+        return null
+      }
+
+      case 'date': {
+        const formats = column.formats || DEFAULT_DATE_FORMATS
+        const date = parseDate(value, formats)
+        if (!date) {
+          return `${column.header} must be a real date in the format ${formats[0]}`
+        }
+        if (column.notInFuture && date.getTime() > Date.now()) {
+          return `${column.header} must be today or in the past`
+        }
+        return null
+      }
+
+      case 'enum': {
+        const text = String(value).trim().toLowerCase()
+        const allowed = column.values.some(
+          (allowedValue) => allowedValue.toLowerCase() === text
+        )
+        return allowed
+          ? null
+          : `${column.header} must be one of: ${column.values.join(', ')}`
+      }
+
+      default: {
+        const text = String(value).trim()
+        if (column.maxLength && text.length > column.maxLength) {
+          return `${column.header} must be ${column.maxLength} characters or less`
+        }
+        if (column.pattern && !new RegExp(column.pattern).test(text)) {
+          return column.patternMessage || `${column.header} is not valid`
+        }
+        return null
+      }
+    }
+  }
+}
+
+export {
+  DatasetValidator,
+  DEFAULT_DATE_FORMATS,
+  isBlank,
+  normaliseHeader,
+  parseDate
+}
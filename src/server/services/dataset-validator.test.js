@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest'
+import { DatasetValidator, parseDate } from './dataset-validator.js'
+import { datasetSchema } from '../forms/bat-rabies-dataset.js'
+
+const headers = [
+  'Sample ID',
+  'Date Found',
+  'Date Received',
+  'Species',
+  'Sex',
+  'County',
+  'Grid Reference',
+  'Test Result',
+  'Test Date',
+  'Comments'
+]
+
+const validRow = [
+  'BR-2025-001',
+  '01/03/2025',
+  '03/03/2025',
+  'Common pipistrelle',
+  'Female',
+  'Devon',
+  'SX 9192 9252',
+  'Negative',
+  '04/03/2025',
+  ''
+]
+
+describe('DatasetValidator', () => {
+  const validator = new DatasetValidator()
+
+  it('should accept a valid bat rabies return', () => {
+    const result = validator.validateRows(
+      [headers, validRow, ['BR-2025-002', ...validRow.slice(1)]],
+      datasetSchema
+    )
+
+    expect(result).toEqual({
+      isValid: true,
+      errors: [],
+      rowCount: 2,
+      truncated: false,
+      schemaId: 'bat-rabies-results'
+    })
+  })
+
+  it('should match headers regardless of case and spacing', () => {
+    const result = validator.validateRows(
+      [headers.map((header) => ` ${header.toUpperCase()} `), validRow],
+      datasetSchema
+    )
+
+    expect(result.isValid).toBe(true)
+  })
+
+  it('should report missing required columns against the header row', () => {
+    const result = validator.validateRows(
+      [headers.filter((header) => header !== 'Species'), validRow],
+      datasetSchema
+    )
+
+    expect(result.errors).toContainEqual({
+      row: 1,
+      column: null,
+      field: 'Species',
+      value: null,
+      message: 'Missing required column "Species"'
+    })
+  })
+
+  it('should address cell errors by row number and column letter', () => {
+    const badRow = [...validRow]
+    badRow[3] = 'Fruit bat'
+    badRow[7] = ''
+
+    const result = validator.validateRows([headers, badRow], datasetSchema)
+
+    expect(result.errors).toEqual([
+      {
+        row: 2,
+        column: 'D',
+        field: 'Species',
+        value: 'Fruit bat',
+        message: expect.stringContaining('Species must be one of:')
+      },
+      {
+        row: 2,
+        column: 'H',
+        field: 'Test Result',
+        value: null,
+        message: 'Test Result is required'
+      }
+    ])
+  })
+
+  it('should reject impossible and future dates', () => {
+    const badRow = [...validRow]
+    badRow[1] = '31/02/2025'
+    badRow[2] = '01/01/2999'
+
+    const messages = validator
+      .validateRows([headers, badRow], datasetSchema)
+      .errors.map((error) => error.message)
+
+    expect(messages).toEqual([
+      'Date Found must be a real date in the format DD/MM/YYYY',
+      'Date Received must be today or in the past'
+    ])
+  })
+
+  it('should report duplicate sample IDs against the first occurrence', () => {
+    const result = validator.validateRows(
+      [headers, validRow, [], ['br-2025-001', ...validRow.slice(1)]],
+      datasetSchema
+    )
+
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        row: 4,
+        column: 'A',
+        message: 'Sample ID "br-2025-001" is a duplicate of row 2'
+      })
+    ])
+    expect(result.rowCount).toBe(2)
+  })
+
+  it('should check number columns', () => {
+    const schema = {
+      id: 'counts',
+      columns: [{ header: 'Bats', type: 'integer', min: 1 }]
+    }
+
+    const result = validator.validateRows(
+      [['Bats'], ['2'], ['1.5'], ['0'], ['many']],
+      schema
+    )
+
+    expect(result.errors.map((error) => error.message)).toEqual([
+      'Bats must be a whole number',
+      'Bats must be 1 or more',
+      'Bats must be a number'
+    ])
+  })
+
+  it('should report a sheet with no data rows', () => {
+    const result = validator.validateRows([headers], datasetSchema)
+
+    expect(result.isValid).toBe(false)
+    expect(result.errors[0].message).toBe('The spreadsheet has no data rows')
+  })
+
+  it('should stop collecting errors at the limit', () => {
+    const limited = new DatasetValidator({ maxErrors: 2 })
+    const blankRow = headers.map(() => 'x')
+
+    const result = limited.validateRows(
+      [headers, blankRow, blankRow],
+      datasetSchema
+    )
+
+    expect(result.errors).toHaveLength(2)
+    expect(result.truncated).toBe(true)
+  })
+})
+
+describe('parseDate', () => {
+  it('should parse text in any accepted format', () => {
+    expect(parseDate('2025-03-01', ['DD/MM/YYYY', 'YYYY-MM-DD'])).toEqual(
+      new Date(Date.UTC(2025, 2, 1))
+    )
+  })
+
+  it('should accept Excel date cells and serial numbers', () => {
+    expect(parseDate(new Date(2025, 2, 1), [])).toEqual(
+      new Date(Date.UTC(2025, 2, 1))
+    )
+    expect(parseDate(45717, [])).toEqual(new Date(Date.UTC(2025, 2, 1)))
+  })
+})
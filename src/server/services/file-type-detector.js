@@ -0,0 +1,284 @@
+import fsp from 'node:fs/promises'
+import { inflateRawSync } from 'node:zlib'
+import { SPREADSHEET_FORMATS } from '../../config/spreadsheet-formats.js'
+
+/**
+ * File Type Detector
+ *
+ * Works out which spreadsheet format a file really is from its bytes, using
+ * the signatures in the format registry, so a renamed binary cannot pass as a
+ * spreadsheet on the strength of its extension. Only the parts of the file
+ * needed to decide are read: the first bytes, and for ZIP archives the
+ * central directory and a single small entry.
+ */
+
+const OLE2_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04])
+const EMPTY_ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x05, 0x06])
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf])
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50
+const ZIP_END_RECORD_SIZE = 22
+const ZIP_MAX_COMMENT_SIZE = 0xffff
+
+const TEXT_SAMPLE_SIZE = 8192
+// Central directories and signature entries of real spreadsheets are far
+// smaller; anything larger is not worth inflating to find out
+const MAX_ZIP_METADATA_SIZE = 1024 * 1024
+
+/**
+ * Check whether a sample of bytes looks like delimited text: no NUL bytes
+ * or control characters other than tab, line feed, form feed and carriage
+ * return
+ * @param {Buffer} sample - Leading bytes of the file
+ * @returns {boolean} True if the sample could be CSV
+ */
+const looksLikeText = (sample) => {
+  for (const byte of sample) {
+    if (byte === 0x7f) return false
+    if (byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d].includes(byte)) return false
+  }
+  return true
+}
+
+/**
+ * Read the content types an Open Packaging archive declares for its parts
+ * @param {string} contentTypesXml - Content of [Content_Types].xml
+ * @returns {string[]} Content types of overridden parts, e.g. the workbook
+ */
+const readOverrideContentTypes = (contentTypesXml) =>
+  [...contentTypesXml.matchAll(/<Override\b[^>]*\bContentType="([^"]+)"/g)].map(
+    ([, contentType]) => contentType
+  )
+
+class FileTypeDetector {
+  constructor(formats = SPREADSHEET_FORMATS) {
+    this.formats = formats
+  }
+
+  /**
+   * Detect the spreadsheet format of a file from its content
+   * @param {Buffer|{path: string}|string} source - File content, a spooled
+   *   multipart file or a file path
+   * @returns {Promise<object|null>} Matching format from the registry, or null
+   *   if the content is not a recognised spreadsheet
+   */
+  async detect(source) {
+    const reader = await this._openReader(source)
+
+    try {
+      const head = await reader.read(0, Math.min(reader.size, TEXT_SAMPLE_SIZE))
+
+      if (head.subarray(0, OLE2_MAGIC.length).equals(OLE2_MAGIC)) {
+        return this._findFormat('ole2')
+      }
+
+      if (
+        head.subarray(0, ZIP_MAGIC.length).equals(ZIP_MAGIC) ||
+        head.subarray(0, EMPTY_ZIP_MAGIC.length).equals(EMPTY_ZIP_MAGIC)
+      ) {
+        return await this._detectZipFormat(reader)
+      }
+
+      const text = head.subarray(0, UTF8_BOM.length).equals(UTF8_BOM)
+        ? head.subarray(UTF8_BOM.length)
+        : head
+
+      return looksLikeText(text) ? this._findFormat('text') : null
+    } finally {
+      await reader.close()
+    }
+  }
+
+  /**
+   * Find the format stored in a container that needs no further inspection
+   * @param {string} container - 'text' or 'ole2'
+   * @returns {object|null} Format, or null if none is registered
+   * @private
+   */
+  _findFormat(container) {
+    return (
+      this.formats.find(
+        ({ signature }) => signature?.container === container
+      ) ?? null
+    )
+  }
+
+  /**
+   * Tell apart the spreadsheet formats packaged as ZIP archives by the
+   * content type they declare for their main part
+   * @param {object} reader - Random access reader over the file
+   * @returns {Promise<object|null>} Format, or null for any other archive
+   * @private
+   */
+  async _detectZipFormat(reader) {
+    const entries = await this._readZipDirectory(reader)
+    if (!entries) return null
+
+    const declaredTypes = new Map()
+
+    for (const format of this.formats) {
+      const { signature } = format
+      if (signature?.container !== 'zip') continue
+
+      if (!declaredTypes.has(signature.entry)) {
+        const entry = entries.get(signature.entry)
+        const content = entry ? await this._readZipEntry(reader, entry) : null
+
+        declaredTypes.set(
+          signature.entry,
+          content === null
+            ? []
+            : signature.entry === '[Content_Types].xml'
+              ? readOverrideContentTypes(content)
+              : [content.trim()]
+        )
+      }
+
+      if (declaredTypes.get(signature.entry).includes(signature.marker)) {
+        return format
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Read the central directory of a ZIP archive
+   * @param {object} reader - Random access reader over the file
+   * @returns {Promise<Map<string, object>|null>} Entries by name, or null if
+   *   the archive is malformed
+   * @private
+   */
+  async _readZipDirectory(reader) {
+    const tailSize = Math.min(
+      reader.size,
+      ZIP_END_RECORD_SIZE + ZIP_MAX_COMMENT_SIZE
+    )
+    const tail = await reader.read(reader.size - tailSize, tailSize)
+
+    let end = -1
+    for (let i = tail.length - ZIP_END_RECORD_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+        end = i
+        break
+      }
+    }
+    if (end === -1) return null
+
+    const directorySize = tail.readUInt32LE(end + 12)
+    const directoryOffset = tail.readUInt32LE(end + 16)
+
+    if (
+      directorySize > MAX_ZIP_METADATA_SIZE ||
+      directoryOffset + directorySize > reader.size
+    ) {
+      return null
+    }
+
+    const directory = await reader.read(directoryOffset, directorySize)
+    const entries = new Map()
+    let offset = 0
+
+    while (
+      offset + 46 <= directory.length &&
+      directory.readUInt32LE(offset) === ZIP_CENTRAL_DIRECTORY_ENTRY
+    ) {
+      const nameLength = directory.readUInt16LE(offset + 28)
+      const extraLength = directory.readUInt16LE(offset + 30)
+      const commentLength = directory.readUInt16LE(offset + 32)
+      const name = directory
+        .subarray(offset + 46, offset + 46 + nameLength)
+        .toString('utf8')
+
+      entries.set(name, {
+        method: directory.readUInt16LE(offset + 10),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        headerOffset: directory.readUInt32LE(offset + 42)
+      })
+
+      offset += 46 + nameLength + extraLength + commentLength
+    }
+
+    return entries
+  }
+
+  /**
+   * Read a small stored or deflated entry of a ZIP archive as text
+   * @param {object} reader - Random access reader over the file
+   * @param {object} entry - Entry from the central directory
+   * @returns {Promise<string|null>} Entry content, or null if it cannot be read
+   * @private
+   */
+  async _readZipEntry(reader, { method, compressedSize, headerOffset }) {
+    if (compressedSize > MAX_ZIP_METADATA_SIZE) return null
+
+    const header = await reader.read(headerOffset, 30)
+    if (
+      header.length < 30 ||
+      header.readUInt32LE(0) !== ZIP_LOCAL_FILE_HEADER
+    ) {
+      return null
+    }
+
+    const dataOffset =
+      headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28)
+    const data = await reader.read(dataOffset, compressedSize)
+
+    try {
+      if (method === 0) return data.toString('utf8')
+      if (method === 8) return inflateRawSync(data).toString('utf8')
+    } catch {
+      // Corrupt entry; treat the archive as unrecognised
+    }
+    return null
+  }
+
+  /**
+   * Open random access to the bytes of a source
+   * @param {Buffer|{path: string}|string} source - File content or location
+   * @returns {Promise<{size: number, read: Function, close: Function}>} Reader
+   * @private
+   */
+  async _openReader(source) {
+    if (Buffer.isBuffer(source)) {
+      return {
+        size: source.length,
+        read: async (position, length) =>
+          source.subarray(position, position + length),
+        close: async () => {}
+      }
+    }
+
+    const filePath = typeof source === 'string' ? source : source?.path
+    if (typeof filePath !== 'string') {
+      throw new Error('File type detection needs a buffer or a file path')
+    }
+
+    const handle = await fsp.open(filePath, 'r')
+    const { size } = await handle.stat()
+
+    return {
+      size,
+      read: async (position, length) => {
+        const buffer = Buffer.alloc(
+          Math.max(0, Math.min(length, size - position))
+        )
+        const { bytesRead } = await handle.read(
+          buffer,
+          0,
+          buffer.length,
+          position
+        )
+        return buffer.subarray(0, bytesRead)
+      },
+      close: async () => await handle.close()
+    }
+  }
+}
+
+const fileTypeDetector = new FileTypeDetector()
+
+export { fileTypeDetector, FileTypeDetector }
@@ -0,0 +1,93 @@
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { describe, it, expect } from 'vitest'
+import XLSX from 'xlsx'
+import { fileTypeDetector } from './file-type-detector.js'
+
+const writeWorkbook = (bookType) => {
+  const workbook = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      ['Sample ID', 'Count'],
+      ['S1', 3]
+    ]),
+    'Results'
+  )
+  return XLSX.write(workbook, { type: 'buffer', bookType })
+}
+
+const writeZip = (entries) => {
+  const archive = XLSX.CFB.utils.cfb_new()
+  for (const [name, content] of Object.entries(entries)) {
+    XLSX.CFB.utils.cfb_add(archive, name, Buffer.from(content))
+  }
+  return Buffer.from(
+    XLSX.CFB.write(archive, { type: 'buffer', fileType: 'zip' })
+  )
+}
+
+describe('FileTypeDetector', () => {
+  it.each(['xls', 'xlsx', 'xlsm', 'xlsb', 'ods'])(
+    'should detect %s workbooks',
+    async (bookType) => {
+      const format = await fileTypeDetector.detect(writeWorkbook(bookType))
+
+      expect(format.extension).toBe(bookType)
+    }
+  )
+
+  it('should detect CSV text, with or without a byte order mark', async () => {
+    const csv = 'Sample ID,Count\r\nS1,3\r\n'
+
+    expect((await fileTypeDetector.detect(Buffer.from(csv))).extension).toBe(
+      'csv'
+    )
+    expect(
+      (await fileTypeDetector.detect(Buffer.from(`\uFEFF${csv}`))).extension
+    ).toBe('csv')
+  })
+
+  it('should not recognise binary files', async () => {
+    const pdf = Buffer.from('%PDF-1.4\n\u0000\u0001binary')
+
+    expect(await fileTypeDetector.detect(pdf)).toBeNull()
+  })
+
+  it('should not recognise other Office documents', async () => {
+    const docx = writeZip({
+      '[Content_Types].xml':
+        '<Types><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>'
+    })
+
+    expect(await fileTypeDetector.detect(docx)).toBeNull()
+  })
+
+  it('should not recognise plain ZIP archives', async () => {
+    expect(
+      await fileTypeDetector.detect(writeZip({ 'readme.txt': 'hello' }))
+    ).toBeNull()
+  })
+
+  it('should not recognise truncated archives', async () => {
+    const xlsx = writeWorkbook('xlsx')
+
+    expect(await fileTypeDetector.detect(xlsx.subarray(0, 100))).toBeNull()
+  })
+
+  it('should read spooled files from disk', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'detect-test-'))
+    const filePath = path.join(directory, 'upload')
+
+    try {
+      await fs.writeFile(filePath, writeWorkbook('ods'))
+
+      const format = await fileTypeDetector.detect({ path: filePath })
+
+      expect(format.extension).toBe('ods')
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true })
+    }
+  })
+})
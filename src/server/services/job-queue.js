@@ -0,0 +1,709 @@
+import { v4 as uuidv4 } from 'uuid'
+import { buildRedisClient } from '../common/helpers/redis-client.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import { config } from '../../config/config.js'
+
+/**
+ * Thrown by a job handler when retrying cannot help (e.g. the input no longer
+ * exists). The job goes straight to the dead-letter state.
+ */
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PermanentJobError'
+  }
+}
+
+/**
+ * Redis job backend
+ *
+ * Jobs are stored as JSON under `jobs:job:{id}`. Three sorted sets track
+ * where each job is: `jobs:ready` scored by when it may next run,
+ * `jobs:active` scored by when its visibility timeout expires, and
+ * `jobs:dead` scored by when it was dead-lettered. Claims rely on ZREM
+ * returning 1 for exactly one caller, so several instances can share a queue.
+ */
+class RedisJobBackend {
+  constructor(redisClient) {
+    this.redisClient = redisClient
+    this.keyNamespace = 'jobs'
+  }
+
+  _getKey(jobId) {
+    return `${this.keyNamespace}:job:${jobId}`
+  }
+
+  _getSetKey(set) {
+    return `${this.keyNamespace}:${set}`
+  }
+
+  async getJob(jobId) {
+    const data = await this.redisClient.get(this._getKey(jobId))
+    return data ? JSON.parse(data) : null
+  }
+
+  async saveJob(job, ttl = 0) {
+    const serializedData = JSON.stringify(job)
+    if (ttl > 0) {
+      await this.redisClient.setex(this._getKey(job.id), ttl, serializedData)
+    } else {
+      await this.redisClient.set(this._getKey(job.id), serializedData)
+    }
+  }
+
+  async schedule(jobId, runAt) {
+    await this.redisClient.zadd(this._getSetKey('ready'), runAt, jobId)
+  }
+
+  async claimDue(now, visibleUntil) {
+    const [jobId] = await this.redisClient.zrangebyscore(
+      this._getSetKey('ready'),
+      '-inf',
+      now,
+      'LIMIT',
+      0,
+      1
+    )
+    if (!jobId) return null
+
+    // Mark active before removing from ready so a crash in between leaves the
+    // job claimable rather than lost
+    await this.redisClient.zadd(this._getSetKey('active'), visibleUntil, jobId)
+    const claimed = await this.redisClient.zrem(this._getSetKey('ready'), jobId)
+
+    return claimed === 1 ? jobId : null
+  }
+
+  async release(jobId) {
+    await this.redisClient.zrem(this._getSetKey('active'), jobId)
+  }
+
+  async extendVisibility(jobId, visibleUntil) {
+    // XX so a job already reclaimed is not put back in the active set
+    await this.redisClient.zadd(
+      this._getSetKey('active'),
+      'XX',
+      visibleUntil,
+      jobId
+    )
+  }
+
+  async reclaimExpired(now) {
+    const expired = await this.redisClient.zrangebyscore(
+      this._getSetKey('active'),
+      '-inf',
+      now
+    )
+    const reclaimed = []
+
+    for (const jobId of expired) {
+      const removed = await this.redisClient.zrem(
+        this._getSetKey('active'),
+        jobId
+      )
+      if (removed === 1) {
+        reclaimed.push(jobId)
+      }
+    }
+
+    return reclaimed
+  }
+
+  async markDead(jobId, now) {
+    await this.redisClient.zadd(this._getSetKey('dead'), now, jobId)
+  }
+
+  async listDead() {
+    return await this.redisClient.zrange(this._getSetKey('dead'), 0, -1)
+  }
+
+  async removeDead(jobId) {
+    return (await this.redisClient.zrem(this._getSetKey('dead'), jobId)) === 1
+  }
+
+  async counts() {
+    const [ready, active, dead] = await Promise.all([
+      this.redisClient.zcard(this._getSetKey('ready')),
+      this.redisClient.zcard(this._getSetKey('active')),
+      this.redisClient.zcard(this._getSetKey('dead'))
+    ])
+    return { ready, active, dead }
+  }
+}
+
+/**
+ * In-memory job backend
+ *
+ * Same semantics as the Redis backend for local development and tests. Jobs
+ * do not survive a restart and are not shared between instances.
+ */
+class MemoryJobBackend {
+  constructor() {
+    this.jobs = new Map()
+    this.ready = new Map()
+    this.active = new Map()
+    this.dead = new Map()
+  }
+
+  async getJob(jobId) {
+    const entry = this.jobs.get(jobId)
+    if (!entry) return null
+
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      this.jobs.delete(jobId)
+      return null
+    }
+
+    return JSON.parse(entry.data)
+  }
+
+  async saveJob(job, ttl = 0) {
+    this.jobs.set(job.id, {
+      data: JSON.stringify(job),
+      expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null
+    })
+  }
+
+  async schedule(jobId, runAt) {
+    this.ready.set(jobId, runAt)
+  }
+
+  async claimDue(now, visibleUntil) {
+    let dueJobId = null
+    let dueAt = Infinity
+
+    for (const [jobId, runAt] of this.ready) {
+      if (runAt <= now && runAt < dueAt) {
+        dueJobId = jobId
+        dueAt = runAt
+      }
+    }
+    if (!dueJobId) return null
+
+    this.ready.delete(dueJobId)
+    this.active.set(dueJobId, visibleUntil)
+    return dueJobId
+  }
+
+  async release(jobId) {
+    this.active.delete(jobId)
+  }
+
+  async extendVisibility(jobId, visibleUntil) {
+    if (this.active.has(jobId)) {
+      this.active.set(jobId, visibleUntil)
+    }
+  }
+
+  async reclaimExpired(now) {
+    const reclaimed = []
+    for (const [jobId, visibleUntil] of this.active) {
+      if (visibleUntil <= now) {
+        this.active.delete(jobId)
+        reclaimed.push(jobId)
+      }
+    }
+    return reclaimed
+  }
+
+  async markDead(jobId, now) {
+    this.dead.set(jobId, now)
+  }
+
+  async listDead() {
+    return [...this.dead.keys()]
+  }
+
+  async removeDead(jobId) {
+    return this.dead.delete(jobId)
+  }
+
+  async counts() {
+    return {
+      ready: this.ready.size,
+      active: this.active.size,
+      dead: this.dead.size
+    }
+  }
+}
+
+/**
+ * Background Job Queue
+ *
+ * Durable queue for work that must survive a restart, such as the post-scan
+ * Azure transfer. Jobs enqueued with a key are idempotent: enqueueing the same
+ * type and key again returns the existing job unless it was dead-lettered.
+ *
+ * Workers poll for due jobs. A claimed job stays hidden for the visibility
+ * timeout, which its worker keeps extending while the handler runs; if the
+ * worker dies the job becomes claimable again. Failed jobs are retried with
+ * exponential backoff and dead-lettered after maxAttempts.
+ */
+class JobQueue {
+  constructor({ backend, ...options } = {}) {
+    const queueConfig = config.get('jobQueue')
+
+    this.logger = createLogger()
+    this.backend = backend || this._createBackend(queueConfig.engine)
+    this.options = {
+      concurrency: queueConfig.concurrency,
+      pollInterval: queueConfig.pollInterval,
+      visibilityTimeout: queueConfig.visibilityTimeout,
+      maxAttempts: queueConfig.maxAttempts,
+      backoffBase: queueConfig.backoffBase,
+      backoffMax: queueConfig.backoffMax,
+      completedTtl: queueConfig.completedTtl,
+      ...options
+    }
+    this.handlers = new Map()
+    this.running = new Set()
+    this.timer = null
+    this.polling = null
+  }
+
+  /**
+   * Build the configured backend, falling back to memory if Redis cannot be
+   * set up
+   * @param {string} engine - 'redis' or 'memory'
+   * @returns {RedisJobBackend|MemoryJobBackend} Job backend
+   * @private
+   */
+  _createBackend(engine) {
+    if (engine === 'redis') {
+      try {
+        return new RedisJobBackend(buildRedisClient(config.get('redis')))
+      } catch (error) {
+        this.logger.warn(
+          'Redis job queue initialization failed, using in-memory queue',
+          { error: error.message }
+        )
+      }
+    }
+
+    if (config.get('isProduction')) {
+      this.logger.error(
+        'In-memory job queue is for local development only, jobs will be lost on restart!'
+      )
+    }
+
+    return new MemoryJobBackend()
+  }
+
+  /**
+   * Delay before the next attempt of a job that has failed `attempts` times
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoff(attempts) {
+    const { backoffBase, backoffMax } = this.options
+    return Math.min(backoffMax, backoffBase * 2 ** Math.max(0, attempts - 1))
+  }
+
+  /**
+   * Register the function that runs jobs of a type. Handlers receive the job
+   * and should be idempotent, as a job can run more than once.
+   * @param {string} type - Job type
+   * @param {function(object): Promise<*>} handler - Job handler
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler)
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {object} payload - Data passed to the handler
+   * @param {object} [options]
+   * @param {string} [options.key] - Idempotency key, e.g. the uploadId
+   * @param {number} [options.maxAttempts] - Override the default max attempts
+   * @param {number} [options.delay] - Milliseconds before the job may run
+   * @returns {Promise<object>} The new or existing job
+   */
+  async enqueue(type, payload = {}, { key, maxAttempts, delay = 0 } = {}) {
+    if (!type || typeof type !== 'string') {
+      throw new Error('Job type must be a non-empty string')
+    }
+
+    const jobId = key ? `${type}:${key}` : `${type}:${uuidv4()}`
+
+    if (key) {
+      const existingJob = await this.backend.getJob(jobId)
+      if (existingJob && existingJob.status !== 'dead') {
+        this.logger.debug('Job already queued, skipping duplicate', {
+          jobId,
+          status: existingJob.status
+        })
+        return existingJob
+      }
+      if (existingJob) {
+        await this.backend.removeDead(jobId)
+      }
+    }
+
+    const now = Date.now()
+    const job = {
+      id: jobId,
+      type,
+      key: key || null,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: maxAttempts || this.options.maxAttempts,
+      runAt: now + delay,
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      lastError: null
+    }
+
+    await this.backend.saveJob(job)
+    await this.backend.schedule(jobId, job.runAt)
+
+    this.logger.info('Job enqueued', { jobId, type })
+    return job
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<object|null>} Job or null if not found
+   */
+  async getJob(jobId) {
+    return await this.backend.getJob(jobId)
+  }
+
+  /**
+   * Get the job for a type and idempotency key
+   * @param {string} type - Job type
+   * @param {string} key - Idempotency key
+   * @returns {Promise<object|null>} Job or null if never enqueued
+   */
+  async findJob(type, key) {
+    return await this.backend.getJob(`${type}:${key}`)
+  }
+
+  /**
+   * Return jobs whose visibility timeout expired (their worker died or hung)
+   * to the ready set
+   * @returns {Promise<number>} Number of jobs re-queued
+   */
+  async reclaimExpired() {
+    const now = Date.now()
+    const jobIds = await this.backend.reclaimExpired(now)
+    let reclaimedCount = 0
+
+    for (const jobId of jobIds) {
+      const job = await this.backend.getJob(jobId)
+      if (job?.status !== 'active') continue
+
+      await this.backend.saveJob({
+        ...job,
+        status: 'pending',
+        updatedAt: new Date(now).toISOString()
+      })
+      await this.backend.schedule(jobId, now)
+      reclaimedCount++
+    }
+
+    if (reclaimedCount > 0) {
+      this.logger.warn('Re-queued jobs whose visibility timeout expired', {
+        count: reclaimedCount
+      })
+    }
+
+    return reclaimedCount
+  }
+
+  /**
+   * Claim and run due jobs, up to the free worker slots
+   * @returns {Promise<number>} Number of jobs started
+   */
+  async processDue() {
+    await this.reclaimExpired()
+
+    let started = 0
+    while (this.running.size < this.options.concurrency) {
+      const job = await this._claimNext()
+      if (!job) break
+
+      const run = this._runJob(job).finally(() => this.running.delete(run))
+      this.running.add(run)
+      started++
+    }
+
+    return started
+  }
+
+  /**
+   * Wait for every job currently running on this instance
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    await Promise.allSettled([...this.running])
+  }
+
+  /**
+   * Claim the next due job
+   * @returns {Promise<object|null>} Claimed job or null if none are due
+   * @private
+   */
+  async _claimNext() {
+    const now = Date.now()
+    const jobId = await this.backend.claimDue(
+      now,
+      now + this.options.visibilityTimeout
+    )
+    if (!jobId) return null
+
+    const job = await this.backend.getJob(jobId)
+
+    // A stale entry for a job that already finished, or whose record expired
+    if (job?.status !== 'pending') {
+      await this.backend.release(jobId)
+      return null
+    }
+
+    const claimedJob = {
+      ...job,
+      status: 'active',
+      attempts: job.attempts + 1,
+      startedAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString()
+    }
+    await this.backend.saveJob(claimedJob)
+
+    return claimedJob
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {object} job - Claimed job
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runJob(job) {
+    const handler = this.handlers.get(job.type)
+    const heartbeat = this._startHeartbeat(job)
+
+    try {
+      if (!handler) {
+        throw new PermanentJobError(`No handler registered for ${job.type}`)
+      }
+
+      await handler(job)
+
+      await this.backend.saveJob(
+        {
+          ...job,
+          status: 'completed',
+          completedAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        },
+        this.options.completedTtl
+      )
+      await this.backend.release(job.id)
+
+      this.logger.info('Job completed', { jobId: job.id, type: job.type })
+    } catch (error) {
+      await this._failJob(job, error)
+    } finally {
+      clearInterval(heartbeat)
+    }
+  }
+
+  /**
+   * Keep a running job hidden from other workers by extending its visibility
+   * timeout a few times per timeout, so a long handler is not reclaimed and
+   * run twice
+   * @param {object} job - Claimed job
+   * @returns {NodeJS.Timeout} Timer to clear when the handler settles
+   * @private
+   */
+  _startHeartbeat(job) {
+    const { visibilityTimeout } = this.options
+
+    const heartbeat = setInterval(
+      () => {
+        this.backend
+          .extendVisibility(job.id, Date.now() + visibilityTimeout)
+          .catch((error) => {
+            this.logger.warn('Failed to extend job visibility', {
+              jobId: job.id,
+              error: error.message
+            })
+          })
+      },
+      Math.ceil(visibilityTimeout / 3)
+    )
+    heartbeat.unref?.()
+
+    return heartbeat
+  }
+
+  /**
+   * Schedule a retry with backoff or dead-letter the job
+   * @param {object} job - Job that failed
+   * @param {Error} error - Failure
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _failJob(job, error) {
+    const now = Date.now()
+    const isPermanent = error instanceof PermanentJobError
+    const willRetry = !isPermanent && job.attempts < job.maxAttempts
+
+    if (willRetry) {
+      const runAt = now + this.getBackoff(job.attempts)
+      await this.backend.saveJob({
+        ...job,
+        status: 'pending',
+        runAt,
+        lastError: error.message,
+        updatedAt: new Date(now).toISOString()
+      })
+      await this.backend.schedule(job.id, runAt)
+
+      this.logger.warn('Job failed, retry scheduled', {
+        jobId: job.id,
+        attempts: job.attempts,
+        retryAt: new Date(runAt).toISOString(),
+        error: error.message
+      })
+    } else {
+      await this.backend.saveJob({
+        ...job,
+        status: 'dead',
+        permanent: isPermanent,
+        lastError: error.message,
+        deadAt: new Date(now).toISOString(),
+        updatedAt: new Date(now).toISOString()
+      })
+      await this.backend.markDead(job.id, now)
+
+      this.logger.error('Job moved to dead-letter state', {
+        jobId: job.id,
+        attempts: job.attempts,
+        permanent: isPermanent,
+        error: error.message
+      })
+    }
+
+    await this.backend.release(job.id)
+  }
+
+  /**
+   * Re-queue dead-lettered jobs with a fresh set of attempts. Jobs that died
+   * of a PermanentJobError would only fail again, so they stay dead.
+   * @param {string} [type] - Only retry jobs of this type
+   * @returns {Promise<string[]>} IDs of the re-queued jobs
+   */
+  async retryDead(type) {
+    const retried = []
+
+    for (const jobId of await this.backend.listDead()) {
+      const job = await this.backend.getJob(jobId)
+      if (!job) {
+        await this.backend.removeDead(jobId)
+        continue
+      }
+      if (type && job.type !== type) continue
+      if (job.permanent) continue
+
+      const now = Date.now()
+      await this.backend.removeDead(jobId)
+      await this.backend.saveJob({
+        ...job,
+        status: 'pending',
+        attempts: 0,
+        runAt: now,
+        updatedAt: new Date(now).toISOString()
+      })
+      await this.backend.schedule(jobId, now)
+      retried.push(jobId)
+    }
+
+    if (retried.length > 0) {
+      this.logger.info('Re-queued dead-lettered jobs', {
+        count: retried.length
+      })
+    }
+
+    return retried
+  }
+
+  /**
+   * List dead-lettered jobs
+   * @returns {Promise<Array>} Dead jobs
+   */
+  async getDeadJobs() {
+    const jobs = []
+    for (const jobId of await this.backend.listDead()) {
+      const job = await this.backend.getJob(jobId)
+      if (job) jobs.push(job)
+    }
+    return jobs
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Promise<object>} Counts of ready, active and dead jobs
+   */
+  async getStats() {
+    return {
+      ...(await this.backend.counts()),
+      runningLocally: this.running.size,
+      workersStarted: this.timer !== null
+    }
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) return
+
+    this.timer = setInterval(() => {
+      // Skip the tick while the previous poll is still claiming jobs, so two
+      // polls cannot overrun the concurrency limit between them
+      if (this.polling) return
+
+      this.polling = this.processDue()
+        .catch((error) => {
+          this.logger.error('Job queue poll failed', { error: error.message })
+        })
+        .finally(() => {
+          this.polling = null
+        })
+    }, this.options.pollInterval)
+    this.timer.unref?.()
+
+    this.logger.info('Job queue workers started', {
+      concurrency: this.options.concurrency
+    })
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish (for graceful shutdown)
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+
+    await this.polling
+    await this.drain()
+    this.logger.info('Job queue workers stopped')
+  }
+}
+
+// Create and export singleton instance
+const jobQueue = new JobQueue()
+
+export {
+  jobQueue,
+  JobQueue,
+  RedisJobBackend,
+  MemoryJobBackend,
+  PermanentJobError
+}
@@ -0,0 +1,371 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+  JobQueue,
+  MemoryJobBackend,
+  RedisJobBackend,
+  PermanentJobError
+} from './job-queue.js'
+
+vi.mock('../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }))
+}))
+
+vi.mock('../common/helpers/redis-client.js', () => ({
+  buildRedisClient: vi.fn()
+}))
+
+describe('JobQueue', () => {
+  let queue
+
+  beforeEach(() => {
+    queue = new JobQueue({
+      backend: new MemoryJobBackend(),
+      concurrency: 2,
+      maxAttempts: 3,
+      backoffBase: 1000,
+      backoffMax: 5000,
+      visibilityTimeout: 60000
+    })
+  })
+
+  const runDueJobs = async () => {
+    await queue.processDue()
+    await queue.drain()
+  }
+
+  describe('enqueue', () => {
+    it('should return the existing job for a repeated key', async () => {
+      const first = await queue.enqueue('transfer', { n: 1 }, { key: 'a' })
+      const second = await queue.enqueue('transfer', { n: 2 }, { key: 'a' })
+
+      expect(second.id).toBe(first.id)
+      expect(second.payload).toEqual({ n: 1 })
+      expect((await queue.getStats()).ready).toBe(1)
+    })
+
+    it('should give unkeyed jobs unique IDs', async () => {
+      const first = await queue.enqueue('transfer')
+      const second = await queue.enqueue('transfer')
+
+      expect(first.id).not.toBe(second.id)
+    })
+
+    it('should reject a missing job type', async () => {
+      await expect(queue.enqueue('')).rejects.toThrow(
+        'Job type must be a non-empty string'
+      )
+    })
+  })
+
+  describe('processDue', () => {
+    it('should run a due job and mark it completed', async () => {
+      const handler = vi.fn()
+      queue.registerHandler('transfer', handler)
+      await queue.enqueue('transfer', { uploadId: 'u1' }, { key: 'u1' })
+
+      await runDueJobs()
+
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ payload: { uploadId: 'u1' }, attempts: 1 })
+      )
+      expect((await queue.findJob('transfer', 'u1')).status).toBe('completed')
+      expect(await queue.getStats()).toMatchObject({ ready: 0, active: 0 })
+    })
+
+    it('should not run delayed jobs early', async () => {
+      const handler = vi.fn()
+      queue.registerHandler('transfer', handler)
+      await queue.enqueue('transfer', {}, { delay: 60000 })
+
+      await runDueJobs()
+
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    it('should respect the concurrency limit', async () => {
+      let release
+      const blocked = new Promise((resolve) => {
+        release = resolve
+      })
+      queue.registerHandler('transfer', () => blocked)
+      await queue.enqueue('transfer')
+      await queue.enqueue('transfer')
+      await queue.enqueue('transfer')
+
+      expect(await queue.processDue()).toBe(2)
+
+      release()
+      await queue.drain()
+    })
+  })
+
+  describe('failures', () => {
+    it('should schedule a retry with exponential backoff', async () => {
+      queue.registerHandler('transfer', () => {
+        throw new Error('Azure unavailable')
+      })
+      await queue.enqueue('transfer', {}, { key: 'u1' })
+
+      const before = Date.now()
+      await runDueJobs()
+
+      const job = await queue.findJob('transfer', 'u1')
+      expect(job.status).toBe('pending')
+      expect(job.attempts).toBe(1)
+      expect(job.lastError).toBe('Azure unavailable')
+      expect(job.runAt).toBeGreaterThanOrEqual(before + 1000)
+    })
+
+    it('should cap the backoff delay', () => {
+      expect(queue.getBackoff(1)).toBe(1000)
+      expect(queue.getBackoff(2)).toBe(2000)
+      expect(queue.getBackoff(10)).toBe(5000)
+    })
+
+    it('should dead-letter a job after its last attempt', async () => {
+      vi.useFakeTimers()
+      try {
+        queue.registerHandler('transfer', () => {
+          throw new Error('Azure unavailable')
+        })
+        await queue.enqueue('transfer', {}, { key: 'u1' })
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+          await runDueJobs()
+          vi.advanceTimersByTime(5000)
+        }
+
+        const job = await queue.findJob('transfer', 'u1')
+        expect(job.status).toBe('dead')
+        expect(job.attempts).toBe(3)
+        expect(await queue.getDeadJobs()).toHaveLength(1)
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+
+    it('should dead-letter permanent errors without retrying', async () => {
+      queue.registerHandler('transfer', () => {
+        throw new PermanentJobError('Staged file not found')
+      })
+      await queue.enqueue('transfer', {}, { key: 'u1' })
+
+      await runDueJobs()
+
+      const job = await queue.findJob('transfer', 'u1')
+      expect(job.status).toBe('dead')
+      expect(job.attempts).toBe(1)
+    })
+
+    it('should dead-letter jobs with no registered handler', async () => {
+      await queue.enqueue('unknown', {}, { key: 'u1' })
+
+      await runDueJobs()
+
+      expect((await queue.findJob('unknown', 'u1')).lastError).toBe(
+        'No handler registered for unknown'
+      )
+    })
+  })
+
+  describe('retryDead', () => {
+    it('should re-queue dead jobs with fresh attempts', async () => {
+      const handler = vi
+        .fn()
+        .mockRejectedValueOnce(new Error('not yet'))
+        .mockResolvedValueOnce()
+      queue.registerHandler('transfer', handler)
+      await queue.enqueue('transfer', {}, { key: 'u1', maxAttempts: 1 })
+      await runDueJobs()
+
+      const retried = await queue.retryDead('transfer')
+      await runDueJobs()
+
+      expect(retried).toEqual(['transfer:u1'])
+      expect((await queue.findJob('transfer', 'u1')).status).toBe('completed')
+      expect((await queue.getStats()).dead).toBe(0)
+    })
+
+    it('should leave jobs that failed permanently dead', async () => {
+      queue.registerHandler('transfer', () => {
+        throw new PermanentJobError('never')
+      })
+      await queue.enqueue('transfer', {}, { key: 'u1' })
+      await runDueJobs()
+
+      expect(await queue.retryDead('transfer')).toEqual([])
+      expect(await queue.findJob('transfer', 'u1')).toMatchObject({
+        status: 'dead',
+        permanent: true
+      })
+    })
+
+    it('should allow a dead job to be enqueued again', async () => {
+      queue.registerHandler('transfer', () => {
+        throw new PermanentJobError('not yet')
+      })
+      await queue.enqueue('transfer', {}, { key: 'u1' })
+      await runDueJobs()
+
+      const job = await queue.enqueue('transfer', {}, { key: 'u1' })
+
+      expect(job.status).toBe('pending')
+      expect(await queue.getStats()).toMatchObject({ ready: 1, dead: 0 })
+    })
+  })
+
+  describe('reclaimExpired', () => {
+    it('should re-queue jobs whose visibility timeout expired', async () => {
+      const job = await queue.enqueue('transfer', {}, { key: 'u1' })
+
+      // Simulate a worker that claimed the job and then died
+      await queue._claimNext()
+      queue.backend.active.set(job.id, Date.now() - 1)
+
+      expect(await queue.reclaimExpired()).toBe(1)
+      expect((await queue.findJob('transfer', 'u1')).status).toBe('pending')
+    })
+
+    it('should not reclaim a job whose handler is still running', async () => {
+      vi.useFakeTimers()
+      try {
+        let release
+        const handler = vi.fn(
+          () =>
+            new Promise((resolve) => {
+              release = resolve
+            })
+        )
+        queue.registerHandler('transfer', handler)
+        await queue.enqueue('transfer', {}, { key: 'u1' })
+
+        await queue.processDue()
+        await vi.advanceTimersByTimeAsync(queue.options.visibilityTimeout * 3)
+        await queue.processDue()
+
+        expect(handler).toHaveBeenCalledTimes(1)
+        expect((await queue.findJob('transfer', 'u1')).status).toBe('active')
+
+        release()
+        await queue.drain()
+        expect((await queue.findJob('transfer', 'u1')).status).toBe('completed')
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+  })
+
+  describe('start and stop', () => {
+    it('should poll while started and wait for running jobs on stop', async () => {
+      vi.useFakeTimers()
+      try {
+        const handler = vi.fn()
+        queue.registerHandler('transfer', handler)
+        await queue.enqueue('transfer')
+
+        queue.start()
+        expect((await queue.getStats()).workersStarted).toBe(true)
+        await vi.advanceTimersByTimeAsync(queue.options.pollInterval)
+        await queue.stop()
+
+        expect(handler).toHaveBeenCalledTimes(1)
+        expect((await queue.getStats()).workersStarted).toBe(false)
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+
+    it('should skip a poll while the previous one is still running', async () => {
+      vi.useFakeTimers()
+      try {
+        let release
+        vi.spyOn(queue.backend, 'reclaimExpired').mockImplementationOnce(
+          () =>
+            new Promise((resolve) => {
+              release = () => resolve([])
+            })
+        )
+        const processDue = vi.spyOn(queue, 'processDue')
+
+        queue.start()
+        await vi.advanceTimersByTimeAsync(queue.options.pollInterval * 3)
+        expect(processDue).toHaveBeenCalledTimes(1)
+
+        release()
+        await vi.advanceTimersByTimeAsync(queue.options.pollInterval)
+        expect(processDue).toHaveBeenCalledTimes(2)
+
+        await queue.stop()
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+  })
+})
+
+describe('RedisJobBackend', () => {
+  let redisClient
+  let backend
+
+  beforeEach(() => {
+    redisClient = {
+      get: vi.fn(),
+      set: vi.fn(),
+      setex: vi.fn(),
+      zadd: vi.fn(),
+      zrem: vi.fn(),
+      zrangebyscore: vi.fn(),
+      zrange: vi.fn(),
+      zcard: vi.fn()
+    }
+    backend = new RedisJobBackend(redisClient)
+  })
+
+  it('should store completed jobs with a TTL', async () => {
+    await backend.saveJob({ id: 'transfer:u1', status: 'completed' }, 3600)
+
+    expect(redisClient.setex).toHaveBeenCalledWith(
+      'jobs:job:transfer:u1',
+      3600,
+      expect.any(String)
+    )
+  })
+
+  it('should claim a due job only when it wins the ready set removal', async () => {
+    redisClient.zrangebyscore.mockResolvedValue(['transfer:u1'])
+    redisClient.zrem.mockResolvedValueOnce(1).mockResolvedValueOnce(0)
+
+    expect(await backend.claimDue(1000, 2000)).toBe('transfer:u1')
+    expect(await backend.claimDue(1000, 2000)).toBeNull()
+    expect(redisClient.zadd).toHaveBeenCalledWith(
+      'jobs:active',
+      2000,
+      'transfer:u1'
+    )
+  })
+
+  it('should only extend the visibility of a job still in the active set', async () => {
+    await backend.extendVisibility('transfer:u1', 5000)
+
+    expect(redisClient.zadd).toHaveBeenCalledWith(
+      'jobs:active',
+      'XX',
+      5000,
+      'transfer:u1'
+    )
+  })
+
+  it('should report counts for each set', async () => {
+    redisClient.zcard
+      .mockResolvedValueOnce(3)
+      .mockResolvedValueOnce(1)
+      .mockResolvedValueOnce(0)
+
+    expect(await backend.counts()).toEqual({ ready: 3, active: 1, dead: 0 })
+  })
+})
@@ -1,6 +1,13 @@
 import { buildRedisClient } from '../common/helpers/redis-client.js'
 import { createLogger } from '../common/helpers/logging/logger.js'
 import { config } from '../../config/config.js'
+import {
+  UploadEvent,
+  applyTransition,
+  isUploadStatus,
+  normaliseStatus,
+  InvalidTransitionError
+} from './upload-lifecycle.js'
 
 /**
  * Redis Upload Store Service
@@ -8,13 +15,70 @@ import { config } from '../../config/config.js'
  * Provides persistent storage for upload tracking with automatic fallback to in-memory Map
  * when Redis is unavailable. Handles JSON serialization, TTL management, and proper
  * key namespacing for upload operations.
+ *
+ * Each upload also has an append-only event history, kept in a Redis list under
+ * `upload-events:{uploadId}`. It outlives the upload record so support can answer
+ * questions about a submission after the record itself has expired.
+ *
+ * Uploads are indexed by the organisation they were submitted for and the user
+ * who submitted them, in Redis sets under `upload-index:{field}:{value}`, so a
+ * user's or organisation's uploads can be listed without reading every record.
+ *
+ * Uploads the store does not track, such as files the forms engine sent
+ * straight to CDP, can still have their validation result kept, under
+ * `upload-validations:{uploadId}`, so its error report can be served later.
+ */
+
+// Record fields uploads are indexed by, and the name of each index
+const INDEXES = Object.freeze({
+  organisationId: 'organisation',
+  uploadedBy: 'user'
+})
+
+// Replaces an upload record only if it is still the one the update was
+// worked out from, keeping its expiry; ARGV is the record as read, the
+// updated record and the TTL to use when the record has none
+const COMPARE_AND_SET_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+local ttl = redis.call('TTL', KEYS[1])
+if ttl <= 0 then
+  ttl = tonumber(ARGV[3])
+end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', ttl)
+return 1
+`
+
+// How often an update is worked out again when the record keeps changing
+// under it
+const MAX_UPDATE_ATTEMPTS = 5
+
+/**
+ * Thrown when an upload record kept changing while an update was worked out
+ * from it, so the update gave up
  */
+class UpdateConflictError extends Error {
+  constructor(uploadId) {
+    super(`Upload with ID ${uploadId} kept changing while it was updated`)
+    this.name = 'UpdateConflictError'
+    this.uploadId = uploadId
+  }
+}
+
 class RedisUploadStore {
   constructor() {
     this.logger = createLogger()
     this.keyNamespace = 'uploads'
+    this.eventsNamespace = 'upload-events'
+    this.indexNamespace = 'upload-index'
+    this.validationsNamespace = 'upload-validations'
     this.defaultTTL = 24 * 60 * 60 // 24 hours in seconds
+    this.historyTTL = 30 * 24 * 60 * 60 // 30 days in seconds
     this.fallbackStore = new Map() // In-memory fallback when Redis is unavailable
+    this.fallbackEvents = new Map() // In-memory event history fallback
+    this.fallbackIndexes = new Map() // In-memory index fallback
+    this.fallbackValidations = new Map() // In-memory validation fallback
     this.redisAvailable = true
 
     try {
@@ -65,6 +129,110 @@ class RedisUploadStore {
     return `${this.keyNamespace}:${uploadId}`
   }
 
+  /**
+   * Generate the key of an upload's event history. Kept outside the uploads
+   * namespace so getAllUploads never reads event lists as upload records.
+   * @param {string} uploadId - The upload identifier
+   * @returns {string} Namespaced Redis key
+   * @private
+   */
+  _getEventsKey(uploadId) {
+    return `${this.eventsNamespace}:${uploadId}`
+  }
+
+  /**
+   * Generate the key of an index of uploads. Kept outside the uploads
+   * namespace, like event histories.
+   * @param {string} index - Index name, e.g. organisation
+   * @param {string} value - Indexed value, e.g. an organisation id
+   * @returns {string} Namespaced Redis key
+   * @private
+   */
+  _getIndexKey(index, value) {
+    return `${this.indexNamespace}:${index}:${value}`
+  }
+
+  /**
+   * Generate the key of the validation result of an upload that is not
+   * tracked. Kept outside the uploads namespace, like event histories.
+   * @param {string} uploadId - The upload identifier
+   * @returns {string} Namespaced Redis key
+   * @private
+   */
+  _getValidationKey(uploadId) {
+    return `${this.validationsNamespace}:${uploadId}`
+  }
+
+  /**
+   * Add an upload to the indexes of the organisation and user it belongs to.
+   * Indexes are best effort, like event history, and are kept as long as it;
+   * entries whose upload has expired are skipped when an index is read.
+   * @param {string} uploadId - Upload identifier
+   * @param {object} data - Upload data
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _indexUpload(uploadId, data) {
+    for (const [field, index] of Object.entries(INDEXES)) {
+      if (!data[field]) continue
+      const key = this._getIndexKey(index, data[field])
+
+      if (this.redisAvailable && this.redisClient) {
+        try {
+          await this.redisClient.sadd(key, uploadId)
+          await this.redisClient.expire(key, this.historyTTL)
+          continue
+        } catch (error) {
+          this.logger.warn('Failed to index upload in Redis', {
+            error: error.message,
+            uploadId,
+            index
+          })
+        }
+      }
+
+      const uploadIds = this.fallbackIndexes.get(key) ?? new Set()
+      this.fallbackIndexes.set(key, uploadIds.add(uploadId))
+    }
+  }
+
+  /**
+   * Read the uploads in an index, newest first
+   * @param {string} index - Index name
+   * @param {string} value - Indexed value
+   * @param {number} limit - Maximum number of uploads to return
+   * @returns {Promise<Array>} Upload records
+   * @private
+   */
+  async _getIndexedUploads(index, value, limit) {
+    const key = this._getIndexKey(index, value)
+    let uploadIds = []
+
+    if (this.redisAvailable && this.redisClient) {
+      try {
+        uploadIds = await this.redisClient.smembers(key)
+      } catch (error) {
+        this.logger.warn('Failed to read upload index from Redis', {
+          error: error.message,
+          index
+        })
+      }
+    }
+
+    // Uploads indexed while Redis was unreachable live in the fallback
+    uploadIds = [
+      ...new Set([...uploadIds, ...(this.fallbackIndexes.get(key) ?? [])])
+    ]
+
+    const uploads = await Promise.all(
+      uploadIds.map((uploadId) => this.getUpload(uploadId))
+    )
+    return uploads
+      .filter(Boolean)
+      .sort((a, b) => (b.createdAt ?? '').localeCompare(a.createdAt ?? ''))
+      .slice(0, limit)
+  }
+
   /**
    * Safely parse JSON with error handling
    * @param {string} data - JSON string to parse
@@ -116,11 +284,15 @@ class RedisUploadStore {
       throw new Error('Upload data must be an object')
     }
 
+    if (data.status !== undefined && !isUploadStatus(data.status)) {
+      throw new Error(`Unknown upload status: ${data.status}`)
+    }
+
     const key = this._getKey(uploadId)
     const serializedData = this._safeJsonStringify({
       ...data,
       uploadId,
-      createdAt: new Date().toISOString(),
+      createdAt: data.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString()
     })
 
@@ -138,6 +310,7 @@ class RedisUploadStore {
         }
 
         this.logger.debug('Upload data stored in Redis', { uploadId, ttl })
+        await this._indexUpload(uploadId, data)
         return true
       } catch (error) {
         this.logger.warn('Redis operation failed, using fallback storage', {
@@ -158,6 +331,7 @@ class RedisUploadStore {
       uploadId,
       ttl
     })
+    await this._indexUpload(uploadId, data)
     return true
   }
 
@@ -215,10 +389,15 @@ class RedisUploadStore {
   }
 
   /**
-   * Update existing upload data
+   * Update existing upload data. Status changes must follow the upload
+   * lifecycle; see upload-lifecycle.js. In Redis the record is replaced with
+   * a compare-and-set, so concurrent updates cannot overwrite each other: an
+   * update that loses the race is worked out again from the newer record,
+   * and fails if that record's status no longer allows its transition.
    * @param {string} uploadId - Upload identifier
    * @param {object} updates - Data updates to apply
    * @returns {Promise<boolean>} Success status
+   * @throws {InvalidTransitionError} If the status change is not allowed
    */
   async updateUpload(uploadId, updates) {
     if (!uploadId || typeof uploadId !== 'string') {
@@ -229,34 +408,164 @@ class RedisUploadStore {
       throw new Error('Updates must be an object')
     }
 
-    const existingData = await this.getUpload(uploadId)
-    if (!existingData) {
+    const key = this._getKey(uploadId)
+    let updated = null
+
+    if (this.redisAvailable && this.redisClient) {
+      try {
+        updated = await this._updateInRedis(uploadId, key, updates)
+      } catch (error) {
+        if (
+          error instanceof InvalidTransitionError ||
+          error instanceof UpdateConflictError
+        ) {
+          throw error
+        }
+
+        this.logger.warn('Redis update failed, using fallback storage', {
+          error: error.message,
+          uploadId
+        })
+        this.redisAvailable = false
+      }
+    }
+
+    // Records written while Redis was unreachable live in the fallback
+    updated ??= this._updateInFallback(uploadId, key, updates)
+    if (!updated) {
       throw new Error(`Upload with ID ${uploadId} not found`)
     }
 
-    const updatedData = {
-      ...existingData,
-      ...updates,
-      updatedAt: new Date().toISOString()
+    const { previousStatus, updatedData } = updated
+    await this._indexUpload(uploadId, updatedData)
+
+    if (
+      updatedData.status !== undefined &&
+      updatedData.status !== previousStatus
+    ) {
+      await this.appendEvent(uploadId, UploadEvent.STATUS_CHANGED, {
+        from: previousStatus ?? null,
+        to: updatedData.status
+      })
     }
 
-    // Preserve original TTL by checking when it expires
-    let remainingTTL = this.defaultTTL
-    const key = this._getKey(uploadId)
+    return true
+  }
 
-    if (this.redisAvailable && this.redisClient) {
-      try {
-        remainingTTL = await this.redisClient.ttl(key)
-        if (remainingTTL === -1) remainingTTL = this.defaultTTL // No expiry set
-        if (remainingTTL === -2) remainingTTL = this.defaultTTL // Key doesn't exist
-      } catch (error) {
-        this.logger.warn('Failed to get TTL, using default', {
-          error: error.message
+  /**
+   * Work out an upload record with updates applied
+   * @param {string} uploadId - Upload identifier
+   * @param {object} existingData - Upload record as read
+   * @param {object} updates - Data updates to apply
+   * @returns {{previousStatus: ?string, updatedData: object}} Updated record
+   *   and the status it had
+   * @throws {InvalidTransitionError} If the status change is not allowed
+   * @private
+   */
+  _applyUpdates(uploadId, existingData, updates) {
+    let transitionUpdates
+    try {
+      transitionUpdates = applyTransition(uploadId, existingData, updates)
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        this.logger.warn('Rejected upload status transition', {
+          uploadId,
+          from: error.from,
+          to: error.to
         })
       }
+      throw error
     }
 
-    return await this.setUpload(uploadId, updatedData, remainingTTL)
+    return {
+      previousStatus: normaliseStatus(existingData.status),
+      updatedData: {
+        ...existingData,
+        ...transitionUpdates,
+        uploadId,
+        createdAt: existingData.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }
+    }
+  }
+
+  /**
+   * Update an upload record in Redis with a compare-and-set, working the
+   * update out again while other writers change the record under it
+   * @param {string} uploadId - Upload identifier
+   * @param {string} key - Redis key of the record
+   * @param {object} updates - Data updates to apply
+   * @returns {Promise<{previousStatus: ?string, updatedData: object}|null>}
+   *   Updated record, or null if Redis has no such record
+   * @throws {InvalidTransitionError} If the status change is not allowed
+   * @throws {UpdateConflictError} If the record kept changing
+   * @private
+   */
+  async _updateInRedis(uploadId, key, updates) {
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const stored = await this.redisClient.get(key)
+      if (!stored) return null
+
+      const existingData = this._safeJsonParse(stored)
+      if (!existingData) return null
+
+      const updated = this._applyUpdates(uploadId, existingData, updates)
+      const serializedData = this._safeJsonStringify(updated.updatedData)
+      if (!serializedData) {
+        throw new Error('Failed to serialize upload data')
+      }
+
+      const replaced = await this.redisClient.eval(
+        COMPARE_AND_SET_SCRIPT,
+        1,
+        key,
+        stored,
+        serializedData,
+        this.defaultTTL
+      )
+      if (replaced === 1) {
+        this.logger.debug('Upload data updated in Redis', { uploadId })
+        return updated
+      }
+
+      this.logger.debug('Upload changed while it was updated, retrying', {
+        uploadId,
+        attempt
+      })
+    }
+
+    throw new UpdateConflictError(uploadId)
+  }
+
+  /**
+   * Update an upload record in fallback storage. The record is read and
+   * written without awaiting in between, so no other update can run
+   * between the two.
+   * @param {string} uploadId - Upload identifier
+   * @param {string} key - Key of the record
+   * @param {object} updates - Data updates to apply
+   * @returns {{previousStatus: ?string, updatedData: object}|null} Updated
+   *   record, or null if there is no such record
+   * @throws {InvalidTransitionError} If the status change is not allowed
+   * @private
+   */
+  _updateInFallback(uploadId, key, updates) {
+    const entry = this.fallbackStore.get(key)
+    if (!entry || (entry.expiresAt && Date.now() > entry.expiresAt)) {
+      return null
+    }
+
+    const existingData = this._safeJsonParse(entry.data)
+    if (!existingData) return null
+
+    const updated = this._applyUpdates(uploadId, existingData, updates)
+    const serializedData = this._safeJsonStringify(updated.updatedData)
+    if (!serializedData) {
+      throw new Error('Failed to serialize upload data')
+    }
+
+    this.fallbackStore.set(key, { ...entry, data: serializedData })
+    return updated
   }
 
   /**
@@ -299,9 +608,176 @@ class RedisUploadStore {
       })
     }
 
+    if (deleted) {
+      await this.appendEvent(uploadId, UploadEvent.DELETED)
+    }
+
     return deleted
   }
 
+  /**
+   * Append an entry to an upload's event history. History is best effort: a
+   * failed Redis write falls back to memory without marking Redis unavailable.
+   * @param {string} uploadId - Upload identifier
+   * @param {string} type - Event type, see UploadEvent
+   * @param {object} [details] - Extra data recorded with the event
+   * @returns {Promise<object>} The recorded event
+   */
+  async appendEvent(uploadId, type, details = {}) {
+    if (!uploadId || typeof uploadId !== 'string') {
+      throw new Error('Upload ID must be a non-empty string')
+    }
+
+    if (!type || typeof type !== 'string') {
+      throw new Error('Event type must be a non-empty string')
+    }
+
+    const event = { type, at: new Date().toISOString(), ...details }
+    const serializedEvent = this._safeJsonStringify(event)
+    if (!serializedEvent) {
+      throw new Error('Failed to serialize upload event')
+    }
+
+    const key = this._getEventsKey(uploadId)
+
+    if (this.redisAvailable && this.redisClient) {
+      try {
+        await this.redisClient.rpush(key, serializedEvent)
+        await this.redisClient.expire(key, this.historyTTL)
+        return event
+      } catch (error) {
+        this.logger.warn('Failed to append upload event to Redis', {
+          error: error.message,
+          uploadId,
+          type
+        })
+      }
+    }
+
+    const entry = this.fallbackEvents.get(key)
+    const events =
+      entry && !(entry.expiresAt && Date.now() > entry.expiresAt)
+        ? entry.events
+        : []
+    events.push(serializedEvent)
+    this.fallbackEvents.set(key, {
+      events,
+      expiresAt: Date.now() + this.historyTTL * 1000
+    })
+
+    return event
+  }
+
+  /**
+   * Get an upload's event history, oldest first
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<Array>} Recorded events
+   */
+  async getEvents(uploadId) {
+    if (!uploadId || typeof uploadId !== 'string') {
+      throw new Error('Upload ID must be a non-empty string')
+    }
+
+    const key = this._getEventsKey(uploadId)
+    let serializedEvents = []
+
+    if (this.redisAvailable && this.redisClient) {
+      try {
+        serializedEvents = await this.redisClient.lrange(key, 0, -1)
+      } catch (error) {
+        this.logger.warn('Failed to read upload events from Redis', {
+          error: error.message,
+          uploadId
+        })
+      }
+    }
+
+    // Events written while Redis was unreachable live in the fallback
+    const entry = this.fallbackEvents.get(key)
+    if (entry && entry.expiresAt && Date.now() > entry.expiresAt) {
+      this.fallbackEvents.delete(key)
+    } else if (entry) {
+      serializedEvents = [...serializedEvents, ...entry.events]
+    }
+
+    return serializedEvents
+      .map((serializedEvent) => this._safeJsonParse(serializedEvent))
+      .filter(Boolean)
+      .sort((a, b) => a.at.localeCompare(b.at))
+  }
+
+  /**
+   * Keep the validation result of an upload that is not tracked, for as long
+   * as an upload record would be kept
+   * @param {string} uploadId - Upload identifier
+   * @param {object} validation - Validation result, with the `uploadedBy`
+   *   and `organisationId` of whoever uploaded the file
+   * @param {number} [ttl] - Time to live in seconds (defaults to 24 hours)
+   * @returns {Promise<boolean>} Success status
+   */
+  async setValidation(uploadId, validation, ttl = this.defaultTTL) {
+    if (!uploadId || typeof uploadId !== 'string') {
+      throw new Error('Upload ID must be a non-empty string')
+    }
+
+    const serializedValidation = this._safeJsonStringify(validation)
+    if (!serializedValidation) {
+      throw new Error('Failed to serialize upload validation')
+    }
+
+    const key = this._getValidationKey(uploadId)
+
+    if (this.redisAvailable && this.redisClient) {
+      try {
+        await this.redisClient.setex(key, ttl, serializedValidation)
+        return true
+      } catch (error) {
+        this.logger.warn('Failed to store upload validation in Redis', {
+          error: error.message,
+          uploadId
+        })
+      }
+    }
+
+    this.fallbackValidations.set(key, {
+      data: serializedValidation,
+      expiresAt: Date.now() + ttl * 1000
+    })
+    return true
+  }
+
+  /**
+   * Get the validation result kept for an upload that is not tracked
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<object|null>} Validation result or null if none is kept
+   */
+  async getValidation(uploadId) {
+    if (!uploadId || typeof uploadId !== 'string') {
+      throw new Error('Upload ID must be a non-empty string')
+    }
+
+    const key = this._getValidationKey(uploadId)
+
+    if (this.redisAvailable && this.redisClient) {
+      try {
+        const data = await this.redisClient.get(key)
+        if (data) return this._safeJsonParse(data)
+      } catch (error) {
+        this.logger.warn('Failed to read upload validation from Redis', {
+          error: error.message,
+          uploadId
+        })
+      }
+    }
+
+    const entry = this.fallbackValidations.get(key)
+    if (entry && Date.now() > entry.expiresAt) {
+      this.fallbackValidations.delete(key)
+      return null
+    }
+    return entry ? this._safeJsonParse(entry.data) : null
+  }
+
   /**
    * Check if upload exists
    * @param {string} uploadId - Upload identifier
@@ -422,6 +898,30 @@ class RedisUploadStore {
     return uploads
   }
 
+  /**
+   * Uploads submitted for an organisation, newest first
+   * @param {string} organisationId - DEFRA ID organisation id
+   * @param {number} [limit=100] - Maximum number of uploads to return
+   * @returns {Promise<Array>} Array of upload objects
+   */
+  async getUploadsByOrganisation(organisationId, limit = 100) {
+    return this._getIndexedUploads(
+      INDEXES.organisationId,
+      organisationId,
+      limit
+    )
+  }
+
+  /**
+   * Uploads submitted by a user, newest first
+   * @param {string} userId - User id (`sub` claim)
+   * @param {number} [limit=100] - Maximum number of uploads to return
+   * @returns {Promise<Array>} Array of upload objects
+   */
+  async getUploadsByUser(userId, limit = 100) {
+    return this._getIndexedUploads(INDEXES.uploadedBy, userId, limit)
+  }
+
   /**
    * Clean up expired uploads from fallback storage
    * @returns {Promise<number>} Number of uploads cleaned up
@@ -503,6 +1003,9 @@ class RedisUploadStore {
     }
 
     this.fallbackStore.clear()
+    this.fallbackEvents.clear()
+    this.fallbackIndexes.clear()
+    this.fallbackValidations.clear()
     this.logger.info('Redis upload store closed')
   }
 }
@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import { RedisUploadStore, redisUploadStore } from './redis-upload-store.js'
+import { InvalidTransitionError } from './upload-lifecycle.js'
 
 // Mock dependencies
 vi.mock('../common/helpers/redis-client.js', () => ({
@@ -7,11 +8,17 @@ vi.mock('../common/helpers/redis-client.js', () => ({
     setex: vi.fn().mockResolvedValue('OK'),
     set: vi.fn().mockResolvedValue('OK'),
     get: vi.fn().mockResolvedValue(null),
+    rpush: vi.fn().mockResolvedValue(1),
+    lrange: vi.fn().mockResolvedValue([]),
+    expire: vi.fn().mockResolvedValue(1),
     del: vi.fn().mockResolvedValue(1),
     exists: vi.fn().mockResolvedValue(0),
     keys: vi.fn().mockResolvedValue([]),
     mget: vi.fn().mockResolvedValue([]),
+    sadd: vi.fn().mockResolvedValue(1),
+    smembers: vi.fn().mockResolvedValue([]),
     ttl: vi.fn().mockResolvedValue(-1),
+    eval: vi.fn().mockResolvedValue(1),
     quit: vi.fn().mockResolvedValue('OK'),
     on: vi.fn()
   }))
@@ -230,17 +237,118 @@ describe('RedisUploadStore', () => {
 
       // Mock existing data
       mockRedisClient.get.mockResolvedValueOnce(JSON.stringify(originalData))
-      mockRedisClient.ttl.mockResolvedValueOnce(3600)
-      mockRedisClient.setex.mockResolvedValueOnce('OK')
 
       const result = await store.updateUpload(uploadId, updates)
 
       expect(result).toBe(true)
-      expect(mockRedisClient.setex).toHaveBeenCalledWith(
+      expect(mockRedisClient.eval).toHaveBeenCalledWith(
+        expect.any(String),
+        1,
         'uploads:test-upload-6',
-        3600,
-        expect.stringContaining('"status":"completed"')
+        JSON.stringify(originalData),
+        expect.stringContaining('"status":"completed"'),
+        store.defaultTTL
+      )
+      expect(mockRedisClient.setex).not.toHaveBeenCalled()
+    })
+
+    it('should stamp the time the upload entered its new status', async () => {
+      mockRedisClient.get.mockResolvedValueOnce(
+        JSON.stringify({ status: 'processing' })
+      )
+
+      await store.updateUpload('test-upload-7', { status: 'completed' })
+
+      const stored = JSON.parse(mockRedisClient.eval.mock.calls[0][4])
+      expect(stored.completedAt).toEqual(expect.any(String))
+      expect(stored.statusChangedAt).toEqual(expect.any(String))
+    })
+
+    it('should reject status transitions the lifecycle does not allow', async () => {
+      mockRedisClient.get.mockResolvedValueOnce(
+        JSON.stringify({ status: 'quarantined' })
       )
+
+      await expect(
+        store.updateUpload('test-upload-8', { status: 'completed' })
+      ).rejects.toThrow(InvalidTransitionError)
+      expect(mockRedisClient.eval).not.toHaveBeenCalled()
+      expect(store.logger.warn).toHaveBeenCalledWith(
+        'Rejected upload status transition',
+        { uploadId: 'test-upload-8', from: 'quarantined', to: 'completed' }
+      )
+    })
+
+    describe('when updates interleave', () => {
+      let records
+
+      beforeEach(() => {
+        // Enough of Redis for the compare-and-set
+        records = new Map()
+        mockRedisClient.get.mockImplementation(async (key) =>
+          records.has(key) ? records.get(key) : null
+        )
+        mockRedisClient.eval.mockImplementation(
+          async (script, keyCount, key, expected, updated) => {
+            if (records.get(key) !== expected) return 0
+            records.set(key, updated)
+            return 1
+          }
+        )
+        records.set(
+          'uploads:test-upload-16',
+          JSON.stringify({ status: 'callback_received' })
+        )
+      })
+
+      const stored = () => JSON.parse(records.get('uploads:test-upload-16'))
+
+      it('should keep the changes of both', async () => {
+        await Promise.all([
+          store.updateUpload('test-upload-16', { s3Key: 'key' }),
+          store.updateUpload('test-upload-16', { virusScanStatus: 'clean' })
+        ])
+
+        expect(stored()).toMatchObject({
+          status: 'callback_received',
+          s3Key: 'key',
+          virusScanStatus: 'clean'
+        })
+        expect(mockRedisClient.eval).toHaveBeenCalledTimes(3)
+      })
+
+      it('should not let the later one overwrite a newer status', async () => {
+        const [processing, quarantined] = await Promise.allSettled([
+          store.updateUpload('test-upload-16', { status: 'processing' }),
+          store.updateUpload('test-upload-16', { status: 'quarantined' })
+        ])
+
+        expect(processing.status).toBe('fulfilled')
+        expect(quarantined.reason).toBeInstanceOf(InvalidTransitionError)
+        expect(stored().status).toBe('processing')
+      })
+
+      it('should give up when the record keeps changing', async () => {
+        mockRedisClient.eval.mockResolvedValue(0)
+
+        await expect(
+          store.updateUpload('test-upload-16', { s3Key: 'key' })
+        ).rejects.toThrow('Upload with ID test-upload-16 kept changing')
+        expect(store.redisAvailable).toBe(true)
+      })
+    })
+
+    it('should update uploads kept in fallback storage', async () => {
+      store.redisAvailable = false
+      await store.setUpload('test-upload-17', { status: 'uploaded' })
+
+      await store.updateUpload('test-upload-17', {
+        status: 'callback_received'
+      })
+
+      expect(await store.getUpload('test-upload-17')).toMatchObject({
+        status: 'callback_received'
+      })
     })
 
     it('should throw error for non-existent upload', async () => {
@@ -301,6 +409,185 @@ describe('RedisUploadStore', () => {
     })
   })
 
+  describe('event history', () => {
+    it('should append events to a list outside the uploads namespace', async () => {
+      const event = await store.appendEvent('test-upload-9', 'created', {
+        filename: 'returns.xlsx'
+      })
+
+      expect(event).toEqual({
+        type: 'created',
+        at: expect.any(String),
+        filename: 'returns.xlsx'
+      })
+      expect(mockRedisClient.rpush).toHaveBeenCalledWith(
+        'upload-events:test-upload-9',
+        JSON.stringify(event)
+      )
+      expect(mockRedisClient.expire).toHaveBeenCalledWith(
+        'upload-events:test-upload-9',
+        store.historyTTL
+      )
+    })
+
+    it('should read events back oldest first', async () => {
+      mockRedisClient.lrange.mockResolvedValueOnce([
+        JSON.stringify({ type: 'created', at: '2025-01-01T10:00:00.000Z' }),
+        JSON.stringify({ type: 'sent_to_cdp', at: '2025-01-01T10:00:01.000Z' })
+      ])
+
+      const events = await store.getEvents('test-upload-9')
+
+      expect(events.map((event) => event.type)).toEqual([
+        'created',
+        'sent_to_cdp'
+      ])
+    })
+
+    it('should keep events in memory when Redis writes fail', async () => {
+      mockRedisClient.rpush.mockRejectedValueOnce(new Error('ECONNRESET'))
+
+      await store.appendEvent('test-upload-10', 'callback_received')
+
+      expect(store.redisAvailable).toBe(true)
+      expect(await store.getEvents('test-upload-10')).toEqual([
+        { type: 'callback_received', at: expect.any(String) }
+      ])
+    })
+
+    it('should record status changes made through updateUpload', async () => {
+      mockRedisClient.get.mockResolvedValueOnce(
+        JSON.stringify({ status: 'uploaded' })
+      )
+
+      await store.updateUpload('test-upload-11', {
+        status: 'callback_received'
+      })
+
+      expect(mockRedisClient.rpush).toHaveBeenCalledWith(
+        'upload-events:test-upload-11',
+        expect.stringContaining('"from":"uploaded","to":"callback_received"')
+      )
+    })
+
+    it('should keep the original creation time across writes', async () => {
+      const createdAt = '2025-01-01T10:00:00.000Z'
+      mockRedisClient.get.mockResolvedValueOnce(
+        JSON.stringify({ status: 'uploaded', createdAt })
+      )
+
+      await store.updateUpload('test-upload-12', { s3Key: 'key' })
+
+      const stored = JSON.parse(mockRedisClient.eval.mock.calls[0][4])
+      expect(stored.createdAt).toBe(createdAt)
+    })
+  })
+
+  describe('validations of uploads that are not tracked', () => {
+    const validation = {
+      isValid: false,
+      errors: [{ row: 2, column: 'B', message: 'Count must be a number' }],
+      uploadedBy: 'user-1',
+      organisationId: 'org-1'
+    }
+
+    it('should keep them outside the uploads namespace', async () => {
+      await store.setValidation('test-upload-13', validation)
+
+      expect(mockRedisClient.setex).toHaveBeenCalledWith(
+        'upload-validations:test-upload-13',
+        store.defaultTTL,
+        JSON.stringify(validation)
+      )
+    })
+
+    it('should read them back', async () => {
+      mockRedisClient.get.mockResolvedValueOnce(JSON.stringify(validation))
+
+      expect(await store.getValidation('test-upload-13')).toEqual(validation)
+      expect(mockRedisClient.get).toHaveBeenCalledWith(
+        'upload-validations:test-upload-13'
+      )
+    })
+
+    it('should keep them in memory when Redis writes fail', async () => {
+      mockRedisClient.setex.mockRejectedValueOnce(new Error('ECONNRESET'))
+
+      await store.setValidation('test-upload-14', validation)
+
+      expect(await store.getValidation('test-upload-14')).toEqual(validation)
+    })
+
+    it('should return null when none is kept', async () => {
+      expect(await store.getValidation('test-upload-15')).toBeNull()
+    })
+  })
+
+  describe('indexes', () => {
+    it('should index uploads by organisation and user outside the uploads namespace', async () => {
+      await store.setUpload('test-upload-13', {
+        organisationId: 'org-1',
+        uploadedBy: 'user-1'
+      })
+
+      expect(mockRedisClient.sadd).toHaveBeenCalledWith(
+        'upload-index:organisation:org-1',
+        'test-upload-13'
+      )
+      expect(mockRedisClient.sadd).toHaveBeenCalledWith(
+        'upload-index:user:user-1',
+        'test-upload-13'
+      )
+      expect(mockRedisClient.expire).toHaveBeenCalledWith(
+        'upload-index:organisation:org-1',
+        store.historyTTL
+      )
+    })
+
+    it('should not index uploads nobody is named on', async () => {
+      await store.setUpload('test-upload-14', { filename: 'returns.xlsx' })
+
+      expect(mockRedisClient.sadd).not.toHaveBeenCalled()
+    })
+
+    it("should list an organisation's uploads newest first, skipping expired ones", async () => {
+      mockRedisClient.smembers.mockResolvedValueOnce([
+        'upload-1',
+        'upload-2',
+        'expired-upload'
+      ])
+      mockRedisClient.get.mockImplementation(async (key) => {
+        const createdAt = {
+          'uploads:upload-1': '2025-01-01T10:00:00.000Z',
+          'uploads:upload-2': '2025-01-02T10:00:00.000Z'
+        }[key]
+        return createdAt ? JSON.stringify({ uploadId: key, createdAt }) : null
+      })
+
+      const uploads = await store.getUploadsByOrganisation('org-1')
+
+      expect(mockRedisClient.smembers).toHaveBeenCalledWith(
+        'upload-index:organisation:org-1'
+      )
+      expect(uploads.map(({ uploadId }) => uploadId)).toEqual([
+        'uploads:upload-2',
+        'uploads:upload-1'
+      ])
+    })
+
+    it('should keep indexes in memory when Redis is unavailable', async () => {
+      store.redisAvailable = false
+
+      await store.setUpload('test-upload-15', { uploadedBy: 'user-2' })
+      await store.setUpload('test-upload-16', { uploadedBy: 'user-3' })
+
+      const uploads = await store.getUploadsByUser('user-2')
+      expect(uploads.map(({ uploadId }) => uploadId)).toEqual([
+        'test-upload-15'
+      ])
+    })
+  })
+
   describe('existsUpload', () => {
     it('should return true for existing upload in Redis', async () => {
       const uploadId = 'test-upload-9'
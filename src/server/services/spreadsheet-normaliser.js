@@ -0,0 +1,204 @@
+import XLSX from 'xlsx'
+import {
+  DEFAULT_DATE_FORMATS,
+  isBlank,
+  normaliseHeader,
+  parseDate
+} from './dataset-validator.js'
+
+/**
+ * Spreadsheet Normaliser
+ *
+ * Converts a spreadsheet in any accepted format into the canonical files the
+ * data platform ingests: a UTF-8 CSV and a JSON-lines file with one typed
+ * record per data row. Both carry the same columns, the dataset columns
+ * followed by the submission metadata columns.
+ *
+ * With a dataset schema the columns are the schema's, in schema order and
+ * under their canonical headers, and values are typed by column: numbers,
+ * ISO 8601 dates and enum values in their listed spelling. Sheet columns the
+ * schema does not describe are dropped. Without a schema the header row is
+ * used as is and only Excel dates are converted.
+ */
+
+/**
+ * Submission metadata columns added to every record, prefixed so they cannot
+ * clash with dataset columns
+ */
+const METADATA_COLUMNS = Object.freeze({
+  uploadId: '_upload_id',
+  formId: '_form_id',
+  submissionId: '_submission_id',
+  submittedAt: '_submitted_at',
+  sourceFile: '_source_file',
+  sourceSheet: '_source_sheet',
+  sourceRow: '_source_row',
+  schemaId: '_schema_id',
+  schemaVersion: '_schema_version'
+})
+
+const CSV_LINE_ENDING = '\r\n'
+
+/**
+ * Format a date as an ISO 8601 calendar date
+ * @param {Date} date - UTC midnight of the date
+ * @returns {string} For example 2025-02-01
+ */
+const toIsoDate = (date) => date.toISOString().slice(0, 10)
+
+/**
+ * Quote a value for CSV where needed (RFC 4180)
+ * @param {*} value - Typed value
+ * @returns {string} CSV field
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return ''
+
+  const text = String(value)
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+class SpreadsheetNormaliser {
+  /**
+   * Normalise spreadsheet rows
+   * @param {Array<Array<*>>} rows - Sheet rows, header row included, as read
+   *   by SpreadsheetValidator.readDatasetRows
+   * @param {object} options - Normalisation options
+   * @param {object} [options.schema] - Dataset schema the rows were validated
+   *   against
+   * @param {number} [options.headerRow] - 1-based header row when there is no
+   *   schema
+   * @param {object} [options.metadata] - Submission metadata, keyed as
+   *   METADATA_COLUMNS
+   * @returns {{csv: Buffer, jsonl: Buffer, columns: string[], rowCount: number}}
+   *   Canonical files and what they contain
+   */
+  normalise(rows, { schema, headerRow, metadata = {} } = {}) {
+    const headerRowNumber = schema?.headerRow || headerRow || 1
+    const header = rows[headerRowNumber - 1] || []
+    const columns = schema
+      ? this._schemaColumns(header, schema)
+      : this._sheetColumns(header)
+
+    const metadataColumns = Object.entries(METADATA_COLUMNS)
+    const records = []
+
+    for (let i = headerRowNumber; i < rows.length; i++) {
+      const row = rows[i] || []
+      if (row.every(isBlank)) continue
+
+      const record = {}
+      for (const column of columns) {
+        record[column.header] = this._typeValue(row[column.index], column)
+      }
+      for (const [key, name] of metadataColumns) {
+        record[name] = key === 'sourceRow' ? i + 1 : (metadata[key] ?? null)
+      }
+      records.push(record)
+    }
+
+    const names = [
+      ...columns.map(({ header: name }) => name),
+      ...metadataColumns.map(([, name]) => name)
+    ]
+    const csvLines = [
+      names.map(toCsvField).join(','),
+      ...records.map((record) =>
+        names.map((name) => toCsvField(record[name])).join(',')
+      )
+    ]
+
+    return {
+      csv: Buffer.from(csvLines.join(CSV_LINE_ENDING) + CSV_LINE_ENDING),
+      jsonl: Buffer.from(
+        records.map((record) => JSON.stringify(record) + '\n').join('')
+      ),
+      columns: names,
+      rowCount: records.length
+    }
+  }
+
+  /**
+   * Map schema columns to their position in the sheet
+   * @param {Array<*>} header - Header row
+   * @param {object} schema - Dataset schema
+   * @returns {Array<object>} Column definitions with their sheet index, which
+   *   is undefined for optional columns the sheet leaves out
+   * @private
+   */
+  _schemaColumns(header, schema) {
+    const headerIndex = new Map(
+      header.map((name, index) => [normaliseHeader(name), index])
+    )
+
+    return schema.columns.map((column) => ({
+      ...column,
+      index: headerIndex.get(normaliseHeader(column.header))
+    }))
+  }
+
+  /**
+   * Take the columns from the header row, naming untitled columns after
+   * their letter
+   * @param {Array<*>} header - Header row
+   * @returns {Array<object>} Untyped column definitions
+   * @private
+   */
+  _sheetColumns(header) {
+    return header.map((name, index) => ({
+      header: isBlank(name)
+        ? `Column ${XLSX.utils.encode_col(index)}`
+        : String(name).trim(),
+      index
+    }))
+  }
+
+  /**
+   * Convert a cell to the type of its column. Values that do not convert are
+   * kept as text; rows reaching here have already passed validation.
+   * @param {*} value - Cell value
+   * @param {object} column - Column definition
+   * @returns {string|number|boolean|null} Typed value
+   * @private
+   */
+  _typeValue(value, column) {
+    if (column.index === undefined || isBlank(value)) return null
+
+    switch (column.type) {
+      case 'integer':
+      case 'number': {
+        const number = typeof value === 'number' ? value : Number(value)
+        return Number.isFinite(number) ? number : String(value).trim()
+      }
+
+      case 'date': {
+        const date = parseDate(value, column.formats || DEFAULT_DATE_FORMATS)
+        return date ? toIsoDate(date) : String(value).trim()
+      }
+
+      case 'enum': {
+        const text = String(value).trim()
+        return (
+          column.values.find(
+            (allowedValue) => allowedValue.toLowerCase() === text.toLowerCase()
+          ) ?? text
+        )
+      }
+
+      case 'string':
+        return String(value).trim()
+
+      default: {
+        if (value instanceof Date) {
+          const date = parseDate(value, [])
+          return date ? toIsoDate(date) : null
+        }
+        return typeof value === 'string' ? value.trim() : value
+      }
+    }
+  }
+}
+
+const spreadsheetNormaliser = new SpreadsheetNormaliser()
+
+export { spreadsheetNormaliser, SpreadsheetNormaliser, METADATA_COLUMNS }
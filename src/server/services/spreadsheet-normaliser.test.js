@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest'
+import { SpreadsheetNormaliser } from './spreadsheet-normaliser.js'
+
+const schema = {
+  id: 'samples',
+  version: 2,
+  columns: [
+    { header: 'Sample ID', type: 'string', required: true },
+    { header: 'Date Found', type: 'date', formats: ['DD/MM/YYYY'] },
+    { header: 'Count', type: 'integer' },
+    { header: 'Species', type: 'enum', values: ['Noctule', 'Serotine'] },
+    { header: 'Notes', type: 'string' }
+  ]
+}
+
+const readLines = (buffer) => buffer.toString('utf8').split('\r\n')
+
+describe('SpreadsheetNormaliser', () => {
+  const normaliser = new SpreadsheetNormaliser()
+
+  it('should type values by schema column', () => {
+    const { jsonl, rowCount } = normaliser.normalise(
+      [
+        ['count', ' Sample  ID', 'Species', 'Date Found', 'Unlisted'],
+        ['3', ' S1 ', 'noctule', '01/02/2025', 'dropped'],
+        [0, 'S2', 'Serotine', new Date(2025, 1, 3), null]
+      ],
+      { schema, metadata: { uploadId: 'upload-1', schemaId: 'samples' } }
+    )
+
+    expect(rowCount).toBe(2)
+    expect(jsonl.toString().trim().split('\n').map(JSON.parse)).toEqual([
+      expect.objectContaining({
+        'Sample ID': 'S1',
+        'Date Found': '2025-02-01',
+        Count: 3,
+        Species: 'Noctule',
+        Notes: null,
+        _upload_id: 'upload-1',
+        _schema_id: 'samples',
+        _source_row: 2
+      }),
+      expect.objectContaining({
+        'Sample ID': 'S2',
+        'Date Found': '2025-02-03',
+        Count: 0,
+        _source_row: 3
+      })
+    ])
+  })
+
+  it('should write the same columns to CSV in schema order', () => {
+    const { csv, columns } = normaliser.normalise(
+      [
+        ['Notes', 'Sample ID'],
+        ['Found "near" the barn, alive', 'S1']
+      ],
+      { schema, metadata: { uploadId: 'upload-1' } }
+    )
+
+    expect(columns.slice(0, 5)).toEqual([
+      'Sample ID',
+      'Date Found',
+      'Count',
+      'Species',
+      'Notes'
+    ])
+    expect(readLines(csv)).toEqual([
+      columns.join(','),
+      'S1,,,,"Found ""near"" the barn, alive",upload-1,,,,,,2,,',
+      ''
+    ])
+  })
+
+  it('should skip blank rows but keep source row numbers', () => {
+    const { jsonl, rowCount } = normaliser.normalise(
+      [['Sample ID'], ['S1'], [null], ['  '], ['S2']],
+      { schema }
+    )
+
+    expect(rowCount).toBe(2)
+    expect(
+      jsonl
+        .toString()
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line)._source_row)
+    ).toEqual([2, 5])
+  })
+
+  it('should keep the sheet header row when there is no schema', () => {
+    const { csv } = normaliser.normalise(
+      [
+        ['Title', null, 'Notes'],
+        [' A ', 12.5, new Date(2025, 0, 31)]
+      ],
+      { metadata: { sourceFile: 'data.xlsx' } }
+    )
+
+    expect(readLines(csv).slice(0, 2)).toEqual([
+      'Title,Column B,Notes,_upload_id,_form_id,_submission_id,_submitted_at,_source_file,_source_sheet,_source_row,_schema_id,_schema_version',
+      'A,12.5,2025-01-31,,,,,data.xlsx,,2,,'
+    ])
+  })
+
+  it('should read the header from a later row', () => {
+    const { rowCount, columns } = normaliser.normalise(
+      [['Laboratory results'], ['Sample ID'], ['S1']],
+      { headerRow: 2 }
+    )
+
+    expect(rowCount).toBe(1)
+    expect(columns[0]).toBe('Sample ID')
+  })
+})
@@ -1,13 +1,49 @@
 import XLSX from 'xlsx'
+// SheetJS community edition drops cell styles on write; this fork keeps them
+import XLSXStyle from 'xlsx-js-style'
 import csv from 'csv-parser'
 import { lookup } from 'mime-types'
 import { Readable } from 'node:stream'
 import { config } from '../../config/config.js'
+import {
+  GENERIC_MIME_TYPE,
+  acceptedExtensions,
+  describeAcceptedFormats,
+  getExtension,
+  getFormatForFilename
+} from '../../config/spreadsheet-formats.js'
+import { DatasetValidator } from './dataset-validator.js'
+import { FileTypeDetector } from './file-type-detector.js'
+
+/**
+ * Downloadable error report formats
+ */
+const REPORT_FORMATS = Object.freeze({
+  csv: {
+    bookType: 'csv',
+    contentType: 'text/csv; charset=utf-8'
+  },
+  xlsx: {
+    bookType: 'xlsx',
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }
+})
+
+const REPORT_ERRORS_HEADER = 'Errors'
+const REPORT_DATE_FORMAT = 'dd/mm/yyyy'
+// Light red, as Excel highlights invalid cells
+const REPORT_ERROR_FILL = Object.freeze({
+  patternType: 'solid',
+  fgColor: { rgb: 'FFC7CE' }
+})
 
 class SpreadsheetValidator {
   constructor() {
     this.allowedMimeTypes = config.get('storage.allowedMimeTypes')
     this.maxFileSize = config.get('storage.maxFileSize')
+    this.datasetValidator = new DatasetValidator()
+    this.fileTypeDetector = new FileTypeDetector()
   }
 
   validateFile(file) {
@@ -19,33 +55,33 @@ class SpreadsheetValidator {
     }
 
     const extension = file.originalname.toLowerCase().split('.').pop()
-    const validExtensions = ['xlsx', 'xls', 'csv']
+    const isAcceptedExtension = acceptedExtensions.includes(extension)
 
     // Check extension first
-    if (!validExtensions.includes(extension)) {
+    if (!isAcceptedExtension) {
       errors.push(`File extension .${extension} is not supported`)
     }
 
     // Get MIME type - use lookup or fallback to provided mimetype
     const mimeType =
-      file.mimetype || lookup(file.originalname) || 'application/octet-stream'
+      file.mimetype || lookup(file.originalname) || GENERIC_MIME_TYPE
 
     // If extension is valid but MIME type is generic/unknown, accept it
     const isGenericMimeType =
-      mimeType === 'application/octet-stream' ||
+      mimeType === GENERIC_MIME_TYPE ||
       mimeType === 'application/x-zip-compressed' ||
       mimeType === 'application/zip'
 
     // Only validate MIME type if it's not generic OR if extension is invalid
     if (!isGenericMimeType && !this.allowedMimeTypes.includes(mimeType)) {
       // If extension is valid, just log a warning but don't reject
-      if (validExtensions.includes(extension)) {
+      if (isAcceptedExtension) {
         console.warn(
           `File has valid extension .${extension} but unexpected MIME type: ${mimeType}`
         )
       } else {
         errors.push(
-          `File type ${mimeType} is not allowed. Supported types: .csv, .xls, .xlsx`
+          `File type ${mimeType} is not allowed. Supported types: ${describeAcceptedFormats()}`
         )
       }
     }
@@ -62,18 +98,42 @@ class SpreadsheetValidator {
     }
   }
 
+  /**
+   * Check that the content of a file is the spreadsheet format its extension
+   * claims. The extension and client MIME type alone are not trusted.
+   * @param {string} filename - Original filename
+   * @param {Buffer|{path: string}|string} source - File content, a spooled
+   *   multipart file or a file path
+   * @returns {Promise<{isValid: boolean, errors: string[], detectedFormat: ?string}>}
+   *   Result with the extension of the detected format
+   */
+  async validateFileSignature(filename, source) {
+    const extension = getExtension(filename)
+    const detected = await this.fileTypeDetector.detect(source)
+    const detectedFormat = detected?.extension ?? null
+
+    if (detectedFormat === extension) {
+      return { isValid: true, errors: [], detectedFormat }
+    }
+
+    const error = detectedFormat
+      ? `File content is a .${detectedFormat} spreadsheet, which does not match the .${extension} extension`
+      : `File content is not a valid .${extension} spreadsheet`
+
+    return { isValid: false, errors: [error], detectedFormat }
+  }
+
   async validateSpreadsheetContent(buffer, filename) {
     try {
-      const extension = filename.toLowerCase().split('.').pop()
+      const format = getFormatForFilename(filename)
 
-      switch (extension) {
-        case 'xlsx':
-        case 'xls':
+      switch (format?.parser) {
+        case 'workbook':
           return await this.validateExcelContent(buffer)
         case 'csv':
           return await this.validateCsvContent(buffer)
         default:
-          throw new Error(`Unsupported file type: ${extension}`)
+          throw new Error(`Unsupported file type: ${getExtension(filename)}`)
       }
     } catch (error) {
       const extension = filename.toLowerCase().split('.').pop()
@@ -201,6 +261,65 @@ class SpreadsheetValidator {
     })
   }
 
+  /**
+   * Read the rows of the sheet a dataset schema applies to. Text is kept as
+   * typed (no CSV date guessing); Excel date cells are returned as Dates.
+   * @param {Buffer} buffer - Spreadsheet content
+   * @param {object} schema - Dataset schema, optionally naming a sheet
+   * @returns {Array<Array<*>>} Sheet rows, header row included
+   */
+  readDatasetRows(buffer, schema) {
+    const workbook = XLSX.read(buffer, {
+      type: 'buffer',
+      raw: true,
+      cellDates: true
+    })
+    const sheetName = schema.sheet || workbook.SheetNames[0]
+    const sheet = workbook.Sheets[sheetName]
+
+    if (!sheet) {
+      throw new Error(`Sheet "${sheetName}" not found`)
+    }
+
+    return XLSX.utils.sheet_to_json(sheet, {
+      header: 1,
+      raw: true,
+      defval: null,
+      blankrows: true
+    })
+  }
+
+  /**
+   * Validate spreadsheet content against a form's dataset schema
+   * @param {Buffer} buffer - Spreadsheet content
+   * @param {string} filename - Original filename, for error messages
+   * @param {object} schema - Dataset schema from the form metadata
+   * @returns {Promise<object>} Result with row/column-addressed errors
+   */
+  async validateDataset(buffer, filename, schema) {
+    try {
+      const rows = this.readDatasetRows(buffer, schema)
+      return this.datasetValidator.validateRows(rows, schema)
+    } catch (error) {
+      const extension = filename.toLowerCase().split('.').pop()
+      return {
+        isValid: false,
+        errors: [
+          {
+            row: null,
+            column: null,
+            field: null,
+            value: null,
+            message: `Failed to parse ${extension.toUpperCase()} file: ${error.message}`
+          }
+        ],
+        rowCount: 0,
+        truncated: false,
+        schemaId: schema.id
+      }
+    }
+  }
+
   generateValidationReport(validation) {
     return {
       timestamp: new Date().toISOString(),
@@ -216,6 +335,132 @@ class SpreadsheetValidator {
         })) || []
     }
   }
+
+  /**
+   * Produce a downloadable error report. When the submitted rows are given
+   * they are echoed with an added errors column, so row numbers match the
+   * original file; XLSX reports also highlight every invalid cell and carry
+   * a comment on it.
+   * Without rows the report lists the errors on their own.
+   * @param {object} validation - Dataset validation result
+   * @param {Array<Array<*>>|null} rows - Submitted rows, header row included
+   * @param {string} format - Report format, 'csv' or 'xlsx'
+   * @returns {{content: Buffer, contentType: string, extension: string}} Report file
+   */
+  generateErrorReport(validation, rows, format) {
+    const reportFormat = REPORT_FORMATS[format]
+    if (!reportFormat) {
+      throw new Error(`Unsupported error report format: ${format}`)
+    }
+
+    const sheet = rows?.length
+      ? this._buildAnnotatedSheet(validation, rows, format === 'xlsx')
+      : this._buildErrorListSheet(validation)
+
+    const workbook = XLSX.utils.book_new()
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Errors')
+
+    return {
+      content: XLSXStyle.write(workbook, {
+        bookType: reportFormat.bookType,
+        type: 'buffer'
+      }),
+      contentType: reportFormat.contentType,
+      extension: format
+    }
+  }
+
+  /**
+   * Echo the submitted rows with the errors for each row in an extra column
+   * @param {object} validation - Dataset validation result
+   * @param {Array<Array<*>>} rows - Submitted rows
+   * @param {boolean} annotateCells - Highlight each invalid cell and add a
+   *   comment to it
+   * @returns {object} Worksheet
+   * @private
+   */
+  _buildAnnotatedSheet(validation, rows, annotateCells) {
+    const width = Math.max(...rows.map((row) => row.length))
+    const headerRow = (validation.headerRow || 1) - 1
+    const rowErrors = new Map()
+    const fileErrors = []
+
+    for (const error of validation.errors) {
+      const index = error.row ? error.row - 1 : null
+
+      // Errors about the file or its header, e.g. a missing column or no
+      // data rows, have no data row to sit against
+      if (index === null || index === headerRow || index >= rows.length) {
+        fileErrors.push(error.message)
+        continue
+      }
+
+      const messages = rowErrors.get(index) || []
+      messages.push(
+        error.column ? `${error.column}: ${error.message}` : error.message
+      )
+      rowErrors.set(index, messages)
+    }
+
+    const reportRows = rows.map((row, index) => {
+      const cells = Array.from({ length: width }, (_, i) => row[i] ?? null)
+      const errorsCell =
+        index === headerRow
+          ? REPORT_ERRORS_HEADER
+          : rowErrors.get(index)?.join('; ') || null
+      return [...cells, errorsCell]
+    })
+
+    if (fileErrors.length) {
+      reportRows.unshift([...Array(width).fill(null), fileErrors.join('; ')])
+    }
+
+    const sheet = XLSX.utils.aoa_to_sheet(reportRows, {
+      cellDates: true,
+      dateNF: REPORT_DATE_FORMAT
+    })
+
+    if (annotateCells) {
+      const offset = fileErrors.length ? 1 : 0
+
+      for (const error of validation.errors) {
+        if (!error.row || !error.column) continue
+
+        const address = XLSX.utils.encode_cell({
+          r: error.row - 1 + offset,
+          c: XLSX.utils.decode_col(error.column)
+        })
+        sheet[address] ??= { t: 's', v: '' }
+        sheet[address].s = { fill: REPORT_ERROR_FILL }
+        sheet[address].c ??= []
+        sheet[address].c.push({ a: 'Validation', t: error.message })
+      }
+    }
+
+    return sheet
+  }
+
+  /**
+   * List the errors one per row, for when the submitted rows are unavailable
+   * @param {object} validation - Dataset validation result
+   * @returns {object} Worksheet
+   * @private
+   */
+  _buildErrorListSheet(validation) {
+    return XLSX.utils.aoa_to_sheet(
+      [
+        ['Row', 'Column', 'Field', 'Value', 'Error'],
+        ...validation.errors.map((error) => [
+          error.row,
+          error.column,
+          error.field,
+          error.value,
+          error.message
+        ])
+      ],
+      { cellDates: true, dateNF: REPORT_DATE_FORMAT }
+    )
+  }
 }
 
-export { SpreadsheetValidator }
+export { SpreadsheetValidator, REPORT_FORMATS }
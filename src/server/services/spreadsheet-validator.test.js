@@ -1,4 +1,5 @@
 import { describe, it, expect, beforeEach } from 'vitest'
+import XLSX from 'xlsx'
 import { SpreadsheetValidator } from './spreadsheet-validator.js'
 
 describe('SpreadsheetValidator', () => {
@@ -65,6 +66,93 @@ describe('SpreadsheetValidator', () => {
       expect(result.isValid).toBe(false)
       expect(result.errors).toContain('File extension .exe is not supported')
     })
+
+    it.each([
+      ['results.ods', 'application/vnd.oasis.opendocument.spreadsheet'],
+      ['results.xlsm', 'application/vnd.ms-excel.sheet.macroEnabled.12'],
+      ['results.xlsb', 'application/vnd.ms-excel.sheet.binary.macroEnabled.12']
+    ])('should accept %s', (originalname, mimetype) => {
+      const result = validator.validateFile({
+        originalname,
+        mimetype,
+        size: 1024
+      })
+
+      expect(result.isValid).toBe(true)
+    })
+  })
+
+  describe('validateFileSignature', () => {
+    it('should accept content that matches the extension', async () => {
+      const result = await validator.validateFileSignature(
+        'results.csv',
+        Buffer.from('Sample ID,Count\nS1,3')
+      )
+
+      expect(result).toEqual({
+        isValid: true,
+        errors: [],
+        detectedFormat: 'csv'
+      })
+    })
+
+    it('should reject a spreadsheet saved with the wrong extension', async () => {
+      const workbook = XLSX.utils.book_new()
+      XLSX.utils.book_append_sheet(
+        workbook,
+        XLSX.utils.aoa_to_sheet([['Sample ID']]),
+        'Results'
+      )
+      const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xls' })
+
+      const result = await validator.validateFileSignature(
+        'results.xlsx',
+        buffer
+      )
+
+      expect(result.isValid).toBe(false)
+      expect(result.errors).toEqual([
+        'File content is a .xls spreadsheet, which does not match the .xlsx extension'
+      ])
+    })
+
+    it('should reject a renamed binary', async () => {
+      const result = await validator.validateFileSignature(
+        'results.xlsx',
+        Buffer.from('MZ\u0090\u0000\u0003\u0000')
+      )
+
+      expect(result.isValid).toBe(false)
+      expect(result.errors).toEqual([
+        'File content is not a valid .xlsx spreadsheet'
+      ])
+    })
+  })
+
+  describe('validateSpreadsheetContent', () => {
+    it.each(['ods', 'xlsm', 'xlsb'])(
+      'should parse %s workbooks',
+      async (bookType) => {
+        const workbook = XLSX.utils.book_new()
+        XLSX.utils.book_append_sheet(
+          workbook,
+          XLSX.utils.aoa_to_sheet([
+            ['Sample ID', 'Count'],
+            ['S1', 3]
+          ]),
+          'Results'
+        )
+        const buffer = XLSX.write(workbook, { type: 'buffer', bookType })
+
+        const result = await validator.validateSpreadsheetContent(
+          buffer,
+          `results.${bookType}`
+        )
+
+        expect(result.isValid).toBe(true)
+        expect(result.sheets[0]).toMatchObject({ name: 'Results', rowCount: 2 })
+      }
+    )
   })
 
   describe('validateCsvContent', () => {
@@ -91,6 +179,144 @@ describe('SpreadsheetValidator', () => {
     })
   })
 
+  describe('validateDataset', () => {
+    const schema = {
+      id: 'samples',
+      columns: [
+        { header: 'Sample ID', type: 'string', required: true, unique: true },
+        { header: 'Date Found', type: 'date', required: true }
+      ]
+    }
+
+    it('should validate CSV rows without guessing date formats', async () => {
+      const csvBuffer = Buffer.from(
+        'Sample ID,Date Found\nS1,01/02/2025\nS2,2025-02-01\n'
+      )
+
+      const result = await validator.validateDataset(
+        csvBuffer,
+        'samples.csv',
+        schema
+      )
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({ row: 3, column: 'B', value: '2025-02-01' })
+      ])
+    })
+
+    it('should accept Excel date cells', async () => {
+      const sheet = XLSX.utils.aoa_to_sheet([
+        ['Sample ID', 'Date Found'],
+        ['S1', new Date(2025, 1, 1)]
+      ])
+      const workbook = XLSX.utils.book_new()
+      XLSX.utils.book_append_sheet(workbook, sheet, 'Results')
+      const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+
+      const result = await validator.validateDataset(
+        buffer,
+        'samples.xlsx',
+        schema
+      )
+
+      expect(result.isValid).toBe(true)
+      expect(result.rowCount).toBe(1)
+    })
+
+    it('should report a missing sheet as a file-level error', async () => {
+      const result = await validator.validateDataset(
+        Buffer.from('Sample ID\nS1\n'),
+        'samples.csv',
+        { ...schema, sheet: 'Results' }
+      )
+
+      expect(result.isValid).toBe(false)
+      expect(result.errors[0]).toEqual(
+        expect.objectContaining({
+          row: null,
+          message: 'Failed to parse CSV file: Sheet "Results" not found'
+        })
+      )
+    })
+  })
+
+  describe('generateErrorReport', () => {
+    const rows = [
+      ['Sample ID', 'Count'],
+      ['S1', 3],
+      ['', -2]
+    ]
+    const validation = {
+      headerRow: 1,
+      errors: [
+        { row: 3, column: 'A', message: 'Sample ID is required' },
+        { row: 3, column: 'B', message: 'Count must be 0 or more' },
+        { row: 1, column: null, message: 'Missing required column "Date"' }
+      ]
+    }
+
+    const readReport = ({ content }) => {
+      const workbook = XLSX.read(content, { type: 'buffer', cellStyles: true })
+      return workbook.Sheets[workbook.SheetNames[0]]
+    }
+
+    it('should echo the rows with an errors column in CSV', () => {
+      const report = validator.generateErrorReport(validation, rows, 'csv')
+
+      expect(report.contentType).toBe('text/csv; charset=utf-8')
+      expect(report.extension).toBe('csv')
+      expect(report.content.toString().split('\n')).toEqual([
+        // Byte order mark so Excel opens the report as UTF-8
+        '\uFEFF,,"Missing required column ""Date"""',
+        'Sample ID,Count,Errors',
+        'S1,3,',
+        ',-2,A: Sample ID is required; B: Count must be 0 or more'
+      ])
+    })
+
+    it('should add a comment to each invalid cell in XLSX', () => {
+      const report = validator.generateErrorReport(validation, rows, 'xlsx')
+      const sheet = readReport(report)
+
+      expect(sheet.C2.v).toBe('Errors')
+      expect(sheet.A4.c[0].t).toBe('Sample ID is required')
+      expect(sheet.B4.c[0].t).toBe('Count must be 0 or more')
+      expect(sheet.A3.c).toBeUndefined()
+    })
+
+    it('should highlight each invalid cell in XLSX', () => {
+      const report = validator.generateErrorReport(validation, rows, 'xlsx')
+      const sheet = readReport(report)
+
+      expect(sheet.A4.s).toMatchObject({
+        patternType: 'solid',
+        fgColor: { rgb: 'FFC7CE' }
+      })
+      expect(sheet.B4.s).toMatchObject({ patternType: 'solid' })
+      expect(sheet.A3.s).not.toMatchObject({ patternType: 'solid' })
+    })
+
+    it('should list the errors on their own when the rows are unavailable', () => {
+      const report = validator.generateErrorReport(validation, null, 'xlsx')
+      const sheet = readReport(report)
+
+      expect(
+        XLSX.utils.sheet_to_json(sheet, { header: 1 }).map((row) => row[4])
+      ).toEqual([
+        'Error',
+        'Sample ID is required',
+        'Count must be 0 or more',
+        'Missing required column "Date"'
+      ])
+    })
+
+    it('should reject unknown formats', () => {
+      expect(() =>
+        validator.generateErrorReport(validation, rows, 'pdf')
+      ).toThrow('Unsupported error report format: pdf')
+    })
+  })
+
   describe('generateValidationReport', () => {
     it('should generate a comprehensive validation report', () => {
       const validation = {
@@ -1,4 +1,5 @@
 import { config } from '../../config/config.js'
+import { uploadConfig } from '../../config/upload-config.js'
 import { Readable } from 'node:stream'
 
 /**
@@ -8,41 +9,40 @@ class StorageServiceFactory {
   constructor(logger = console) {
     this.logger = logger
     this._azureService = null
+    this._s3Service = null
+    this._filesystemService = null
   }
 
   /**
    * Get Azure Storage service instance with lazy loading
-   * @returns {AzureStorageService|null} AzureStorageService instance or null if not configured
+   * @returns {Promise<object|null>} azureStorageService or null if not enabled
    */
   async getAzureService() {
     if (this._azureService === null) {
       try {
-        const connectionString = config.get('storage.azure.connectionString')
+        const isEnabled = uploadConfig.azureConfig.enabled
         const isTestMode = config.get('isTest')
 
         // In test mode, provide mock service even if not configured
-        if (
-          isTestMode &&
-          (!connectionString || connectionString.trim() === '')
-        ) {
+        if (isTestMode && !isEnabled) {
           this._azureService = this._createMockAzureService()
           this.logger.info('Using mock Azure Storage service in test mode')
           return this._azureService
         }
 
-        if (!connectionString || connectionString.trim() === '') {
+        if (!isEnabled) {
           this.logger.warn(
-            'Azure Storage service not configured - missing connection string'
+            'Azure Storage service not configured - AZURE_STORAGE_ENABLED is not true'
           )
           this._azureService = false // Mark as unavailable
           return null
         }
 
-        // Only import and instantiate when actually configured
-        const { AzureStorageService } = await import(
+        // Only import when actually configured
+        const { azureStorageService } = await import(
           '../upload/services/azure-storage-service.js'
         )
-        this._azureService = new AzureStorageService()
+        this._azureService = azureStorageService
         this.logger.info('Azure Storage service initialized successfully')
       } catch (error) {
         this.logger.error('Failed to initialize Azure Storage service', {
@@ -74,6 +74,102 @@ class StorageServiceFactory {
     return (await this.getAzureService()) !== null
   }
 
+  /**
+   * Get S3 storage service instance with lazy loading
+   * @returns {Promise<object|null>} s3StorageService or null if not enabled
+   */
+  async getS3Service() {
+    if (this._s3Service === null) {
+      if (!uploadConfig.s3Config.enabled) {
+        this._s3Service = false // Mark as unavailable
+        return null
+      }
+
+      try {
+        const { s3StorageService } = await import(
+          '../upload/services/s3-storage-service.js'
+        )
+        this._s3Service = s3StorageService
+        this.logger.info('S3 storage service initialized successfully')
+      } catch (error) {
+        this.logger.error('Failed to initialize S3 storage service', {
+          error: error.message
+        })
+        this._s3Service = false // Mark as unavailable
+      }
+    }
+
+    return this._s3Service === false ? null : this._s3Service
+  }
+
+  /**
+   * Check if S3 storage service is available
+   * @returns {boolean} True if S3 storage service is available
+   */
+  async isS3Available() {
+    return (await this.getS3Service()) !== null
+  }
+
+  /**
+   * Get filesystem storage service instance with lazy loading
+   * @returns {Promise<object|null>} filesystemStorageService or null if not
+   *   enabled
+   */
+  async getFilesystemService() {
+    if (this._filesystemService === null) {
+      if (!uploadConfig.filesystemConfig.enabled) {
+        this._filesystemService = false // Mark as unavailable
+        return null
+      }
+
+      try {
+        const { filesystemStorageService } = await import(
+          '../upload/services/filesystem-storage-service.js'
+        )
+        this._filesystemService = filesystemStorageService
+        this.logger.info(
+          'Filesystem storage service initialized successfully',
+          {
+            directory: uploadConfig.filesystemConfig.directory
+          }
+        )
+      } catch (error) {
+        this.logger.error('Failed to initialize filesystem storage service', {
+          error: error.message
+        })
+        this._filesystemService = false // Mark as unavailable
+      }
+    }
+
+    return this._filesystemService === false ? null : this._filesystemService
+  }
+
+  /**
+   * Check if filesystem storage service is available
+   * @returns {boolean} True if filesystem storage service is available
+   */
+  async isFilesystemAvailable() {
+    return (await this.getFilesystemService()) !== null
+  }
+
+  /**
+   * Get the storage service of a provider
+   * @param {string} provider - Provider name, as listed by getAvailableProviders
+   * @returns {Promise<object|null>} Storage service or null if not available
+   */
+  async getService(provider) {
+    switch (provider) {
+      case 'azure':
+        return await this.getAzureService()
+      case 's3':
+        return await this.getS3Service()
+      case 'filesystem':
+        return await this.getFilesystemService()
+      default:
+        return null
+    }
+  }
+
   /**
    * Create a mock Azure Storage service for testing
    */
@@ -133,6 +229,8 @@ class StorageServiceFactory {
   async getAvailableProviders() {
     const providers = []
     if (await this.isAzureAvailable()) providers.push('azure')
+    if (await this.isS3Available()) providers.push('s3')
+    if (await this.isFilesystemAvailable()) providers.push('filesystem')
     return providers
   }
 
@@ -141,6 +239,8 @@ class StorageServiceFactory {
    */
   reset() {
     this._azureService = null
+    this._s3Service = null
+    this._filesystemService = null
   }
 }
 
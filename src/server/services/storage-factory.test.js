@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { StorageServiceFactory } from './storage-factory.js'
+import { uploadConfig } from '../../config/upload-config.js'
+import { azureStorageService } from '../upload/services/azure-storage-service.js'
+import { s3StorageService } from '../upload/services/s3-storage-service.js'
+import { filesystemStorageService } from '../upload/services/filesystem-storage-service.js'
+
+vi.mock('../../config/upload-config.js', () => ({
+  uploadConfig: {
+    azureConfig: { enabled: true },
+    s3Config: { enabled: true },
+    filesystemConfig: { enabled: false }
+  }
+}))
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+describe('StorageServiceFactory', () => {
+  let factory
+
+  beforeEach(() => {
+    uploadConfig.azureConfig.enabled = true
+    uploadConfig.s3Config.enabled = true
+    uploadConfig.filesystemConfig.enabled = false
+    factory = new StorageServiceFactory(logger)
+  })
+
+  it('should provide the Azure and S3 services when both are enabled', async () => {
+    expect(await factory.getAzureService()).toBe(azureStorageService)
+    expect(await factory.getS3Service()).toBe(s3StorageService)
+    expect(await factory.getAvailableProviders()).toEqual(['azure', 's3'])
+  })
+
+  it('should not offer S3 unless it is enabled', async () => {
+    uploadConfig.s3Config.enabled = false
+
+    expect(await factory.getS3Service()).toBeNull()
+    expect(await factory.getAvailableProviders()).toEqual(['azure'])
+  })
+
+  it('should provide the filesystem service by provider name when enabled', async () => {
+    uploadConfig.filesystemConfig.enabled = true
+
+    expect(await factory.getService('filesystem')).toBe(
+      filesystemStorageService
+    )
+    expect(await factory.getService('ftp')).toBeNull()
+    expect(await factory.getAvailableProviders()).toEqual([
+      'azure',
+      's3',
+      'filesystem'
+    ])
+  })
+
+  it('should pick up configuration changes after a reset', async () => {
+    uploadConfig.s3Config.enabled = false
+    expect(await factory.isS3Available()).toBe(false)
+
+    uploadConfig.s3Config.enabled = true
+    factory.reset()
+
+    expect(await factory.isS3Available()).toBe(true)
+  })
+})
@@ -0,0 +1,207 @@
+/**
+ * Upload Lifecycle
+ *
+ * Single source of truth for the states an upload moves through, from receipt
+ * by the CDP uploader to delivery in Azure, and which moves between them are
+ * allowed. `redisUploadStore.updateUpload` enforces these transitions, so the
+ * status reported by the status API can be trusted.
+ *
+ * The happy path is uploaded -> callback_received -> processing -> completed.
+ * Uploads the browser sends straight to CDP (CDP_UPLOADER_MODE=direct) start
+ * as initiated, before any file has been received.
+ * Failed transfer attempts move between processing and retrying until they
+ * succeed or end in transfer_failed.
+ */
+
+const UploadStatus = Object.freeze({
+  INITIATED: 'initiated',
+  UPLOADED: 'uploaded',
+  FAILED: 'failed',
+  TIMEOUT: 'timeout',
+  CALLBACK_RECEIVED: 'callback_received',
+  QUARANTINED: 'quarantined',
+  PROCESSING: 'processing',
+  RETRYING: 'retrying',
+  COMPLETED: 'completed',
+  TRANSFER_FAILED: 'transfer_failed',
+  BUFFER_MISSING: 'buffer_missing'
+})
+
+const {
+  INITIATED,
+  UPLOADED,
+  FAILED,
+  TIMEOUT,
+  CALLBACK_RECEIVED,
+  QUARANTINED,
+  PROCESSING,
+  RETRYING,
+  COMPLETED,
+  TRANSFER_FAILED,
+  BUFFER_MISSING
+} = UploadStatus
+
+/**
+ * Entries in an upload's event history (see redisUploadStore.appendEvent)
+ */
+const UploadEvent = Object.freeze({
+  CREATED: 'created',
+  INITIATED: 'initiated',
+  SENT_TO_CDP: 'sent_to_cdp',
+  UPLOAD_FAILED: 'upload_failed',
+  CALLBACK_RECEIVED: 'callback_received',
+  SCAN_RESULT: 'scan_result',
+  VALIDATED: 'validated',
+  STATUS_CHANGED: 'status_changed',
+  TRANSFER_ATTEMPT: 'transfer_attempt',
+  TRANSFER_SUCCEEDED: 'transfer_succeeded',
+  DELIVERED: 'delivered',
+  DELIVERY_FAILED: 'delivery_failed',
+  NORMALISED: 'normalised',
+  TRANSFER_FAILED: 'transfer_failed',
+  DELETED: 'deleted'
+})
+
+/**
+ * Allowed next states for each state. A state missing from every list can
+ * only be the first state of an upload; an empty list marks a final state.
+ */
+const TRANSITIONS = Object.freeze({
+  // The browser may never post the file, so an initiated upload can time out
+  [INITIATED]: [UPLOADED, CALLBACK_RECEIVED, QUARANTINED, TIMEOUT],
+  [UPLOADED]: [CALLBACK_RECEIVED, QUARANTINED, PROCESSING, TIMEOUT],
+  [FAILED]: [],
+  // A late callback or a direct CDP status poll can still settle a timeout
+  [TIMEOUT]: [CALLBACK_RECEIVED, QUARANTINED, PROCESSING],
+  [CALLBACK_RECEIVED]: [PROCESSING, QUARANTINED, BUFFER_MISSING],
+  [QUARANTINED]: [],
+  [PROCESSING]: [COMPLETED, RETRYING, TRANSFER_FAILED, BUFFER_MISSING],
+  [RETRYING]: [PROCESSING, TRANSFER_FAILED, BUFFER_MISSING],
+  // Manual retry from the pipeline retry endpoint
+  [TRANSFER_FAILED]: [PROCESSING, RETRYING, BUFFER_MISSING],
+  [COMPLETED]: [],
+  [BUFFER_MISSING]: []
+})
+
+/**
+ * Timestamp field set when an upload enters each state
+ */
+const TRANSITION_TIMESTAMPS = Object.freeze({
+  [INITIATED]: 'initiatedAt',
+  [UPLOADED]: 'uploadedAt',
+  [FAILED]: 'failedAt',
+  [TIMEOUT]: 'timedOutAt',
+  [CALLBACK_RECEIVED]: 'processedAt',
+  [QUARANTINED]: 'quarantinedAt',
+  [PROCESSING]: 'processingStartedAt',
+  [RETRYING]: 'retryScheduledAt',
+  [COMPLETED]: 'completedAt',
+  [TRANSFER_FAILED]: 'failedAt',
+  [BUFFER_MISSING]: 'failedAt'
+})
+
+/**
+ * Statuses written by earlier releases, mapped to their current state so
+ * records created before the lifecycle existed can still move forward
+ */
+const LEGACY_STATUSES = Object.freeze({
+  awaiting_callback: UPLOADED,
+  pending: UPLOADED,
+  virus_scan_complete: CALLBACK_RECEIVED,
+  error: TRANSFER_FAILED
+})
+
+/**
+ * Thrown when an update would move an upload into a state it cannot reach
+ * from its current one
+ */
+class InvalidTransitionError extends Error {
+  constructor(uploadId, from, to) {
+    super(`Invalid upload status transition for ${uploadId}: ${from} -> ${to}`)
+    this.name = 'InvalidTransitionError'
+    this.uploadId = uploadId
+    this.from = from
+    this.to = to
+  }
+}
+
+/**
+ * Check whether a value is a lifecycle state
+ * @param {string} status - Candidate status
+ * @returns {boolean} True for a known state
+ */
+const isUploadStatus = (status) => Object.hasOwn(TRANSITIONS, status)
+
+/**
+ * Map a stored status, including legacy ones, to its lifecycle state
+ * @param {string} [status] - Stored status
+ * @returns {string|undefined} Lifecycle state, or the input if unrecognised
+ */
+const normaliseStatus = (status) => LEGACY_STATUSES[status] ?? status
+
+/**
+ * Check whether an upload in one state may move to another. Re-entering the
+ * current state is always allowed so other fields can be updated.
+ * @param {string} [from] - Current status, if the upload has one
+ * @param {string} to - Requested status
+ * @returns {boolean} Whether the transition is allowed
+ */
+const canTransition = (from, to) => {
+  if (!isUploadStatus(to)) return false
+
+  const current = normaliseStatus(from)
+  if (current === undefined || current === to) return true
+
+  return TRANSITIONS[current]?.includes(to) ?? false
+}
+
+/**
+ * Check whether a state is final
+ * @param {string} status - Upload status
+ * @returns {boolean} True if no further transitions are allowed
+ */
+const isFinalStatus = (status) =>
+  TRANSITIONS[normaliseStatus(status)]?.length === 0
+
+/**
+ * Apply a status change to an update, validating the transition and stamping
+ * the time the upload entered the new state
+ * @param {string} uploadId - Upload identifier
+ * @param {object} existingData - Stored upload record
+ * @param {object} updates - Requested updates, possibly including `status`
+ * @returns {object} Updates to store
+ * @throws {InvalidTransitionError} If the transition is not allowed
+ */
+const applyTransition = (uploadId, existingData, updates) => {
+  const { status: to, ...otherUpdates } = updates
+
+  // Callers may pass an undefined status when there is nothing to change
+  if (to === undefined) return otherUpdates
+
+  const from = existingData?.status
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(uploadId, from, to)
+  }
+
+  if (normaliseStatus(from) === to) {
+    return { ...otherUpdates, status: to }
+  }
+
+  const timestampField = TRANSITION_TIMESTAMPS[to]
+  return {
+    [timestampField]: new Date().toISOString(),
+    ...updates,
+    statusChangedAt: new Date().toISOString()
+  }
+}
+
+export {
+  UploadStatus,
+  UploadEvent,
+  InvalidTransitionError,
+  isUploadStatus,
+  normaliseStatus,
+  canTransition,
+  isFinalStatus,
+  applyTransition
+}
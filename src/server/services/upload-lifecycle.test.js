@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest'
+import {
+  UploadStatus,
+  InvalidTransitionError,
+  applyTransition,
+  canTransition,
+  isFinalStatus,
+  isUploadStatus,
+  normaliseStatus
+} from './upload-lifecycle.js'
+
+describe('upload lifecycle', () => {
+  describe('canTransition', () => {
+    it('should allow the happy path', () => {
+      expect(canTransition('uploaded', 'callback_received')).toBe(true)
+      expect(canTransition('callback_received', 'processing')).toBe(true)
+      expect(canTransition('processing', 'completed')).toBe(true)
+    })
+
+    it('should let a direct upload move on once CDP has the file', () => {
+      expect(canTransition('initiated', 'uploaded')).toBe(true)
+      expect(canTransition('initiated', 'callback_received')).toBe(true)
+      expect(canTransition('initiated', 'processing')).toBe(false)
+    })
+
+    it('should allow retries between processing and retrying', () => {
+      expect(canTransition('processing', 'retrying')).toBe(true)
+      expect(canTransition('retrying', 'processing')).toBe(true)
+      expect(canTransition('transfer_failed', 'processing')).toBe(true)
+    })
+
+    it('should not allow leaving a final state', () => {
+      expect(canTransition('completed', 'processing')).toBe(false)
+      expect(canTransition('quarantined', 'callback_received')).toBe(false)
+      expect(canTransition('buffer_missing', 'retrying')).toBe(false)
+    })
+
+    it('should not allow skipping the virus scan', () => {
+      expect(canTransition('uploaded', 'completed')).toBe(false)
+    })
+
+    it('should allow re-entering the current state', () => {
+      expect(canTransition('completed', 'completed')).toBe(true)
+    })
+
+    it('should allow any state for an upload with no status yet', () => {
+      expect(canTransition(undefined, 'callback_received')).toBe(true)
+    })
+
+    it('should reject unknown target states', () => {
+      expect(canTransition('uploaded', 'virus_scan_complete')).toBe(false)
+    })
+
+    it('should move legacy statuses forward from their current state', () => {
+      expect(canTransition('awaiting_callback', 'callback_received')).toBe(true)
+      expect(canTransition('virus_scan_complete', 'processing')).toBe(true)
+      expect(canTransition('awaiting_callback', 'completed')).toBe(false)
+    })
+  })
+
+  describe('applyTransition', () => {
+    it('should stamp the timestamp for the new state', () => {
+      const updates = applyTransition(
+        'upload-1',
+        { status: 'processing' },
+        { status: UploadStatus.COMPLETED, azureTransferred: true }
+      )
+
+      expect(updates).toEqual({
+        status: 'completed',
+        azureTransferred: true,
+        completedAt: expect.any(String),
+        statusChangedAt: expect.any(String)
+      })
+    })
+
+    it('should keep a timestamp supplied by the caller', () => {
+      const updates = applyTransition(
+        'upload-1',
+        { status: 'uploaded' },
+        { status: 'callback_received', processedAt: '2025-01-01T00:00:00Z' }
+      )
+
+      expect(updates.processedAt).toBe('2025-01-01T00:00:00Z')
+    })
+
+    it('should leave the status alone when none is given', () => {
+      expect(
+        applyTransition(
+          'upload-1',
+          { status: 'uploaded' },
+          { status: undefined, s3Key: 'key' }
+        )
+      ).toEqual({ s3Key: 'key' })
+    })
+
+    it('should throw for an illegal transition', () => {
+      expect(() =>
+        applyTransition(
+          'upload-1',
+          { status: 'completed' },
+          { status: 'retrying' }
+        )
+      ).toThrow(InvalidTransitionError)
+    })
+  })
+
+  describe('helpers', () => {
+    it('should recognise lifecycle states', () => {
+      expect(isUploadStatus('timeout')).toBe(true)
+      expect(isUploadStatus('error')).toBe(false)
+    })
+
+    it('should map legacy statuses to lifecycle states', () => {
+      expect(normaliseStatus('awaiting_callback')).toBe('uploaded')
+      expect(normaliseStatus('completed')).toBe('completed')
+    })
+
+    it('should identify final states', () => {
+      expect(isFinalStatus('completed')).toBe(true)
+      expect(isFinalStatus('transfer_failed')).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,202 @@
+import { createHash } from 'node:crypto'
+import { config } from '../../config/config.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import { getDatasetSchema } from '../forms/dataset-schemas.js'
+import { SpreadsheetValidator } from './spreadsheet-validator.js'
+import { spreadsheetNormaliser } from './spreadsheet-normaliser.js'
+import { redisUploadStore } from './redis-upload-store.js'
+import { uploadStagingStore } from './upload-staging-store.js'
+import { UploadEvent } from './upload-lifecycle.js'
+
+/**
+ * Upload Normalisation Service
+ *
+ * Delivers canonical copies of a clean spreadsheet next to the original, so
+ * the data platform reads one CSV and one JSON-lines layout whatever format
+ * the data provider uploaded (see SpreadsheetNormaliser). Runs as part of the
+ * Azure transfer, while the file is still staged.
+ */
+
+const NORMALISED_CSV_CONTENT_TYPE = 'text/csv; charset=utf-8'
+const NORMALISED_JSONL_CONTENT_TYPE = 'application/x-ndjson'
+
+/**
+ * Names of the canonical copies of a delivered spreadsheet
+ * @param {string} spreadsheetFilename - Filename of the original
+ * @returns {{csv: string, jsonl: string}} Filenames of the copies
+ */
+const getNormalisedFilenames = (spreadsheetFilename) => {
+  const basename = spreadsheetFilename.replace(/\.[^/.]+$/, '')
+  return {
+    csv: `${basename}.normalised.csv`,
+    jsonl: `${basename}.jsonl`
+  }
+}
+
+class UploadNormalisationService {
+  constructor(validator = new SpreadsheetValidator()) {
+    this.logger = createLogger()
+    this.validator = validator
+    this.normaliser = spreadsheetNormaliser
+    this.enabled = config.get('storage.normalisation.enabled')
+  }
+
+  /**
+   * Normalise a staged upload and deliver the canonical copies. Uploads that
+   * cannot be normalised (failed validation, no longer staged, unreadable)
+   * are skipped so the original is still delivered; storage errors are thrown
+   * so the transfer is retried.
+   * @param {string} uploadId - Upload identifier
+   * @param {object} upload - Tracked upload record
+   * @param {object} options - Delivery options
+   * @param {string} options.spreadsheetFilename - Filename the original was
+   *   delivered under
+   * @param {object} options.storage - Storage service the original was
+   *   delivered with, exposing uploadFile
+   * @param {object} [options.pathContext] - Blob path context the original
+   *   was delivered with, so the copies land next to it
+   * @returns {Promise<{csvBlobName: string, jsonlBlobName: string, rowCount: number, schemaId: ?string, files: Array<object>}|null>}
+   *   Delivered copies, with the manifest entry of each in `files`, or null
+   *   if the upload was skipped
+   */
+  async deliverNormalisedCopies(uploadId, upload, options) {
+    const { spreadsheetFilename, storage, pathContext } = options
+    const { validation } = upload
+
+    if (!this.enabled) return null
+
+    if (validation && !validation.isValid) {
+      this.logger.warn('Upload failed validation, skipping normalisation', {
+        uploadId
+      })
+      return null
+    }
+
+    const buffer = await uploadStagingStore.readFile(uploadId)
+    if (!buffer) {
+      this.logger.warn('Upload is not staged, skipping normalisation', {
+        uploadId
+      })
+      return null
+    }
+
+    const schema = getDatasetSchema(validation?.schemaId)
+    const sheet = validation?.sheet ?? schema?.sheet ?? null
+
+    let normalised
+    try {
+      const rows = this.validator.readDatasetRows(buffer, { sheet })
+
+      normalised = this.normaliser.normalise(rows, {
+        schema,
+        headerRow: validation?.headerRow,
+        metadata: {
+          uploadId,
+          formId: upload.formData?.formId,
+          submissionId: upload.formData?.submissionId,
+          submittedAt: upload.formData?.submittedAt ?? upload.uploadedAt,
+          sourceFile: upload.originalFilename ?? spreadsheetFilename,
+          sourceSheet: sheet,
+          schemaId: schema?.id,
+          schemaVersion: schema?.version
+        }
+      })
+    } catch (error) {
+      this.logger.warn('Upload could not be read, skipping normalisation', {
+        uploadId,
+        error: error.message
+      })
+      return null
+    }
+
+    const filenames = getNormalisedFilenames(spreadsheetFilename)
+    const blobMetadata = {
+      relatedSpreadsheet: spreadsheetFilename,
+      originalFilename: upload.originalFilename,
+      rowCount: String(normalised.rowCount),
+      ...(schema && { schemaId: schema.id }),
+      virusScanStatus: 'clean',
+      transferredAt: new Date().toISOString()
+    }
+
+    const delivery = { storage, pathContext, blobMetadata }
+    const csvFile = await this._deliverCopy(uploadId, delivery, {
+      type: 'normalised-csv',
+      filename: filenames.csv,
+      contentType: NORMALISED_CSV_CONTENT_TYPE,
+      content: normalised.csv
+    })
+    const jsonlFile = await this._deliverCopy(uploadId, delivery, {
+      type: 'normalised-jsonl',
+      filename: filenames.jsonl,
+      contentType: NORMALISED_JSONL_CONTENT_TYPE,
+      content: normalised.jsonl
+    })
+
+    const summary = {
+      csvBlobName: csvFile.blobName,
+      jsonlBlobName: jsonlFile.blobName,
+      rowCount: normalised.rowCount,
+      schemaId: schema?.id ?? null
+    }
+
+    try {
+      await redisUploadStore.appendEvent(
+        uploadId,
+        UploadEvent.NORMALISED,
+        summary
+      )
+    } catch (error) {
+      this.logger.warn('Failed to record upload normalisation', {
+        uploadId,
+        error: error.message
+      })
+    }
+
+    return { ...summary, files: [csvFile, jsonlFile] }
+  }
+
+  /**
+   * Deliver one canonical copy
+   * @param {string} uploadId - Upload identifier
+   * @param {{storage: object, pathContext: object, blobMetadata: object}} delivery
+   *   Where the copy goes and the blob metadata shared by both copies
+   * @param {{type: string, filename: string, contentType: string, content: Buffer}} copy
+   *   Copy to deliver
+   * @returns {Promise<object>} Manifest entry of the delivered copy
+   * @private
+   */
+  async _deliverCopy(uploadId, delivery, copy) {
+    const { storage, pathContext, blobMetadata } = delivery
+    const { type, filename, contentType, content } = copy
+
+    const { blobName } = await storage.uploadFile(
+      uploadId,
+      {
+        buffer: content,
+        originalname: filename,
+        mimetype: contentType,
+        size: content.length
+      },
+      { ...blobMetadata, originalName: filename, contentType, type },
+      { pathContext }
+    )
+
+    return {
+      role: type,
+      blobName,
+      filename,
+      contentType,
+      size: content.length,
+      sha256: createHash('sha256').update(content).digest('hex')
+    }
+  }
+}
+
+const uploadNormalisationService = new UploadNormalisationService()
+
+export {
+  uploadNormalisationService,
+  UploadNormalisationService,
+  getNormalisedFilenames
+}
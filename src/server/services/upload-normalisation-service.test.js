@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import XLSX from 'xlsx'
+import {
+  UploadNormalisationService,
+  getNormalisedFilenames
+} from './upload-normalisation-service.js'
+import { redisUploadStore } from './redis-upload-store.js'
+import { uploadStagingStore } from './upload-staging-store.js'
+import { UploadEvent } from './upload-lifecycle.js'
+
+vi.mock('../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }))
+}))
+
+vi.mock('./redis-upload-store.js', () => ({
+  redisUploadStore: { appendEvent: vi.fn() }
+}))
+
+vi.mock('./upload-staging-store.js', () => ({
+  uploadStagingStore: { readFile: vi.fn() }
+}))
+
+const options = {
+  spreadsheetFilename: 'results_2025-01-01T00-00-00-000Z.xlsx'
+}
+
+const writeWorkbook = (rows) => {
+  const workbook = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(rows),
+    'Results'
+  )
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+}
+
+describe('UploadNormalisationService', () => {
+  let service
+  let storage
+
+  beforeEach(() => {
+    service = new UploadNormalisationService()
+    storage = {
+      uploadFile: vi.fn(async (uploadId, file) => ({
+        blobName: file.originalname
+      }))
+    }
+    uploadStagingStore.readFile.mockResolvedValue(
+      writeWorkbook([
+        ['Sample ID', 'Count'],
+        ['S1', 3]
+      ])
+    )
+  })
+
+  describe('getNormalisedFilenames', () => {
+    it('should name the copies after the original', () => {
+      expect(getNormalisedFilenames('results_2025.xlsx')).toEqual({
+        csv: 'results_2025.normalised.csv',
+        jsonl: 'results_2025.jsonl'
+      })
+    })
+  })
+
+  describe('deliverNormalisedCopies', () => {
+    it('should deliver CSV and JSON-lines copies next to the original', async () => {
+      const result = await service.deliverNormalisedCopies(
+        'upload-1',
+        {
+          originalFilename: 'results.xlsx',
+          formData: { formId: 'bat-rabies', submittedAt: '2025-01-01' }
+        },
+        { ...options, storage }
+      )
+
+      const summary = {
+        csvBlobName: 'results_2025-01-01T00-00-00-000Z.normalised.csv',
+        jsonlBlobName: 'results_2025-01-01T00-00-00-000Z.jsonl',
+        rowCount: 1,
+        schemaId: null
+      }
+      expect(result).toEqual({
+        ...summary,
+        files: [
+          expect.objectContaining({
+            role: 'normalised-csv',
+            blobName: summary.csvBlobName,
+            sha256: expect.stringMatching(/^[0-9a-f]{64}$/)
+          }),
+          expect.objectContaining({
+            role: 'normalised-jsonl',
+            blobName: summary.jsonlBlobName,
+            contentType: 'application/x-ndjson'
+          })
+        ]
+      })
+
+      const [[, csvFile, csvMetadata], [, jsonlFile]] =
+        storage.uploadFile.mock.calls
+      expect(csvMetadata).toMatchObject({
+        type: 'normalised-csv',
+        contentType: 'text/csv; charset=utf-8',
+        relatedSpreadsheet: options.spreadsheetFilename,
+        rowCount: '1'
+      })
+      expect(csvFile.buffer.toString().split('\r\n')[1]).toBe(
+        'S1,3,upload-1,bat-rabies,,2025-01-01,results.xlsx,,2,,'
+      )
+      expect(JSON.parse(jsonlFile.buffer.toString())).toMatchObject({
+        'Sample ID': 'S1',
+        Count: 3,
+        _form_id: 'bat-rabies'
+      })
+      expect(redisUploadStore.appendEvent).toHaveBeenCalledWith(
+        'upload-1',
+        UploadEvent.NORMALISED,
+        summary
+      )
+    })
+
+    it('should use the schema the upload was validated against', async () => {
+      uploadStagingStore.readFile.mockResolvedValue(
+        Buffer.from('Sample ID,Date Found,Species\nBR-1,01/02/2025,noctule\n')
+      )
+
+      const result = await service.deliverNormalisedCopies(
+        'upload-1',
+        {
+          validation: {
+            isValid: true,
+            schemaId: 'bat-rabies-results',
+            headerRow: 1
+          }
+        },
+        { spreadsheetFilename: 'results.csv', storage }
+      )
+
+      const record = JSON.parse(
+        storage.uploadFile.mock.calls[1][1].buffer.toString()
+      )
+      expect(result.schemaId).toBe('bat-rabies-results')
+      expect(record).toMatchObject({
+        'Sample ID': 'BR-1',
+        'Date Found': '2025-02-01',
+        Species: 'Noctule',
+        _schema_id: 'bat-rabies-results',
+        _schema_version: 1
+      })
+    })
+
+    it('should skip uploads that failed validation', async () => {
+      const result = await service.deliverNormalisedCopies(
+        'upload-1',
+        { validation: { isValid: false } },
+        { ...options, storage }
+      )
+
+      expect(result).toBeNull()
+      expect(storage.uploadFile).not.toHaveBeenCalled()
+    })
+
+    it('should skip uploads that are no longer staged', async () => {
+      uploadStagingStore.readFile.mockResolvedValue(null)
+
+      const result = await service.deliverNormalisedCopies(
+        'upload-1',
+        {},
+        { ...options, storage }
+      )
+
+      expect(result).toBeNull()
+      expect(storage.uploadFile).not.toHaveBeenCalled()
+    })
+
+    it('should skip uploads that cannot be read', async () => {
+      const result = await service.deliverNormalisedCopies(
+        'upload-1',
+        { validation: { isValid: true, sheet: 'Missing' } },
+        { ...options, storage }
+      )
+
+      expect(result).toBeNull()
+      expect(storage.uploadFile).not.toHaveBeenCalled()
+    })
+
+    it('should let storage errors through so the transfer is retried', async () => {
+      storage.uploadFile.mockRejectedValue(new Error('Azure upload failed'))
+
+      await expect(
+        service.deliverNormalisedCopies('upload-1', {}, { ...options, storage })
+      ).rejects.toThrow('Azure upload failed')
+    })
+
+    it('should do nothing when normalisation is disabled', async () => {
+      service.enabled = false
+
+      const result = await service.deliverNormalisedCopies(
+        'upload-1',
+        {},
+        { ...options, storage }
+      )
+
+      expect(result).toBeNull()
+      expect(uploadStagingStore.readFile).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,349 @@
+import { createHash } from 'node:crypto'
+import fs from 'node:fs'
+import fsp from 'node:fs/promises'
+import path from 'node:path'
+import { Readable, Transform } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import { config } from '../../config/config.js'
+import { redisUploadStore } from './redis-upload-store.js'
+import { isFinalStatus } from './upload-lifecycle.js'
+
+/**
+ * Upload Staging Store
+ *
+ * Holds the raw bytes of an upload on disk between receipt and the post-scan
+ * transfer, keyed by uploadId. Files are written and read as streams so an
+ * upload never has to be held in process memory or Redis. Each file is
+ * hashed as it is staged and its SHA-256 kept beside it, so large files are
+ * never read again just to be checksummed.
+ */
+
+// Suffix of the file holding a staged file's SHA-256; upload ids cannot
+// contain a dot, so it never clashes with a staged file
+const CHECKSUM_SUFFIX = '.sha256'
+class UploadStagingStore {
+  constructor(directory = config.get('storage.staging.directory')) {
+    this.logger = createLogger()
+    this.directory = directory
+    this.ttl = config.get('storage.staging.ttl')
+  }
+
+  /**
+   * Resolve the on-disk path for an upload, refusing ids that could escape
+   * the staging directory
+   * @param {string} uploadId - Upload identifier
+   * @returns {string} Absolute file path
+   * @private
+   */
+  _getPath(uploadId) {
+    if (!uploadId || typeof uploadId !== 'string') {
+      throw new Error('Upload ID must be a non-empty string')
+    }
+
+    if (!/^[\w-]+$/.test(uploadId)) {
+      throw new Error(`Invalid upload ID for staging: ${uploadId}`)
+    }
+
+    return path.join(this.directory, uploadId)
+  }
+
+  /**
+   * Resolve the path of the checksum saved with a staged file
+   * @param {string} uploadId - Upload identifier
+   * @returns {string} Absolute file path
+   * @private
+   */
+  _getChecksumPath(uploadId) {
+    return `${this._getPath(uploadId)}${CHECKSUM_SUFFIX}`
+  }
+
+  /**
+   * Check whether a source is a multipart file hapi has already spooled to
+   * disk (route payload `multipart: { output: 'file' }`)
+   * @param {*} source - Candidate source
+   * @returns {boolean} True for a spooled file descriptor
+   * @private
+   */
+  _isSpooledFile(source) {
+    return (
+      !!source &&
+      typeof source.path === 'string' &&
+      typeof source.pipe !== 'function'
+    )
+  }
+
+  /**
+   * Ensure the staging directory exists. hapi spools multipart files into it,
+   * so it must be present before the upload routes receive traffic.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    await fsp.mkdir(this.directory, { recursive: true })
+  }
+
+  /**
+   * Move a file into the staging area, taking its SHA-256 on the way.
+   * Spooled multipart files are renamed into place and read once to hash
+   * them; streams and buffers are hashed as they are piped to disk.
+   * @param {string} uploadId - Upload identifier
+   * @param {Readable|Buffer|{path: string}} source - Readable stream, buffer or spooled file
+   * @returns {Promise<{path: string, size: number, sha256: string}>} Staged
+   *   file location, size and hex digest
+   */
+  async stage(uploadId, source) {
+    const filePath = this._getPath(uploadId)
+    const checksumPath = this._getChecksumPath(uploadId)
+    const hash = createHash('sha256')
+    await this.init()
+
+    let sha256
+    try {
+      if (this._isSpooledFile(source)) {
+        await this._moveFile(source.path, filePath)
+        await pipeline(fs.createReadStream(filePath), hash)
+      } else {
+        const input = Buffer.isBuffer(source) ? Readable.from([source]) : source
+        if (!input || typeof input.pipe !== 'function') {
+          throw new Error(
+            'Staging source must be a readable stream, buffer or spooled file'
+          )
+        }
+
+        const hashing = new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk)
+            callback(null, chunk)
+          }
+        })
+        await pipeline(input, hashing, fs.createWriteStream(filePath))
+      }
+
+      sha256 = hash.digest('hex')
+      await fsp.writeFile(checksumPath, sha256)
+    } catch (error) {
+      await fsp.rm(filePath, { force: true })
+      await fsp.rm(checksumPath, { force: true })
+      throw new Error(`Failed to stage upload: ${error.message}`)
+    }
+
+    const { size } = await fsp.stat(filePath)
+    this.logger.debug('Upload staged', { uploadId, size })
+
+    return { path: filePath, size, sha256 }
+  }
+
+  /**
+   * Rename a file, falling back to copy and delete across devices
+   * @param {string} from - Source path
+   * @param {string} to - Destination path
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _moveFile(from, to) {
+    try {
+      await fsp.rename(from, to)
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error
+
+      await pipeline(fs.createReadStream(from), fs.createWriteStream(to))
+      await fsp.rm(from, { force: true })
+    }
+  }
+
+  /**
+   * Discard a source that was never staged, e.g. a spooled multipart file
+   * left behind when the upload failed before staging
+   * @param {*} source - Source passed to stage()
+   * @returns {Promise<void>}
+   */
+  async release(source) {
+    if (this._isSpooledFile(source)) {
+      await fsp.rm(source.path, { force: true })
+    }
+  }
+
+  /**
+   * Open a staged file for reading
+   * @param {string} uploadId - Upload identifier
+   * @param {{start?: number, end?: number}} [range] - Inclusive byte range to
+   *   read, for uploads sent in blocks
+   * @returns {fs.ReadStream} Stream of the staged bytes
+   */
+  createReadStream(uploadId, range) {
+    return fs.createReadStream(this._getPath(uploadId), range)
+  }
+
+  /**
+   * Open a staged file as a file-backed Blob, suitable for streaming in a
+   * multipart fetch body without reading it into memory
+   * @param {string} uploadId - Upload identifier
+   * @param {string} [type] - Content type of the blob
+   * @returns {Promise<Blob>} File-backed Blob
+   */
+  async openAsBlob(uploadId, type) {
+    return await fs.openAsBlob(this._getPath(uploadId), { type })
+  }
+
+  /**
+   * Read a staged file into memory. Only for consumers that need the whole
+   * file at once, such as spreadsheet parsing.
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<Buffer|null>} Staged bytes or null if not staged
+   */
+  async readFile(uploadId) {
+    try {
+      return await fsp.readFile(this._getPath(uploadId))
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  /**
+   * Get size of a staged file
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<number|null>} Size in bytes or null if not staged
+   */
+  async getSize(uploadId) {
+    try {
+      const { size } = await fsp.stat(this._getPath(uploadId))
+      return size
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  /**
+   * Get the SHA-256 checksum taken when a file was staged. Files staged
+   * before checksums were kept are hashed now, reading them as a stream.
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<string|null>} Hex digest or null if not staged
+   */
+  async getChecksum(uploadId) {
+    try {
+      return await fsp.readFile(this._getChecksumPath(uploadId), 'utf8')
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+
+    const hash = createHash('sha256')
+    try {
+      await pipeline(this.createReadStream(uploadId), hash)
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+    return hash.digest('hex')
+  }
+
+  /**
+   * Check whether an upload is staged
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<boolean>} Whether a staged file exists
+   */
+  async exists(uploadId) {
+    return (await this.getSize(uploadId)) !== null
+  }
+
+  /**
+   * Remove a staged file and its checksum
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<boolean>} True if a file was removed
+   */
+  async remove(uploadId) {
+    const existed = await this.exists(uploadId)
+    await fsp.rm(this._getPath(uploadId), { force: true })
+    await fsp.rm(this._getChecksumPath(uploadId), { force: true })
+
+    if (existed) {
+      this.logger.debug('Staged upload removed', { uploadId })
+    }
+    return existed
+  }
+
+  /**
+   * Check whether a staged file still belongs to an upload that has not
+   * reached a final state. Files hapi spooled but never staged have no
+   * upload record, so are never in use.
+   * @param {string} uploadId - Upload identifier (the staged file's name)
+   * @returns {Promise<boolean>} Whether the file must be kept
+   * @private
+   */
+  async _isInUse(uploadId) {
+    try {
+      const upload = await redisUploadStore.getUpload(uploadId)
+      return !!upload && !isFinalStatus(upload.status)
+    } catch (error) {
+      // Without the record there is no knowing, so keep the file for now
+      this.logger.warn('Failed to check upload before removing staged file', {
+        uploadId,
+        error: error.message
+      })
+      return true
+    }
+  }
+
+  /**
+   * Remove staged files older than the configured TTL. Covers uploads whose
+   * callback never arrived or whose transfer was abandoned. Files of uploads
+   * still moving through the lifecycle, such as ones retrying or waiting for
+   * a manual retry after transfer_failed, are kept whatever their age; files
+   * whose upload is final or no longer tracked are removed, with their
+   * checksums.
+   * @returns {Promise<number>} Number of files removed
+   */
+  async cleanupExpired() {
+    let entries
+    try {
+      entries = await fsp.readdir(this.directory, { withFileTypes: true })
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0
+      throw error
+    }
+
+    const cutoff = Date.now() - this.ttl
+    let cleanedCount = 0
+
+    for (const entry of entries) {
+      if (!entry.isFile()) continue
+
+      const filePath = path.join(this.directory, entry.name)
+      const stats = await fsp.stat(filePath).catch((error) => {
+        // Checksums are removed with their staged file earlier in the loop
+        if (error.code === 'ENOENT') return null
+        throw error
+      })
+      if (!stats || stats.mtimeMs >= cutoff) continue
+
+      // A checksum goes with its staged file, or on its own once that is gone
+      if (entry.name.endsWith(CHECKSUM_SUFFIX)) {
+        const uploadId = entry.name.slice(0, -CHECKSUM_SUFFIX.length)
+        if (!(await this.exists(uploadId))) {
+          await fsp.rm(filePath, { force: true })
+        }
+        continue
+      }
+
+      if (await this._isInUse(entry.name)) continue
+
+      await fsp.rm(filePath, { force: true })
+      await fsp.rm(`${filePath}${CHECKSUM_SUFFIX}`, { force: true })
+      cleanedCount++
+    }
+
+    if (cleanedCount > 0) {
+      this.logger.info('Cleaned up expired staged uploads', {
+        count: cleanedCount
+      })
+    }
+
+    return cleanedCount
+  }
+}
+
+// Create and export singleton instance
+const uploadStagingStore = new UploadStagingStore()
+
+export { uploadStagingStore, UploadStagingStore }
@@ -0,0 +1,267 @@
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { UploadStagingStore } from './upload-staging-store.js'
+import { redisUploadStore } from './redis-upload-store.js'
+
+vi.mock('../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }))
+}))
+
+vi.mock('./redis-upload-store.js', () => ({
+  redisUploadStore: {
+    getUpload: vi.fn().mockResolvedValue(null)
+  }
+}))
+
+const readStream = async (stream) => {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks).toString()
+}
+
+describe('UploadStagingStore', () => {
+  let directory
+  let store
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'staging-test-'))
+    store = new UploadStagingStore(path.join(directory, 'staged'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true })
+  })
+
+  describe('stage', () => {
+    it('should stage a buffer and report its size', async () => {
+      const result = await store.stage('upload-1', Buffer.from('a,b\n1,2'))
+
+      expect(result.size).toBe(7)
+      expect(await store.getSize('upload-1')).toBe(7)
+      expect(await readStream(store.createReadStream('upload-1'))).toBe(
+        'a,b\n1,2'
+      )
+    })
+
+    it('should stage a readable stream', async () => {
+      await store.stage('upload-2', Readable.from(['chunk-1,', 'chunk-2']))
+
+      expect(await readStream(store.createReadStream('upload-2'))).toBe(
+        'chunk-1,chunk-2'
+      )
+    })
+
+    it('should move a spooled multipart file into place', async () => {
+      const spooledPath = path.join(directory, 'spooled')
+      await fs.writeFile(spooledPath, 'spooled content')
+
+      await store.stage('upload-3', {
+        path: spooledPath,
+        bytes: 15,
+        filename: 'data.csv'
+      })
+
+      expect(await store.exists('upload-3')).toBe(true)
+      await expect(fs.access(spooledPath)).rejects.toThrow()
+    })
+
+    it('should reject upload IDs that could escape the staging directory', async () => {
+      await expect(store.stage('../outside', Buffer.from('x'))).rejects.toThrow(
+        'Invalid upload ID for staging'
+      )
+    })
+
+    it('should reject unsupported sources', async () => {
+      await expect(store.stage('upload-4', { foo: 'bar' })).rejects.toThrow(
+        'Failed to stage upload'
+      )
+      expect(await store.exists('upload-4')).toBe(false)
+    })
+  })
+
+  describe('createReadStream', () => {
+    it('should read a byte range of a staged file', async () => {
+      await store.stage('upload-1', Buffer.from('a,b\n1,2'))
+
+      expect(
+        await readStream(
+          store.createReadStream('upload-1', { start: 4, end: 6 })
+        )
+      ).toBe('1,2')
+    })
+  })
+
+  describe('openAsBlob', () => {
+    it('should expose the staged file as a typed blob', async () => {
+      await store.stage('upload-5', Buffer.from('blob content'))
+
+      const blob = await store.openAsBlob('upload-5', 'text/csv')
+
+      expect(blob.size).toBe(12)
+      expect(blob.type).toBe('text/csv')
+      expect(await blob.text()).toBe('blob content')
+    })
+  })
+
+  describe('readFile', () => {
+    it('should read a staged file into a buffer', async () => {
+      await store.stage('upload-7', Buffer.from('a,b\n1,2'))
+
+      const buffer = await store.readFile('upload-7')
+
+      expect(buffer.toString()).toBe('a,b\n1,2')
+    })
+
+    it('should return null for files that were never staged', async () => {
+      expect(await store.readFile('missing')).toBeNull()
+    })
+  })
+
+  describe('getChecksum', () => {
+    const SHA256 =
+      'aeedab1ee7a1043753c9ab768594bc8420d7b85491d0be9421edc3813c237f4c'
+
+    it('should take the SHA-256 of a file as it is staged', async () => {
+      const result = await store.stage('upload-8', Buffer.from('a,b\n1,2'))
+
+      expect(result.sha256).toBe(SHA256)
+      expect(await store.getChecksum('upload-8')).toBe(SHA256)
+    })
+
+    it('should hash a spooled file as it is staged', async () => {
+      const spooledPath = path.join(directory, 'spooled')
+      await fs.writeFile(spooledPath, 'a,b\n1,2')
+
+      const result = await store.stage('upload-9', { path: spooledPath })
+
+      expect(result.sha256).toBe(SHA256)
+    })
+
+    it('should reuse the checksum taken when the file was staged', async () => {
+      await store.stage('upload-8', Buffer.from('a,b\n1,2'))
+      const createReadStream = vi.spyOn(store, 'createReadStream')
+
+      expect(await store.getChecksum('upload-8')).toBe(SHA256)
+      expect(createReadStream).not.toHaveBeenCalled()
+    })
+
+    it('should hash files staged before checksums were kept', async () => {
+      await store.stage('upload-8', Buffer.from('a,b\n1,2'))
+      await fs.rm(path.join(store.directory, 'upload-8.sha256'))
+
+      expect(await store.getChecksum('upload-8')).toBe(SHA256)
+    })
+
+    it('should return null for files that were never staged', async () => {
+      expect(await store.getChecksum('missing')).toBeNull()
+    })
+  })
+
+  describe('remove', () => {
+    it('should remove a staged file', async () => {
+      await store.stage('upload-6', Buffer.from('x'))
+
+      expect(await store.remove('upload-6')).toBe(true)
+      expect(await store.exists('upload-6')).toBe(false)
+      expect(await fs.readdir(store.directory)).toEqual([])
+    })
+
+    it('should report false for files that were never staged', async () => {
+      expect(await store.remove('missing')).toBe(false)
+    })
+  })
+
+  describe('release', () => {
+    it('should delete a spooled file that was never staged', async () => {
+      const spooledPath = path.join(directory, 'abandoned')
+      await fs.writeFile(spooledPath, 'x')
+
+      await store.release({ path: spooledPath })
+
+      await expect(fs.access(spooledPath)).rejects.toThrow()
+    })
+  })
+
+  describe('cleanupExpired', () => {
+    it('should remove staged files older than the TTL', async () => {
+      await store.stage('old-upload', Buffer.from('old'))
+      await store.stage('new-upload', Buffer.from('new'))
+
+      const past = new Date(Date.now() - store.ttl - 1000)
+      await fs.utimes(path.join(store.directory, 'old-upload'), past, past)
+
+      const cleanedCount = await store.cleanupExpired()
+
+      expect(cleanedCount).toBe(1)
+      expect(await store.exists('old-upload')).toBe(false)
+      expect(await store.exists('new-upload')).toBe(true)
+      expect((await fs.readdir(store.directory)).sort()).toEqual([
+        'new-upload',
+        'new-upload.sha256'
+      ])
+    })
+
+    it('should remove old checksums whose staged file is gone', async () => {
+      await store.stage('old-upload', Buffer.from('old'))
+      await store.stage('kept-upload', Buffer.from('kept'))
+      await fs.rm(path.join(store.directory, 'old-upload'))
+
+      const past = new Date(Date.now() - store.ttl - 1000)
+      for (const name of ['old-upload.sha256', 'kept-upload.sha256']) {
+        await fs.utimes(path.join(store.directory, name), past, past)
+      }
+
+      expect(await store.cleanupExpired()).toBe(0)
+      expect((await fs.readdir(store.directory)).sort()).toEqual([
+        'kept-upload',
+        'kept-upload.sha256'
+      ])
+    })
+
+    it.each(['retrying', 'transfer_failed', 'callback_received'])(
+      'should keep old files of uploads that are %s',
+      async (status) => {
+        await store.stage('old-upload', Buffer.from('old'))
+        const past = new Date(Date.now() - store.ttl - 1000)
+        await fs.utimes(path.join(store.directory, 'old-upload'), past, past)
+        redisUploadStore.getUpload.mockResolvedValueOnce({ status })
+
+        expect(await store.cleanupExpired()).toBe(0)
+        expect(await store.exists('old-upload')).toBe(true)
+      }
+    )
+
+    it('should remove old files of uploads in a final state', async () => {
+      await store.stage('old-upload', Buffer.from('old'))
+      const past = new Date(Date.now() - store.ttl - 1000)
+      await fs.utimes(path.join(store.directory, 'old-upload'), past, past)
+      redisUploadStore.getUpload.mockResolvedValueOnce({ status: 'completed' })
+
+      expect(await store.cleanupExpired()).toBe(1)
+      expect(redisUploadStore.getUpload).toHaveBeenCalledWith('old-upload')
+    })
+
+    it('should keep old files when their upload cannot be read', async () => {
+      await store.stage('old-upload', Buffer.from('old'))
+      const past = new Date(Date.now() - store.ttl - 1000)
+      await fs.utimes(path.join(store.directory, 'old-upload'), past, past)
+      redisUploadStore.getUpload.mockRejectedValueOnce(new Error('Redis down'))
+
+      expect(await store.cleanupExpired()).toBe(0)
+    })
+
+    it('should handle a staging directory that does not exist yet', async () => {
+      expect(await store.cleanupExpired()).toBe(0)
+    })
+  })
+})
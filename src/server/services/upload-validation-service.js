@@ -0,0 +1,273 @@
+import { createLogger } from '../common/helpers/logging/logger.js'
+import { SpreadsheetValidator } from './spreadsheet-validator.js'
+import { redisUploadStore } from './redis-upload-store.js'
+import { uploadStagingStore } from './upload-staging-store.js'
+import { UploadEvent } from './upload-lifecycle.js'
+import { cdpUploaderService } from '../upload/services/cdp-uploader-service.js'
+
+/**
+ * Upload Validation Service
+ *
+ * Checks a file uploaded in a forms journey before the form can be submitted:
+ * type and size first, then the content against the form's dataset schema.
+ * Files that are not staged on this instance, such as ones the forms engine
+ * sent straight to CDP, are fetched from CDP first; a file whose content
+ * cannot be read fails validation rather than passing unchecked. The outcome
+ * is kept on the upload record so the error report route can serve it later,
+ * or on its own, with who uploaded the file, for uploads that are not tracked.
+ */
+
+// Shown when a file the form has a schema for cannot be read to check it
+const UNCHECKED_FILE_MESSAGE =
+  'The file could not be checked. Wait a moment and upload it again'
+
+/**
+ * Describe a validation error the way a data provider would look for it in
+ * their spreadsheet
+ * @param {{row: ?number, column: ?string, message: string}} error - Validation error
+ * @returns {string} Message prefixed with its row and column, where known
+ */
+const describeValidationError = ({ row, column, message }) => {
+  if (row && column) return `Row ${row}, column ${column}: ${message}`
+  if (row) return `Row ${row}: ${message}`
+  return message
+}
+
+/**
+ * Build a failed validation result for problems with the file as a whole,
+ * such as its type, which have no row or column
+ * @param {string[]} messages - Problems with the file
+ * @param {?string} schemaId - Dataset schema the file was checked against
+ * @returns {object} Validation result
+ */
+const fileErrorResult = (messages, schemaId) => ({
+  isValid: false,
+  errors: messages.map((message) => ({
+    row: null,
+    column: null,
+    field: null,
+    value: null,
+    message
+  })),
+  rowCount: 0,
+  truncated: false,
+  schemaId,
+  contentChecked: false
+})
+
+class UploadValidationService {
+  constructor(validator = new SpreadsheetValidator()) {
+    this.logger = createLogger()
+    this.validator = validator
+  }
+
+  /**
+   * Validate an uploaded file
+   * @param {{uploadId: string, filename: string, size: number, contentType?: string}} file
+   *   Uploaded file, as reported by the uploader
+   * @param {object} [schema] - Dataset schema from the form metadata
+   * @param {{uploadedBy?: string, organisationId?: string}} [uploader] - Who
+   *   uploaded the file, kept with the result of an upload that is not
+   *   tracked so only they can read its report
+   * @returns {Promise<object>} Validation result with row/column-addressed
+   *   errors; `contentChecked` is false when only the type and size could be
+   *   checked
+   */
+  async validateUpload(file, schema, uploader = {}) {
+    const { uploadId, filename } = file
+    const result = await this._validate(file, schema)
+
+    const validation = {
+      ...result,
+      filename,
+      validatedAt: new Date().toISOString()
+    }
+
+    await this._recordValidation(uploadId, validation, uploader)
+
+    return { uploadId, ...validation }
+  }
+
+  /**
+   * Get the stored outcome of the last validation of an upload
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<object|null>} Validation result or null if never validated
+   */
+  async getValidation(uploadId) {
+    const upload = await redisUploadStore.getUpload(uploadId)
+    if (upload) return upload.validation ?? null
+
+    return await redisUploadStore.getValidation(uploadId)
+  }
+
+  /**
+   * Build the downloadable error report for an upload. The submitted rows are
+   * echoed when the file is still staged; once it has been delivered or
+   * removed the report lists the errors on their own.
+   * @param {string} uploadId - Upload identifier
+   * @param {string} format - Report format, 'csv' or 'xlsx'
+   * @returns {Promise<{filename: string, content: Buffer, contentType: string}|null>}
+   *   Report file, or null if the upload was never validated
+   */
+  async getErrorReport(uploadId, format) {
+    const validation = await this.getValidation(uploadId)
+    if (!validation) return null
+
+    let rows = null
+    if (validation.contentChecked) {
+      const buffer = await uploadStagingStore.readFile(uploadId)
+      if (buffer) {
+        rows = this.validator.readDatasetRows(buffer, {
+          sheet: validation.sheet
+        })
+      }
+    }
+
+    const { content, contentType, extension } =
+      this.validator.generateErrorReport(validation, rows, format)
+    const basename = validation.filename.replace(/\.[^/.]+$/, '')
+
+    return {
+      filename: `${basename}-errors.${extension}`,
+      content,
+      contentType
+    }
+  }
+
+  /**
+   * Run the file and content checks
+   * @param {object} file - Uploaded file
+   * @param {object} [schema] - Dataset schema
+   * @returns {Promise<object>} Validation result
+   * @private
+   */
+  async _validate(file, schema) {
+    const { uploadId, filename, size, contentType } = file
+    const schemaId = schema?.id ?? null
+
+    const fileCheck = this.validator.validateFile({
+      originalname: filename,
+      size,
+      mimetype: contentType
+    })
+
+    if (!fileCheck.isValid) {
+      return fileErrorResult(fileCheck.errors, schemaId)
+    }
+
+    // Without a dataset schema there is no content to check
+    if (!schema) {
+      return {
+        isValid: true,
+        errors: [],
+        rowCount: 0,
+        truncated: false,
+        schemaId,
+        contentChecked: false
+      }
+    }
+
+    const buffer = await this._readContent(uploadId)
+
+    if (!buffer) {
+      this.logger.warn('Upload content could not be read, failing validation', {
+        uploadId,
+        schemaId
+      })
+      return fileErrorResult([UNCHECKED_FILE_MESSAGE], schemaId)
+    }
+
+    const signatureCheck = await this.validator.validateFileSignature(
+      filename,
+      buffer
+    )
+
+    if (!signatureCheck.isValid) {
+      return fileErrorResult(signatureCheck.errors, schemaId)
+    }
+
+    const contentCheck = await this.validator.validateDataset(
+      buffer,
+      filename,
+      schema
+    )
+
+    // Kept so the error report can read the same rows again
+    return {
+      ...contentCheck,
+      sheet: schema.sheet ?? null,
+      headerRow: schema.headerRow || 1,
+      contentChecked: true
+    }
+  }
+
+  /**
+   * Read the content of an upload, staging it from CDP first when it is not
+   * staged on this instance
+   * @param {string} uploadId - Upload identifier
+   * @returns {Promise<Buffer|null>} File content, or null if it cannot be read
+   * @private
+   */
+  async _readContent(uploadId) {
+    const staged = await uploadStagingStore.readFile(uploadId)
+    if (staged) return staged
+
+    try {
+      const size = await cdpUploaderService.stageFromCdp(uploadId)
+      return size === null ? null : await uploadStagingStore.readFile(uploadId)
+    } catch (error) {
+      this.logger.warn('Failed to fetch upload from CDP for validation', {
+        uploadId,
+        error: error.message
+      })
+      return null
+    }
+  }
+
+  /**
+   * Keep the validation outcome with the upload. Uploads that are not
+   * tracked, such as ones the forms engine sent straight to CDP, have it kept
+   * on its own, stamped with who uploaded the file. A storage failure must
+   * not stop the user from seeing their errors.
+   * @param {string} uploadId - Upload identifier
+   * @param {object} validation - Validation result
+   * @param {{uploadedBy?: string, organisationId?: string}} uploader - Who
+   *   uploaded the file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordValidation(uploadId, validation, uploader) {
+    try {
+      const upload = await redisUploadStore.getUpload(uploadId)
+      if (!upload) {
+        await redisUploadStore.setValidation(uploadId, {
+          ...validation,
+          uploadedBy: uploader.uploadedBy,
+          organisationId: uploader.organisationId
+        })
+        return
+      }
+
+      await redisUploadStore.updateUpload(uploadId, { validation })
+      await redisUploadStore.appendEvent(uploadId, UploadEvent.VALIDATED, {
+        isValid: validation.isValid,
+        errorCount: validation.errors.length,
+        truncated: validation.truncated,
+        schemaId: validation.schemaId
+      })
+    } catch (error) {
+      this.logger.warn('Failed to record upload validation', {
+        uploadId,
+        error: error.message
+      })
+    }
+  }
+}
+
+const uploadValidationService = new UploadValidationService()
+
+export {
+  uploadValidationService,
+  UploadValidationService,
+  describeValidationError
+}
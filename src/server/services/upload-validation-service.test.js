@@ -0,0 +1,286 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+  UploadValidationService,
+  describeValidationError
+} from './upload-validation-service.js'
+import { redisUploadStore } from './redis-upload-store.js'
+import { uploadStagingStore } from './upload-staging-store.js'
+import { UploadEvent } from './upload-lifecycle.js'
+import { cdpUploaderService } from '../upload/services/cdp-uploader-service.js'
+
+vi.mock('../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }))
+}))
+
+vi.mock('./redis-upload-store.js', () => ({
+  redisUploadStore: {
+    getUpload: vi.fn(),
+    updateUpload: vi.fn(),
+    appendEvent: vi.fn(),
+    setValidation: vi.fn(),
+    getValidation: vi.fn()
+  }
+}))
+
+vi.mock('./upload-staging-store.js', () => ({
+  uploadStagingStore: { readFile: vi.fn() }
+}))
+
+vi.mock('../upload/services/cdp-uploader-service.js', () => ({
+  cdpUploaderService: { stageFromCdp: vi.fn() }
+}))
+
+const schema = {
+  id: 'test-dataset',
+  columns: [
+    { header: 'Sample ID', type: 'string', required: true },
+    { header: 'Count', type: 'integer', min: 0 }
+  ]
+}
+
+const csvFile = {
+  uploadId: 'upload-1',
+  filename: 'results.csv',
+  size: 64
+}
+
+describe('UploadValidationService', () => {
+  let service
+
+  beforeEach(() => {
+    service = new UploadValidationService()
+    redisUploadStore.getUpload.mockResolvedValue({
+      uploadId: 'upload-1',
+      status: 'uploaded'
+    })
+  })
+
+  describe('validateUpload', () => {
+    it('should report row and column errors in the staged content', async () => {
+      uploadStagingStore.readFile.mockResolvedValue(
+        Buffer.from('Sample ID,Count\nS-1,3\n,-2')
+      )
+
+      const result = await service.validateUpload(csvFile, schema)
+
+      expect(result.isValid).toBe(false)
+      expect(result.contentChecked).toBe(true)
+      expect(result.uploadId).toBe('upload-1')
+      expect(result.filename).toBe('results.csv')
+      expect(result.errors).toEqual([
+        expect.objectContaining({ row: 3, column: 'A' }),
+        expect.objectContaining({ row: 3, column: 'B' })
+      ])
+    })
+
+    it('should reject unsupported files without reading their content', async () => {
+      const result = await service.validateUpload(
+        { uploadId: 'upload-1', filename: 'results.pdf', size: 64 },
+        schema
+      )
+
+      expect(result.isValid).toBe(false)
+      expect(result.contentChecked).toBe(false)
+      expect(result.errors[0]).toMatchObject({
+        row: null,
+        column: null,
+        message: 'File extension .pdf is not supported'
+      })
+      expect(uploadStagingStore.readFile).not.toHaveBeenCalled()
+    })
+
+    it('should fetch uploads that are not staged from CDP and check them', async () => {
+      uploadStagingStore.readFile
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(Buffer.from('Sample ID,Count\n,1'))
+      cdpUploaderService.stageFromCdp.mockResolvedValue(18)
+
+      const result = await service.validateUpload(csvFile, schema)
+
+      expect(cdpUploaderService.stageFromCdp).toHaveBeenCalledWith('upload-1')
+      expect(result.isValid).toBe(false)
+      expect(result.contentChecked).toBe(true)
+    })
+
+    it.each([
+      ['is not clean or is gone', () => Promise.resolve(null)],
+      ['cannot be fetched', () => Promise.reject(new Error('CDP down'))]
+    ])(
+      'should fail uploads whose content %s',
+      async (_description, stageFromCdp) => {
+        uploadStagingStore.readFile.mockResolvedValue(null)
+        cdpUploaderService.stageFromCdp.mockImplementation(stageFromCdp)
+
+        const result = await service.validateUpload(csvFile, schema)
+
+        expect(result.isValid).toBe(false)
+        expect(result.contentChecked).toBe(false)
+        expect(result.errors[0].message).toMatch('could not be checked')
+      }
+    )
+
+    it('should only check type and size when the form has no schema', async () => {
+      const result = await service.validateUpload(csvFile)
+
+      expect(result.isValid).toBe(true)
+      expect(result.contentChecked).toBe(false)
+      expect(uploadStagingStore.readFile).not.toHaveBeenCalled()
+    })
+
+    it('should store the outcome on the upload and record an event', async () => {
+      uploadStagingStore.readFile.mockResolvedValue(
+        Buffer.from('Sample ID,Count\nS-1,3')
+      )
+
+      await service.validateUpload(csvFile, schema)
+
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith('upload-1', {
+        validation: expect.objectContaining({
+          isValid: true,
+          rowCount: 1,
+          schemaId: 'test-dataset'
+        })
+      })
+      expect(redisUploadStore.appendEvent).toHaveBeenCalledWith(
+        'upload-1',
+        UploadEvent.VALIDATED,
+        {
+          isValid: true,
+          errorCount: 0,
+          truncated: false,
+          schemaId: 'test-dataset'
+        }
+      )
+    })
+
+    it('should still return the outcome when it cannot be stored', async () => {
+      uploadStagingStore.readFile.mockResolvedValue(
+        Buffer.from('Sample ID,Count\nS-1,3')
+      )
+      redisUploadStore.updateUpload.mockRejectedValue(new Error('Redis down'))
+
+      const result = await service.validateUpload(csvFile, schema)
+
+      expect(result.isValid).toBe(true)
+    })
+
+    it('should keep the outcome of uploads it does not track with who uploaded them', async () => {
+      redisUploadStore.getUpload.mockResolvedValue(null)
+      uploadStagingStore.readFile.mockResolvedValue(null)
+
+      await service.validateUpload(csvFile, schema, {
+        uploadedBy: 'user-1',
+        organisationId: 'org-1'
+      })
+
+      expect(redisUploadStore.setValidation).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({
+          isValid: false,
+          filename: 'results.csv',
+          uploadedBy: 'user-1',
+          organisationId: 'org-1'
+        })
+      )
+      expect(redisUploadStore.updateUpload).not.toHaveBeenCalled()
+      expect(redisUploadStore.appendEvent).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getValidation', () => {
+    it('should return the stored validation outcome', async () => {
+      const validation = { isValid: false, errors: [] }
+      redisUploadStore.getUpload.mockResolvedValue({ validation })
+
+      expect(await service.getValidation('upload-1')).toBe(validation)
+    })
+
+    it('should return the outcome kept for an upload it does not track', async () => {
+      const validation = { isValid: false, errors: [], uploadedBy: 'user-1' }
+      redisUploadStore.getUpload.mockResolvedValue(null)
+      redisUploadStore.getValidation.mockResolvedValue(validation)
+
+      expect(await service.getValidation('upload-1')).toBe(validation)
+    })
+
+    it('should return null for uploads that were never validated', async () => {
+      expect(await service.getValidation('upload-1')).toBeNull()
+    })
+  })
+
+  describe('getErrorReport', () => {
+    const validation = {
+      filename: 'results.csv',
+      contentChecked: true,
+      sheet: null,
+      headerRow: 1,
+      errors: [{ row: 2, column: 'B', message: 'Count must be a number' }]
+    }
+
+    it('should echo the staged rows in the report', async () => {
+      redisUploadStore.getUpload.mockResolvedValue({ validation })
+      uploadStagingStore.readFile.mockResolvedValue(
+        Buffer.from('Sample ID,Count\nS-1,x')
+      )
+
+      const report = await service.getErrorReport('upload-1', 'csv')
+
+      expect(report.filename).toBe('results-errors.csv')
+      expect(report.content.toString()).toContain(
+        'S-1,x,B: Count must be a number'
+      )
+    })
+
+    it('should list the errors once the staged file is gone', async () => {
+      redisUploadStore.getUpload.mockResolvedValue({ validation })
+      uploadStagingStore.readFile.mockResolvedValue(null)
+
+      const report = await service.getErrorReport('upload-1', 'csv')
+
+      expect(report.content.toString()).toContain(
+        '2,B,,,Count must be a number'
+      )
+    })
+
+    it('should return null for uploads that were never validated', async () => {
+      expect(await service.getErrorReport('upload-1', 'csv')).toBeNull()
+    })
+  })
+
+  describe('describeValidationError', () => {
+    it('should prefix errors with their row and column', () => {
+      expect(
+        describeValidationError({
+          row: 4,
+          column: 'D',
+          message: 'Species is required'
+        })
+      ).toBe('Row 4, column D: Species is required')
+    })
+
+    it('should prefix header errors with their row only', () => {
+      expect(
+        describeValidationError({
+          row: 1,
+          column: null,
+          message: 'Missing required column "Species"'
+        })
+      ).toBe('Row 1: Missing required column "Species"')
+    })
+
+    it('should leave file-level errors unchanged', () => {
+      expect(
+        describeValidationError({
+          row: null,
+          column: null,
+          message: 'File extension .pdf is not supported'
+        })
+      ).toBe('File extension .pdf is not supported')
+    })
+  })
+})
@@ -0,0 +1,307 @@
+import { buildRedisClient } from '../common/helpers/redis-client.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import { config } from '../../config/config.js'
+
+/**
+ * User Profile Store Service
+ *
+ * Keeps what the portal knows about a user beyond their DEFRA ID claims: their
+ * account preferences, under `user-profile:{userId}`, and their audit logs, in
+ * Redis lists under `user-audit:{log}:{userId}`. Like the upload store it falls
+ * back to in-memory Maps when Redis is unavailable.
+ *
+ * Audit logs are best effort and bounded: each keeps a user's most recent
+ * entries for as long as upload event history is kept.
+ */
+
+export const NotificationType = Object.freeze({
+  ALERTS: 'alerts',
+  REPORTS: 'reports',
+  SYSTEM: 'system'
+})
+
+export const ReportFormat = Object.freeze({
+  JSON: 'json',
+  CSV: 'csv',
+  XLSX: 'xlsx'
+})
+
+export const AuditLog = Object.freeze({
+  // Each time the user signed in
+  SIGN_IN: 'sign-in',
+  // Each upload status, history, report or file the user read
+  DATA_ACCESS: 'data-access'
+})
+
+export const DEFAULT_PREFERENCES = Object.freeze({
+  notifications: [NotificationType.ALERTS, NotificationType.REPORTS],
+  defaultReportFormat: ReportFormat.JSON
+})
+
+class UserProfileStore {
+  constructor() {
+    this.logger = createLogger()
+    this.profileNamespace = 'user-profile'
+    this.auditNamespace = 'user-audit'
+    this.auditTTL = 30 * 24 * 60 * 60 // 30 days in seconds
+    this.maxAuditEntries = 100
+    this.fallbackProfiles = new Map() // In-memory fallback when Redis is unavailable
+    this.fallbackAudit = new Map() // In-memory audit log fallback
+    this.redisAvailable = true
+
+    try {
+      this.redisClient = buildRedisClient(config.get('redis'))
+      this._setupRedisEventHandlers()
+    } catch (error) {
+      this.logger.warn(
+        'Redis client initialization failed, using fallback storage',
+        { error: error.message }
+      )
+      this.redisAvailable = false
+    }
+  }
+
+  /**
+   * Setup Redis event handlers for connection monitoring
+   * @private
+   */
+  _setupRedisEventHandlers() {
+    if (!this.redisClient) return
+
+    this.redisClient.on('error', (error) => {
+      this.logger.error(
+        'Redis connection error, switching to fallback storage',
+        { error: error.message }
+      )
+      this.redisAvailable = false
+    })
+
+    this.redisClient.on('ready', () => {
+      this.redisAvailable = true
+    })
+  }
+
+  /**
+   * Generate the key of a user's profile
+   * @param {string} userId - User identifier
+   * @returns {string} Namespaced Redis key
+   * @private
+   */
+  _getProfileKey(userId) {
+    return `${this.profileNamespace}:${userId}`
+  }
+
+  /**
+   * Generate the key of one of a user's audit logs
+   * @param {string} log - Audit log, see AuditLog
+   * @param {string} userId - User identifier
+   * @returns {string} Namespaced Redis key
+   * @private
+   */
+  _getAuditKey(log, userId) {
+    return `${this.auditNamespace}:${log}:${userId}`
+  }
+
+  /**
+   * Parse stored JSON, ignoring anything that is not
+   * @param {string} data - Stored JSON
+   * @returns {object|null} Parsed data
+   * @private
+   */
+  _safeJsonParse(data) {
+    try {
+      return JSON.parse(data)
+    } catch (error) {
+      this.logger.error('Failed to parse user profile data', {
+        error: error.message
+      })
+      return null
+    }
+  }
+
+  /**
+   * Check a user id before using it in a key
+   * @param {string} userId - User identifier
+   * @private
+   */
+  _assertUserId(userId) {
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('User ID must be a non-empty string')
+    }
+  }
+
+  /**
+   * Get a user's preferences, with defaults for any they have not set
+   * @param {string} userId - User identifier
+   * @returns {Promise<{notifications: string[], defaultReportFormat: string,
+   *   updatedAt?: string}>} Preferences
+   */
+  async getPreferences(userId) {
+    this._assertUserId(userId)
+    const key = this._getProfileKey(userId)
+    let profile = null
+
+    if (this.redisAvailable && this.redisClient) {
+      try {
+        const data = await this.redisClient.get(key)
+        profile = data && this._safeJsonParse(data)
+      } catch (error) {
+        this.logger.warn('Failed to read user profile from Redis', {
+          error: error.message,
+          userId
+        })
+      }
+    }
+
+    // Preferences saved while Redis was unreachable live in the fallback
+    profile = this.fallbackProfiles.get(key) ?? profile
+
+    return { ...DEFAULT_PREFERENCES, ...profile?.preferences }
+  }
+
+  /**
+   * Save a user's preferences. Preferences are kept until the user changes
+   * them, so they have no expiry.
+   * @param {string} userId - User identifier
+   * @param {{notifications?: string[], defaultReportFormat?: string}} preferences
+   *   - Preferences to save; any left out keep their current value
+   * @returns {Promise<object>} The saved preferences
+   */
+  async setPreferences(userId, preferences) {
+    this._assertUserId(userId)
+    const key = this._getProfileKey(userId)
+
+    const profile = {
+      preferences: {
+        ...(await this.getPreferences(userId)),
+        ...preferences,
+        updatedAt: new Date().toISOString()
+      }
+    }
+
+    if (this.redisAvailable && this.redisClient) {
+      try {
+        await this.redisClient.set(key, JSON.stringify(profile))
+        this.fallbackProfiles.delete(key)
+        this.logger.debug('User preferences saved to Redis', { userId })
+        return profile.preferences
+      } catch (error) {
+        this.logger.warn('Failed to save user preferences to Redis', {
+          error: error.message,
+          userId
+        })
+      }
+    }
+
+    this.fallbackProfiles.set(key, profile)
+    this.logger.debug('User preferences saved to fallback storage', { userId })
+    return profile.preferences
+  }
+
+  /**
+   * Add an entry to one of a user's audit logs, dropping the oldest entries
+   * beyond maxAuditEntries. A failed Redis write falls back to memory without
+   * marking Redis unavailable.
+   * @param {string} userId - User identifier
+   * @param {string} log - Audit log, see AuditLog
+   * @param {object} [details] - Data recorded with the entry
+   * @returns {Promise<object>} The recorded entry
+   */
+  async recordActivity(userId, log, details = {}) {
+    this._assertUserId(userId)
+    if (!Object.values(AuditLog).includes(log)) {
+      throw new Error(`Unknown audit log: ${log}`)
+    }
+
+    const entry = { at: new Date().toISOString(), ...details }
+    const key = this._getAuditKey(log, userId)
+
+    if (this.redisAvailable && this.redisClient) {
+      try {
+        await this.redisClient.lpush(key, JSON.stringify(entry))
+        await this.redisClient.ltrim(key, 0, this.maxAuditEntries - 1)
+        await this.redisClient.expire(key, this.auditTTL)
+        return entry
+      } catch (error) {
+        this.logger.warn('Failed to record user activity in Redis', {
+          error: error.message,
+          userId,
+          log
+        })
+      }
+    }
+
+    const fallback = this.fallbackAudit.get(key)
+    const entries =
+      fallback && !(fallback.expiresAt && Date.now() > fallback.expiresAt)
+        ? fallback.entries
+        : []
+    this.fallbackAudit.set(key, {
+      entries: [entry, ...entries].slice(0, this.maxAuditEntries),
+      expiresAt: Date.now() + this.auditTTL * 1000
+    })
+    return entry
+  }
+
+  /**
+   * Get the entries of one of a user's audit logs, newest first
+   * @param {string} userId - User identifier
+   * @param {string} log - Audit log, see AuditLog
+   * @param {number} [limit=50] - Maximum number of entries to return
+   * @returns {Promise<Array>} Recorded entries
+   */
+  async getActivity(userId, log, limit = 50) {
+    this._assertUserId(userId)
+    const key = this._getAuditKey(log, userId)
+    let entries = []
+
+    if (this.redisAvailable && this.redisClient) {
+      try {
+        entries = (await this.redisClient.lrange(key, 0, limit - 1))
+          .map((entry) => this._safeJsonParse(entry))
+          .filter(Boolean)
+      } catch (error) {
+        this.logger.warn('Failed to read user activity from Redis', {
+          error: error.message,
+          userId,
+          log
+        })
+      }
+    }
+
+    // Entries recorded while Redis was unreachable live in the fallback
+    const fallback = this.fallbackAudit.get(key)
+    if (fallback && fallback.expiresAt && Date.now() > fallback.expiresAt) {
+      this.fallbackAudit.delete(key)
+    } else if (fallback) {
+      entries = [...entries, ...fallback.entries]
+    }
+
+    return entries.sort((a, b) => b.at.localeCompare(a.at)).slice(0, limit)
+  }
+
+  /**
+   * Close Redis connection (for graceful shutdown)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.redisClient) {
+      try {
+        await this.redisClient.quit()
+      } catch (error) {
+        this.logger.warn('Error closing Redis connection', {
+          error: error.message
+        })
+      }
+    }
+
+    this.fallbackProfiles.clear()
+    this.fallbackAudit.clear()
+    this.logger.info('User profile store closed')
+  }
+}
+
+// Create and export singleton instance
+const userProfileStore = new UserProfileStore()
+
+export { userProfileStore, UserProfileStore }
@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  AuditLog,
+  DEFAULT_PREFERENCES,
+  ReportFormat,
+  UserProfileStore
+} from './user-profile-store.js'
+
+vi.mock('../common/helpers/redis-client.js', () => ({
+  buildRedisClient: vi.fn(() => ({
+    get: vi.fn().mockResolvedValue(null),
+    set: vi.fn().mockResolvedValue('OK'),
+    lpush: vi.fn().mockResolvedValue(1),
+    ltrim: vi.fn().mockResolvedValue('OK'),
+    lrange: vi.fn().mockResolvedValue([]),
+    expire: vi.fn().mockResolvedValue(1),
+    quit: vi.fn().mockResolvedValue('OK'),
+    on: vi.fn()
+  }))
+}))
+
+vi.mock('../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => ({
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }))
+}))
+
+vi.mock('../../config/config.js', () => ({
+  config: {
+    get: vi.fn().mockReturnValue({
+      host: '127.0.0.1',
+      username: '',
+      password: '',
+      keyPrefix: 'test:',
+      useSingleInstanceCache: true,
+      useTLS: false
+    })
+  }
+}))
+
+describe('UserProfileStore', () => {
+  let store
+  let mockRedisClient
+
+  beforeEach(() => {
+    store = new UserProfileStore()
+    mockRedisClient = store.redisClient
+  })
+
+  afterEach(async () => {
+    await store.close()
+  })
+
+  describe('preferences', () => {
+    it('should default preferences the user has not set', async () => {
+      await expect(store.getPreferences('user-1')).resolves.toEqual(
+        DEFAULT_PREFERENCES
+      )
+      expect(mockRedisClient.get).toHaveBeenCalledWith('user-profile:user-1')
+    })
+
+    it('should save preferences without an expiry', async () => {
+      const saved = await store.setPreferences('user-1', {
+        defaultReportFormat: ReportFormat.CSV
+      })
+
+      expect(saved).toMatchObject({
+        notifications: DEFAULT_PREFERENCES.notifications,
+        defaultReportFormat: ReportFormat.CSV,
+        updatedAt: expect.any(String)
+      })
+      expect(mockRedisClient.set).toHaveBeenCalledWith(
+        'user-profile:user-1',
+        JSON.stringify({ preferences: saved })
+      )
+    })
+
+    it('should read saved preferences over the defaults', async () => {
+      mockRedisClient.get.mockResolvedValueOnce(
+        JSON.stringify({ preferences: { notifications: [] } })
+      )
+
+      await expect(store.getPreferences('user-1')).resolves.toEqual({
+        ...DEFAULT_PREFERENCES,
+        notifications: []
+      })
+    })
+
+    it('should keep preferences in memory when Redis is unavailable', async () => {
+      store.redisAvailable = false
+
+      await store.setPreferences('user-1', {
+        defaultReportFormat: ReportFormat.XLSX
+      })
+
+      expect(mockRedisClient.set).not.toHaveBeenCalled()
+      await expect(store.getPreferences('user-1')).resolves.toMatchObject({
+        defaultReportFormat: ReportFormat.XLSX
+      })
+    })
+
+    it('should fall back to memory when a Redis write fails', async () => {
+      mockRedisClient.set.mockRejectedValueOnce(new Error('Redis down'))
+
+      await store.setPreferences('user-1', {
+        defaultReportFormat: ReportFormat.CSV
+      })
+
+      expect(store.redisAvailable).toBe(true)
+      await expect(store.getPreferences('user-1')).resolves.toMatchObject({
+        defaultReportFormat: ReportFormat.CSV
+      })
+    })
+
+    it('should reject an empty user id', async () => {
+      await expect(store.getPreferences('')).rejects.toThrow(
+        'User ID must be a non-empty string'
+      )
+    })
+  })
+
+  describe('audit logs', () => {
+    it('should keep the latest entries of a log', async () => {
+      const entry = await store.recordActivity('user-1', AuditLog.SIGN_IN, {
+        ipAddress: '127.0.0.1'
+      })
+
+      expect(entry).toEqual({ at: expect.any(String), ipAddress: '127.0.0.1' })
+      expect(mockRedisClient.lpush).toHaveBeenCalledWith(
+        'user-audit:sign-in:user-1',
+        JSON.stringify(entry)
+      )
+      expect(mockRedisClient.ltrim).toHaveBeenCalledWith(
+        'user-audit:sign-in:user-1',
+        0,
+        store.maxAuditEntries - 1
+      )
+      expect(mockRedisClient.expire).toHaveBeenCalledWith(
+        'user-audit:sign-in:user-1',
+        store.auditTTL
+      )
+    })
+
+    it('should reject an unknown log', async () => {
+      await expect(store.recordActivity('user-1', 'downloads')).rejects.toThrow(
+        'Unknown audit log: downloads'
+      )
+    })
+
+    it('should return entries newest first, with ones kept in memory', async () => {
+      mockRedisClient.lrange.mockResolvedValueOnce([
+        JSON.stringify({ at: '2026-01-02T00:00:00.000Z', uploadId: 'b' })
+      ])
+      store.fallbackAudit.set('user-audit:data-access:user-1', {
+        entries: [{ at: '2026-01-03T00:00:00.000Z', uploadId: 'c' }],
+        expiresAt: Date.now() + 60000
+      })
+
+      const entries = await store.getActivity('user-1', AuditLog.DATA_ACCESS)
+
+      expect(entries.map(({ uploadId }) => uploadId)).toEqual(['c', 'b'])
+      expect(mockRedisClient.lrange).toHaveBeenCalledWith(
+        'user-audit:data-access:user-1',
+        0,
+        49
+      )
+    })
+
+    it('should bound logs kept in memory', async () => {
+      store.redisAvailable = false
+      store.maxAuditEntries = 2
+
+      for (const uploadId of ['a', 'b', 'c']) {
+        await store.recordActivity('user-1', AuditLog.DATA_ACCESS, {
+          uploadId
+        })
+      }
+
+      const entries = await store.getActivity('user-1', AuditLog.DATA_ACCESS)
+      expect(entries).toHaveLength(2)
+      expect(mockRedisClient.lpush).not.toHaveBeenCalled()
+    })
+
+    it('should drop expired entries kept in memory', async () => {
+      store.fallbackAudit.set('user-audit:sign-in:user-1', {
+        entries: [{ at: '2026-01-01T00:00:00.000Z' }],
+        expiresAt: Date.now() - 1000
+      })
+
+      await expect(
+        store.getActivity('user-1', AuditLog.SIGN_IN)
+      ).resolves.toEqual([])
+      expect(store.fallbackAudit.size).toBe(0)
+    })
+  })
+})
@@ -1,5 +1,21 @@
+import { endAuthSession } from '../auth/session.js'
+
+/**
+ * Signs the user out of the portal, then out of DEFRA ID, which returns
+ * the browser here to show the signed out page
+ */
 export const signoutController = {
-  handler(_request, h) {
+  async handler(request, h) {
+    if (request.auth.isAuthenticated) {
+      const userId = request.auth.credentials.id
+      const endSessionUrl = await endAuthSession(request)
+
+      request.logger.info('User signed out', { userId })
+      if (endSessionUrl) {
+        return h.redirect(endSessionUrl)
+      }
+    }
+
     return h.view('signout/index', {
       pageTitle: 'Sign Out',
       heading: 'Sign Out',
@@ -8,6 +8,7 @@ export const signout = {
         {
           method: 'GET',
           path: '/signout',
+          options: { auth: { mode: 'try' } },
           ...signoutController
         }
       ])
@@ -1,7 +1,203 @@
+import { config } from '../../config/config.js'
 import { uploadConfig } from '../../config/upload-config.js'
 import { cdpUploaderService } from './services/cdp-uploader-service.js'
-import { azureStorageService } from './services/azure-storage-service.js'
+import { isCdpStatusResponse } from './services/cdp-status.js'
+import { verifyDownloadUrl } from './services/download-links.js'
+import {
+  findDeliveredFile,
+  getTargetOptions,
+  getTargetStorage
+} from './services/delivery-targets.js'
 import { redisUploadStore } from '../services/redis-upload-store.js'
+import { uploadStagingStore } from '../services/upload-staging-store.js'
+import { AuditLog, userProfileStore } from '../services/user-profile-store.js'
+import { jobQueue } from '../services/job-queue.js'
+import { uploadValidationService } from '../services/upload-validation-service.js'
+import { SpreadsheetValidator } from '../services/spreadsheet-validator.js'
+import {
+  InvalidTransitionError,
+  UploadEvent,
+  UploadStatus,
+  normaliseStatus
+} from '../services/upload-lifecycle.js'
+import { DELIVERY_JOB, PROCESS_UPLOAD_JOB } from './jobs.js'
+import { Permission, canOpenForm, canReadUpload } from '../auth/permissions.js'
+import {
+  findFormMetadata,
+  getDeliveryTargets,
+  getFormSlug
+} from '../forms/form-metadata.js'
+
+/**
+ * Read the filename and content type of a multipart file part, whether hapi
+ * spooled it to disk (`multipart: { output: 'file' }`) or handed over a stream
+ */
+const describeFilePart = (file) => ({
+  originalFilename: file.hapi?.filename || file.filename,
+  contentType:
+    file.hapi?.headers?.['content-type'] ||
+    file.headers?.['content-type'] ||
+    file.mimetype
+})
+
+const spreadsheetValidator = new SpreadsheetValidator()
+
+/**
+ * Check a spooled multipart file is an accepted spreadsheet whose content
+ * matches its extension, before anything is sent to the CDP uploader
+ * @param {object} file - Spooled multipart file
+ * @returns {Promise<string[]>} Problems with the file, empty if it is accepted
+ */
+const checkUploadedFile = async (file) => {
+  const { originalFilename, contentType } = describeFilePart(file)
+
+  const fileCheck = spreadsheetValidator.validateFile({
+    originalname: originalFilename,
+    size: file.bytes,
+    mimetype: contentType
+  })
+  if (!fileCheck.isValid) {
+    return fileCheck.errors
+  }
+
+  const signatureCheck = await spreadsheetValidator.validateFileSignature(
+    originalFilename,
+    file
+  )
+  return signatureCheck.errors
+}
+
+/**
+ * Reject an upload that failed checkUploadedFile, discarding the spooled file
+ * @param {object} request - The hapi request
+ * @param {object} h - The hapi response toolkit
+ * @param {object} file - Spooled multipart file
+ * @param {string[]} errors - Problems with the file
+ * @returns {Promise<object>} 415 response
+ */
+const rejectUploadedFile = async (request, h, file, errors) => {
+  const { originalFilename } = describeFilePart(file)
+
+  request.logger.warn('Rejected uploaded file', {
+    originalFilename,
+    errors
+  })
+  await uploadStagingStore.release(file)
+
+  return h
+    .response({
+      success: false,
+      error: 'Unsupported file type',
+      message: errors.join('; '),
+      errors
+    })
+    .code(415)
+}
+
+/**
+ * Check a download link carries a valid, unexpired signature issued for the
+ * upload (see download-links). It is checked on top of the signed-in user
+ * being allowed to read the upload, never instead of it.
+ * @param {object} request - The hapi request
+ * @returns {boolean} Whether the link is valid
+ */
+const isValidDownloadLink = (request) =>
+  verifyDownloadUrl(
+    request.params.uploadId,
+    request.query.expires,
+    request.query.signature
+  )
+
+/**
+ * The organisation an upload is stamped with: the one its user signed in for
+ * @param {object} request - The hapi request
+ * @returns {string|undefined} DEFRA ID organisation id, or undefined when
+ *   the user signed in as themselves
+ */
+const getOrganisationId = (request) =>
+  request.auth?.credentials?.organisationId ?? undefined
+
+/**
+ * Whether the signed-in user may submit to the form an upload names. Forms
+ * limited to some organisations (see canOpenForm) take uploads only from
+ * those; uploads that name no form, or a form the portal does not know, are
+ * left to the route's scope.
+ * @param {object} request - The hapi request
+ * @param {?string} formId - Form id or slug the upload names
+ * @returns {boolean} Whether they may submit to it
+ */
+const canSubmitToForm = (request, formId) => {
+  const metadata = formId && findFormMetadata(formId)
+  return !metadata || canOpenForm(request.auth?.credentials, metadata)
+}
+
+/**
+ * Response for an upload to a form the user may not submit to, logging who
+ * tried
+ * @param {object} request - The hapi request
+ * @param {object} h - The hapi response toolkit
+ * @param {string} formId - Form id or slug the upload names
+ * @returns {object} 403 response
+ */
+const formClosed = (request, h, formId) => {
+  request.logger.warn('Refused an upload to a form outside its organisations', {
+    formId,
+    userId: request.auth?.credentials?.id,
+    organisationId: getOrganisationId(request)
+  })
+
+  return h
+    .response({
+      success: false,
+      message: `Form '${formId}' is not open to your organisation`
+    })
+    .code(403)
+}
+
+/**
+ * Response for an upload the user may not read. It is the same as for an
+ * upload that does not exist, so other organisations' upload ids cannot be
+ * discovered.
+ * @param {object} h - The hapi response toolkit
+ * @returns {object} 404 response
+ */
+const uploadNotFound = (h) =>
+  h
+    .response({
+      success: false,
+      message: 'Upload not found'
+    })
+    .code(404)
+
+/**
+ * Add a read of an upload to the user's data access log
+ * @param {object} request - The hapi request
+ * @param {string} action - What was read: status, history, report or
+ *   download
+ * @param {string} uploadId - Upload identifier
+ * @param {object|null} upload - Upload record, when it is tracked, or the
+ *   validation result kept for one that is not
+ * @param {object} [details] - Extra data recorded with the entry
+ * @returns {Promise<void>}
+ */
+const recordDataAccess = async (
+  request,
+  action,
+  uploadId,
+  upload,
+  details = {}
+) => {
+  const userId = request.auth?.credentials?.id
+  if (!userId) return
+
+  await userProfileStore.recordActivity(userId, AuditLog.DATA_ACCESS, {
+    action,
+    uploadId,
+    filename: upload?.originalFilename ?? upload?.filename ?? null,
+    organisationId: upload?.organisationId ?? null,
+    ...details
+  })
+}
 
 export const uploadController = {
   async handleUpload(request, h) {
@@ -9,8 +205,12 @@ export const uploadController = {
       const { payload } = request
       const logger = request.logger.child({ component: 'upload-controller' })
 
-      const originalFilename = payload.file.hapi.filename
-      const contentType = payload.file.hapi.headers['content-type']
+      const fileErrors = await checkUploadedFile(payload.file)
+      if (fileErrors.length) {
+        return await rejectUploadedFile(request, h, payload.file, fileErrors)
+      }
+
+      const { originalFilename, contentType } = describeFilePart(payload.file)
 
       // Generate timestamp-based filename
       const filenameBase = originalFilename.replace(/\.[^/.]+$/, '')
@@ -18,23 +218,15 @@ export const uploadController = {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
       const timestampedFilename = `${filenameBase}_${timestamp}${fileExtension}`
 
-      // Convert stream to buffer for both CDP and Azure uploads
-      const stream = payload.file
-      const chunks = []
-      await new Promise((resolve, reject) => {
-        stream.on('data', (chunk) => chunks.push(chunk))
-        stream.on('end', () => resolve())
-        stream.on('error', reject)
-      })
-      const fileBuffer = Buffer.concat(chunks)
-
+      // Hand the spooled file straight on; it is staged and streamed to CDP
+      // without being read into memory
       const uploadResult = await cdpUploaderService.uploadFile({
-        file: fileBuffer,
+        file: payload.file,
         metadata: {
           originalName: timestampedFilename,
           contentType,
-          size: fileBuffer.length,
           uploadedBy: request.auth?.credentials?.id || 'anonymous',
+          organisationId: getOrganisationId(request),
           uploadedAt: new Date().toISOString()
         }
       })
@@ -47,26 +239,16 @@ export const uploadController = {
       })
 
       try {
-        // Get existing upload to preserve fileBuffer and contentType
-        const existingUpload = await redisUploadStore.getUpload(
-          uploadResult.uploadId
-        )
-
         await redisUploadStore.updateUpload(uploadResult.uploadId, {
           originalSpreadsheetName: timestampedFilename,
           originalFilename,
-          timestamp,
-          status: 'awaiting_callback',
-          // Explicitly preserve critical fields
-          fileBuffer: existingUpload?.fileBuffer,
-          contentType: existingUpload?.contentType || contentType
+          timestamp
         })
 
         logger.debug('Upload metadata updated', {
           uploadId: uploadResult.uploadId,
-          hasFileBuffer: !!existingUpload?.fileBuffer,
-          fileBufferLength: existingUpload?.fileBuffer?.length,
-          contentType: existingUpload?.contentType || contentType
+          size: uploadResult.size,
+          contentType
         })
       } catch (redisError) {
         logger.warn('Failed to update upload data in Redis', {
@@ -138,13 +320,34 @@ export const uploadController = {
         }
       }
 
-      // Regular file upload handling
-      const { formData, file } = payload
+      // Only CDP may post to /file without signing in, with its callback token
+      if (!request.auth?.isAuthenticated) {
+        logger.warn('Unauthenticated form submission attempt')
+        return h.response({ error: 'Unauthorized' }).code(401)
+      }
+
+      // Regular file upload handling, attributed to the signed-in user and
+      // their organisation
+      const { file } = payload
+      const uploadedBy = request.auth?.credentials?.id
+      const organisationId = getOrganisationId(request)
+      const formData = payload.formData && {
+        ...payload.formData,
+        submittedBy: uploadedBy,
+        organisationId
+      }
+
+      if (!canSubmitToForm(request, formData?.formId)) {
+        return formClosed(request, h, formData.formId)
+      }
 
       if (file) {
-        const originalFilename = file.hapi?.filename || file.filename
-        const contentType =
-          file.hapi?.headers?.['content-type'] || file.mimetype
+        const fileErrors = await checkUploadedFile(file)
+        if (fileErrors.length) {
+          return await rejectUploadedFile(request, h, file, fileErrors)
+        }
+
+        const { originalFilename, contentType } = describeFilePart(file)
 
         // Generate timestamp-based filename
         const filenameBase = originalFilename.replace(/\.[^/.]+$/, '')
@@ -152,24 +355,15 @@ export const uploadController = {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
         const timestampedFilename = `${filenameBase}_${timestamp}${fileExtension}`
 
-        // Convert stream to buffer
-        const stream = file.stream || file
-        const chunks = []
-        await new Promise((resolve, reject) => {
-          stream.on('data', (chunk) => chunks.push(chunk))
-          stream.on('end', () => resolve())
-          stream.on('error', reject)
-        })
-        const fileBuffer = Buffer.concat(chunks)
-
         const uploadResult = await cdpUploaderService.uploadFile({
-          file: fileBuffer,
+          file: file.stream || file,
           metadata: {
             originalName: timestampedFilename,
             contentType,
-            size: fileBuffer.length,
             formId: formData?.formId,
             submissionId: formData?.submissionId,
+            uploadedBy,
+            organisationId,
             uploadedAt: new Date().toISOString()
           }
         })
@@ -183,27 +377,19 @@ export const uploadController = {
         })
 
         try {
-          // Get existing upload to preserve fileBuffer and contentType
-          const existingUpload = await redisUploadStore.getUpload(
-            uploadResult.uploadId
-          )
-
           await redisUploadStore.updateUpload(uploadResult.uploadId, {
             originalSpreadsheetName: timestampedFilename,
             originalFilename,
             timestamp,
-            status: 'awaiting_callback',
             formData,
-            // Explicitly preserve critical fields
-            fileBuffer: existingUpload?.fileBuffer,
-            contentType: existingUpload?.contentType || contentType
+            formSlug: getFormSlug(formData?.formId),
+            deliveryTargets: getDeliveryTargets(formData?.formId)
           })
 
           logger.debug('Form upload metadata updated', {
             uploadId: uploadResult.uploadId,
-            hasFileBuffer: !!existingUpload?.fileBuffer,
-            fileBufferLength: existingUpload?.fileBuffer?.length,
-            contentType: existingUpload?.contentType || contentType
+            size: uploadResult.size,
+            contentType
           })
         } catch (redisError) {
           logger.warn('Failed to update form upload data in Redis', {
@@ -247,13 +433,19 @@ export const uploadController = {
   async getUploadStatus(request, h) {
     try {
       const { uploadId } = request.params
+      const { credentials } = request.auth
 
       try {
         const trackedUpload = await redisUploadStore.getUpload(uploadId)
         if (trackedUpload) {
+          if (!canReadUpload(credentials, trackedUpload)) {
+            return uploadNotFound(h)
+          }
+          await recordDataAccess(request, 'status', uploadId, trackedUpload)
           return h.response({
             success: true,
-            ...trackedUpload
+            ...trackedUpload,
+            status: normaliseStatus(trackedUpload.status)
           })
         }
       } catch (redisError) {
@@ -262,7 +454,14 @@ export const uploadController = {
           error: redisError.message
         })
       }
+
+      // Only staff who may read every upload can ask CDP about ones that are
+      // not tracked, as nothing says whose they are
+      if (!canReadUpload(credentials, null)) {
+        return uploadNotFound(h)
+      }
       const status = await cdpUploaderService.getUploadStatus(uploadId)
+      await recordDataAccess(request, 'status', uploadId, null)
 
       return h.response({
         success: true,
@@ -285,13 +484,294 @@ export const uploadController = {
     }
   },
 
+  /**
+   * Uploads the signed-in user may read, newest first: their organisation's,
+   * or their own when they signed in as themselves. Staff who may read every
+   * upload see them all, or one organisation's with `organisationId`.
+   */
+  async listUploads(request, h) {
+    try {
+      const { credentials } = request.auth
+      const { limit, organisationId } = request.query
+
+      let uploads
+      if (credentials.scope?.includes(Permission.READ_ALL_UPLOADS)) {
+        uploads = organisationId
+          ? await redisUploadStore.getUploadsByOrganisation(
+              organisationId,
+              limit
+            )
+          : await redisUploadStore.getAllUploads(limit)
+      } else if (credentials.organisationId) {
+        uploads = await redisUploadStore.getUploadsByOrganisation(
+          credentials.organisationId,
+          limit
+        )
+      } else {
+        uploads = await redisUploadStore.getUploadsByUser(credentials.id, limit)
+      }
+
+      return h.response({
+        success: true,
+        uploads: uploads
+          .map((upload) => ({
+            uploadId: upload.uploadId,
+            filename: upload.originalFilename ?? upload.filename ?? null,
+            formId: upload.formId ?? null,
+            status: normaliseStatus(upload.status) ?? null,
+            uploadedBy: upload.uploadedBy ?? null,
+            organisationId: upload.organisationId ?? null,
+            createdAt: upload.createdAt
+          }))
+          .sort((a, b) => (b.createdAt ?? '').localeCompare(a.createdAt ?? ''))
+      })
+    } catch (error) {
+      request.logger.error('Failed to list uploads', {
+        error: error.message
+      })
+
+      return h
+        .response({
+          success: false,
+          message: 'Failed to list uploads',
+          error: error.message
+        })
+        .code(500)
+    }
+  },
+
+  /**
+   * Event history for an upload, for support queries about a submission
+   */
+  async getUploadHistory(request, h) {
+    try {
+      const { uploadId } = request.params
+
+      const [trackedUpload, events] = await Promise.all([
+        redisUploadStore.getUpload(uploadId),
+        redisUploadStore.getEvents(uploadId)
+      ])
+
+      // Once the record has expired, the first event says whose it was
+      if (
+        (!trackedUpload && events.length === 0) ||
+        !canReadUpload(request.auth.credentials, trackedUpload ?? events[0])
+      ) {
+        return uploadNotFound(h)
+      }
+      await recordDataAccess(request, 'history', uploadId, trackedUpload)
+
+      return h.response({
+        success: true,
+        uploadId,
+        status: normaliseStatus(trackedUpload?.status) ?? null,
+        createdAt: trackedUpload?.createdAt ?? events[0].at,
+        events
+      })
+    } catch (error) {
+      request.logger.error('Failed to get upload history', {
+        uploadId: request.params.uploadId,
+        error: error.message
+      })
+
+      return h
+        .response({
+          success: false,
+          message: 'Failed to get upload history',
+          error: error.message
+        })
+        .code(500)
+    }
+  },
+
+  /**
+   * Get the full validation error report for an upload checked in a forms
+   * journey; the error summary on the page only lists the first few errors.
+   * CSV and XLSX reports are downloads echoing the submitted rows. Without a
+   * `format` the report comes in the user's default report format.
+   */
+  async getValidationReport(request, h) {
+    try {
+      const { uploadId } = request.params
+      const { credentials } = request.auth
+
+      // Uploads that are not tracked belong to whoever uploaded the file, as
+      // kept with its validation result
+      const upload =
+        (await redisUploadStore.getUpload(uploadId)) ??
+        (await uploadValidationService.getValidation(uploadId))
+      if (!canReadUpload(credentials, upload)) {
+        return uploadNotFound(h)
+      }
+
+      const format =
+        request.query.format ??
+        (credentials?.id
+          ? (await userProfileStore.getPreferences(credentials.id))
+              .defaultReportFormat
+          : 'json')
+      await recordDataAccess(request, 'report', uploadId, upload, {
+        format
+      })
+
+      if (format !== 'json') {
+        const report = await uploadValidationService.getErrorReport(
+          uploadId,
+          format
+        )
+
+        if (!report) {
+          return h
+            .response({
+              success: false,
+              message: 'Validation report not found'
+            })
+            .code(404)
+        }
+
+        return h
+          .response(report.content)
+          .type(report.contentType)
+          .header(
+            'Content-Disposition',
+            `attachment; filename="${report.filename}"`
+          )
+      }
+
+      const validation = await uploadValidationService.getValidation(uploadId)
+
+      if (!validation) {
+        return h
+          .response({
+            success: false,
+            message: 'Validation report not found'
+          })
+          .code(404)
+      }
+
+      return h.response({
+        success: true,
+        uploadId,
+        ...validation
+      })
+    } catch (error) {
+      request.logger.error('Failed to get validation report', {
+        uploadId: request.params.uploadId,
+        error: error.message
+      })
+
+      return h
+        .response({
+          success: false,
+          message: 'Failed to get validation report',
+          error: error.message
+        })
+        .code(500)
+    }
+  },
+
+  /**
+   * Start a direct upload: the browser posts its form to the returned CDP
+   * upload URL and is redirected back through /upload/return/{uploadId}
+   */
+  async initiateUpload(request, h) {
+    try {
+      if (uploadConfig.getCdpUploaderConfig().mode !== 'direct') {
+        return h
+          .response({
+            success: false,
+            message: 'Direct uploads are not enabled (CDP_UPLOADER_MODE)'
+          })
+          .code(409)
+      }
+
+      const { redirect, formId, submissionId } = request.payload
+      if (!canSubmitToForm(request, formId)) {
+        return formClosed(request, h, formId)
+      }
+
+      const { uploadId, uploadUrl } = await cdpUploaderService.initiateUpload({
+        redirect,
+        metadata: {
+          formId,
+          submissionId,
+          uploadedBy: request.auth?.credentials?.id,
+          organisationId: getOrganisationId(request)
+        }
+      })
+
+      request.logger.info('Direct upload initiated', { uploadId, formId })
+
+      return h
+        .response({
+          success: true,
+          uploadId,
+          uploadUrl,
+          statusUrl: `/upload/status/${uploadId}`
+        })
+        .code(201)
+    } catch (error) {
+      request.logger.error('Failed to initiate upload', {
+        error: error.message
+      })
+
+      return h
+        .response({
+          success: false,
+          message: 'Failed to initiate upload',
+          error: error.message
+        })
+        .code(500)
+    }
+  },
+
+  /**
+   * Where CDP sends the browser after a direct upload: read the upload's
+   * status from CDP, queue the transfer if the file is already clean and
+   * redirect back to the form
+   */
+  async handleUploadReturn(request, h) {
+    const { uploadId } = request.params
+    const logger = request.logger.child({ component: 'upload-return' })
+
+    const upload = await redisUploadStore.getUpload(uploadId)
+    if (upload?.uploadMode !== 'direct') {
+      return h
+        .response({
+          success: false,
+          message: 'Upload not found'
+        })
+        .code(404)
+    }
+
+    try {
+      const { virusScanStatus } =
+        await cdpUploaderService.syncUploadStatus(uploadId)
+
+      if (virusScanStatus === 'clean') {
+        await jobQueue.enqueue(DELIVERY_JOB, { uploadId }, { key: uploadId })
+      }
+    } catch (error) {
+      // The callback still settles the upload, so the user carries on
+      logger.warn('Failed to read upload status from CDP', {
+        uploadId,
+        error: error.message
+      })
+    }
+
+    const separator = upload.redirect.includes('?') ? '&' : '?'
+    return h.redirect(
+      `${upload.redirect}${separator}uploadId=${encodeURIComponent(uploadId)}`
+    )
+  },
+
   /**
    * Handle CDP callback - this is where we conditionally transfer to Azure
    */
   async handleCdpCallback(request, h) {
     try {
       const logger = request.logger.child({ component: 'cdp-callback' })
-      const { payload, headers } = request
+      const { headers } = request
 
       // Validate callback authentication
       const authToken = headers.authorization?.replace('Bearer ', '')
@@ -303,266 +783,97 @@ export const uploadController = {
         return h.response({ error: 'Unauthorized' }).code(401)
       }
 
+      if (isCdpStatusResponse(request.payload)) {
+        return await this.handleCdpStatusCallback(request, h)
+      }
+
+      const { payload } = request
+      // Some callbacks only send the scan result as their status
+      const virusScanStatus = payload.virusScanStatus || payload.status
+
       logger.info('Received CDP callback', {
         uploadId: payload.uploadId,
         status: payload.status,
-        virusScanStatus: payload.virusScanStatus
+        virusScanStatus
       })
 
-      // Update tracked upload
-      let trackedUpload = null
+      // Record the callback and update tracked upload
       try {
-        trackedUpload = await redisUploadStore.getUpload(payload.uploadId)
+        await redisUploadStore.appendEvent(
+          payload.uploadId,
+          UploadEvent.CALLBACK_RECEIVED,
+          { payload }
+        )
+        await redisUploadStore.appendEvent(
+          payload.uploadId,
+          UploadEvent.SCAN_RESULT,
+          { virusScanStatus }
+        )
+
+        const trackedUpload = await redisUploadStore.getUpload(payload.uploadId)
         if (trackedUpload) {
           await redisUploadStore.updateUpload(payload.uploadId, {
-            status: 'callback_received',
-            virusScanStatus: payload.virusScanStatus,
+            status: UploadStatus.CALLBACK_RECEIVED,
+            virusScanStatus,
             processedAt: new Date().toISOString()
           })
-          // Update local reference for the async operation below
-          trackedUpload = {
-            ...trackedUpload,
-            status: 'callback_received',
-            virusScanStatus: payload.virusScanStatus,
-            processedAt: new Date().toISOString()
-          }
         }
       } catch (redisError) {
-        logger.warn('Failed to update upload data in Redis', {
-          uploadId: payload.uploadId,
-          error: redisError.message
-        })
+        if (redisError instanceof InvalidTransitionError) {
+          // CDP repeats callbacks; the upload has already moved on
+          logger.info('Ignoring duplicate CDP callback', {
+            uploadId: payload.uploadId,
+            from: redisError.from,
+            to: redisError.to
+          })
+        } else {
+          logger.warn('Failed to update upload data in Redis', {
+            uploadId: payload.uploadId,
+            error: redisError.message
+          })
+        }
         // Continue processing - Redis service handles fallback automatically
       }
 
       // CRITICAL: Only transfer to Azure if virus scan passed
-      if (payload.virusScanStatus === 'clean' || payload.status === 'clean') {
-        logger.info('Virus scan passed, initiating direct Azure transfer', {
+      if (virusScanStatus === 'clean') {
+        logger.info('Virus scan passed, queueing delivery', {
           uploadId: payload.uploadId
         })
 
-        // Perform Azure transfer asynchronously to avoid timeout
-        setImmediate(async () => {
-          try {
-            // Get the stored file buffer from Redis/memory
-            if (!trackedUpload?.fileBuffer) {
-              logger.error(
-                'No file buffer found for upload - cannot upload to Azure',
-                {
-                  uploadId: payload.uploadId,
-                  hasTrackedUpload: !!trackedUpload,
-                  trackedUploadStatus: trackedUpload?.status,
-                  trackedUploadKeys: trackedUpload
-                    ? Object.keys(trackedUpload)
-                    : [],
-                  virusScanStatus: trackedUpload?.virusScanStatus
-                }
-              )
-
-              // Update status to show buffer missing
-              await redisUploadStore.updateUpload(payload.uploadId, {
-                status: 'buffer_missing',
-                transferError: 'File buffer not found for Azure upload'
-              })
-              return
-            }
-
-            // Convert base64 back to buffer if needed
-            const fileBuffer = Buffer.isBuffer(trackedUpload.fileBuffer)
-              ? trackedUpload.fileBuffer
-              : Buffer.from(trackedUpload.fileBuffer, 'base64')
-
-            // Validate buffer is not empty
-            if (!fileBuffer || fileBuffer.length === 0) {
-              logger.error('File buffer is empty or corrupted', {
-                uploadId: payload.uploadId,
-                hasBuffer: !!trackedUpload.fileBuffer,
-                bufferType: typeof trackedUpload.fileBuffer,
-                isBufferInstance: Buffer.isBuffer(trackedUpload.fileBuffer)
-              })
-              return
-            }
-
-            // Get the timestamped spreadsheet filename
-            const spreadsheetFilename =
-              trackedUpload.originalSpreadsheetName ||
-              trackedUpload.filename ||
-              'unnamed-file'
-
-            // Determine correct content type for spreadsheet
-            const contentType =
-              trackedUpload.contentType ||
-              (spreadsheetFilename.endsWith('.xlsx')
-                ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-                : spreadsheetFilename.endsWith('.xls')
-                  ? 'application/vnd.ms-excel'
-                  : spreadsheetFilename.endsWith('.csv')
-                    ? 'text/csv'
-                    : 'application/octet-stream')
-
-            // Extract timestamp from filename to verify it matches the JSON
-            const timestampMatch = spreadsheetFilename.match(
-              /_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)/
-            )
-            const hasMatchingTimestamp =
-              timestampMatch &&
-              trackedUpload.jsonFilename?.includes(timestampMatch[1])
-
-            logger.info('Uploading spreadsheet to Azure after virus scan', {
-              uploadId: payload.uploadId,
-              spreadsheetFilename,
-              spreadsheetExtension: spreadsheetFilename.match(/\.[^.]+$/)?.[0],
-              jsonFilename: trackedUpload.jsonFilename,
-              jsonExtension: trackedUpload.jsonFilename?.match(/\.[^.]+$/)?.[0],
-              originalFilename: trackedUpload.originalFilename,
-              originalExtension:
-                trackedUpload.originalFilename?.match(/\.[^.]+$/)?.[0],
-              timestamp: trackedUpload.timestamp,
-              hasMatchingTimestamp,
-              size: fileBuffer.length,
-              contentType,
-              hasContentTypeFromTracked: !!trackedUpload.contentType,
-              willUploadWithName: spreadsheetFilename,
-              azureBlobName: spreadsheetFilename,
-              trackedUploadKeys: Object.keys(trackedUpload || {})
-            })
-
-            // Upload JSON file first if present (form submissions)
-            let jsonAzureResult = null
-            if (trackedUpload.jsonBuffer && trackedUpload.jsonFilename) {
-              try {
-                const jsonBuffer = Buffer.from(
-                  trackedUpload.jsonBuffer,
-                  'base64'
-                )
-
-                jsonAzureResult = await azureStorageService.uploadFile(
-                  payload.uploadId,
-                  {
-                    buffer: jsonBuffer,
-                    originalname: trackedUpload.jsonFilename,
-                    mimetype: 'application/json',
-                    size: jsonBuffer.length
-                  },
-                  {
-                    originalName: trackedUpload.jsonFilename,
-                    contentType: 'application/json',
-                    type: 'form-data',
-                    relatedSpreadsheet: spreadsheetFilename,
-                    originalFilename: trackedUpload.originalFilename,
-                    timestamp: trackedUpload.timestamp,
-                    virusScanStatus: 'clean',
-                    transferredAt: new Date().toISOString()
-                  }
-                )
-
-                logger.info('JSON uploaded to Azure', {
-                  uploadId: payload.uploadId,
-                  jsonBlobName: jsonAzureResult.blobName,
-                  jsonUrl: jsonAzureResult.url
-                })
-              } catch (jsonError) {
-                logger.error('Failed to upload JSON to Azure', {
-                  uploadId: payload.uploadId,
-                  error: jsonError.message
-                })
-              }
-            }
-
-            // Upload spreadsheet to Azure with correct content type
-            const azureResult = await azureStorageService.uploadFile(
-              payload.uploadId,
-              {
-                buffer: fileBuffer,
-                originalname: spreadsheetFilename,
-                mimetype: contentType,
-                size: fileBuffer.length
-              },
-              {
-                originalName: spreadsheetFilename,
-                originalFilename: trackedUpload.originalFilename,
-                timestamp: trackedUpload.timestamp,
-                contentType,
-                type: 'spreadsheet',
-                relatedJson: trackedUpload.jsonFilename,
-                virusScanStatus: 'clean',
-                transferredAt: new Date().toISOString()
-              }
-            )
-
-            // Update tracking and clear the buffers to save memory
-            try {
-              await redisUploadStore.updateUpload(payload.uploadId, {
-                status: 'completed',
-                azureTransferred: true,
-                azureBlobName: azureResult.blobName,
-                azureUrl: azureResult.url,
-                azureJsonBlobName: jsonAzureResult?.blobName,
-                azureJsonUrl: jsonAzureResult?.url,
-                fileBuffer: null, // Clear the buffer after successful upload
-                jsonBuffer: null // Clear JSON buffer too
-              })
-            } catch (redisError) {
-              logger.warn('Failed to update completed upload status in Redis', {
-                uploadId: payload.uploadId,
-                error: redisError.message
-              })
-            }
-
-            logger.info('Direct Azure transfer completed', {
-              uploadId: payload.uploadId,
-              spreadsheetBlobName: azureResult.blobName,
-              spreadsheetExtension:
-                azureResult.blobName?.match(/\.[^.]+$/)?.[0],
-              spreadsheetUrl: azureResult.url,
-              jsonBlobName:
-                jsonAzureResult?.blobName || trackedUpload.jsonFilename,
-              jsonExtension: (
-                jsonAzureResult?.blobName || trackedUpload.jsonFilename
-              )?.match(/\.[^.]+$/)?.[0],
-              jsonUrl: jsonAzureResult?.url,
-              originalFilename: trackedUpload.originalFilename,
-              timestamp: trackedUpload.timestamp,
-              bothFilesHaveSameTimestamp: hasMatchingTimestamp,
-              jsonAlsoUploaded: !!jsonAzureResult
-            })
-          } catch (error) {
-            logger.error('Direct Azure transfer failed', {
-              uploadId: payload.uploadId,
-              error: error.message
-            })
-
-            try {
-              await redisUploadStore.updateUpload(payload.uploadId, {
-                status: 'transfer_failed',
-                transferError: error.message
-              })
-            } catch (redisError) {
-              logger.warn('Failed to update failed transfer status in Redis', {
-                uploadId: payload.uploadId,
-                error: redisError.message
-              })
-            }
-          }
-        })
+        // Queue the transfer so it survives restarts and is retried on failure
+        const job = await jobQueue.enqueue(
+          DELIVERY_JOB,
+          { uploadId: payload.uploadId },
+          { key: payload.uploadId }
+        )
 
         return h
           .response({
             success: true,
-            message: 'Callback processed, Azure transfer initiated'
+            message: 'Callback processed, Azure transfer queued',
+            jobId: job.id
           })
           .code(200)
       } else {
         // Virus scan failed or file quarantined
         logger.warn('File failed virus scan or was quarantined', {
           uploadId: payload.uploadId,
-          virusScanStatus: payload.virusScanStatus
+          virusScanStatus
+        })
+
+        // Never keep the bytes of a file that failed scanning
+        await uploadStagingStore.remove(payload.uploadId).catch((error) => {
+          logger.warn('Failed to remove staged file for quarantined upload', {
+            uploadId: payload.uploadId,
+            error: error.message
+          })
         })
 
         try {
           await redisUploadStore.updateUpload(payload.uploadId, {
-            status: 'quarantined',
-            fileBuffer: null // Clear the buffer for quarantined files
+            status: UploadStatus.QUARANTINED,
+            staged: false
           })
         } catch (redisError) {
           logger.warn('Failed to update quarantined status in Redis', {
@@ -593,6 +904,70 @@ export const uploadController = {
     }
   },
 
+  /**
+   * Handle a callback for a direct upload, which is CDP's status response.
+   * Its content is not trusted: the status is read back from CDP.
+   */
+  async handleCdpStatusCallback(request, h) {
+    const logger = request.logger.child({ component: 'cdp-callback' })
+    const uploadId = request.payload.metadata?.uploadId
+
+    const upload = uploadId && (await redisUploadStore.getUpload(uploadId))
+    if (upload?.uploadMode !== 'direct') {
+      logger.warn('CDP callback for unknown upload', { uploadId })
+      return h
+        .response({
+          success: false,
+          message: 'Upload not found'
+        })
+        .code(404)
+    }
+
+    await redisUploadStore.appendEvent(
+      uploadId,
+      UploadEvent.CALLBACK_RECEIVED,
+      { payload: request.payload }
+    )
+
+    const { virusScanStatus, error } =
+      await cdpUploaderService.syncUploadStatus(uploadId, 'callback')
+
+    logger.info('Received CDP callback', { uploadId, virusScanStatus })
+
+    if (virusScanStatus === 'pending') {
+      return h
+        .response({
+          success: true,
+          message: 'Callback processed, scan not finished'
+        })
+        .code(202)
+    }
+
+    if (virusScanStatus !== 'clean') {
+      logger.warn('File rejected by CDP', { uploadId, error })
+      return h
+        .response({
+          success: true,
+          message: 'File rejected, no Azure transfer'
+        })
+        .code(200)
+    }
+
+    const job = await jobQueue.enqueue(
+      DELIVERY_JOB,
+      { uploadId },
+      { key: uploadId }
+    )
+
+    return h
+      .response({
+        success: true,
+        message: 'Callback processed, Azure transfer queued',
+        jobId: job.id
+      })
+      .code(200)
+  },
+
   /**
    * Process upload directly to Azure without S3
    */
@@ -615,7 +990,10 @@ export const uploadController = {
       }
 
       // Check if already processed
-      if (uploadData.status === 'completed' || uploadData.azureTransferred) {
+      if (
+        normaliseStatus(uploadData.status) === UploadStatus.COMPLETED ||
+        uploadData.azureTransferred
+      ) {
         return h
           .response({
             success: true,
@@ -639,32 +1017,18 @@ export const uploadController = {
           .code(400)
       }
 
-      // Start async processing
-      setImmediate(async () => {
-        try {
-          const result =
-            await cdpUploaderService.processUploadWithAzureTransfer(
-              uploadId,
-              azureStorageService
-            )
-
-          logger.info('Direct upload processing completed', {
-            uploadId,
-            azureUrl: result.azureResult.url
-          })
-        } catch (error) {
-          logger.error('Direct upload processing failed', {
-            uploadId,
-            error: error.message
-          })
-        }
-      })
+      const job = await jobQueue.enqueue(
+        PROCESS_UPLOAD_JOB,
+        { uploadId },
+        { key: uploadId }
+      )
 
       return h
         .response({
           success: true,
-          message: 'Upload processing started',
+          message: 'Upload processing queued',
           uploadId,
+          jobId: job.id,
           checkStatusUrl: `/upload/status/${uploadId}`
         })
         .code(202)
@@ -684,6 +1048,102 @@ export const uploadController = {
     }
   },
 
+  /**
+   * Download a delivered upload for a user who may read it, through a signed
+   * link, either redirecting to a short-lived SAS URL or streaming the blob
+   * (storage.download.mode)
+   */
+  async downloadFile(request, h) {
+    try {
+      const { uploadId } = request.params
+
+      if (!isValidDownloadLink(request)) {
+        return h
+          .response({
+            success: false,
+            message: 'Download link is invalid or has expired'
+          })
+          .code(403)
+      }
+
+      const upload = await redisUploadStore.getUpload(uploadId)
+      if (!upload || !canReadUpload(request.auth.credentials, upload)) {
+        return uploadNotFound(h)
+      }
+
+      const delivered = findDeliveredFile(upload)
+      if (!delivered) {
+        return h
+          .response({
+            success: false,
+            message: 'File is not available for download yet',
+            status: normaliseStatus(upload.status)
+          })
+          .code(409)
+      }
+
+      // Served from whichever target the upload was delivered to first
+      const { target, blobName } = delivered
+      await recordDataAccess(request, 'download', uploadId, upload)
+      const storage = await getTargetStorage(target)
+      const targetOptions = getTargetOptions(target)
+
+      // Providers that cannot sign URLs, such as the filesystem, always stream
+      if (
+        config.get('storage.download.mode') === 'redirect' &&
+        storage.generateSasUrl
+      ) {
+        const { sasUrl } = await storage.generateSasUrl(
+          uploadId,
+          blobName,
+          'r',
+          config.get('storage.download.sasExpiry') / (60 * 60 * 1000),
+          targetOptions
+        )
+        return h.redirect(sasUrl).header('Cache-Control', 'no-store')
+      }
+
+      const download = await storage.downloadFile(
+        uploadId,
+        blobName,
+        targetOptions
+      )
+      if (!download.success) {
+        return h
+          .response({
+            success: false,
+            message: 'File not found'
+          })
+          .code(404)
+      }
+
+      const filename = (
+        upload.originalFilename ||
+        upload.filename ||
+        'download'
+      ).replace(/["\\\r\n]/g, '')
+
+      return h
+        .response(download.stream)
+        .type(download.contentType || 'application/octet-stream')
+        .header('Content-Disposition', `attachment; filename="${filename}"`)
+        .header('Cache-Control', 'no-store')
+    } catch (error) {
+      request.logger.error('Failed to download file', {
+        uploadId: request.params.uploadId,
+        error: error.message
+      })
+
+      return h
+        .response({
+          success: false,
+          message: 'Failed to download file',
+          error: error.message
+        })
+        .code(500)
+    }
+  },
+
   /**
    * Health check endpoint
    */
@@ -692,19 +1152,21 @@ export const uploadController = {
       const cdpHealth = await cdpUploaderService.healthCheck()
       const azureAvailable = uploadConfig.azureConfig.enabled
       const s3Enabled = process.env.S3_ENABLED === 'true'
+      const filesystemEnabled = uploadConfig.filesystemConfig.enabled
 
       return h.response({
         status: 'healthy',
         services: {
           cdpUploader: cdpHealth.healthy ? 'up' : 'down',
           azureStorage: azureAvailable ? 'configured' : 'disabled',
-          s3: s3Enabled ? 'configured' : 'disabled (not required)'
+          s3: s3Enabled ? 'configured' : 'disabled (not required)',
+          filesystemStorage: filesystemEnabled ? 'configured' : 'disabled'
         },
         features: {
           directAzureUpload: true,
           virusScanPolling: true,
           s3Download: s3Enabled,
-          fileBufferStorage: true
+          stagedFileStorage: true
         },
         timestamp: new Date().toISOString()
       })
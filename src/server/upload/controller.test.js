@@ -0,0 +1,347 @@
+import { Readable } from 'node:stream'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { uploadController } from './controller.js'
+import { azureStorageService } from './services/azure-storage-service.js'
+import { s3StorageService } from './services/s3-storage-service.js'
+import { createDownloadUrl } from './services/download-links.js'
+import { redisUploadStore } from '../services/redis-upload-store.js'
+import { jobQueue } from '../services/job-queue.js'
+import { userProfileStore } from '../services/user-profile-store.js'
+import { InvalidTransitionError } from '../services/upload-lifecycle.js'
+import { Permission } from '../auth/permissions.js'
+import { config } from '../../config/config.js'
+import { uploadConfig } from '../../config/upload-config.js'
+
+vi.mock('./services/azure-storage-service.js', () => ({
+  azureStorageService: {
+    generateSasUrl: vi.fn(),
+    downloadFile: vi.fn()
+  }
+}))
+
+vi.mock('./services/s3-storage-service.js', () => ({
+  s3StorageService: { generateSasUrl: vi.fn() }
+}))
+
+vi.mock('../services/redis-upload-store.js', () => ({
+  redisUploadStore: {
+    getUpload: vi.fn(),
+    updateUpload: vi.fn(),
+    appendEvent: vi.fn()
+  }
+}))
+
+vi.mock('../services/user-profile-store.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  userProfileStore: { recordActivity: vi.fn() }
+}))
+
+vi.mock('../services/job-queue.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  jobQueue: { enqueue: vi.fn() }
+}))
+
+/**
+ * Minimal stand-in for a hapi response, recording what the handler set
+ */
+const createResponse = (fields) => ({
+  statusCode: 200,
+  headers: {},
+  ...fields,
+  code(statusCode) {
+    this.statusCode = statusCode
+    return this
+  },
+  type(contentType) {
+    this.headers['content-type'] = contentType
+    return this
+  },
+  header(name, value) {
+    this.headers[name.toLowerCase()] = value
+    return this
+  }
+})
+
+const h = {
+  response: (source) => createResponse({ source }),
+  redirect: (location) => createResponse({ statusCode: 302, location })
+}
+
+const submitter = {
+  id: 'user-1',
+  organisationId: 'org-1',
+  scope: [Permission.READ_UPLOADS]
+}
+
+const createRequest = (url, credentials = submitter) => {
+  const { pathname, searchParams } = new URL(url, 'http://localhost')
+  return {
+    auth: { credentials },
+    params: { uploadId: decodeURIComponent(pathname.split('/').pop()) },
+    query: {
+      expires: searchParams.has('expires')
+        ? Number(searchParams.get('expires'))
+        : undefined,
+      signature: searchParams.get('signature') ?? undefined
+    },
+    logger: { error: vi.fn() }
+  }
+}
+
+const delivered = {
+  uploadId: 'upload-1',
+  status: 'completed',
+  organisationId: 'org-1',
+  originalFilename: 'results.xlsx',
+  azureTransferred: true,
+  azureBlobName: 'bat-rabies/2025/03/submission-1/results_2025.xlsx'
+}
+
+describe('uploadController.downloadFile', () => {
+  beforeEach(() => {
+    // Serve through the mocked providers rather than the test-mode mock
+    uploadConfig.azureConfig.enabled = true
+    uploadConfig.s3Config.enabled = true
+    redisUploadStore.getUpload.mockResolvedValue(delivered)
+    config.set('storage.download.mode', 'redirect')
+  })
+
+  it('should redirect a signed link to a short-lived SAS URL', async () => {
+    azureStorageService.generateSasUrl.mockResolvedValueOnce({
+      sasUrl: 'https://account.blob.core.windows.net/uploads/x?sig=abc'
+    })
+
+    const response = await uploadController.downloadFile(
+      createRequest(createDownloadUrl('upload-1')),
+      h
+    )
+
+    expect(response.location).toBe(
+      'https://account.blob.core.windows.net/uploads/x?sig=abc'
+    )
+    expect(azureStorageService.generateSasUrl).toHaveBeenCalledWith(
+      'upload-1',
+      delivered.azureBlobName,
+      'r',
+      5 / 60,
+      {}
+    )
+  })
+
+  it("should add the download to the user's data access log", async () => {
+    azureStorageService.generateSasUrl.mockResolvedValueOnce({
+      sasUrl: 'https://account.blob.core.windows.net/uploads/x?sig=abc'
+    })
+
+    await uploadController.downloadFile(
+      createRequest(createDownloadUrl('upload-1')),
+      h
+    )
+
+    expect(userProfileStore.recordActivity).toHaveBeenCalledWith(
+      'user-1',
+      'data-access',
+      {
+        action: 'download',
+        uploadId: 'upload-1',
+        filename: 'results.xlsx',
+        organisationId: 'org-1'
+      }
+    )
+  })
+
+  it('should serve the file from the target it was delivered to', async () => {
+    redisUploadStore.getUpload.mockResolvedValueOnce({
+      uploadId: 'upload-1',
+      status: 'completed',
+      organisationId: 'org-1',
+      deliveries: {
+        archive: {
+          type: 's3',
+          bucket: 'apha-archive',
+          status: 'delivered',
+          blobName: 'bat-rabies/results.xlsx'
+        }
+      }
+    })
+    s3StorageService.generateSasUrl.mockResolvedValueOnce({
+      sasUrl: 'https://apha-archive.s3.amazonaws.com/bat-rabies/results.xlsx'
+    })
+
+    const response = await uploadController.downloadFile(
+      createRequest(createDownloadUrl('upload-1')),
+      h
+    )
+
+    expect(response.location).toBe(
+      'https://apha-archive.s3.amazonaws.com/bat-rabies/results.xlsx'
+    )
+    expect(s3StorageService.generateSasUrl).toHaveBeenCalledWith(
+      'upload-1',
+      'bat-rabies/results.xlsx',
+      'r',
+      5 / 60,
+      { bucket: 'apha-archive' }
+    )
+    expect(azureStorageService.generateSasUrl).not.toHaveBeenCalled()
+  })
+
+  it('should stream the file when configured to', async () => {
+    config.set('storage.download.mode', 'stream')
+    const stream = Readable.from(['data'])
+    azureStorageService.downloadFile.mockResolvedValueOnce({
+      success: true,
+      stream,
+      contentType: 'application/vnd.ms-excel'
+    })
+
+    const response = await uploadController.downloadFile(
+      createRequest(createDownloadUrl('upload-1')),
+      h
+    )
+
+    expect(response.source).toBe(stream)
+    expect(response.headers).toMatchObject({
+      'content-type': 'application/vnd.ms-excel',
+      'content-disposition': 'attachment; filename="results.xlsx"'
+    })
+  })
+
+  it('should refuse links that are unsigned or for another upload', async () => {
+    const unsigned = await uploadController.downloadFile(
+      createRequest('/download/upload-1'),
+      h
+    )
+    const forOtherUpload = await uploadController.downloadFile(
+      createRequest(
+        createDownloadUrl('upload-2').replace('upload-2', 'upload-1')
+      ),
+      h
+    )
+
+    expect(unsigned.statusCode).toBe(403)
+    expect(forOtherUpload.statusCode).toBe(403)
+    expect(redisUploadStore.getUpload).not.toHaveBeenCalled()
+  })
+
+  it('should report files that have not been delivered yet', async () => {
+    redisUploadStore.getUpload.mockResolvedValueOnce({
+      uploadId: 'upload-1',
+      status: 'processing',
+      organisationId: 'org-1'
+    })
+
+    const response = await uploadController.downloadFile(
+      createRequest(createDownloadUrl('upload-1')),
+      h
+    )
+
+    expect(response.statusCode).toBe(409)
+    expect(azureStorageService.generateSasUrl).not.toHaveBeenCalled()
+  })
+
+  it('should report unknown uploads as not found', async () => {
+    redisUploadStore.getUpload.mockResolvedValueOnce(null)
+
+    const response = await uploadController.downloadFile(
+      createRequest(createDownloadUrl('upload-1')),
+      h
+    )
+
+    expect(response.statusCode).toBe(404)
+  })
+
+  it("should not serve another organisation's upload through a valid link", async () => {
+    const response = await uploadController.downloadFile(
+      createRequest(createDownloadUrl('upload-1'), {
+        ...submitter,
+        organisationId: 'org-2'
+      }),
+      h
+    )
+
+    expect(response.statusCode).toBe(404)
+    expect(response.source).toEqual({
+      success: false,
+      message: 'Upload not found'
+    })
+    expect(azureStorageService.generateSasUrl).not.toHaveBeenCalled()
+    expect(azureStorageService.downloadFile).not.toHaveBeenCalled()
+    expect(userProfileStore.recordActivity).not.toHaveBeenCalled()
+  })
+
+  it('should serve any upload to staff who may read every upload', async () => {
+    azureStorageService.generateSasUrl.mockResolvedValueOnce({
+      sasUrl: 'https://account.blob.core.windows.net/uploads/x?sig=abc'
+    })
+
+    const response = await uploadController.downloadFile(
+      createRequest(createDownloadUrl('upload-1'), {
+        id: 'reviewer-1',
+        scope: [Permission.READ_ALL_UPLOADS]
+      }),
+      h
+    )
+
+    expect(response.statusCode).toBe(302)
+  })
+})
+
+describe('uploadController.handleCdpCallback', () => {
+  const logger = {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+
+  const createCallback = (payload) => ({
+    headers: {
+      authorization: `Bearer ${uploadConfig.getCdpUploaderConfig().callbackAuthToken}`
+    },
+    payload: { uploadId: 'upload-1', ...payload },
+    logger: { ...logger, child: () => logger }
+  })
+
+  beforeEach(() => {
+    redisUploadStore.getUpload.mockResolvedValue({
+      uploadId: 'upload-1',
+      status: 'uploaded'
+    })
+    jobQueue.enqueue.mockResolvedValue({ id: 'azure-transfer:upload-1' })
+  })
+
+  it('should record a scan result sent only as the status', async () => {
+    const response = await uploadController.handleCdpCallback(
+      createCallback({ status: 'clean' }),
+      h
+    )
+
+    expect(response.statusCode).toBe(200)
+    expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+      'upload-1',
+      expect.objectContaining({
+        status: 'callback_received',
+        virusScanStatus: 'clean'
+      })
+    )
+    expect(jobQueue.enqueue).toHaveBeenCalled()
+  })
+
+  it('should ignore a duplicate callback the lifecycle rejects', async () => {
+    redisUploadStore.updateUpload.mockRejectedValueOnce(
+      new InvalidTransitionError('upload-1', 'completed', 'callback_received')
+    )
+
+    const response = await uploadController.handleCdpCallback(
+      createCallback({ virusScanStatus: 'clean' }),
+      h
+    )
+
+    expect(response.statusCode).toBe(200)
+    expect(logger.info).toHaveBeenCalledWith(
+      'Ignoring duplicate CDP callback',
+      expect.objectContaining({ from: 'completed' })
+    )
+    expect(logger.warn).not.toHaveBeenCalled()
+  })
+})
@@ -1,4 +1,9 @@
 import { uploadRoutes } from './routes.js'
+import { config } from '../../config/config.js'
+import { jobQueue } from '../services/job-queue.js'
+import { registerUploadJobs } from './jobs.js'
+import { Permission } from '../auth/permissions.js'
+import { describeAcceptedFormats } from '../../config/spreadsheet-formats.js'
 import {
   initializeUploadPipeline,
   getUploadPipelineHealth,
@@ -19,6 +24,11 @@ const uploadPlugin = {
       // Continue anyway - the system can still work without orchestrator
     }
 
+    // Background transfers run on the job queue while the server is started
+    registerUploadJobs(jobQueue)
+    server.ext('onPostStart', () => jobQueue.start())
+    server.ext('onPreStop', async () => await jobQueue.stop())
+
     // Register upload routes
     const routes = uploadRoutes(server)
     server.route(routes)
@@ -28,6 +38,7 @@ const uploadPlugin = {
       {
         method: 'GET',
         path: '/upload/pipeline/health',
+        options: { auth: false },
         handler: async (request, h) => {
           const health = await getUploadPipelineHealth()
           return h.response(health).code(health.healthy ? 200 : 503)
@@ -36,14 +47,20 @@ const uploadPlugin = {
       {
         method: 'POST',
         path: '/upload/pipeline/trigger',
+        options: {
+          auth: { access: { scope: [Permission.OPERATE_PIPELINE] } }
+        },
         handler: async (request, h) => {
-          await triggerProcessing()
-          return h.response({ message: 'Processing triggered' })
+          const result = await triggerProcessing()
+          return h.response({ message: 'Processing triggered', ...result })
         }
       },
       {
         method: 'POST',
         path: '/upload/pipeline/retry',
+        options: {
+          auth: { access: { scope: [Permission.OPERATE_PIPELINE] } }
+        },
         handler: async (request, h) => {
           const result = await retryFailedTransfers()
           return h.response(result)
@@ -64,7 +81,7 @@ const uploadPlugin = {
         return h
           .response({
             error: 'File too large',
-            message: 'File size exceeds the maximum allowed limit of 50MB'
+            message: `File size exceeds the maximum allowed limit of ${Math.round(config.get('storage.maxFileSize') / 1024 / 1024)}MB`
           })
           .code(413)
       }
@@ -76,8 +93,7 @@ const uploadPlugin = {
         return h
           .response({
             error: 'Unsupported file type',
-            message:
-              'Only .csv, .xls, .xlsx, .ods, .xlsm, and .xlsb files are supported'
+            message: `Only ${describeAcceptedFormats()} files are supported`
           })
           .code(415)
       }
@@ -1,5 +1,10 @@
 import { redisUploadStore } from '../services/redis-upload-store.js'
+import { uploadStagingStore } from '../services/upload-staging-store.js'
+import { jobQueue } from '../services/job-queue.js'
+import { DELIVERY_JOB, PROCESS_UPLOAD_JOB } from './jobs.js'
+import { UploadStatus, normaliseStatus } from '../services/upload-lifecycle.js'
 import { createLogger } from '../common/helpers/logging/logger.js'
+import { config } from '../../config/config.js'
 
 const logger = createLogger()
 let isInitialized = false
@@ -14,50 +19,109 @@ export const initializeUploadPipeline = async (serverLogger = logger) => {
     serverLogger.warn('Upload pipeline using in-memory storage')
   }
 
+  // Upload routes spool files into the staging directory, so it must exist
+  await uploadStagingStore.init()
+  await uploadStagingStore.cleanupExpired()
+
   isInitialized = true
 }
 
 export const getUploadPipelineHealth = async () => {
   const redisHealth = await redisUploadStore.checkHealth()
   const activeUploads = await redisUploadStore.getAllUploads()
+  const jobs = await jobQueue.getStats()
 
   return {
     healthy: true,
     storage: redisHealth ? 'redis' : 'memory',
     activeUploads: activeUploads.length,
+    jobs,
     initialized: isInitialized
   }
 }
 
+/**
+ * Queue a delivery for each upload in one of the given statuses that has no
+ * delivery job yet, e.g. callbacks received before the queue existed
+ * @param {Array} uploads - Tracked uploads
+ * @param {string[]} statuses - Upload statuses to pick up
+ * @returns {Promise<number>} Number of jobs enqueued
+ */
+const enqueueOrphanedTransfers = async (uploads, statuses) => {
+  let enqueued = 0
+
+  for (const upload of uploads) {
+    if (!statuses.includes(normaliseStatus(upload.status))) continue
+    if (upload.virusScanStatus !== 'clean') continue
+
+    const existingJob = await jobQueue.findJob(DELIVERY_JOB, upload.uploadId)
+    // Jobs that died of a permanent failure would only fail again
+    if (
+      existingJob &&
+      (existingJob.status !== 'dead' || existingJob.permanent)
+    ) {
+      continue
+    }
+
+    await jobQueue.enqueue(
+      DELIVERY_JOB,
+      { uploadId: upload.uploadId },
+      { key: upload.uploadId }
+    )
+    enqueued++
+  }
+
+  return enqueued
+}
+
 export const triggerProcessing = async () => {
   const uploads = await redisUploadStore.getAllUploads()
-  const pending = uploads.filter((u) => u.status === 'pending')
+  const awaitingScan = uploads.filter(
+    (u) => normaliseStatus(u.status) === UploadStatus.UPLOADED
+  )
 
-  for (const upload of pending) {
-    if (upload.uploadedAt < Date.now() - 3600000) {
-      await redisUploadStore.setUpload(upload.uploadId, {
-        ...upload,
-        status: 'timeout'
+  // Uploads still waiting for a scan result after this long are timed out
+  const cutoff = Date.now() - config.get('jobQueue.callbackTimeout')
+
+  for (const upload of awaitingScan) {
+    if (Date.parse(upload.uploadedAt) < cutoff) {
+      await redisUploadStore.updateUpload(upload.uploadId, {
+        status: UploadStatus.TIMEOUT
       })
     }
   }
 
-  return { processed: pending.length }
+  const queued = await enqueueOrphanedTransfers(uploads, [
+    UploadStatus.CALLBACK_RECEIVED
+  ])
+  const started = await jobQueue.processDue()
+
+  return { processed: awaitingScan.length, queued, started }
 }
 
 export const retryFailedTransfers = async () => {
   const uploads = await redisUploadStore.getAllUploads()
-  const failed = uploads.filter(
-    (u) => u.status === 'error' || u.status === 'timeout'
-  )
+  const timedOut = uploads.filter((u) => u.status === UploadStatus.TIMEOUT)
 
-  for (const upload of failed) {
-    await redisUploadStore.setUpload(upload.uploadId, {
-      ...upload,
-      status: 'retrying',
-      retryAt: Date.now()
-    })
+  // No callback arrived, so poll CDP for the scan result instead. Keyed by
+  // when the upload timed out rather than by uploadId alone, as a completed
+  // process job for the upload is kept for jobQueue.completedTtl and would
+  // swallow the retry; repeated retries of the same timeout stay idempotent.
+  for (const upload of timedOut) {
+    await jobQueue.enqueue(
+      PROCESS_UPLOAD_JOB,
+      { uploadId: upload.uploadId },
+      { key: `${upload.uploadId}:timeout:${upload.timedOutAt ?? 'unknown'}` }
+    )
   }
 
-  return { retrying: failed.length }
+  const retriedJobs = await jobQueue.retryDead(DELIVERY_JOB)
+  const queued = await enqueueOrphanedTransfers(uploads, [
+    UploadStatus.TRANSFER_FAILED
+  ])
+
+  return {
+    retrying: timedOut.length,
+    retriedTransfers: retriedJobs.length + queued
+  }
 }
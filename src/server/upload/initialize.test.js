@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { retryFailedTransfers, triggerProcessing } from './initialize.js'
+import { DELIVERY_JOB, PROCESS_UPLOAD_JOB } from './jobs.js'
+import { redisUploadStore } from '../services/redis-upload-store.js'
+import { jobQueue } from '../services/job-queue.js'
+import { config } from '../../config/config.js'
+
+vi.mock('../services/redis-upload-store.js', () => ({
+  redisUploadStore: {
+    getAllUploads: vi.fn(),
+    updateUpload: vi.fn()
+  }
+}))
+
+vi.mock('../services/job-queue.js', () => ({
+  jobQueue: {
+    enqueue: vi.fn(),
+    findJob: vi.fn(),
+    retryDead: vi.fn(),
+    processDue: vi.fn()
+  }
+}))
+
+describe('upload pipeline maintenance', () => {
+  beforeEach(() => {
+    jobQueue.findJob.mockResolvedValue(null)
+    jobQueue.retryDead.mockResolvedValue([])
+    jobQueue.processDue.mockResolvedValue(0)
+  })
+
+  describe('triggerProcessing', () => {
+    it('should time out uploads waiting longer than the callback timeout', async () => {
+      const timeout = config.get('jobQueue.callbackTimeout')
+      redisUploadStore.getAllUploads.mockResolvedValue([
+        {
+          uploadId: 'late',
+          status: 'uploaded',
+          uploadedAt: new Date(Date.now() - timeout - 1000).toISOString()
+        },
+        {
+          uploadId: 'recent',
+          status: 'uploaded',
+          uploadedAt: new Date().toISOString()
+        }
+      ])
+
+      await triggerProcessing()
+
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledTimes(1)
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith('late', {
+        status: 'timeout'
+      })
+    })
+  })
+
+  describe('retryFailedTransfers', () => {
+    it('should key each timeout retry by when the upload timed out', async () => {
+      redisUploadStore.getAllUploads.mockResolvedValue([
+        {
+          uploadId: 'upload-1',
+          status: 'timeout',
+          timedOutAt: '2026-01-01T00:00:00.000Z'
+        }
+      ])
+
+      await retryFailedTransfers()
+
+      expect(jobQueue.enqueue).toHaveBeenCalledWith(
+        PROCESS_UPLOAD_JOB,
+        { uploadId: 'upload-1' },
+        { key: 'upload-1:timeout:2026-01-01T00:00:00.000Z' }
+      )
+    })
+
+    it('should not re-queue transfers that failed permanently', async () => {
+      redisUploadStore.getAllUploads.mockResolvedValue([
+        {
+          uploadId: 'permanent',
+          status: 'transfer_failed',
+          virusScanStatus: 'clean'
+        },
+        {
+          uploadId: 'transient',
+          status: 'transfer_failed',
+          virusScanStatus: 'clean'
+        }
+      ])
+      jobQueue.findJob.mockImplementation(async (_type, key) => ({
+        status: 'dead',
+        permanent: key === 'permanent'
+      }))
+
+      const result = await retryFailedTransfers()
+
+      expect(jobQueue.enqueue).toHaveBeenCalledTimes(1)
+      expect(jobQueue.enqueue).toHaveBeenCalledWith(
+        DELIVERY_JOB,
+        { uploadId: 'transient' },
+        { key: 'transient' }
+      )
+      expect(result.retriedTransfers).toBe(1)
+    })
+  })
+})
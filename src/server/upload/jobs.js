@@ -0,0 +1,315 @@
+import { assertChecksum } from './services/checksum.js'
+import {
+  deliverToTargets,
+  getAzureDelivery,
+  getDeliveryPathContext,
+  isPermanentDeliveryError
+} from './services/submission-delivery.js'
+import { cdpUploaderService } from './services/cdp-uploader-service.js'
+import { redisUploadStore } from '../services/redis-upload-store.js'
+import { uploadStagingStore } from '../services/upload-staging-store.js'
+import { PermanentJobError } from '../services/job-queue.js'
+import { getContentType } from '../../config/spreadsheet-formats.js'
+import {
+  UploadEvent,
+  UploadStatus,
+  isFinalStatus,
+  normaliseStatus
+} from '../services/upload-lifecycle.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+
+/**
+ * Background jobs for the upload pipeline. Handlers run on the job queue
+ * workers and may run more than once, so each one checks whether its work is
+ * already done before starting.
+ */
+
+// Delivers to every target of the upload, not just Azure. The job type keeps
+// its original name because it is part of each job's id in the queue: jobs
+// already queued, dead-lettered or kept as completed under it must still be
+// found, retried and deduplicated after an upgrade.
+export const DELIVERY_JOB = 'azure-transfer'
+export const PROCESS_UPLOAD_JOB = 'process-upload'
+
+/**
+ * Record a failed attempt on the upload. The queue retries the job unless
+ * this was its last attempt or the failure is permanent.
+ */
+const recordTransferFailure = async (job, error, logger) => {
+  const { uploadId } = job.payload
+  const willRetry =
+    job.attempts < job.maxAttempts && !isPermanentDeliveryError(error)
+
+  logger.error('Delivery attempt failed', {
+    uploadId,
+    attempt: job.attempts,
+    willRetry,
+    error: error.message
+  })
+
+  try {
+    await redisUploadStore.updateUpload(uploadId, {
+      status: willRetry ? UploadStatus.RETRYING : UploadStatus.TRANSFER_FAILED,
+      transferError: error.message,
+      transferAttempts: job.attempts
+    })
+    await redisUploadStore.appendEvent(uploadId, UploadEvent.TRANSFER_FAILED, {
+      attempt: job.attempts,
+      willRetry,
+      error: error.message
+    })
+  } catch (redisError) {
+    logger.warn('Failed to update failed transfer status in Redis', {
+      uploadId,
+      error: redisError.message
+    })
+  }
+}
+
+/**
+ * Deliver a clean upload from the staging store to each of its delivery
+ * targets, along with the form answers JSON for form submissions and
+ * canonical CSV and JSON-lines copies of the spreadsheet, then write the
+ * submission manifest
+ * @param {object} job - Queue job with payload `{ uploadId }`
+ */
+export const deliverUpload = async (job) => {
+  const { uploadId } = job.payload
+  const logger = createLogger().child({ component: 'delivery-job' })
+
+  try {
+    const trackedUpload = await redisUploadStore.getUpload(uploadId)
+
+    // Idempotency: a re-delivered job for a finished transfer is a no-op
+    if (trackedUpload?.azureTransferred) {
+      logger.info('Upload already delivered, skipping', {
+        uploadId
+      })
+      return
+    }
+
+    // Quarantined or otherwise finished uploads can never be transferred
+    if (trackedUpload && isFinalStatus(trackedUpload.status)) {
+      throw new PermanentJobError(
+        `Upload cannot be transferred from ${trackedUpload.status}`
+      )
+    }
+
+    // Direct uploads went from the browser to CDP, so the scanned file is
+    // first fetched from the CDP bucket
+    if (
+      trackedUpload?.uploadMode === 'direct' &&
+      !(await uploadStagingStore.exists(uploadId))
+    ) {
+      await cdpUploaderService.fetchScannedFile(uploadId, trackedUpload)
+    }
+
+    // The file was staged on receipt; it is streamed from there
+    const stagedSize = await uploadStagingStore.getSize(uploadId)
+
+    if (!trackedUpload || !stagedSize) {
+      logger.error('No staged file found for upload - cannot deliver it', {
+        uploadId,
+        hasTrackedUpload: !!trackedUpload,
+        trackedUploadStatus: trackedUpload?.status,
+        stagedSize,
+        virusScanStatus: trackedUpload?.virusScanStatus
+      })
+
+      // Update status to show the file is missing
+      if (trackedUpload) {
+        await redisUploadStore.updateUpload(uploadId, {
+          status: UploadStatus.BUFFER_MISSING,
+          transferError: 'Staged file not found for delivery'
+        })
+        await redisUploadStore.appendEvent(
+          uploadId,
+          UploadEvent.TRANSFER_FAILED,
+          {
+            attempt: job.attempts,
+            willRetry: false,
+            error: 'Staged file not found for delivery'
+          }
+        )
+      }
+      throw new PermanentJobError('Staged file not found for delivery')
+    }
+
+    await redisUploadStore.updateUpload(uploadId, {
+      status: UploadStatus.PROCESSING
+    })
+    await redisUploadStore.appendEvent(uploadId, UploadEvent.TRANSFER_ATTEMPT, {
+      attempt: job.attempts,
+      jobId: job.id
+    })
+
+    // Get the timestamped spreadsheet filename
+    const spreadsheetFilename =
+      trackedUpload.originalSpreadsheetName ||
+      trackedUpload.filename ||
+      'unnamed-file'
+
+    // Determine correct content type for spreadsheet
+    const contentType =
+      trackedUpload.contentType || getContentType(spreadsheetFilename)
+
+    // Extract timestamp from filename to verify it matches the JSON
+    const timestampMatch = spreadsheetFilename.match(
+      /_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)/
+    )
+    const hasMatchingTimestamp =
+      timestampMatch && trackedUpload.jsonFilename?.includes(timestampMatch[1])
+
+    logger.info('Delivering spreadsheet after virus scan', {
+      uploadId,
+      spreadsheetFilename,
+      spreadsheetExtension: spreadsheetFilename.match(/\.[^.]+$/)?.[0],
+      jsonFilename: trackedUpload.jsonFilename,
+      jsonExtension: trackedUpload.jsonFilename?.match(/\.[^.]+$/)?.[0],
+      originalFilename: trackedUpload.originalFilename,
+      originalExtension: trackedUpload.originalFilename?.match(/\.[^.]+$/)?.[0],
+      timestamp: trackedUpload.timestamp,
+      hasMatchingTimestamp,
+      size: stagedSize,
+      contentType,
+      hasContentTypeFromTracked: !!trackedUpload.contentType,
+      willUploadWithName: spreadsheetFilename,
+      trackedUploadKeys: Object.keys(trackedUpload || {})
+    })
+
+    // Every file of the submission is delivered under the same path
+    const pathContext = await getDeliveryPathContext(uploadId, trackedUpload)
+
+    // Checked against the checksum taken on receipt before anything is sent
+    const sha256 = await uploadStagingStore.getChecksum(uploadId)
+    assertChecksum(trackedUpload.sha256, sha256, `staged upload ${uploadId}`)
+
+    // Targets already delivered to by an earlier attempt are skipped
+    const { targets, deliveries } = await deliverToTargets(
+      uploadId,
+      trackedUpload,
+      {
+        staged: {
+          filename: spreadsheetFilename,
+          contentType,
+          size: stagedSize,
+          sha256
+        },
+        pathContext,
+        logger
+      }
+    )
+    const azureDelivery = getAzureDelivery(targets, deliveries)
+
+    // Update tracking, clear the JSON buffer and release the staged file
+    try {
+      await redisUploadStore.updateUpload(uploadId, {
+        status: UploadStatus.COMPLETED,
+        azureTransferred: true,
+        deliveries,
+        azureBlobName: azureDelivery?.blobName,
+        azureUrl: azureDelivery?.url,
+        azureJsonBlobName: azureDelivery?.jsonBlobName,
+        azureJsonUrl: azureDelivery?.jsonUrl,
+        azureNormalisedCsvBlobName: azureDelivery?.normalisedCsvBlobName,
+        azureNormalisedJsonlBlobName: azureDelivery?.normalisedJsonlBlobName,
+        azureManifestBlobName: azureDelivery?.manifestBlobName,
+        sha256,
+        checksumVerifiedAt: new Date().toISOString(),
+        azureBlockUpload: null,
+        staged: false,
+        jsonBuffer: null
+      })
+      await redisUploadStore.appendEvent(
+        uploadId,
+        UploadEvent.TRANSFER_SUCCEEDED,
+        {
+          blobName: azureDelivery?.blobName,
+          jsonBlobName: azureDelivery?.jsonBlobName,
+          manifestBlobName: azureDelivery?.manifestBlobName
+        }
+      )
+    } catch (redisError) {
+      logger.warn('Failed to update completed upload status in Redis', {
+        uploadId,
+        error: redisError.message
+      })
+    }
+    await uploadStagingStore.remove(uploadId)
+
+    logger.info('Delivery completed', {
+      uploadId,
+      originalFilename: trackedUpload.originalFilename,
+      timestamp: trackedUpload.timestamp,
+      bothFilesHaveSameTimestamp: hasMatchingTimestamp,
+      targets: targets.map(({ id }) => id),
+      spreadsheetBlobName: azureDelivery?.blobName,
+      jsonBlobName: azureDelivery?.jsonBlobName,
+      manifestBlobName: azureDelivery?.manifestBlobName
+    })
+  } catch (error) {
+    // Permanent failures have already been recorded on the upload
+    if (!(error instanceof PermanentJobError)) {
+      await recordTransferFailure(job, error, logger)
+    }
+    if (isPermanentDeliveryError(error)) {
+      throw new PermanentJobError(error.message)
+    }
+    throw error
+  }
+}
+
+/**
+ * Wait for the virus scan of an upload and deliver it
+ * @param {object} job - Queue job with payload `{ uploadId }`
+ */
+export const processUpload = async (job) => {
+  const { uploadId } = job.payload
+  const logger = createLogger().child({ component: 'upload-processor' })
+
+  const uploadData = await redisUploadStore.getUpload(uploadId)
+  const status = normaliseStatus(uploadData?.status)
+
+  if (status === UploadStatus.COMPLETED || uploadData?.azureTransferred) {
+    logger.info('Upload already processed, skipping', { uploadId })
+    return
+  }
+
+  if (
+    uploadData?.virusScanStatus === 'infected' ||
+    uploadData?.virusScanStatus === 'quarantined'
+  ) {
+    throw new PermanentJobError(
+      `File failed virus scan: ${uploadData.virusScanStatus}`
+    )
+  }
+
+  // Quarantined, failed or missing uploads can never be transferred
+  if (isFinalStatus(status)) {
+    throw new PermanentJobError(`Upload cannot be processed from ${status}`)
+  }
+
+  let result
+  try {
+    result = await cdpUploaderService.processUploadWithAzureTransfer(uploadId)
+  } catch (error) {
+    if (isPermanentDeliveryError(error)) {
+      throw new PermanentJobError(error.message)
+    }
+    throw error
+  }
+
+  logger.info('Direct upload processing completed', {
+    uploadId,
+    azureUrl: result.azureResult.url
+  })
+}
+
+/**
+ * Register the upload pipeline job handlers on a queue
+ * @param {import('../services/job-queue.js').JobQueue} queue - Job queue
+ */
+export const registerUploadJobs = (queue) => {
+  queue.registerHandler(DELIVERY_JOB, deliverUpload)
+  queue.registerHandler(PROCESS_UPLOAD_JOB, processUpload)
+}
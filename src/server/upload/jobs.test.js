@@ -0,0 +1,686 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { Readable } from 'node:stream'
+import { deliverUpload, processUpload } from './jobs.js'
+import {
+  azureStorageService,
+  BlobExistsError
+} from './services/azure-storage-service.js'
+import { cdpUploaderService } from './services/cdp-uploader-service.js'
+import { s3StorageService } from './services/s3-storage-service.js'
+import { uploadConfig } from '../../config/upload-config.js'
+import { redisUploadStore } from '../services/redis-upload-store.js'
+import { uploadStagingStore } from '../services/upload-staging-store.js'
+import { uploadNormalisationService } from '../services/upload-normalisation-service.js'
+import { PermanentJobError } from '../services/job-queue.js'
+import { ChecksumMismatchError } from './services/checksum.js'
+
+vi.mock('../common/helpers/logging/logger.js', () => {
+  const logger = {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn()
+  }
+  logger.child = vi.fn(() => logger)
+  return { createLogger: vi.fn(() => logger) }
+})
+
+vi.mock('./services/azure-storage-service.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  azureStorageService: { uploadFile: vi.fn() }
+}))
+
+vi.mock('./services/s3-storage-service.js', () => ({
+  s3StorageService: { uploadFile: vi.fn() }
+}))
+
+vi.mock('./services/cdp-uploader-service.js', () => ({
+  cdpUploaderService: {
+    processUploadWithAzureTransfer: vi.fn(),
+    fetchScannedFile: vi.fn()
+  }
+}))
+
+vi.mock('../services/redis-upload-store.js', () => ({
+  redisUploadStore: {
+    getUpload: vi.fn(),
+    updateUpload: vi.fn(),
+    appendEvent: vi.fn()
+  }
+}))
+
+vi.mock('../services/upload-staging-store.js', () => ({
+  uploadStagingStore: {
+    getSize: vi.fn(),
+    exists: vi.fn(),
+    createReadStream: vi.fn(),
+    getChecksum: vi.fn(),
+    remove: vi.fn()
+  }
+}))
+
+vi.mock('../services/upload-normalisation-service.js', () => ({
+  uploadNormalisationService: { deliverNormalisedCopies: vi.fn() }
+}))
+
+const createJob = (overrides = {}) => ({
+  id: 'azure-transfer:upload-1',
+  payload: { uploadId: 'upload-1' },
+  attempts: 1,
+  maxAttempts: 3,
+  ...overrides
+})
+
+describe('upload jobs', () => {
+  beforeEach(() => {
+    // Deliver through the mocked providers rather than the test-mode mock
+    uploadConfig.azureConfig.enabled = true
+    uploadConfig.s3Config.enabled = true
+    redisUploadStore.getUpload.mockResolvedValue({
+      uploadId: 'upload-1',
+      filename: 'data_2025-01-01T00-00-00-000Z.csv',
+      originalFilename: 'data.csv',
+      virusScanStatus: 'clean'
+    })
+    uploadStagingStore.getSize.mockResolvedValue(7)
+    uploadStagingStore.createReadStream.mockReturnValue(Readable.from(['a,b']))
+  })
+
+  describe('deliverUpload', () => {
+    it('should stream the staged file to Azure and complete the upload', async () => {
+      azureStorageService.uploadFile.mockResolvedValue({
+        blobName: 'data.csv',
+        url: 'https://example/data.csv'
+      })
+
+      await deliverUpload(createJob())
+
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ status: 'completed', azureTransferred: true })
+      )
+      expect(uploadStagingStore.remove).toHaveBeenCalledWith('upload-1')
+    })
+
+    it('should record the attempt and its outcome in the upload history', async () => {
+      azureStorageService.uploadFile.mockResolvedValue({
+        blobName: 'data.csv',
+        url: 'https://example/data.csv'
+      })
+
+      await deliverUpload(createJob())
+
+      expect(redisUploadStore.appendEvent).toHaveBeenCalledWith(
+        'upload-1',
+        'transfer_attempt',
+        { attempt: 1, jobId: 'azure-transfer:upload-1' }
+      )
+      expect(redisUploadStore.appendEvent).toHaveBeenCalledWith(
+        'upload-1',
+        'transfer_succeeded',
+        {
+          blobName: 'data.csv',
+          jsonBlobName: undefined,
+          manifestBlobName: 'data.csv'
+        }
+      )
+    })
+
+    it('should deliver the normalised copies before releasing the staged file', async () => {
+      azureStorageService.uploadFile.mockResolvedValue({
+        blobName: 'data_2025-01-01T00-00-00-000Z.csv',
+        url: 'https://example/data.csv'
+      })
+      uploadNormalisationService.deliverNormalisedCopies.mockResolvedValueOnce({
+        csvBlobName: 'data_2025-01-01T00-00-00-000Z.normalised.csv',
+        jsonlBlobName: 'data_2025-01-01T00-00-00-000Z.jsonl',
+        rowCount: 1,
+        schemaId: null
+      })
+
+      await deliverUpload(createJob())
+
+      expect(
+        uploadNormalisationService.deliverNormalisedCopies
+      ).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ uploadId: 'upload-1' }),
+        {
+          spreadsheetFilename: 'data_2025-01-01T00-00-00-000Z.csv',
+          storage: azureStorageService,
+          pathContext: expect.objectContaining({ uploadId: 'upload-1' })
+        }
+      )
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({
+          status: 'completed',
+          azureNormalisedCsvBlobName:
+            'data_2025-01-01T00-00-00-000Z.normalised.csv',
+          azureNormalisedJsonlBlobName: 'data_2025-01-01T00-00-00-000Z.jsonl'
+        })
+      )
+      expect(
+        uploadNormalisationService.deliverNormalisedCopies.mock
+          .invocationCallOrder[0]
+      ).toBeLessThan(uploadStagingStore.remove.mock.invocationCallOrder[0])
+    })
+
+    it('should retry the transfer when the normalised copies cannot be delivered', async () => {
+      azureStorageService.uploadFile.mockResolvedValue({
+        blobName: 'data.csv',
+        url: 'https://example/data.csv'
+      })
+      uploadNormalisationService.deliverNormalisedCopies.mockRejectedValueOnce(
+        new Error('Azure upload failed: Timeout')
+      )
+
+      await expect(deliverUpload(createJob())).rejects.toThrow(
+        'Azure upload failed: Timeout'
+      )
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ status: 'retrying' })
+      )
+      expect(uploadStagingStore.remove).not.toHaveBeenCalled()
+    })
+
+    it('should deliver every file of the submission under the same path', async () => {
+      redisUploadStore.getUpload.mockResolvedValue({
+        uploadId: 'upload-1',
+        filename: 'data.csv',
+        uploadedAt: '2025-01-01T00:00:00.000Z',
+        formSlug: 'bat-rabies',
+        formData: { submissionId: 'submission-1' },
+        jsonFilename: 'data.json',
+        jsonBuffer: Buffer.from('{}').toString('base64')
+      })
+      azureStorageService.uploadFile.mockResolvedValue({ blobName: 'x' })
+
+      await deliverUpload(createJob())
+
+      const pathContexts = azureStorageService.uploadFile.mock.calls.map(
+        ([, , , options]) => options.pathContext
+      )
+      expect(pathContexts).toEqual([
+        expect.objectContaining({
+          formSlug: 'bat-rabies',
+          submissionId: 'submission-1',
+          submittedAt: '2025-01-01T00:00:00.000Z'
+        }),
+        pathContexts[0],
+        pathContexts[0]
+      ])
+      expect(
+        uploadNormalisationService.deliverNormalisedCopies
+      ).toHaveBeenCalledWith(
+        'upload-1',
+        expect.any(Object),
+        expect.objectContaining({ pathContext: pathContexts[0] })
+      )
+    })
+
+    it('should stamp a delivery date on uploads without one and reuse it on retry', async () => {
+      azureStorageService.uploadFile.mockResolvedValue({ blobName: 'x' })
+
+      await deliverUpload(createJob())
+
+      const [, { deliveryStartedAt }] =
+        redisUploadStore.updateUpload.mock.calls.find(
+          ([, fields]) => fields.deliveryStartedAt
+        )
+      expect(
+        azureStorageService.uploadFile.mock.calls[0][3].pathContext
+      ).toMatchObject({ submittedAt: deliveryStartedAt })
+
+      redisUploadStore.getUpload.mockResolvedValue({
+        uploadId: 'upload-1',
+        filename: 'data.csv',
+        virusScanStatus: 'clean',
+        deliveryStartedAt: '2025-01-01T00:00:00.000Z'
+      })
+      redisUploadStore.updateUpload.mockClear()
+      azureStorageService.uploadFile.mockClear()
+
+      await deliverUpload(createJob({ attempts: 2 }))
+
+      expect(redisUploadStore.updateUpload).not.toHaveBeenCalledWith(
+        'upload-1',
+        { deliveryStartedAt: expect.any(String) }
+      )
+      expect(
+        azureStorageService.uploadFile.mock.calls[0][3].pathContext
+      ).toMatchObject({ submittedAt: '2025-01-01T00:00:00.000Z' })
+    })
+
+    it('should write the manifest after every other file of the submission', async () => {
+      redisUploadStore.getUpload.mockResolvedValue({
+        uploadId: 'upload-1',
+        filename: 'data.csv',
+        contentType: 'text/csv',
+        formSlug: 'bat-rabies',
+        formData: { submissionId: 'submission-1', submittedBy: 'user-1' },
+        jsonFilename: 'data.json',
+        jsonBuffer: Buffer.from('{}').toString('base64')
+      })
+      uploadStagingStore.getChecksum.mockResolvedValueOnce('a'.repeat(64))
+      uploadNormalisationService.deliverNormalisedCopies.mockResolvedValueOnce({
+        csvBlobName: 'data.normalised.csv',
+        jsonlBlobName: 'data.jsonl',
+        files: [{ role: 'normalised-csv', blobName: 'data.normalised.csv' }]
+      })
+      azureStorageService.uploadFile.mockImplementation(
+        async (uploadId, file) => ({ blobName: `blobs/${file.originalname}` })
+      )
+
+      await deliverUpload(createJob())
+
+      const calls = azureStorageService.uploadFile.mock.calls
+      const [, manifestFile, manifestMetadata] = calls.at(-1)
+      const manifest = JSON.parse(manifestFile.buffer.toString())
+      expect(manifestMetadata).toMatchObject({ type: 'manifest' })
+      expect(manifest).toMatchObject({
+        uploadId: 'upload-1',
+        submissionId: 'submission-1',
+        submitter: 'user-1',
+        form: { slug: 'bat-rabies' }
+      })
+      expect(manifest.files).toEqual([
+        expect.objectContaining({
+          role: 'form-data',
+          blobName: 'blobs/data.json',
+          size: 2,
+          sha256:
+            '44136fa355b3678a1146ad16f7e8649e94fb4fc21fe77e8310c060f61caaff8a'
+        }),
+        expect.objectContaining({
+          role: 'spreadsheet',
+          blobName: 'blobs/data.csv',
+          size: 7,
+          sha256: 'a'.repeat(64)
+        }),
+        { role: 'normalised-csv', blobName: 'data.normalised.csv' }
+      ])
+      expect(
+        azureStorageService.uploadFile.mock.invocationCallOrder.at(-1)
+      ).toBeGreaterThan(
+        uploadNormalisationService.deliverNormalisedCopies.mock
+          .invocationCallOrder[0]
+      )
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({
+          status: 'completed',
+          azureManifestBlobName: 'blobs/manifest.json'
+        })
+      )
+    })
+
+    it('should retry the transfer when the form answers cannot be delivered', async () => {
+      redisUploadStore.getUpload.mockResolvedValue({
+        uploadId: 'upload-1',
+        filename: 'data.csv',
+        jsonFilename: 'data.json',
+        jsonBuffer: Buffer.from('{}').toString('base64')
+      })
+      azureStorageService.uploadFile.mockRejectedValueOnce(
+        new Error('Azure upload failed: Timeout')
+      )
+
+      await expect(deliverUpload(createJob())).rejects.toThrow(
+        'Azure upload failed: Timeout'
+      )
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ status: 'retrying' })
+      )
+      expect(uploadStagingStore.remove).not.toHaveBeenCalled()
+    })
+
+    it('should fail permanently when the blob path belongs to another upload', async () => {
+      azureStorageService.uploadFile.mockRejectedValue(
+        new BlobExistsError('bat-rabies/data.csv', 'upload-1')
+      )
+
+      await expect(deliverUpload(createJob())).rejects.toThrow(
+        PermanentJobError
+      )
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ status: 'transfer_failed' })
+      )
+    })
+
+    it('should fail permanently when the staged file differs from what was received', async () => {
+      redisUploadStore.getUpload.mockResolvedValue({
+        uploadId: 'upload-1',
+        filename: 'data.csv',
+        sha256: 'a'.repeat(64)
+      })
+      uploadStagingStore.getChecksum.mockResolvedValueOnce('b'.repeat(64))
+
+      await expect(deliverUpload(createJob())).rejects.toThrow(
+        PermanentJobError
+      )
+      expect(azureStorageService.uploadFile).not.toHaveBeenCalled()
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({
+          status: 'transfer_failed',
+          transferError: expect.stringContaining('Checksum mismatch')
+        })
+      )
+      expect(uploadStagingStore.remove).not.toHaveBeenCalled()
+    })
+
+    it('should send the checksum taken on receipt with the spreadsheet', async () => {
+      redisUploadStore.getUpload.mockResolvedValue({
+        uploadId: 'upload-1',
+        filename: 'data.csv',
+        sha256: 'a'.repeat(64)
+      })
+      uploadStagingStore.getChecksum.mockResolvedValueOnce('a'.repeat(64))
+      azureStorageService.uploadFile.mockResolvedValue({ blobName: 'x' })
+
+      await deliverUpload(createJob())
+
+      expect(azureStorageService.uploadFile).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ originalname: 'data.csv' }),
+        expect.objectContaining({
+          type: 'spreadsheet',
+          sha256: 'a'.repeat(64)
+        }),
+        expect.any(Object)
+      )
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({
+          status: 'completed',
+          checksumVerifiedAt: expect.any(String)
+        })
+      )
+    })
+
+    it('should resume the spreadsheet from the blocks already staged', async () => {
+      const azureBlockUpload = {
+        blobName: 'data.csv',
+        blockSize: 4,
+        blockIds: ['YmxvY2stMDAwMDAw']
+      }
+      redisUploadStore.getUpload.mockResolvedValue({
+        uploadId: 'upload-1',
+        filename: 'data.csv',
+        azureBlockUpload
+      })
+      azureStorageService.uploadFile.mockResolvedValue({ blobName: 'x' })
+
+      await deliverUpload(createJob())
+
+      const [, file, , options] = azureStorageService.uploadFile.mock.calls[0]
+      file.createReadStream({ start: 0, end: 3 })
+      expect(uploadStagingStore.createReadStream).toHaveBeenCalledWith(
+        'upload-1',
+        { start: 0, end: 3 }
+      )
+      expect(options.resume).toBe(azureBlockUpload)
+
+      await options.onBlocksStaged(azureBlockUpload)
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith('upload-1', {
+        deliveries: {
+          azure: expect.objectContaining({ blockUpload: azureBlockUpload })
+        }
+      })
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ status: 'completed', azureBlockUpload: null })
+      )
+    })
+
+    it('should fetch the scanned file of a direct upload from CDP first', async () => {
+      const upload = {
+        uploadId: 'upload-1',
+        uploadMode: 'direct',
+        filename: 'data.csv',
+        bucket: 'cdp-bucket',
+        s3Key: 'staging/cdp-1/data.csv',
+        virusScanStatus: 'clean'
+      }
+      redisUploadStore.getUpload.mockResolvedValue(upload)
+      uploadStagingStore.exists.mockResolvedValue(false)
+      azureStorageService.uploadFile.mockResolvedValue({
+        blobName: 'data.csv',
+        url: 'https://example/data.csv'
+      })
+
+      await deliverUpload(createJob())
+
+      expect(cdpUploaderService.fetchScannedFile).toHaveBeenCalledWith(
+        'upload-1',
+        upload
+      )
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ status: 'completed' })
+      )
+    })
+
+    it('should skip uploads that were already transferred', async () => {
+      redisUploadStore.getUpload.mockResolvedValue({ azureTransferred: true })
+
+      await deliverUpload(createJob())
+
+      expect(azureStorageService.uploadFile).not.toHaveBeenCalled()
+    })
+
+    it('should fail permanently when the staged file is missing', async () => {
+      uploadStagingStore.getSize.mockResolvedValue(null)
+
+      await expect(deliverUpload(createJob())).rejects.toThrow(
+        PermanentJobError
+      )
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledTimes(1)
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ status: 'buffer_missing' })
+      )
+    })
+
+    it('should mark the upload as retrying while attempts remain', async () => {
+      azureStorageService.uploadFile.mockRejectedValue(new Error('Timeout'))
+
+      await expect(deliverUpload(createJob())).rejects.toThrow('Timeout')
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ status: 'retrying', transferAttempts: 1 })
+      )
+      expect(redisUploadStore.appendEvent).toHaveBeenCalledWith(
+        'upload-1',
+        'transfer_failed',
+        { attempt: 1, willRetry: true, error: 'Timeout' }
+      )
+    })
+
+    it('should deliver to each target of the form with its own location', async () => {
+      redisUploadStore.getUpload.mockResolvedValue({
+        uploadId: 'upload-1',
+        filename: 'data.csv',
+        deliveryTargets: [
+          { type: 'azure' },
+          {
+            id: 'archive',
+            type: 's3',
+            bucket: 'apha-archive',
+            prefix: 'bat-rabies'
+          }
+        ]
+      })
+      azureStorageService.uploadFile.mockResolvedValue({ blobName: 'x' })
+      s3StorageService.uploadFile.mockResolvedValue({ blobName: 'y' })
+
+      await deliverUpload(createJob())
+
+      expect(azureStorageService.uploadFile).toHaveBeenCalledWith(
+        'upload-1',
+        expect.any(Object),
+        expect.any(Object),
+        expect.not.objectContaining({ bucket: expect.anything() })
+      )
+      expect(s3StorageService.uploadFile).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ originalname: 'data.csv' }),
+        expect.objectContaining({ type: 'spreadsheet' }),
+        expect.objectContaining({
+          bucket: 'apha-archive',
+          pathTemplate: `bat-rabies/${uploadConfig.s3Config.keyTemplate}`
+        })
+      )
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({
+          status: 'completed',
+          azureBlobName: 'x',
+          deliveries: {
+            azure: expect.objectContaining({
+              type: 'azure',
+              status: 'delivered',
+              attempts: 1,
+              blobName: 'x'
+            }),
+            archive: expect.objectContaining({
+              type: 's3',
+              bucket: 'apha-archive',
+              status: 'delivered',
+              attempts: 1,
+              blobName: 'y'
+            })
+          }
+        })
+      )
+    })
+
+    it('should record which targets failed and retry only those', async () => {
+      const upload = {
+        uploadId: 'upload-1',
+        filename: 'data.csv',
+        deliveryTargets: [{ type: 'azure' }, { type: 's3' }]
+      }
+      redisUploadStore.getUpload.mockResolvedValue(upload)
+      azureStorageService.uploadFile.mockResolvedValue({ blobName: 'x' })
+      s3StorageService.uploadFile.mockRejectedValueOnce(
+        new Error('S3 upload failed: Timeout')
+      )
+
+      await expect(deliverUpload(createJob())).rejects.toThrow(
+        'S3 upload failed: Timeout'
+      )
+      expect(redisUploadStore.appendEvent).toHaveBeenCalledWith(
+        'upload-1',
+        'delivered',
+        expect.objectContaining({ target: 'azure' })
+      )
+      expect(redisUploadStore.appendEvent).toHaveBeenCalledWith(
+        'upload-1',
+        'delivery_failed',
+        { target: 's3', type: 's3', error: 'S3 upload failed: Timeout' }
+      )
+      const { deliveries } = redisUploadStore.updateUpload.mock.calls
+        .map(([, changes]) => changes)
+        .findLast((changes) => changes.deliveries)
+      expect(deliveries).toEqual({
+        azure: expect.objectContaining({ status: 'delivered', attempts: 1 }),
+        s3: expect.objectContaining({
+          status: 'failed',
+          attempts: 1,
+          error: 'S3 upload failed: Timeout'
+        })
+      })
+
+      azureStorageService.uploadFile.mockClear()
+      s3StorageService.uploadFile.mockResolvedValue({ blobName: 'y' })
+      redisUploadStore.getUpload.mockResolvedValue({ ...upload, deliveries })
+
+      await deliverUpload(createJob({ attempts: 2 }))
+
+      expect(azureStorageService.uploadFile).not.toHaveBeenCalled()
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({
+          status: 'completed',
+          azureBlobName: 'x',
+          deliveries: expect.objectContaining({
+            s3: expect.objectContaining({ status: 'delivered', attempts: 2 })
+          })
+        })
+      )
+    })
+
+    it('should fail permanently when a form declares an unknown target', async () => {
+      redisUploadStore.getUpload.mockResolvedValue({
+        uploadId: 'upload-1',
+        filename: 'data.csv',
+        deliveryTargets: [{ type: 'ftp' }]
+      })
+
+      await expect(deliverUpload(createJob())).rejects.toThrow(
+        PermanentJobError
+      )
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({
+          status: 'transfer_failed',
+          transferError: 'Unknown delivery target type ftp'
+        })
+      )
+    })
+
+    it('should mark the upload as failed on the last attempt', async () => {
+      azureStorageService.uploadFile.mockRejectedValue(new Error('Timeout'))
+
+      await expect(deliverUpload(createJob({ attempts: 3 }))).rejects.toThrow(
+        'Timeout'
+      )
+      expect(redisUploadStore.updateUpload).toHaveBeenCalledWith(
+        'upload-1',
+        expect.objectContaining({ status: 'transfer_failed' })
+      )
+    })
+  })
+
+  describe('processUpload', () => {
+    it('should not process uploads that failed the virus scan', async () => {
+      redisUploadStore.getUpload.mockResolvedValue({
+        virusScanStatus: 'infected'
+      })
+
+      await expect(processUpload(createJob())).rejects.toThrow(
+        PermanentJobError
+      )
+      expect(
+        cdpUploaderService.processUploadWithAzureTransfer
+      ).not.toHaveBeenCalled()
+    })
+
+    it('should fail permanently when a copy of the file is corrupted', async () => {
+      cdpUploaderService.processUploadWithAzureTransfer.mockRejectedValueOnce(
+        new ChecksumMismatchError('blob data.csv', 'a', 'b')
+      )
+
+      await expect(processUpload(createJob())).rejects.toThrow(
+        PermanentJobError
+      )
+    })
+
+    it('should hand clean uploads to the CDP uploader service', async () => {
+      cdpUploaderService.processUploadWithAzureTransfer.mockResolvedValue({
+        azureResult: { url: 'https://example/data.csv' }
+      })
+
+      await processUpload(createJob())
+
+      expect(
+        cdpUploaderService.processUploadWithAzureTransfer
+      ).toHaveBeenCalledWith('upload-1')
+    })
+  })
+})
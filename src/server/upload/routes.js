@@ -1,21 +1,33 @@
 import Joi from 'joi'
 import { uploadController } from './controller.js'
+import { Permission } from '../auth/permissions.js'
+import { config } from '../../config/config.js'
+import { uploadStagingStore } from '../services/upload-staging-store.js'
+import { ReportFormat } from '../services/user-profile-store.js'
 
 const uploadRoutes = (server) => {
+  // Multipart files are spooled by hapi straight into the staging directory
+  // rather than buffered in memory; other payloads (CDP callbacks) stream
+  const streamedUpload = {
+    output: 'stream',
+    parse: true,
+    multipart: { output: 'file' },
+    uploads: uploadStagingStore.directory,
+    maxBytes: config.get('storage.maxFileSize')
+  }
+
   return [
     {
       method: 'POST',
       path: '/file',
       options: {
+        // CDP posts the forms engine's upload callbacks here with the callback
+        // token rather than a session; file uploads still need a signed-in user
+        auth: { mode: 'try', access: { scope: [Permission.SUBMIT_FORMS] } },
         plugins: {
           crumb: false // Disable CSRF for forms engine integration
         },
-        payload: {
-          output: 'stream',
-          parse: true,
-          multipart: true,
-          maxBytes: 52428800 // 50MB
-        },
+        payload: streamedUpload,
         description: 'File upload endpoint for forms engine',
         notes:
           'Handles file uploads from @defra/forms-engine-plugin FileUploadPageController',
@@ -28,14 +40,11 @@ const uploadRoutes = (server) => {
       method: 'POST',
       path: '/upload',
       options: {
-        payload: {
-          output: 'stream',
-          parse: true,
-          multipart: true,
-          maxBytes: 52428800 // 50MB
-        },
+        auth: { access: { scope: [Permission.SUBMIT_FORMS] } },
+        payload: streamedUpload,
         description: 'Upload spreadsheet file via CDP Uploader to S3',
-        notes: 'Validates and uploads .csv, .xls, or .xlsx files',
+        notes:
+          'Validates and uploads spreadsheets in any accepted format (see src/config/spreadsheet-formats.js)',
         tags: ['api', 'upload']
       },
       handler: (request, h) => uploadController.handleUpload(request, h)
@@ -45,12 +54,8 @@ const uploadRoutes = (server) => {
       method: 'POST',
       path: '/upload/form-submission',
       options: {
-        payload: {
-          output: 'stream',
-          parse: true,
-          multipart: true,
-          maxBytes: 52428800 // 50MB
-        },
+        auth: { access: { scope: [Permission.SUBMIT_FORMS] } },
+        payload: streamedUpload,
         description: 'Handle form submission with spreadsheet upload',
         notes: 'Processes form data with file upload via CDP uploader',
         tags: ['api', 'upload', 'form']
@@ -58,30 +63,141 @@ const uploadRoutes = (server) => {
       handler: (request, h) => uploadController.handleFormSubmission(request, h)
     },
 
+    {
+      method: 'POST',
+      path: '/upload/initiate',
+      options: {
+        auth: { access: { scope: [Permission.SUBMIT_FORMS] } },
+        description: 'Start an upload the browser sends straight to CDP',
+        notes:
+          'Only when CDP_UPLOADER_MODE is direct. The browser posts its form to the returned uploadUrl and CDP redirects it back to redirect, via /upload/return/{uploadId}',
+        tags: ['api', 'upload'],
+        validate: {
+          payload: Joi.object({
+            // Only paths on this site, so the upload cannot redirect away
+            redirect: Joi.string()
+              .pattern(/^\/(?![/\\])/)
+              .required(),
+            formId: Joi.string(),
+            submissionId: Joi.string()
+          })
+        }
+      },
+      handler: (request, h) => uploadController.initiateUpload(request, h)
+    },
+
+    {
+      method: 'GET',
+      path: '/upload/return/{uploadId}',
+      options: {
+        description: 'Return from a direct upload to CDP',
+        notes:
+          'CDP redirects the browser here after a direct upload. Reads the upload status from CDP and redirects back to the form',
+        tags: ['api', 'upload']
+      },
+      handler: (request, h) => uploadController.handleUploadReturn(request, h)
+    },
+
+    {
+      method: 'GET',
+      path: '/upload/status',
+      options: {
+        auth: { access: { scope: [Permission.READ_UPLOADS] } },
+        description: 'List uploads',
+        notes:
+          "The signed-in user's organisation's uploads, newest first. APHA staff see every organisation's, or one organisation's with organisationId",
+        tags: ['api', 'upload', 'status'],
+        validate: {
+          query: Joi.object({
+            limit: Joi.number().integer().min(1).max(100).default(100),
+            organisationId: Joi.string()
+          })
+        }
+      },
+      handler: (request, h) => uploadController.listUploads(request, h)
+    },
+
     {
       method: 'GET',
       path: '/upload/status/{uploadId}',
       options: {
+        auth: { access: { scope: [Permission.READ_UPLOADS] } },
         description: 'Check upload status',
         tags: ['api', 'upload', 'status']
       },
       handler: (request, h) => uploadController.getUploadStatus(request, h)
     },
 
+    {
+      method: 'GET',
+      path: '/upload/status/{uploadId}/history',
+      options: {
+        auth: { access: { scope: [Permission.READ_UPLOADS] } },
+        description: 'Get upload event history',
+        notes:
+          'Append-only audit trail of an upload from receipt to Azure delivery',
+        tags: ['api', 'upload', 'status']
+      },
+      handler: (request, h) => uploadController.getUploadHistory(request, h)
+    },
+
+    {
+      method: 'GET',
+      path: '/upload/report/{uploadId}',
+      options: {
+        auth: { access: { scope: [Permission.READ_UPLOADS] } },
+        description: 'Get the validation error report for an upload',
+        notes:
+          "Every row and column error found when the spreadsheet was checked against its dataset schema. CSV and XLSX reports echo the submitted rows with an errors column. Without a format the report comes in the user's default report format",
+        tags: ['api', 'upload', 'validation'],
+        validate: {
+          query: Joi.object({
+            format: Joi.string().valid(...Object.values(ReportFormat))
+          })
+        }
+      },
+      handler: (request, h) => uploadController.getValidationReport(request, h)
+    },
+
     {
       method: 'GET',
       path: '/file/{uploadId}',
       options: {
+        auth: { access: { scope: [Permission.READ_UPLOADS] } },
         description: 'Check file upload status for forms engine',
         tags: ['api', 'upload', 'status', 'forms-engine']
       },
       handler: (request, h) => uploadController.getUploadStatus(request, h)
     },
 
+    {
+      method: 'GET',
+      path: '/download/{uploadId}',
+      options: {
+        auth: { access: { scope: [Permission.READ_UPLOADS] } },
+        description: 'Download a delivered file',
+        notes:
+          'Requires a signed-in user who may read the upload, and a signed link as returned for it. Redirects to a short-lived SAS URL or streams the file, depending on DOWNLOAD_MODE',
+        tags: ['api', 'upload', 'download'],
+        validate: {
+          query: Joi.object({
+            expires: Joi.number().integer(),
+            signature: Joi.string().hex()
+          })
+        }
+      },
+      handler: (request, h) => uploadController.downloadFile(request, h)
+    },
+
     {
       method: 'POST',
       path: '/upload/callback',
       options: {
+        // Called by CDP with the callback token rather than by a user
+        auth: false,
+        plugins: {
+          crumb: false
+        },
         description: 'Handle callback from CDP uploader after virus scanning',
         notes: 'Triggers S3 to Azure transfer after successful CDP processing',
         tags: ['api', 'upload', 'callback'],
@@ -97,6 +213,7 @@ const uploadRoutes = (server) => {
       method: 'POST',
       path: '/upload/process/{uploadId}',
       options: {
+        auth: { access: { scope: [Permission.PROCESS_UPLOADS] } },
         description: 'Process uploaded file (virus scan + Azure transfer)',
         notes:
           'Polls CDP for virus scan status and uploads directly to Azure without S3',
@@ -115,6 +232,7 @@ const uploadRoutes = (server) => {
       method: 'GET',
       path: '/upload/health',
       options: {
+        auth: false,
         description: 'Check upload service health',
         tags: ['api', 'health', 'upload']
       },
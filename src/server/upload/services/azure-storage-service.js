@@ -1,7 +1,82 @@
+import { buffer as readAll } from 'node:stream/consumers'
+import {
+  BlobSASPermissions,
+  SASProtocol,
+  StorageSharedKeyCredential,
+  generateBlobSASQueryParameters
+} from '@azure/storage-blob'
 import { uploadConfig } from '../../../config/upload-config.js'
+import { buildBlobPath, getBlobPathContext } from './blob-path.js'
+import {
+  ChecksumMismatchError,
+  assertChecksum,
+  computeMd5,
+  computeSha256,
+  computeStreamSha256
+} from './checksum.js'
+
+// Block size and concurrency used when storage.azure does not set them
+const DEFAULT_BLOCK_SIZE = 4 * 1024 * 1024 // 4MB
+const DEFAULT_UPLOAD_CONCURRENCY = 5
+
+// SAS URLs are valid from slightly in the past, as Azure's clock may be behind
+const SAS_CLOCK_SKEW_MS = 5 * 60 * 1000
+
+/**
+ * Id of the block at an index. Ids must all be the same length, and are
+ * derived from the index so a resumed upload can tell which blocks it has
+ * already staged.
+ * @param {number} index - Block index
+ * @returns {string} Base64 block id
+ */
+const blockIdFor = (index) =>
+  Buffer.from(`block-${String(index).padStart(6, '0')}`).toString('base64')
+
+/**
+ * Thrown when a blob path is already taken by another upload's file, which
+ * retrying cannot fix
+ */
+export class BlobExistsError extends Error {
+  constructor(blobName, uploadId) {
+    super(`Blob ${blobName} already exists and belongs to another upload`)
+    this.name = 'BlobExistsError'
+    this.blobName = blobName
+    this.uploadId = uploadId
+  }
+}
 
 export const azureStorageService = {
-  async uploadFile(uploadId, file, metadata = {}) {
+  /**
+   * Upload a file to the path the blob path template gives it. Blobs are
+   * never overwritten: a write to an existing path succeeds only if the blob
+   * was written for the same upload by an earlier attempt.
+   *
+   * Buffers are sent with their Content-MD5 so Azure rejects a corrupted
+   * transfer. Streams cannot be hashed up front, so a stream with an expected
+   * `sha256` is read back once written and checked against it; a blob that
+   * does not match is deleted.
+   *
+   * Files that can be re-read by byte range (`createReadStream({start, end})`
+   * and `size`, as staged files can) are uploaded in blocks, and resume from
+   * the blocks an earlier attempt staged.
+   * @param {string} uploadId - Upload identifier
+   * @param {object|Buffer} file - File buffer, stream or multipart file
+   * @param {object} [metadata] - Blob metadata; `originalName` names the file
+   *   and `sha256` is the checksum the content must match
+   * @param {object} [options] - Upload options
+   * @param {object} [options.pathContext] - Blob path context of the
+   *   submission (see getBlobPathContext)
+   * @param {string} [options.container] - Container to write to, instead of
+   *   storage.azure.containerName
+   * @param {string} [options.pathTemplate] - Blob path template to use,
+   *   instead of storage.azure.blobPathTemplate
+   * @param {{blobName: string, blockSize: number, blockIds: string[]}} [options.resume]
+   *   Blocks staged by an earlier attempt, as last passed to onBlocksStaged
+   * @param {Function} [options.onBlocksStaged] - Called with the blob name,
+   *   block size and staged block ids after each block, so the progress can
+   *   be recorded for a later attempt to resume from
+   */
+  async uploadFile(uploadId, file, metadata = {}, options = {}) {
     if (!uploadConfig.azureConfig.enabled) {
       throw new Error('Azure Blob Storage is not enabled')
     }
@@ -9,7 +84,7 @@ export const azureStorageService = {
     try {
       const blobServiceClient = await uploadConfig.getAzureBlobClient()
       const containerClient = blobServiceClient.getContainerClient(
-        uploadConfig.azureConfig.containerName
+        options.container ?? uploadConfig.azureConfig.containerName
       )
 
       await containerClient.createIfNotExists()
@@ -19,7 +94,11 @@ export const azureStorageService = {
         file.originalname ||
         file.hapi?.filename ||
         'unnamed-file'
-      const blobName = fileName
+      const blobName = buildBlobPath(
+        options.pathTemplate ?? uploadConfig.azureConfig.blobPathTemplate,
+        options.pathContext ?? getBlobPathContext(uploadId),
+        fileName
+      )
       const blockBlobClient = containerClient.getBlockBlobClient(blobName)
 
       console.log('Azure upload - filename resolution', {
@@ -33,7 +112,10 @@ export const azureStorageService = {
         metadataType: metadata.type
       })
 
+      // Buffers are uploaded in one call; staged files and streams are sent
+      // in blocks so large files never have to be held in memory
       let buffer
+      let stream
       if (Buffer.isBuffer(file)) {
         buffer = file
       } else if (file.buffer && Buffer.isBuffer(file.buffer)) {
@@ -41,8 +123,8 @@ export const azureStorageService = {
       } else if (file._data && Buffer.isBuffer(file._data)) {
         buffer = file._data
       } else if (file.stream || typeof file.on === 'function') {
-        buffer = await this.streamToBuffer(file.stream || file)
-      } else {
+        stream = file.stream || file
+      } else if (typeof file.createReadStream !== 'function') {
         throw new Error('Invalid file input type')
       }
 
@@ -53,26 +135,75 @@ export const azureStorageService = {
         file.hapi?.headers?.['content-type'] ||
         'application/octet-stream'
 
-      // Upload with metadata
+      // A buffer is checked against the expected checksum before it is sent
+      const contentMd5 = buffer && computeMd5(buffer)
+      const sha256 = buffer ? computeSha256(buffer) : metadata.sha256
+      if (buffer) {
+        assertChecksum(metadata.sha256, sha256, fileName)
+      }
+
+      // Upload with metadata, only if nothing is at the path yet
       const uploadOptions = {
         blobHTTPHeaders: {
-          blobContentType: contentType
+          blobContentType: contentType,
+          ...(contentMd5 && { blobContentMD5: contentMd5 })
         },
+        ...(contentMd5 && { transactionalContentMD5: contentMd5 }),
+        conditions: { ifNoneMatch: '*' },
         metadata: {
           uploadId,
           originalName: fileName,
           uploadedAt: new Date().toISOString(),
           uploadedBy: metadata.uploadedBy || 'system',
           type: metadata.type || 'file',
-          ...metadata
+          ...metadata,
+          ...(sha256 && { sha256 })
         }
       }
 
-      const uploadResponse = await blockBlobClient.upload(
-        buffer,
-        buffer.length,
-        uploadOptions
-      )
+      let uploadResponse
+      try {
+        if (buffer) {
+          uploadResponse = await blockBlobClient.upload(
+            buffer,
+            buffer.length,
+            uploadOptions
+          )
+        } else if (stream) {
+          uploadResponse = await blockBlobClient.uploadStream(
+            stream,
+            uploadConfig.azureConfig.blockSize || DEFAULT_BLOCK_SIZE,
+            uploadConfig.azureConfig.uploadConcurrency ||
+              DEFAULT_UPLOAD_CONCURRENCY,
+            uploadOptions
+          )
+        } else {
+          uploadResponse = await this._uploadBlocks(
+            blockBlobClient,
+            blobName,
+            file,
+            uploadOptions,
+            options
+          )
+        }
+      } catch (error) {
+        if (error.statusCode !== 409 && error.statusCode !== 412) {
+          throw error
+        }
+
+        // An earlier attempt for this upload already wrote the blob
+        const existing = await blockBlobClient.getProperties()
+        const existingUploadId =
+          existing.metadata?.uploadid ?? existing.metadata?.uploadId
+        if (existingUploadId !== uploadId) {
+          throw new BlobExistsError(blobName, uploadId)
+        }
+        uploadResponse = existing
+      }
+
+      if (!buffer && sha256) {
+        await this._verifyBlobChecksum(blockBlobClient, blobName, sha256)
+      }
 
       const blobUrl = blockBlobClient.url
 
@@ -84,18 +215,161 @@ export const azureStorageService = {
         plainUrl: blockBlobClient.url,
         etag: uploadResponse.etag,
         lastModified: uploadResponse.lastModified,
-        size: buffer.length,
-        contentType
+        size: buffer ? buffer.length : file.size,
+        contentType,
+        sha256
       }
     } catch (error) {
+      if (
+        error instanceof BlobExistsError ||
+        error instanceof ChecksumMismatchError
+      ) {
+        throw error
+      }
       throw new Error(`Azure upload failed: ${error.message}`)
     }
   },
 
+  /**
+   * Upload a re-readable file as blocks and commit them, skipping blocks an
+   * earlier attempt staged. Blocks are staged in parallel, each with its
+   * Content-MD5, and the blob only appears once the block list is committed.
+   * @param {object} blockBlobClient - Client of the blob being written
+   * @param {string} blobName - Blob name
+   * @param {{createReadStream: Function, size: number}} file - File to upload
+   * @param {object} uploadOptions - Headers, metadata and write conditions
+   * @param {object} options - Upload options (see uploadFile)
+   * @returns {Promise<object>} Commit response
+   * @private
+   */
+  async _uploadBlocks(blockBlobClient, blobName, file, uploadOptions, options) {
+    const blockSize = uploadConfig.azureConfig.blockSize || DEFAULT_BLOCK_SIZE
+    const concurrency =
+      uploadConfig.azureConfig.uploadConcurrency || DEFAULT_UPLOAD_CONCURRENCY
+    const blockIds = Array.from(
+      { length: Math.ceil(file.size / blockSize) },
+      (_, index) => blockIdFor(index)
+    )
+
+    const staged = await this._getResumableBlocks(
+      blockBlobClient,
+      blobName,
+      blockSize,
+      options.resume
+    )
+    const pending = blockIds
+      .map((blockId, index) => ({ blockId, index }))
+      .filter(({ blockId }) => !staged.has(blockId))
+
+    // Progress is recorded one update at a time so a slower write can never
+    // overwrite a newer list
+    let recording = Promise.resolve()
+    const recordProgress = () => {
+      if (!options.onBlocksStaged) return
+      const progress = { blobName, blockSize, blockIds: [...staged] }
+      recording = recording
+        .then(() => options.onBlocksStaged(progress))
+        .catch((error) => {
+          console.warn('Failed to record staged blocks:', {
+            blobName,
+            message: error.message
+          })
+        })
+    }
+
+    const stageNext = async () => {
+      while (pending.length) {
+        const { blockId, index } = pending.shift()
+        const start = index * blockSize
+        const end = Math.min(start + blockSize, file.size) - 1
+        const content = await readAll(file.createReadStream({ start, end }))
+
+        await blockBlobClient.stageBlock(blockId, content, content.length, {
+          transactionalContentMD5: computeMd5(content)
+        })
+        staged.add(blockId)
+        recordProgress()
+      }
+    }
+
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, pending.length) }, stageNext)
+    )
+    await recording
+
+    const { blobHTTPHeaders, conditions, metadata } = uploadOptions
+    return await blockBlobClient.commitBlockList(blockIds, {
+      blobHTTPHeaders,
+      conditions,
+      metadata
+    })
+  },
+
+  /**
+   * Work out which blocks of an interrupted upload can be reused: those
+   * recorded for the same blob and block size that Azure still holds
+   * uncommitted
+   * @param {object} blockBlobClient - Client of the blob being written
+   * @param {string} blobName - Blob name
+   * @param {number} blockSize - Current block size
+   * @param {object} [resume] - Recorded progress of an earlier attempt
+   * @returns {Promise<Set<string>>} Ids of blocks that need not be staged again
+   * @private
+   */
+  async _getResumableBlocks(blockBlobClient, blobName, blockSize, resume) {
+    if (
+      !resume?.blockIds?.length ||
+      resume.blobName !== blobName ||
+      resume.blockSize !== blockSize
+    ) {
+      return new Set()
+    }
+
+    try {
+      const { uncommittedBlocks = [] } =
+        await blockBlobClient.getBlockList('uncommitted')
+      const held = new Set(uncommittedBlocks.map(({ name }) => name))
+      return new Set(resume.blockIds.filter((blockId) => held.has(blockId)))
+    } catch (error) {
+      // Nothing staged yet, or the blocks have expired
+      if (error.statusCode === 404) return new Set()
+      throw error
+    }
+  },
+
+  /**
+   * Read a delivered blob back and check it against the checksum taken on
+   * receipt, deleting it if it does not match so a corrupted copy is never
+   * picked up downstream
+   * @param {object} blockBlobClient - Client of the delivered blob
+   * @param {string} blobName - Blob name, for the error message
+   * @param {string} expectedSha256 - Checksum the blob must match
+   * @returns {Promise<void>}
+   * @throws {ChecksumMismatchError} If the blob does not match
+   * @private
+   */
+  async _verifyBlobChecksum(blockBlobClient, blobName, expectedSha256) {
+    const download = await blockBlobClient.download()
+    const actual = await computeStreamSha256(download.readableStreamBody)
+
+    if (actual !== expectedSha256) {
+      await blockBlobClient.deleteIfExists()
+      throw new ChecksumMismatchError(
+        `blob ${blobName}`,
+        expectedSha256,
+        actual
+      )
+    }
+  },
+
   /**
    * Download file from Azure Blob Storage
+   * @param {string} uploadId - Upload identifier
+   * @param {string} filename - Blob name
+   * @param {{container?: string}} [options] - Container the blob is in, if
+   *   not the configured one
    */
-  async downloadFile(uploadId, filename) {
+  async downloadFile(uploadId, filename, options = {}) {
     if (!uploadConfig.azureConfig.enabled) {
       throw new Error('Azure Blob Storage is not enabled')
     }
@@ -103,7 +377,7 @@ export const azureStorageService = {
     try {
       const blobServiceClient = await uploadConfig.getAzureBlobClient()
       const containerClient = blobServiceClient.getContainerClient(
-        uploadConfig.azureConfig.containerName
+        options.container ?? uploadConfig.azureConfig.containerName
       )
       const blobName = filename
       const blockBlobClient = containerClient.getBlockBlobClient(blobName)
@@ -127,18 +401,35 @@ export const azureStorageService = {
   },
 
   /**
-   * Generate URL for direct access
+   * Generate a SAS URL granting time-limited access to a blob. Clients built
+   * from an account key sign an account SAS; clients authenticated with
+   * Entra ID sign a user delegation SAS, which needs no account key.
+   * @param {string} uploadId - Upload identifier
+   * @param {string} filename - Blob name
+   * @param {string} [permissions] - SAS permissions, e.g. `r` to read
+   * @param {number} [expiryHours] - How long the URL stays valid, in hours
+   * @param {{container?: string}} [options] - Container the blob is in, if
+   *   not the configured one
+   * @returns {Promise<{success: boolean, sasUrl: string, url: string, expiresOn: string}>}
+   *   Signed URL and when it expires
    */
-  async generateSasUrl(uploadId, filename, permissions = 'r', expiryHours = 1) {
+  async generateSasUrl(
+    uploadId,
+    filename,
+    permissions = 'r',
+    expiryHours = 1,
+    options = {}
+  ) {
     if (!uploadConfig.azureConfig.enabled) {
       throw new Error('Azure Blob Storage is not enabled')
     }
 
     try {
       const blobServiceClient = await uploadConfig.getAzureBlobClient()
-      const containerClient = blobServiceClient.getContainerClient(
-        uploadConfig.azureConfig.containerName
-      )
+      const containerName =
+        options.container ?? uploadConfig.azureConfig.containerName
+      const containerClient =
+        blobServiceClient.getContainerClient(containerName)
       const blobName = filename
       const blockBlobClient = containerClient.getBlockBlobClient(blobName)
 
@@ -148,10 +439,36 @@ export const azureStorageService = {
         throw new Error('File not found')
       }
 
+      const startsOn = new Date(Date.now() - SAS_CLOCK_SKEW_MS)
+      const expiresOn = new Date(Date.now() + expiryHours * 60 * 60 * 1000)
+      const sasOptions = {
+        containerName,
+        blobName,
+        permissions: BlobSASPermissions.parse(permissions),
+        startsOn,
+        expiresOn,
+        // Local emulators only serve plain HTTP
+        protocol: blockBlobClient.url.startsWith('https:')
+          ? SASProtocol.Https
+          : SASProtocol.HttpsAndHttp
+      }
+
+      const { credential } = blobServiceClient
+      const sasToken =
+        credential instanceof StorageSharedKeyCredential
+          ? generateBlobSASQueryParameters(sasOptions, credential)
+          : generateBlobSASQueryParameters(
+              sasOptions,
+              await blobServiceClient.getUserDelegationKey(startsOn, expiresOn),
+              blobServiceClient.accountName
+            )
+      const sasUrl = `${blockBlobClient.url}?${sasToken.toString()}`
+
       return {
         success: true,
-        sasUrl: blockBlobClient.url,
-        url: blockBlobClient.url
+        sasUrl,
+        url: sasUrl,
+        expiresOn: expiresOn.toISOString()
       }
     } catch (error) {
       throw new Error(`URL generation failed: ${error.message}`)
@@ -198,8 +515,12 @@ export const azureStorageService = {
 
   /**
    * Delete file from Azure Blob Storage
+   * @param {string} uploadId - Upload identifier
+   * @param {string} filename - Blob name
+   * @param {{container?: string}} [options] - Container the blob is in, if
+   *   not the configured one
    */
-  async deleteFile(uploadId, filename) {
+  async deleteFile(uploadId, filename, options = {}) {
     if (!uploadConfig.azureConfig.enabled) {
       throw new Error('Azure Blob Storage is not enabled')
     }
@@ -207,7 +528,7 @@ export const azureStorageService = {
     try {
       const blobServiceClient = await uploadConfig.getAzureBlobClient()
       const containerClient = blobServiceClient.getContainerClient(
-        uploadConfig.azureConfig.containerName
+        options.container ?? uploadConfig.azureConfig.containerName
       )
       const blobName = filename
       const blockBlobClient = containerClient.getBlockBlobClient(blobName)
@@ -301,19 +622,6 @@ export const azureStorageService = {
     }
   },
 
-  /**
-   * Convert stream to buffer
-   */
-  async streamToBuffer(stream) {
-    const chunks = []
-
-    return new Promise((resolve, reject) => {
-      stream.on('data', (chunk) => chunks.push(chunk))
-      stream.on('end', () => resolve(Buffer.concat(chunks)))
-      stream.on('error', reject)
-    })
-  },
-
   /**
    * Format bytes for human reading
    */
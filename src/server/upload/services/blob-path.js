@@ -0,0 +1,105 @@
+/**
+ * Blob Path
+ *
+ * Builds the path every file of a submission is delivered to, from the
+ * configured template (storage.azure.blobPathTemplate), so the spreadsheet,
+ * the form answers JSON and any derived copies land together and never
+ * collide with another submission's files. Paths are worked out from the
+ * upload record rather than the clock, so a retried transfer writes to the
+ * same place; uploads with no submission date get a delivery date stamped
+ * on their record by the first attempt (see getDeliveryPathContext).
+ */
+
+const PLACEHOLDER = /\{([^{}]+)\}/g
+const FALLBACK_FORM_SLUG = 'direct-upload'
+
+/**
+ * Make a value safe to use as one path segment
+ * @param {*} value - Placeholder value
+ * @returns {string} Segment without separators or dot segments
+ */
+const toSegment = (value) => {
+  const segment = String(value).replace(/[^A-Za-z0-9._-]+/g, '-')
+  return /^\.*$/.test(segment) ? '-' : segment
+}
+
+/**
+ * Pad a date part to two digits
+ * @param {number} value - Month or day
+ * @returns {string} Two-digit value
+ */
+const pad = (value) => String(value).padStart(2, '0')
+
+/**
+ * Check whether a template files blobs by date
+ * @param {string} template - Blob path template
+ * @returns {boolean}
+ */
+const usesDate = (template) => /\{(yyyy|mm|dd)\}/.test(template)
+
+/**
+ * Collect the values a blob path is built from for an upload
+ * @param {string} uploadId - Upload identifier
+ * @param {object} [upload] - Tracked upload record
+ * @returns {{uploadId: string, formSlug: ?string, formId: ?string, submissionId: ?string, submittedAt: ?string}}
+ *   Blob path context
+ */
+const getBlobPathContext = (uploadId, upload) => ({
+  uploadId,
+  formSlug: upload?.formSlug ?? upload?.formData?.formSlug ?? null,
+  formId: upload?.formId ?? upload?.formData?.formId ?? null,
+  submissionId: upload?.formData?.submissionId ?? null,
+  submittedAt:
+    upload?.formData?.submittedAt ??
+    upload?.uploadedAt ??
+    upload?.deliveryStartedAt ??
+    null
+})
+
+/**
+ * Build the blob name of a file from a path template
+ * @param {string} template - Template such as
+ *   `{formSlug}/{yyyy}/{mm}/{submissionId}/{filename}`
+ * @param {object} context - Blob path context (see getBlobPathContext)
+ * @param {string} filename - Name of the file being delivered
+ * @returns {string} Blob name
+ * @throws {Error} If the template files by date and the context has no
+ *   valid submission date
+ */
+const buildBlobPath = (template, context, filename) => {
+  if (!template.includes('{filename}')) {
+    throw new Error('Blob path template must include {filename}')
+  }
+
+  // Falling back to the clock would move a retried delivery to another path
+  const date = new Date(context.submittedAt ?? NaN)
+  if (usesDate(template) && Number.isNaN(date.getTime())) {
+    throw new Error(
+      `No submission date to build the blob path of upload ${context.uploadId}`
+    )
+  }
+
+  const formSlug = context.formSlug ?? context.formId ?? FALLBACK_FORM_SLUG
+
+  const values = {
+    formSlug,
+    formId: context.formId ?? formSlug,
+    yyyy: date.getUTCFullYear(),
+    mm: pad(date.getUTCMonth() + 1),
+    dd: pad(date.getUTCDate()),
+    submissionId: context.submissionId ?? context.uploadId,
+    uploadId: context.uploadId,
+    filename
+  }
+
+  return template.replace(PLACEHOLDER, (placeholder, name) => {
+    if (!Object.hasOwn(values, name)) {
+      throw new Error(
+        `Unknown placeholder ${placeholder} in blob path template`
+      )
+    }
+    return toSegment(values[name])
+  })
+}
+
+export { buildBlobPath, getBlobPathContext }
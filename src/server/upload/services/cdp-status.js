@@ -0,0 +1,108 @@
+/**
+ * CDP Upload Status
+ *
+ * In direct mode (CDP_UPLOADER_MODE=direct) the browser posts the form to
+ * the CDP uploader, so what we know of the upload comes from CDP's status
+ * response: `uploadStatus`, the `metadata` given on initiate and the posted
+ * `form`, in which each file field is replaced by its scan result
+ * (`fileStatus`, `hasError`, `errorMessage`, `s3Key`...). CDP posts the same
+ * document to the callback URL once the upload is ready.
+ */
+
+export const CdpUploadStatus = Object.freeze({
+  INITIATED: 'initiated',
+  PENDING: 'pending',
+  READY: 'ready'
+})
+
+export const CdpFileStatus = Object.freeze({
+  COMPLETE: 'complete',
+  REJECTED: 'rejected',
+  PENDING: 'pending'
+})
+
+/**
+ * Check whether a payload is a CDP status response, as opposed to the
+ * callback payload of proxy mode
+ * @param {object} payload - Request payload
+ * @returns {boolean} True for a status response
+ */
+export const isCdpStatusResponse = (payload) =>
+  typeof payload?.uploadStatus === 'string'
+
+/**
+ * Check whether a form value is a file CDP has taken from the form
+ * @param {*} value - Form value
+ * @returns {boolean} True for a file
+ */
+const isFile = (value) =>
+  typeof value === 'object' && value !== null && 'fileStatus' in value
+
+/**
+ * Convert the base64 SHA-256 CDP reports to the hex digest the pipeline
+ * checks files against
+ * @param {string} [checksum] - Base64 digest
+ * @returns {string|undefined} Hex digest
+ */
+const toHexDigest = (checksum) =>
+  checksum ? Buffer.from(checksum, 'base64').toString('hex') : undefined
+
+/**
+ * Scan result of a file, in the terms the pipeline uses: `pending` until
+ * the upload is ready, then `clean` or `rejected`. Rejected files may have
+ * failed the virus scan or CDP's own checks (type, size, empty file); the
+ * error message says which.
+ * @param {string} uploadStatus - CDP upload status
+ * @param {object} [file] - File from the status response
+ * @returns {string} Scan result
+ */
+const getVirusScanStatus = (uploadStatus, file) => {
+  if (uploadStatus !== CdpUploadStatus.READY) return 'pending'
+  if (file?.fileStatus === CdpFileStatus.PENDING) return 'pending'
+  if (file?.fileStatus === CdpFileStatus.COMPLETE && !file.hasError) {
+    return 'clean'
+  }
+  return 'rejected'
+}
+
+/**
+ * Read a CDP status response. Uploads carry one file; when a form posts
+ * several, the first is used.
+ * @param {object} status - Status response or callback payload
+ * @returns {{uploadStatus: string, metadata: object, fields: object,
+ *   file: object|undefined, virusScanStatus: string, error: string|undefined}}
+ *   The upload's status, metadata, other form fields, file details and scan
+ *   result
+ */
+export const readCdpStatus = (status) => {
+  const { uploadStatus, metadata = {}, form = {} } = status
+
+  const fields = {}
+  let cdpFile
+  for (const [name, value] of Object.entries(form)) {
+    const files = [value].flat().filter(isFile)
+    if (files.length) {
+      cdpFile ??= files[0]
+    } else {
+      fields[name] = value
+    }
+  }
+
+  const virusScanStatus = getVirusScanStatus(uploadStatus, cdpFile)
+  const file = cdpFile && {
+    fileId: cdpFile.fileId,
+    filename: cdpFile.filename,
+    contentType: cdpFile.detectedContentType || cdpFile.contentType,
+    size: cdpFile.contentLength,
+    sha256: toHexDigest(cdpFile.checksumSha256),
+    s3Key: cdpFile.s3Key,
+    s3Bucket: cdpFile.s3Bucket
+  }
+
+  let error
+  if (virusScanStatus === 'rejected') {
+    error = cdpFile?.errorMessage || 'No file was uploaded'
+  }
+
+  return { uploadStatus, metadata, fields, file, virusScanStatus, error }
+}
@@ -1,6 +1,47 @@
+import { GetObjectCommand } from '@aws-sdk/client-s3'
 import { uploadConfig } from '../../../config/upload-config.js'
 import { v4 as uuidv4 } from 'uuid'
 import { redisUploadStore } from '../../services/redis-upload-store.js'
+import { uploadStagingStore } from '../../services/upload-staging-store.js'
+import { UploadEvent, UploadStatus } from '../../services/upload-lifecycle.js'
+import {
+  acceptedMimeTypes,
+  getContentType
+} from '../../../config/spreadsheet-formats.js'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { getDeliveryTargets, getFormSlug } from '../../forms/form-metadata.js'
+import { assertChecksum } from './checksum.js'
+import { readCdpStatus } from './cdp-status.js'
+import {
+  deliverToTargets,
+  getAzureDelivery,
+  getDeliveryPathContext
+} from './submission-delivery.js'
+
+/**
+ * Lifecycle state an upload enters when CDP reports a scan result, or
+ * undefined while the scan is still running
+ */
+const statusForScanResult = (virusScanStatus) => {
+  if (virusScanStatus === 'clean') return UploadStatus.CALLBACK_RECEIVED
+  if (
+    virusScanStatus === 'infected' ||
+    virusScanStatus === 'quarantined' ||
+    virusScanStatus === 'rejected'
+  ) {
+    return UploadStatus.QUARANTINED
+  }
+  return undefined
+}
+
+/**
+ * URL the CDP uploader calls back once a scan is finished
+ */
+const getCallbackUrl = () =>
+  process.env.CALLBACK_URL ||
+  (process.env.NODE_ENV === 'development'
+    ? 'http://host.docker.internal:3000/upload/callback'
+    : `${process.env.SUBMISSION_URL || 'http://localhost:3000'}/upload/callback`)
 
 export class CdpUploaderService {
   async uploadFile({ file, metadata }) {
@@ -22,11 +63,7 @@ export class CdpUploaderService {
           prefix: config.stagingPrefix,
           filename: metadata.originalName,
           contentType: metadata.contentType,
-          callback:
-            process.env.CALLBACK_URL ||
-            (process.env.NODE_ENV === 'development'
-              ? 'http://host.docker.internal:3000/upload/callback'
-              : `${process.env.SUBMISSION_URL || 'http://localhost:3000'}/upload/callback`)
+          callback: getCallbackUrl()
         }),
         timeout: config.timeout
       })
@@ -41,10 +78,19 @@ export class CdpUploaderService {
       const initiateResult = await initiateResponse.json()
       cdpUploadId = initiateResult.uploadId || localUploadId
 
-      // Step 2: Upload the file using the upload ID
+      // Step 2: Stage the file locally so the post-scan transfer can read it
+      // back as a stream, then stream it from disk to CDP. Staging takes the
+      // checksum every later copy is checked against
+      const { size, sha256 } = await uploadStagingStore.stage(cdpUploadId, file)
+
+      // Callers that hashed the file themselves must get the same bytes
+      assertChecksum(metadata.sha256, sha256, `staged upload ${cdpUploadId}`)
+
       const formData = new FormData()
-      const buffer = await this.streamToBuffer(file)
-      const blob = new Blob([buffer], { type: metadata.contentType })
+      const blob = await uploadStagingStore.openAsBlob(
+        cdpUploadId,
+        metadata.contentType
+      )
 
       formData.append('file', blob, metadata.originalName)
       formData.append('bucket', config.bucket)
@@ -52,7 +98,7 @@ export class CdpUploaderService {
 
       // Add metadata
       if (metadata) {
-        formData.append('metadata', JSON.stringify(metadata))
+        formData.append('metadata', JSON.stringify({ ...metadata, size }))
       }
 
       // Make request to CDP uploader with the upload ID
@@ -79,50 +125,310 @@ export class CdpUploaderService {
       const result = await response.json()
       const uploadId = cdpUploadId
 
-      // Store upload information including file buffer for direct Azure upload
+      // Store upload information; the file itself stays in the staging store
+      // until the post-scan Azure transfer
       const uploadData = {
         uploadId,
         filename: metadata.originalName,
         contentType: metadata.contentType,
-        size: buffer.length,
-        status: 'uploaded',
+        size,
+        sha256,
+        formId: metadata.formId,
+        uploadedBy: metadata.uploadedBy,
+        organisationId: metadata.organisationId,
+        status: UploadStatus.UPLOADED,
         uploadedAt: new Date().toISOString(),
         s3Key:
           result.s3Key ||
           `${config.stagingPrefix}${uploadId}/${metadata.originalName}`,
         bucket: config.bucket,
         virusScanStatus: 'pending',
-        // Store file buffer as base64 to avoid S3 download later
-        fileBuffer: buffer.toString('base64')
+        staged: true
       }
 
       await redisUploadStore.setUpload(uploadId, uploadData)
+      await redisUploadStore.appendEvent(uploadId, UploadEvent.CREATED, {
+        filename: metadata.originalName,
+        contentType: metadata.contentType,
+        size,
+        formId: metadata.formId,
+        uploadedBy: metadata.uploadedBy,
+        organisationId: metadata.organisationId
+      })
+      await redisUploadStore.appendEvent(uploadId, UploadEvent.SENT_TO_CDP, {
+        s3Key: uploadData.s3Key
+      })
 
       return {
         uploadId,
         filename: metadata.originalName,
-        size: buffer.length,
+        size,
         s3Key:
           result.s3Key ||
           `${config.stagingPrefix}${uploadId}/${metadata.originalName}`
       }
     } catch (error) {
-      // Store failed upload for tracking
+      // Nothing will ever transfer a failed upload, so drop its bytes
       const uploadIdForError = cdpUploadId || localUploadId
+      await uploadStagingStore.release(file)
+      if (cdpUploadId) {
+        await uploadStagingStore.remove(cdpUploadId).catch(() => false)
+      }
+
+      // Store failed upload for tracking
       const failedData = {
         uploadId: uploadIdForError,
         filename: metadata.originalName,
-        status: 'failed',
+        status: UploadStatus.FAILED,
         error: error.message,
+        uploadedBy: metadata.uploadedBy,
+        organisationId: metadata.organisationId,
         uploadedAt: new Date().toISOString()
       }
 
       await redisUploadStore.setUpload(uploadIdForError, failedData)
+      await redisUploadStore.appendEvent(
+        uploadIdForError,
+        UploadEvent.UPLOAD_FAILED,
+        {
+          filename: metadata.originalName,
+          error: error.message,
+          uploadedBy: metadata.uploadedBy,
+          organisationId: metadata.organisationId
+        }
+      )
 
       throw new Error(`Upload failed: ${error.message}`)
     }
   }
 
+  /**
+   * Start a direct upload (CDP_UPLOADER_MODE=direct). The browser posts the
+   * form, file included, to the returned upload URL; CDP scans the file into
+   * its bucket and sends the browser to `/upload/return/{uploadId}`, which
+   * reads the result and redirects on to `redirect`.
+   * @param {object} options - Upload options
+   * @param {string} options.redirect - Path to send the browser back to
+   * @param {object} [options.metadata] - Details kept with the upload, e.g.
+   *   formId and submissionId
+   * @returns {Promise<{uploadId: string, uploadUrl: string}>} Upload id and
+   *   the URL the browser posts the form to
+   */
+  async initiateUpload({ redirect, metadata = {} }) {
+    const config = uploadConfig.getCdpUploaderConfig()
+    const uploadId = uuidv4()
+
+    // CDP's status response and callback carry the metadata given here,
+    // which is how a callback is matched to its upload
+    const response = await fetch(`${config.url}/initiate`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${config.callbackAuthToken}`,
+        'Content-Type': 'application/json',
+        'X-Request-ID': uploadId
+      },
+      body: JSON.stringify({
+        redirect: `/upload/return/${uploadId}`,
+        callback: getCallbackUrl(),
+        s3Bucket: config.bucket,
+        s3Path: config.stagingPrefix,
+        metadata: { ...metadata, uploadId },
+        mimeTypes: acceptedMimeTypes,
+        maxFileSize: config.maxFileSize
+      }),
+      timeout: config.timeout
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      throw new Error(
+        `CDP uploader initiate failed: ${response.status} - ${errorText}`
+      )
+    }
+
+    const initiateResult = await response.json()
+
+    await redisUploadStore.setUpload(uploadId, {
+      uploadId,
+      cdpUploadId: initiateResult.uploadId,
+      uploadMode: 'direct',
+      status: UploadStatus.INITIATED,
+      initiatedAt: new Date().toISOString(),
+      redirect,
+      formId: metadata.formId,
+      // Resolved now, so the upload is delivered where its form says
+      formSlug: getFormSlug(metadata.formId),
+      deliveryTargets: getDeliveryTargets(metadata.formId),
+      submissionId: metadata.submissionId,
+      uploadedBy: metadata.uploadedBy,
+      organisationId: metadata.organisationId,
+      bucket: config.bucket,
+      virusScanStatus: 'pending'
+    })
+    await redisUploadStore.appendEvent(uploadId, UploadEvent.INITIATED, {
+      cdpUploadId: initiateResult.uploadId,
+      formId: metadata.formId,
+      uploadedBy: metadata.uploadedBy,
+      organisationId: metadata.organisationId
+    })
+
+    return { uploadId, uploadUrl: initiateResult.uploadUrl }
+  }
+
+  /**
+   * Read the status of a direct upload from CDP and record it
+   * @param {string} uploadId - Upload identifier
+   * @param {string} [source] - What prompted the read, recorded with the scan
+   *   result
+   * @returns {Promise<object|null>} The upload as read (see readCdpStatus)
+   *   with its record, or null if there is no such direct upload
+   */
+  async syncUploadStatus(uploadId, source = 'status') {
+    const config = uploadConfig.getCdpUploaderConfig()
+    const upload = await redisUploadStore.getUpload(uploadId)
+
+    if (upload?.uploadMode !== 'direct') {
+      return null
+    }
+
+    // A settled scan has already been acted on and must not be replayed
+    if (upload.virusScanStatus !== 'pending') {
+      return {
+        virusScanStatus: upload.virusScanStatus,
+        error: upload.error,
+        upload
+      }
+    }
+
+    const response = await fetch(`${config.url}/status/${upload.cdpUploadId}`, {
+      headers: { Authorization: `Bearer ${config.callbackAuthToken}` },
+      timeout: config.timeout
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      throw new Error(
+        `CDP uploader status failed: ${response.status} - ${errorText}`
+      )
+    }
+
+    const cdpStatus = readCdpStatus(await response.json())
+    const { file, fields, virusScanStatus, error } = cdpStatus
+
+    if (!file && virusScanStatus === 'pending') {
+      return { ...cdpStatus, upload }
+    }
+
+    const updates = {
+      ...(file && {
+        filename: file.filename,
+        originalFilename: file.filename,
+        contentType: file.contentType,
+        size: file.size,
+        sha256: file.sha256,
+        s3Key: file.s3Key,
+        bucket: file.s3Bucket || upload.bucket
+      }),
+      formData: { ...upload.formData, ...fields },
+      virusScanStatus,
+      status:
+        statusForScanResult(virusScanStatus) ??
+        (upload.status === UploadStatus.INITIATED
+          ? UploadStatus.UPLOADED
+          : undefined),
+      error
+    }
+
+    await redisUploadStore.updateUpload(uploadId, updates)
+    if (virusScanStatus !== 'pending') {
+      await redisUploadStore.appendEvent(uploadId, UploadEvent.SCAN_RESULT, {
+        virusScanStatus,
+        error,
+        source
+      })
+    }
+
+    return { ...cdpStatus, upload: { ...upload, ...updates } }
+  }
+
+  /**
+   * Stage the scanned file of a direct upload from the CDP bucket, so it is
+   * delivered the same way as a file sent through this service
+   * @param {string} uploadId - Upload identifier
+   * @param {object} upload - Upload record
+   * @returns {Promise<number|null>} Staged size, or null if CDP's copy is gone
+   */
+  async fetchScannedFile(uploadId, upload) {
+    const size = await this.stageScannedFile(uploadId, upload)
+    if (size !== null) {
+      await redisUploadStore.updateUpload(uploadId, { staged: true })
+    }
+
+    return size
+  }
+
+  /**
+   * Stage a scanned file from the CDP bucket, whether or not this service
+   * tracks its upload
+   * @param {string} uploadId - Upload identifier, the staged file's name
+   * @param {{bucket: string, s3Key: string}} location - Where CDP keeps it
+   * @returns {Promise<number|null>} Staged size, or null if CDP's copy is gone
+   */
+  async stageScannedFile(uploadId, { bucket, s3Key }) {
+    const client = uploadConfig.getCdpUploaderS3Client()
+
+    let response
+    try {
+      response = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: s3Key })
+      )
+    } catch (error) {
+      if (
+        error.name === 'NoSuchKey' ||
+        error.$metadata?.httpStatusCode === 404
+      ) {
+        return null
+      }
+      throw new Error(`Fetching scanned file from CDP failed: ${error.message}`)
+    }
+
+    const { size } = await uploadStagingStore.stage(uploadId, response.Body)
+    return size
+  }
+
+  /**
+   * Stage the file of an upload CDP received directly, such as one from a
+   * forms engine file upload page, looking up where it is from CDP's status
+   * @param {string} uploadId - CDP upload identifier
+   * @returns {Promise<number|null>} Staged size, or null if the file has not
+   *   passed its scan or is gone
+   */
+  async stageFromCdp(uploadId) {
+    const config = uploadConfig.getCdpUploaderConfig()
+
+    const response = await fetch(`${config.url}/status/${uploadId}`, {
+      headers: { Authorization: `Bearer ${config.callbackAuthToken}` },
+      timeout: config.timeout
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      throw new Error(
+        `CDP uploader status failed: ${response.status} - ${errorText}`
+      )
+    }
+
+    const { file, virusScanStatus } = readCdpStatus(await response.json())
+    if (virusScanStatus !== 'clean' || !file?.s3Key) {
+      return null
+    }
+
+    return await this.stageScannedFile(uploadId, {
+      bucket: file.s3Bucket || config.bucket,
+      s3Key: file.s3Key
+    })
+  }
+
   /**
    * Get upload status
    */
@@ -172,9 +478,14 @@ export class CdpUploaderService {
 
               // Update local status
               if (cdpStatus.virusScanStatus) {
+                await redisUploadStore.appendEvent(
+                  uploadId,
+                  UploadEvent.SCAN_RESULT,
+                  { virusScanStatus: cdpStatus.virusScanStatus, source: 'poll' }
+                )
                 await redisUploadStore.updateUpload(uploadId, {
                   virusScanStatus: cdpStatus.virusScanStatus,
-                  status: cdpStatus.status
+                  status: statusForScanResult(cdpStatus.virusScanStatus)
                 })
 
                 if (cdpStatus.virusScanStatus === 'clean') {
@@ -217,83 +528,114 @@ export class CdpUploaderService {
   }
 
   /**
-   * Process upload with virus scanning and direct Azure transfer
+   * Process upload with virus scanning and direct delivery to its targets
    */
-  async processUploadWithAzureTransfer(uploadId, azureStorageService) {
-    try {
-      // Poll for virus scan completion
-      const scanResult = await this.pollVirusScanStatus(uploadId)
+  async processUploadWithAzureTransfer(uploadId) {
+    // Poll for virus scan completion
+    const scanResult = await this.pollVirusScanStatus(uploadId)
 
-      if (scanResult.status !== 'clean') {
-        throw new Error(`File failed virus scan: ${scanResult.status}`)
-      }
+    if (scanResult.status !== 'clean') {
+      // Never keep the bytes of a file that failed scanning
+      await uploadStagingStore.remove(uploadId)
+      await redisUploadStore.updateUpload(uploadId, {
+        status: UploadStatus.QUARANTINED,
+        staged: false
+      })
+      throw new Error(`File failed virus scan: ${scanResult.status}`)
+    }
 
-      // Get the upload data with file buffer
-      const uploadData =
-        scanResult.localUpload || (await redisUploadStore.getUpload(uploadId))
+    await redisUploadStore.updateUpload(uploadId, {
+      status: UploadStatus.PROCESSING
+    })
 
-      if (!uploadData?.fileBuffer) {
-        throw new Error('File buffer not found for upload')
-      }
+    const uploadData = await redisUploadStore.getUpload(uploadId)
 
-      // Convert base64 back to buffer
-      const fileBuffer = Buffer.from(uploadData.fileBuffer, 'base64')
+    // The file itself lives in the staging store, not on the upload record
+    const stagedSize = await uploadStagingStore.getSize(uploadId)
 
-      // Validate buffer is not empty
-      if (!fileBuffer || fileBuffer.length === 0) {
-        throw new Error(
-          `File buffer is empty or corrupted for upload ${uploadId}`
-        )
-      }
+    if (!stagedSize) {
+      const transferError =
+        stagedSize === null
+          ? 'Staged file not found for upload'
+          : `Staged file is empty for upload ${uploadId}`
 
+      await redisUploadStore.updateUpload(uploadId, {
+        status: UploadStatus.BUFFER_MISSING,
+        transferError
+      })
+      throw new Error(transferError)
+    }
+
+    await redisUploadStore.appendEvent(uploadId, UploadEvent.TRANSFER_ATTEMPT, {
+      source: 'direct'
+    })
+
+    try {
       // Determine correct content type
       const filename = uploadData.filename || 'unnamed-file'
-      const contentType =
-        uploadData.contentType ||
-        (filename.endsWith('.xlsx')
-          ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-          : filename.endsWith('.xls')
-            ? 'application/vnd.ms-excel'
-            : filename.endsWith('.csv')
-              ? 'text/csv'
-              : 'application/octet-stream')
-
-      // Upload directly to Azure
-      const azureResult = await azureStorageService.uploadFile(
+      const contentType = uploadData.contentType || getContentType(filename)
+      const pathContext = await getDeliveryPathContext(uploadId, uploadData)
+
+      // Checked against the checksum taken on receipt before anything is sent
+      const sha256 = await uploadStagingStore.getChecksum(uploadId)
+      assertChecksum(uploadData.sha256, sha256, `staged upload ${uploadId}`)
+
+      // Targets already delivered to by an earlier attempt are skipped
+      const { targets, deliveries } = await deliverToTargets(
         uploadId,
+        uploadData,
         {
-          buffer: fileBuffer,
-          originalname: filename,
-          mimetype: contentType,
-          size: fileBuffer.length
-        },
-        {
-          contentType,
-          virusScanStatus: 'clean',
-          transferredAt: new Date().toISOString()
+          staged: { filename, contentType, size: stagedSize, sha256 },
+          pathContext,
+          logger: createLogger().child({ component: 'cdp-uploader' })
         }
       )
+      const azureDelivery = getAzureDelivery(targets, deliveries)
 
-      // Update upload status and clear buffer
+      // Update upload status and release the staged copy
       await redisUploadStore.updateUpload(uploadId, {
-        status: 'completed',
+        status: UploadStatus.COMPLETED,
         azureTransferred: true,
-        azureBlobName: azureResult.blobName,
-        azureUrl: azureResult.url,
-        fileBuffer: null // Clear buffer to save memory
+        deliveries,
+        azureBlobName: azureDelivery?.blobName,
+        azureUrl: azureDelivery?.url,
+        azureNormalisedCsvBlobName: azureDelivery?.normalisedCsvBlobName,
+        azureNormalisedJsonlBlobName: azureDelivery?.normalisedJsonlBlobName,
+        azureManifestBlobName: azureDelivery?.manifestBlobName,
+        sha256,
+        checksumVerifiedAt: new Date().toISOString(),
+        azureBlockUpload: null,
+        staged: false
       })
+      await redisUploadStore.appendEvent(
+        uploadId,
+        UploadEvent.TRANSFER_SUCCEEDED,
+        {
+          blobName: azureDelivery?.blobName,
+          manifestBlobName: azureDelivery?.manifestBlobName
+        }
+      )
+      await uploadStagingStore.remove(uploadId)
 
       return {
         success: true,
         uploadId,
-        azureResult
+        azureResult: azureDelivery,
+        deliveries
       }
     } catch (error) {
+      // The staged file is kept so the transfer can be retried
       await redisUploadStore.updateUpload(uploadId, {
-        status: 'transfer_failed',
-        transferError: error.message,
-        fileBuffer: null // Clear buffer on failure
+        status: UploadStatus.TRANSFER_FAILED,
+        transferError: error.message
       })
+      await redisUploadStore.appendEvent(
+        uploadId,
+        UploadEvent.TRANSFER_FAILED,
+        {
+          error: error.message
+        }
+      )
 
       throw error
     }
@@ -303,15 +645,26 @@ export class CdpUploaderService {
    * Handle callback from CDP uploader
    */
   async handleCallback(payload) {
-    const { uploadId, status, s3Key, error, virusScanStatus } = payload
+    const { uploadId, s3Key, error, virusScanStatus } = payload
+    const status = statusForScanResult(virusScanStatus || payload.status)
+
+    await redisUploadStore.appendEvent(
+      uploadId,
+      UploadEvent.CALLBACK_RECEIVED,
+      {
+        payload
+      }
+    )
+    await redisUploadStore.appendEvent(uploadId, UploadEvent.SCAN_RESULT, {
+      virusScanStatus: virusScanStatus || payload.status
+    })
 
     // Update upload status
     const existingUpload = await redisUploadStore.getUpload(uploadId)
     if (existingUpload) {
-      await redisUploadStore.setUpload(uploadId, {
-        ...existingUpload,
-        status: virusScanStatus === 'clean' ? 'virus_scan_complete' : status,
-        virusScanStatus: virusScanStatus || status,
+      await redisUploadStore.updateUpload(uploadId, {
+        status,
+        virusScanStatus: virusScanStatus || payload.status,
         s3Key: s3Key || existingUpload.s3Key,
         processedAt: new Date().toISOString(),
         error: error || existingUpload.error
@@ -320,8 +673,8 @@ export class CdpUploaderService {
       // Store callback data for unknown upload (recovery scenario)
       await redisUploadStore.setUpload(uploadId, {
         uploadId,
-        status: virusScanStatus === 'clean' ? 'virus_scan_complete' : status,
-        virusScanStatus: virusScanStatus || status,
+        status,
+        virusScanStatus: virusScanStatus || payload.status,
         s3Key,
         error,
         processedAt: new Date().toISOString(),
@@ -353,24 +706,6 @@ export class CdpUploaderService {
     }
   }
 
-  /**
-   * Convert stream to buffer (or return buffer if already a buffer)
-   */
-  async streamToBuffer(stream) {
-    // If it's already a buffer, return it directly
-    if (Buffer.isBuffer(stream)) {
-      return stream
-    }
-
-    const chunks = []
-
-    return new Promise((resolve, reject) => {
-      stream.on('data', (chunk) => chunks.push(chunk))
-      stream.on('end', () => resolve(Buffer.concat(chunks)))
-      stream.on('error', reject)
-    })
-  }
-
   /**
    * Get all uploads (for admin/monitoring)
    */
@@ -0,0 +1,66 @@
+import { createHash } from 'node:crypto'
+import { pipeline } from 'node:stream/promises'
+
+/**
+ * Checksums
+ *
+ * The SHA-256 of an upload is taken once, as the received file is staged,
+ * and kept with the staged file. It is checked against the record before
+ * the file is transferred and against every delivered blob. A mismatch
+ * means a copy was corrupted, which retrying the same bytes cannot fix.
+ */
+
+/**
+ * Thrown when a copy of a file does not match the checksum taken on receipt
+ */
+export class ChecksumMismatchError extends Error {
+  constructor(description, expected, actual) {
+    super(
+      `Checksum mismatch for ${description}: expected ${expected}, got ${actual}`
+    )
+    this.name = 'ChecksumMismatchError'
+    this.expected = expected
+    this.actual = actual
+  }
+}
+
+/**
+ * Compute the SHA-256 checksum of a file held in memory
+ * @param {Buffer} buffer - File content
+ * @returns {string} Hex digest
+ */
+export const computeSha256 = (buffer) =>
+  createHash('sha256').update(buffer).digest('hex')
+
+/**
+ * Compute the MD5 digest of a file held in memory, as Azure expects it for
+ * Content-MD5
+ * @param {Buffer} buffer - File content
+ * @returns {Buffer} Raw digest
+ */
+export const computeMd5 = (buffer) => createHash('md5').update(buffer).digest()
+
+/**
+ * Compute the SHA-256 checksum of a stream, consuming it
+ * @param {import('node:stream').Readable} stream - File content
+ * @returns {Promise<string>} Hex digest
+ */
+export const computeStreamSha256 = async (stream) => {
+  const hash = createHash('sha256')
+  await pipeline(stream, hash)
+  return hash.digest('hex')
+}
+
+/**
+ * Check a copy of a file against the checksum taken on receipt. Uploads
+ * received before checksums were recorded have nothing to check against.
+ * @param {?string} expected - Checksum taken on receipt
+ * @param {?string} actual - Checksum of the copy
+ * @param {string} description - What the copy is, for the error message
+ * @throws {ChecksumMismatchError} If the checksums differ
+ */
+export const assertChecksum = (expected, actual, description) => {
+  if (expected && expected !== actual) {
+    throw new ChecksumMismatchError(description, expected, actual)
+  }
+}
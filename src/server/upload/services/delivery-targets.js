@@ -0,0 +1,161 @@
+import { config } from '../../../config/config.js'
+import { uploadConfig } from '../../../config/upload-config.js'
+import { StorageServiceFactory } from '../../services/storage-factory.js'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+
+/**
+ * Delivery Targets
+ *
+ * The destinations a submission's files are delivered to. A form lists its
+ * own in `metadata.deliveryTargets`; other uploads go to the providers in
+ * storage.delivery.defaultTargets. Each target is delivered to and tracked
+ * separately (`deliveries` on the upload record), so one that fails is
+ * retried without writing to the others again.
+ *
+ * A target is `{ id, type, container, bucket, directory, prefix,
+ * pathTemplate }`. The type names a StorageServiceFactory provider. The rest
+ * are optional: the Azure `container`, S3 `bucket` or filesystem `directory`
+ * to use instead of the configured one, and a `pathTemplate` and `prefix`
+ * for where files land within it. The id defaults to the type, so it must
+ * be given when a form delivers to two targets of the same type.
+ */
+
+export const DeliveryTargetType = Object.freeze({
+  AZURE: 'azure',
+  S3: 's3',
+  FILESYSTEM: 'filesystem'
+})
+
+export const DeliveryStatus = Object.freeze({
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+})
+
+/**
+ * Path template each provider uses when a target does not give one
+ */
+const DEFAULT_PATH_TEMPLATES = Object.freeze({
+  [DeliveryTargetType.AZURE]: () => uploadConfig.azureConfig.blobPathTemplate,
+  [DeliveryTargetType.S3]: () => uploadConfig.s3Config.keyTemplate,
+  [DeliveryTargetType.FILESYSTEM]: () =>
+    uploadConfig.filesystemConfig.pathTemplate
+})
+
+/**
+ * Thrown when a target cannot be delivered to as declared (unknown type,
+ * duplicate id or a provider that is not enabled), which retrying cannot fix
+ */
+export class DeliveryTargetError extends Error {
+  constructor(message, targetId) {
+    super(message)
+    this.name = 'DeliveryTargetError'
+    this.targetId = targetId
+  }
+}
+
+let storageFactory = null
+
+/**
+ * Storage factory shared by every target, created on first use
+ * @returns {StorageServiceFactory}
+ */
+const getStorageFactory = () => {
+  storageFactory ??= new StorageServiceFactory(
+    createLogger().child({ component: 'delivery-targets' })
+  )
+  return storageFactory
+}
+
+/**
+ * Work out the targets of an upload, giving each an id
+ * @param {Array<object>} [declared] - Targets declared by the form
+ * @returns {Array<object>} Targets to deliver to, in order
+ * @throws {DeliveryTargetError} If a target is invalid
+ */
+export const resolveDeliveryTargets = (declared) => {
+  const targets = declared?.length
+    ? declared
+    : config.get('storage.delivery.defaultTargets').map((type) => ({ type }))
+
+  const ids = new Set()
+  return targets.map((target) => {
+    const id = target.id ?? target.type
+    if (!Object.values(DeliveryTargetType).includes(target.type)) {
+      throw new DeliveryTargetError(
+        `Unknown delivery target type ${target.type}`,
+        id
+      )
+    }
+    if (ids.has(id)) {
+      throw new DeliveryTargetError(`Duplicate delivery target id ${id}`, id)
+    }
+    ids.add(id)
+
+    return { ...target, id }
+  })
+}
+
+/**
+ * Get the storage service that delivers to a target
+ * @param {object} target - Resolved target
+ * @returns {Promise<object>} Storage service
+ * @throws {DeliveryTargetError} If the provider is not available
+ */
+export const getTargetStorage = async (target) => {
+  const storage = await getStorageFactory().getService(target.type)
+  if (!storage) {
+    throw new DeliveryTargetError(
+      `Storage provider ${target.type} is not available for delivery target ${target.id}`,
+      target.id
+    )
+  }
+  return storage
+}
+
+/**
+ * Storage options locating files in a target, passed to the provider's
+ * uploadFile, downloadFile and generateSasUrl
+ * @param {object} target - Resolved target
+ * @returns {{container?: string, bucket?: string, directory?: string, pathTemplate?: string}}
+ *   Options, empty for a target that uses the configured location
+ */
+export const getTargetOptions = (target) => {
+  const pathTemplate =
+    target.pathTemplate ?? DEFAULT_PATH_TEMPLATES[target.type]()
+  const prefix = target.prefix?.replace(/^\/+|\/+$/g, '')
+
+  return {
+    ...(target.container && { container: target.container }),
+    ...(target.bucket && { bucket: target.bucket }),
+    ...(target.directory && { directory: target.directory }),
+    ...((target.pathTemplate || prefix) && {
+      pathTemplate: prefix ? `${prefix}/${pathTemplate}` : pathTemplate
+    })
+  }
+}
+
+/**
+ * Find a delivered copy of an upload to serve downloads from: the first
+ * target delivered to, or Azure for uploads delivered before targets were
+ * tracked
+ * @param {object} upload - Tracked upload record
+ * @returns {{target: object, blobName: string}|null} Target and blob name,
+ *   or null if nothing has been delivered
+ */
+export const findDeliveredFile = (upload) => {
+  const delivered = Object.entries(upload.deliveries ?? {}).find(
+    ([, delivery]) => delivery.status === DeliveryStatus.DELIVERED
+  )
+  if (delivered) {
+    const [id, { type, container, bucket, directory, blobName }] = delivered
+    return { target: { id, type, container, bucket, directory }, blobName }
+  }
+
+  if (upload.azureTransferred && upload.azureBlobName) {
+    return {
+      target: { id: DeliveryTargetType.AZURE, type: DeliveryTargetType.AZURE },
+      blobName: upload.azureBlobName
+    }
+  }
+  return null
+}
@@ -0,0 +1,64 @@
+import { createHmac, timingSafeEqual } from 'node:crypto'
+import { config } from '../../../config/config.js'
+
+/**
+ * Download Links
+ *
+ * Links to `/download/{uploadId}` carry an expiry time and an HMAC of the
+ * upload id and expiry, signed with storage.download.signingKey, so links
+ * can be handed to the forms engine without exposing storage URLs or
+ * account keys. A link does not authorise a download on its own: the route
+ * also needs a signed-in user who may read the upload.
+ */
+
+/**
+ * Sign an upload id and expiry time
+ * @param {string} uploadId - Upload identifier
+ * @param {number} expires - Expiry time in seconds since the epoch
+ * @returns {string} Hex signature
+ */
+const sign = (uploadId, expires) =>
+  createHmac('sha256', config.get('storage.download.signingKey'))
+    .update(`${uploadId}:${expires}`)
+    .digest('hex')
+
+/**
+ * Build a signed download link for an upload
+ * @param {string} uploadId - Upload identifier
+ * @param {Date} [now] - Time the link is issued
+ * @returns {string} Path and query of the download link
+ */
+const createDownloadUrl = (uploadId, now = new Date()) => {
+  const expires = Math.floor(
+    (now.getTime() + config.get('storage.download.linkTtl')) / 1000
+  )
+  const query = new URLSearchParams({
+    expires: String(expires),
+    signature: sign(uploadId, expires)
+  })
+
+  return `/download/${encodeURIComponent(uploadId)}?${query}`
+}
+
+/**
+ * Check a download link was issued for an upload and has not expired
+ * @param {string} uploadId - Upload identifier from the path
+ * @param {number} expires - Expiry time from the query
+ * @param {string} signature - Signature from the query
+ * @param {Date} [now] - Time of the request
+ * @returns {boolean} Whether the link authorises the download
+ */
+const verifyDownloadUrl = (uploadId, expires, signature, now = new Date()) => {
+  if (!Number.isInteger(expires) || typeof signature !== 'string') {
+    return false
+  }
+  if (expires * 1000 < now.getTime()) {
+    return false
+  }
+
+  const expected = Buffer.from(sign(uploadId, expires), 'hex')
+  const actual = Buffer.from(signature, 'hex')
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
+}
+
+export { createDownloadUrl, verifyDownloadUrl }
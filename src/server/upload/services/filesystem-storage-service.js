@@ -0,0 +1,369 @@
+import { createHash } from 'node:crypto'
+import fs from 'node:fs'
+import fsp from 'node:fs/promises'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { pathToFileURL } from 'node:url'
+import { uploadConfig } from '../../../config/upload-config.js'
+import {
+  azureStorageService,
+  BlobExistsError
+} from './azure-storage-service.js'
+import { buildBlobPath, getBlobPathContext } from './blob-path.js'
+import { ChecksumMismatchError, assertChecksum } from './checksum.js'
+
+// Metadata of each file is kept in a mirror tree under the storage directory
+const METADATA_DIRECTORY = '.metadata'
+
+/**
+ * Whether a filesystem error means the file does not exist
+ * @param {Error} error - Error thrown by node:fs
+ * @returns {boolean}
+ */
+const isNotFound = (error) => error.code === 'ENOENT'
+
+/**
+ * Filesystem storage provider. Implements the same interface as
+ * azureStorageService against a local directory (storage.filesystem), so the
+ * whole pipeline can run without cloud storage in development and tests.
+ * Files follow the same rules: they are placed by the path template, never
+ * overwritten and checked against the checksum taken on receipt. There is
+ * no equivalent of a SAS URL, so downloads are streamed.
+ */
+export const filesystemStorageService = {
+  /**
+   * Get the storage directory, failing if the provider is not enabled
+   * @param {string} [directory] - Directory to use instead of
+   *   storage.filesystem.directory
+   * @returns {string} Absolute directory path
+   * @private
+   */
+  _getDirectory(directory) {
+    if (!uploadConfig.filesystemConfig.enabled) {
+      throw new Error('Filesystem storage is not enabled')
+    }
+    return path.resolve(directory ?? uploadConfig.filesystemConfig.directory)
+  },
+
+  /**
+   * Resolve the path of a file, refusing names that could escape the
+   * storage directory or reach the metadata kept alongside
+   * @param {string} root - Storage directory
+   * @param {string} blobName - File name within it
+   * @returns {{filePath: string, metadataPath: string}} Absolute paths of the
+   *   file and its metadata
+   * @private
+   */
+  _resolvePaths(root, blobName) {
+    const filePath = path.resolve(root, blobName)
+    const relative = path.relative(root, filePath)
+    if (
+      !relative ||
+      relative.startsWith('..') ||
+      path.isAbsolute(relative) ||
+      relative.split(path.sep)[0] === METADATA_DIRECTORY
+    ) {
+      throw new Error(`Invalid file name ${blobName}`)
+    }
+
+    return {
+      filePath,
+      metadataPath: path.join(root, METADATA_DIRECTORY, `${relative}.json`)
+    }
+  },
+
+  /**
+   * Read the metadata written with a file
+   * @param {string} metadataPath - Path of the metadata file
+   * @returns {Promise<object|null>} Metadata, or null if there is none
+   * @private
+   */
+  async _readMetadata(metadataPath) {
+    try {
+      return JSON.parse(await fsp.readFile(metadataPath, 'utf8'))
+    } catch (error) {
+      if (isNotFound(error)) return null
+      throw error
+    }
+  },
+
+  /**
+   * Open the content of a file in any of the shapes uploadFile accepts
+   * @param {object|Buffer} file - File buffer, stream, staged file or
+   *   multipart file
+   * @returns {Readable} File content
+   * @private
+   */
+  _openContent(file) {
+    if (Buffer.isBuffer(file)) return Readable.from([file])
+    if (file.buffer && Buffer.isBuffer(file.buffer)) {
+      return Readable.from([file.buffer])
+    }
+    if (file._data && Buffer.isBuffer(file._data)) {
+      return Readable.from([file._data])
+    }
+    if (typeof file.createReadStream === 'function') {
+      return file.createReadStream()
+    }
+    if (file.stream || typeof file.on === 'function') {
+      return file.stream || file
+    }
+    throw new Error('Invalid file input type')
+  },
+
+  /**
+   * Write a file to the path the path template gives it. Files are never
+   * overwritten: the metadata written first claims the path for the upload,
+   * and a write to a claimed path succeeds only for the same upload.
+   *
+   * The content is hashed as it is written and checked against the
+   * `sha256` it must match before it is moved into place, so a corrupted
+   * copy is never left behind.
+   * @param {string} uploadId - Upload identifier
+   * @param {object|Buffer} file - File buffer, stream, staged file
+   *   (`createReadStream()`) or multipart file
+   * @param {object} [metadata] - File metadata; `originalName` names the
+   *   file and `sha256` is the checksum the content must match
+   * @param {object} [options] - Upload options
+   * @param {object} [options.pathContext] - Blob path context of the
+   *   submission (see getBlobPathContext)
+   * @param {string} [options.directory] - Directory to write to, instead of
+   *   storage.filesystem.directory
+   * @param {string} [options.pathTemplate] - Path template to use, instead
+   *   of storage.filesystem.pathTemplate
+   * @returns {Promise<object>} Upload result, with the path within the
+   *   directory as `blobName`
+   */
+  async uploadFile(uploadId, file, metadata = {}, options = {}) {
+    const root = this._getDirectory(options.directory)
+
+    try {
+      const fileName =
+        metadata.originalName ||
+        file.originalname ||
+        file.hapi?.filename ||
+        'unnamed-file'
+      const blobName = buildBlobPath(
+        options.pathTemplate ?? uploadConfig.filesystemConfig.pathTemplate,
+        options.pathContext ?? getBlobPathContext(uploadId),
+        fileName
+      )
+      const { filePath, metadataPath } = this._resolvePaths(root, blobName)
+
+      const contentType =
+        metadata.contentType ||
+        file.mimetype ||
+        file.hapi?.headers?.['content-type'] ||
+        'application/octet-stream'
+      const properties = {
+        uploadId,
+        originalName: fileName,
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: metadata.uploadedBy || 'system',
+        type: metadata.type || 'file',
+        ...metadata,
+        contentType
+      }
+
+      await fsp.mkdir(path.dirname(metadataPath), { recursive: true })
+      try {
+        await fsp.writeFile(metadataPath, JSON.stringify(properties), {
+          flag: 'wx'
+        })
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error
+
+        // An earlier attempt for this upload already claimed the path
+        const existing = await this._readMetadata(metadataPath)
+        if (existing?.uploadId !== uploadId) {
+          throw new BlobExistsError(blobName, uploadId)
+        }
+      }
+
+      const hash = createHash('sha256')
+      let size = 0
+      const partialPath = `${filePath}.partial`
+      await fsp.mkdir(path.dirname(filePath), { recursive: true })
+
+      try {
+        await pipeline(
+          this._openContent(file),
+          async function* (source) {
+            for await (const chunk of source) {
+              hash.update(chunk)
+              size += chunk.length
+              yield chunk
+            }
+          },
+          fs.createWriteStream(partialPath)
+        )
+
+        const sha256 = hash.digest('hex')
+        assertChecksum(metadata.sha256, sha256, `file ${blobName}`)
+        await fsp.rename(partialPath, filePath)
+        await fsp.writeFile(
+          metadataPath,
+          JSON.stringify({ ...properties, sha256, size })
+        )
+
+        const { mtime } = await fsp.stat(filePath)
+        return {
+          success: true,
+          uploadId,
+          blobName,
+          directory: root,
+          url: pathToFileURL(filePath).href,
+          lastModified: mtime,
+          size,
+          contentType,
+          sha256
+        }
+      } finally {
+        await fsp.rm(partialPath, { force: true })
+      }
+    } catch (error) {
+      if (
+        error instanceof BlobExistsError ||
+        error instanceof ChecksumMismatchError
+      ) {
+        throw error
+      }
+      throw new Error(`Filesystem upload failed: ${error.message}`)
+    }
+  },
+
+  /**
+   * Read a file from the storage directory
+   * @param {string} uploadId - Upload identifier
+   * @param {string} blobName - Path of the file within the directory
+   * @param {{directory?: string}} [options] - Directory the file is in, if
+   *   not the configured one
+   * @returns {Promise<object>} Stream and properties of the file, or
+   *   `success: false` if it does not exist
+   */
+  async downloadFile(uploadId, blobName, options = {}) {
+    const root = this._getDirectory(options.directory)
+
+    try {
+      const { filePath, metadataPath } = this._resolvePaths(root, blobName)
+      const stats = await fsp.stat(filePath)
+      const metadata = await this._readMetadata(metadataPath)
+
+      return {
+        success: true,
+        stream: fs.createReadStream(filePath),
+        contentType: metadata?.contentType,
+        contentLength: stats.size,
+        lastModified: stats.mtime,
+        metadata
+      }
+    } catch (error) {
+      if (isNotFound(error)) {
+        return { success: false, error: 'File not found' }
+      }
+      throw new Error(`Filesystem download failed: ${error.message}`)
+    }
+  },
+
+  /**
+   * List files in the storage directory
+   * @param {string} [prefix] - Only list paths starting with this
+   * @returns {Promise<{success: boolean, files: object[], count: number}>}
+   */
+  async listFiles(prefix = '') {
+    const root = this._getDirectory()
+
+    try {
+      let entries
+      try {
+        entries = await fsp.readdir(root, {
+          recursive: true,
+          withFileTypes: true
+        })
+      } catch (error) {
+        if (isNotFound(error)) entries = []
+        else throw error
+      }
+
+      const files = []
+      for (const entry of entries) {
+        const name = path
+          .relative(root, path.join(entry.parentPath, entry.name))
+          .split(path.sep)
+          .join('/')
+        if (
+          !entry.isFile() ||
+          name.startsWith(`${METADATA_DIRECTORY}/`) ||
+          name.endsWith('.partial') ||
+          !name.startsWith(prefix)
+        ) {
+          continue
+        }
+
+        const stats = await fsp.stat(path.join(root, name))
+        files.push({
+          name,
+          size: stats.size,
+          lastModified: stats.mtime
+        })
+      }
+
+      return {
+        success: true,
+        files,
+        count: files.length
+      }
+    } catch (error) {
+      throw new Error(`List files failed: ${error.message}`)
+    }
+  },
+
+  /**
+   * Delete a file and its metadata from the storage directory
+   * @param {string} uploadId - Upload identifier
+   * @param {string} blobName - Path of the file within the directory
+   * @param {{directory?: string}} [options] - Directory the file is in, if
+   *   not the configured one
+   * @returns {Promise<{success: boolean, deleted: boolean}>}
+   */
+  async deleteFile(uploadId, blobName, options = {}) {
+    const root = this._getDirectory(options.directory)
+
+    try {
+      const { filePath, metadataPath } = this._resolvePaths(root, blobName)
+      try {
+        await fsp.rm(filePath)
+      } catch (error) {
+        if (isNotFound(error)) {
+          return { success: false, deleted: false }
+        }
+        throw error
+      }
+      await fsp.rm(metadataPath, { force: true })
+
+      return { success: true, deleted: true }
+    } catch (error) {
+      throw new Error(`Filesystem delete failed: ${error.message}`)
+    }
+  },
+
+  /**
+   * Get statistics of the storage directory. Named to match
+   * azureStorageService so providers are interchangeable.
+   * @returns {Promise<object>} Directory, file count and total size
+   */
+  async getContainerStats() {
+    const root = this._getDirectory()
+    const { files } = await this.listFiles()
+    const totalSize = files.reduce((total, { size }) => total + size, 0)
+
+    return {
+      success: true,
+      directory: root,
+      totalFiles: files.length,
+      totalSize,
+      totalSizeFormatted: azureStorageService.formatBytes(totalSize)
+    }
+  }
+}
@@ -0,0 +1,353 @@
+import { buffer as readAll } from 'node:stream/consumers'
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  paginateListObjectsV2
+} from '@aws-sdk/client-s3'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
+import { uploadConfig } from '../../../config/upload-config.js'
+import { BlobExistsError } from './azure-storage-service.js'
+import { buildBlobPath, getBlobPathContext } from './blob-path.js'
+import {
+  ChecksumMismatchError,
+  assertChecksum,
+  computeMd5,
+  computeSha256
+} from './checksum.js'
+
+// Longest a presigned URL may be valid for, as S3 refuses anything longer
+const MAX_PRESIGNED_URL_SECONDS = 7 * 24 * 60 * 60
+
+/**
+ * Whether an S3 error means the object does not exist
+ * @param {Error} error - Error thrown by the S3 client
+ * @returns {boolean}
+ */
+const isNotFound = (error) =>
+  error.name === 'NotFound' ||
+  error.name === 'NoSuchKey' ||
+  error.$metadata?.httpStatusCode === 404
+
+/**
+ * Whether an S3 error means a conditional write found the key taken
+ * @param {Error} error - Error thrown by the S3 client
+ * @returns {boolean}
+ */
+const isConditionFailed = (error) =>
+  error.$metadata?.httpStatusCode === 409 ||
+  error.$metadata?.httpStatusCode === 412
+
+/**
+ * Convert a hex SHA-256 digest to the base64 form S3 checks content against
+ * @param {string} sha256 - Hex digest
+ * @returns {string} Base64 digest
+ */
+const toBase64Digest = (sha256) => Buffer.from(sha256, 'hex').toString('base64')
+
+/**
+ * S3 storage provider. Implements the same interface as azureStorageService
+ * so either can be used through StorageServiceFactory: objects are keyed by
+ * storage.s3.keyTemplate, never overwritten and checked against the checksum
+ * taken on receipt.
+ */
+export const s3StorageService = {
+  /**
+   * Get the S3 client and bucket, failing if S3 is not enabled
+   * @param {string} [bucket] - Bucket to use instead of storage.s3.bucket
+   * @returns {{client: import('@aws-sdk/client-s3').S3Client, bucket: string}}
+   * @private
+   */
+  _getBucket(bucket) {
+    const client = uploadConfig.getS3Client()
+    if (!client) {
+      throw new Error('Amazon S3 is not enabled')
+    }
+    return { client, bucket: bucket ?? uploadConfig.s3Config.bucket }
+  },
+
+  /**
+   * Upload a file to the key the key template gives it. Objects are never
+   * overwritten: a write to an existing key succeeds only if the object was
+   * written for the same upload by an earlier attempt.
+   *
+   * Every object is sent with its SHA-256 (and buffers with their
+   * Content-MD5), so S3 rejects content that does not match the checksum
+   * taken on receipt instead of storing a corrupted copy.
+   * @param {string} uploadId - Upload identifier
+   * @param {object|Buffer} file - File buffer, stream, staged file
+   *   (`createReadStream()` and `size`) or multipart file
+   * @param {object} [metadata] - Object metadata; `originalName` names the
+   *   file and `sha256` is the checksum the content must match
+   * @param {object} [options] - Upload options
+   * @param {object} [options.pathContext] - Blob path context of the
+   *   submission (see getBlobPathContext)
+   * @param {string} [options.bucket] - Bucket to write to, instead of
+   *   storage.s3.bucket
+   * @param {string} [options.pathTemplate] - Key template to use, instead
+   *   of storage.s3.keyTemplate
+   * @returns {Promise<object>} Upload result, with the key as `blobName`
+   */
+  async uploadFile(uploadId, file, metadata = {}, options = {}) {
+    const { client, bucket } = this._getBucket(options.bucket)
+
+    try {
+      const fileName =
+        metadata.originalName ||
+        file.originalname ||
+        file.hapi?.filename ||
+        'unnamed-file'
+      const key = buildBlobPath(
+        options.pathTemplate ?? uploadConfig.s3Config.keyTemplate,
+        options.pathContext ?? getBlobPathContext(uploadId),
+        fileName
+      )
+
+      // Staged files are streamed with their known length; S3 needs the
+      // length up front, so other streams are read into memory first
+      let buffer
+      let body
+      if (Buffer.isBuffer(file)) {
+        buffer = file
+      } else if (file.buffer && Buffer.isBuffer(file.buffer)) {
+        buffer = file.buffer
+      } else if (file._data && Buffer.isBuffer(file._data)) {
+        buffer = file._data
+      } else if (typeof file.createReadStream === 'function') {
+        body = file.createReadStream()
+      } else if (file.stream || typeof file.on === 'function') {
+        buffer = await readAll(file.stream || file)
+      } else {
+        throw new Error('Invalid file input type')
+      }
+
+      const contentType =
+        metadata.contentType ||
+        file.mimetype ||
+        file.hapi?.headers?.['content-type'] ||
+        'application/octet-stream'
+
+      const sha256 = buffer ? computeSha256(buffer) : metadata.sha256
+      if (buffer) {
+        assertChecksum(metadata.sha256, sha256, fileName)
+      }
+
+      const size = buffer ? buffer.length : file.size
+      let response
+      try {
+        response = await client.send(
+          new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: buffer ?? body,
+            ContentLength: size,
+            ContentType: contentType,
+            ...(buffer && {
+              ContentMD5: computeMd5(buffer).toString('base64')
+            }),
+            ...(sha256 && { ChecksumSHA256: toBase64Digest(sha256) }),
+            IfNoneMatch: '*',
+            Metadata: {
+              uploadId,
+              originalName: fileName,
+              uploadedAt: new Date().toISOString(),
+              uploadedBy: metadata.uploadedBy || 'system',
+              type: metadata.type || 'file',
+              ...metadata,
+              ...(sha256 && { sha256 })
+            }
+          })
+        )
+      } catch (error) {
+        if (error.name === 'BadDigest') {
+          throw new ChecksumMismatchError(`object ${key}`, sha256, 'unknown')
+        }
+        if (!isConditionFailed(error)) {
+          throw error
+        }
+
+        // An earlier attempt for this upload already wrote the object
+        const existing = await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: key })
+        )
+        if (existing.Metadata?.uploadid !== uploadId) {
+          throw new BlobExistsError(key, uploadId)
+        }
+        response = existing
+      }
+
+      return {
+        success: true,
+        uploadId,
+        blobName: key,
+        bucket,
+        url: `s3://${bucket}/${key}`,
+        etag: response.ETag,
+        lastModified: response.LastModified,
+        size,
+        contentType,
+        sha256
+      }
+    } catch (error) {
+      if (
+        error instanceof BlobExistsError ||
+        error instanceof ChecksumMismatchError
+      ) {
+        throw error
+      }
+      throw new Error(`S3 upload failed: ${error.message}`)
+    }
+  },
+
+  /**
+   * Download an object from S3
+   * @param {string} uploadId - Upload identifier
+   * @param {string} key - Object key
+   * @param {{bucket?: string}} [options] - Bucket the object is in, if not
+   *   the configured one
+   * @returns {Promise<object>} Stream and properties of the object, or
+   *   `success: false` if it does not exist
+   */
+  async downloadFile(uploadId, key, options = {}) {
+    const { client, bucket } = this._getBucket(options.bucket)
+
+    try {
+      const response = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      )
+
+      return {
+        success: true,
+        stream: response.Body,
+        contentType: response.ContentType,
+        contentLength: response.ContentLength,
+        lastModified: response.LastModified,
+        metadata: response.Metadata
+      }
+    } catch (error) {
+      if (isNotFound(error)) {
+        return { success: false, error: 'File not found' }
+      }
+      throw new Error(`S3 download failed: ${error.message}`)
+    }
+  },
+
+  /**
+   * Generate a presigned URL granting time-limited access to an object.
+   * Named to match azureStorageService so providers are interchangeable.
+   * @param {string} uploadId - Upload identifier
+   * @param {string} key - Object key
+   * @param {string} [permissions] - `r` to read, `w` to write
+   * @param {number} [expiryHours] - How long the URL stays valid, in hours
+   *   (at most 7 days)
+   * @param {{bucket?: string}} [options] - Bucket the object is in, if not
+   *   the configured one
+   * @returns {Promise<{success: boolean, sasUrl: string, url: string, expiresOn: string}>}
+   *   Signed URL and when it expires
+   */
+  async generateSasUrl(
+    uploadId,
+    key,
+    permissions = 'r',
+    expiryHours = 1,
+    options = {}
+  ) {
+    const { client, bucket } = this._getBucket(options.bucket)
+
+    try {
+      const isWrite = permissions.includes('w')
+      if (!isWrite) {
+        try {
+          await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }))
+        } catch (error) {
+          throw isNotFound(error) ? new Error('File not found') : error
+        }
+      }
+
+      const expiresIn = Math.min(
+        Math.ceil(expiryHours * 60 * 60),
+        MAX_PRESIGNED_URL_SECONDS
+      )
+      const command = isWrite
+        ? new PutObjectCommand({ Bucket: bucket, Key: key })
+        : new GetObjectCommand({ Bucket: bucket, Key: key })
+      const sasUrl = await getSignedUrl(client, command, { expiresIn })
+
+      return {
+        success: true,
+        sasUrl,
+        url: sasUrl,
+        expiresOn: new Date(Date.now() + expiresIn * 1000).toISOString()
+      }
+    } catch (error) {
+      throw new Error(`URL generation failed: ${error.message}`)
+    }
+  },
+
+  /**
+   * List objects in the bucket
+   * @param {string} [prefix] - Only list keys starting with this
+   * @returns {Promise<{success: boolean, files: object[], count: number}>}
+   */
+  async listFiles(prefix = '') {
+    const { client, bucket } = this._getBucket()
+
+    try {
+      const files = []
+      const pages = paginateListObjectsV2(
+        { client },
+        { Bucket: bucket, ...(prefix && { Prefix: prefix }) }
+      )
+
+      for await (const page of pages) {
+        for (const object of page.Contents ?? []) {
+          files.push({
+            name: object.Key,
+            size: object.Size,
+            lastModified: object.LastModified,
+            etag: object.ETag
+          })
+        }
+      }
+
+      return {
+        success: true,
+        files,
+        count: files.length
+      }
+    } catch (error) {
+      throw new Error(`List files failed: ${error.message}`)
+    }
+  },
+
+  /**
+   * Delete an object from S3. S3 reports success whether or not the key
+   * existed, so it is looked up first to report what was deleted.
+   * @param {string} uploadId - Upload identifier
+   * @param {string} key - Object key
+   * @param {{bucket?: string}} [options] - Bucket the object is in, if not
+   *   the configured one
+   * @returns {Promise<{success: boolean, deleted: boolean}>}
+   */
+  async deleteFile(uploadId, key, options = {}) {
+    const { client, bucket } = this._getBucket(options.bucket)
+
+    try {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }))
+      } catch (error) {
+        if (isNotFound(error)) {
+          return { success: false, deleted: false }
+        }
+        throw error
+      }
+
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+
+      return { success: true, deleted: true }
+    } catch (error) {
+      throw new Error(`S3 delete failed: ${error.message}`)
+    }
+  }
+}
@@ -0,0 +1,341 @@
+import { BlobExistsError } from './azure-storage-service.js'
+import { getBlobPathContext } from './blob-path.js'
+import { ChecksumMismatchError, computeSha256 } from './checksum.js'
+import {
+  DeliveryStatus,
+  DeliveryTargetError,
+  DeliveryTargetType,
+  getTargetOptions,
+  getTargetStorage,
+  resolveDeliveryTargets
+} from './delivery-targets.js'
+import {
+  ManifestFileRole,
+  deliverSubmissionManifest
+} from './submission-manifest.js'
+import { redisUploadStore } from '../../services/redis-upload-store.js'
+import { uploadStagingStore } from '../../services/upload-staging-store.js'
+import { uploadNormalisationService } from '../../services/upload-normalisation-service.js'
+import { UploadEvent } from '../../services/upload-lifecycle.js'
+
+/**
+ * Submission Delivery
+ *
+ * Delivers the files of a clean, staged upload to each of its delivery
+ * targets: the form answers JSON, the spreadsheet, its normalised copies and
+ * finally the manifest. Every target is attempted on each run and its
+ * outcome is kept in `deliveries` on the upload record, so a retry only
+ * delivers to the targets that have not succeeded yet.
+ */
+
+/**
+ * Check whether a delivery failure would happen again on retry: the blob
+ * path is taken by another upload, a copy of the file is corrupted or the
+ * target cannot be delivered to as declared
+ * @param {Error} error - Delivery failure
+ * @returns {boolean}
+ */
+export const isPermanentDeliveryError = (error) =>
+  error instanceof BlobExistsError ||
+  error instanceof ChecksumMismatchError ||
+  error instanceof DeliveryTargetError ||
+  (error instanceof DeliveryError && error.permanent)
+
+/**
+ * Thrown when one or more targets could not be delivered to. With a single
+ * failed target it carries that target's message, so the upload records the
+ * underlying cause.
+ */
+export class DeliveryError extends Error {
+  /**
+   * @param {Array<{targetId: string, error: Error}>} failures - Failed targets
+   */
+  constructor(failures) {
+    super(
+      failures.length === 1
+        ? failures[0].error.message
+        : `Delivery failed for ${failures.length} targets: ${failures
+            .map(({ targetId, error }) => `${targetId}: ${error.message}`)
+            .join('; ')}`
+    )
+    this.name = 'DeliveryError'
+    this.failures = failures
+    this.permanent = failures.every(({ error }) =>
+      isPermanentDeliveryError(error)
+    )
+  }
+}
+
+/**
+ * Work out the blob path context of an upload for delivery. An upload with
+ * no submission date is given one: the first attempt stamps
+ * `deliveryStartedAt` on the record and retries reuse it, so every attempt
+ * writes to the same paths.
+ * @param {string} uploadId - Upload identifier
+ * @param {object} upload - Tracked upload record
+ * @returns {Promise<object>} Blob path context (see getBlobPathContext)
+ * @throws {Error} If the delivery date cannot be saved on the record
+ */
+export const getDeliveryPathContext = async (uploadId, upload) => {
+  const pathContext = getBlobPathContext(uploadId, upload)
+  if (pathContext.submittedAt) return pathContext
+
+  const deliveryStartedAt = new Date().toISOString()
+  await redisUploadStore.updateUpload(uploadId, { deliveryStartedAt })
+
+  return { ...pathContext, submittedAt: deliveryStartedAt }
+}
+
+/**
+ * Storage service writing to a target's location. Only uploadFile is needed
+ * to deliver; targets using the configured location get the service itself.
+ * @param {object} storage - Storage service of the target's provider
+ * @param {object} targetOptions - Location options (see getTargetOptions)
+ * @returns {object} Storage service exposing uploadFile
+ */
+const bindStorage = (storage, targetOptions) =>
+  Object.keys(targetOptions).length === 0
+    ? storage
+    : {
+        uploadFile: (uploadId, file, metadata, options) =>
+          storage.uploadFile(uploadId, file, metadata, {
+            ...targetOptions,
+            ...options
+          })
+      }
+
+/**
+ * Deliver every file of a submission to one target, manifest last
+ * @param {string} uploadId - Upload identifier
+ * @param {object} upload - Tracked upload record
+ * @param {object} delivery - What to deliver and where
+ * @param {object} delivery.storage - Storage service of the target
+ * @param {object} delivery.staged - Staged spreadsheet: `filename`,
+ *   `contentType`, `size` and `sha256`
+ * @param {object} delivery.pathContext - Blob path context of the submission
+ * @param {object} [delivery.resume] - Blocks staged by an earlier attempt
+ * @param {Function} [delivery.onBlocksStaged] - Records block progress
+ * @returns {Promise<object>} Blob names and URLs of the delivered files
+ */
+const deliverSubmission = async (uploadId, upload, delivery) => {
+  const { storage, staged, pathContext, resume, onBlocksStaged } = delivery
+  const deliveredFiles = []
+
+  // The form answers go first; a failure is retried with the rest, as the
+  // manifest must list every file
+  let jsonResult = null
+  if (upload.jsonBuffer && upload.jsonFilename) {
+    const jsonBuffer = Buffer.from(upload.jsonBuffer, 'base64')
+
+    jsonResult = await storage.uploadFile(
+      uploadId,
+      {
+        buffer: jsonBuffer,
+        originalname: upload.jsonFilename,
+        mimetype: 'application/json',
+        size: jsonBuffer.length
+      },
+      {
+        originalName: upload.jsonFilename,
+        contentType: 'application/json',
+        type: 'form-data',
+        relatedSpreadsheet: staged.filename,
+        originalFilename: upload.originalFilename,
+        timestamp: upload.timestamp,
+        virusScanStatus: 'clean',
+        transferredAt: new Date().toISOString()
+      },
+      { pathContext }
+    )
+    deliveredFiles.push({
+      role: ManifestFileRole.FORM_DATA,
+      blobName: jsonResult.blobName,
+      filename: upload.jsonFilename,
+      contentType: 'application/json',
+      size: jsonBuffer.length,
+      sha256: computeSha256(jsonBuffer)
+    })
+  }
+
+  // The staged spreadsheet is streamed, in blocks where the provider
+  // supports it, picking up from any blocks an interrupted attempt staged
+  const spreadsheetResult = await storage.uploadFile(
+    uploadId,
+    {
+      createReadStream: (range) =>
+        uploadStagingStore.createReadStream(uploadId, range),
+      originalname: staged.filename,
+      mimetype: staged.contentType,
+      size: staged.size
+    },
+    {
+      originalName: staged.filename,
+      originalFilename: upload.originalFilename,
+      timestamp: upload.timestamp,
+      contentType: staged.contentType,
+      type: 'spreadsheet',
+      relatedJson: upload.jsonFilename,
+      sha256: staged.sha256,
+      virusScanStatus: 'clean',
+      transferredAt: new Date().toISOString()
+    },
+    { pathContext, resume, onBlocksStaged }
+  )
+  deliveredFiles.push({
+    role: ManifestFileRole.SPREADSHEET,
+    blobName: spreadsheetResult.blobName,
+    filename: staged.filename,
+    contentType: staged.contentType,
+    size: staged.size,
+    sha256: staged.sha256
+  })
+
+  const normalised = await uploadNormalisationService.deliverNormalisedCopies(
+    uploadId,
+    upload,
+    { spreadsheetFilename: staged.filename, storage, pathContext }
+  )
+  deliveredFiles.push(...(normalised?.files ?? []))
+
+  // Written last: the submission is complete once its manifest exists
+  const manifest = await deliverSubmissionManifest(
+    uploadId,
+    upload,
+    deliveredFiles,
+    { storage, pathContext }
+  )
+
+  return {
+    blobName: spreadsheetResult.blobName,
+    url: spreadsheetResult.url,
+    jsonBlobName: jsonResult?.blobName,
+    jsonUrl: jsonResult?.url,
+    normalisedCsvBlobName: normalised?.csvBlobName,
+    normalisedJsonlBlobName: normalised?.jsonlBlobName,
+    manifestBlobName: manifest.blobName
+  }
+}
+
+/**
+ * Deliver a staged upload to each of its targets that has not been
+ * delivered to yet, recording the outcome of each on the upload record
+ * @param {string} uploadId - Upload identifier
+ * @param {object} upload - Tracked upload record
+ * @param {object} options - Delivery options
+ * @param {object} options.staged - Staged spreadsheet: `filename`,
+ *   `contentType`, `size` and `sha256`
+ * @param {object} options.pathContext - Blob path context of the submission
+ * @param {object} options.logger - Logger
+ * @returns {Promise<{targets: Array<object>, deliveries: object}>} Targets and
+ *   the delivery of each, keyed by target id
+ * @throws {DeliveryError} If any target could not be delivered to
+ */
+export const deliverToTargets = async (uploadId, upload, options) => {
+  const { staged, pathContext, logger } = options
+  const targets = resolveDeliveryTargets(upload.deliveryTargets)
+  const deliveries = { ...upload.deliveries }
+  const failures = []
+
+  // A delivery that cannot be recorded is simply delivered again on retry,
+  // which the never-overwrite rule makes safe
+  const recordDelivery = async (event, details) => {
+    try {
+      await redisUploadStore.updateUpload(uploadId, {
+        deliveries: { ...deliveries }
+      })
+      await redisUploadStore.appendEvent(uploadId, event, details)
+    } catch (error) {
+      logger.warn('Failed to record delivery in Redis', {
+        uploadId,
+        error: error.message
+      })
+    }
+  }
+
+  // Targets are delivered one at a time so their progress updates never race
+  for (const target of targets) {
+    const previous = deliveries[target.id] ?? {}
+    if (previous.status === DeliveryStatus.DELIVERED) continue
+
+    const targetOptions = getTargetOptions(target)
+    const location = {
+      type: target.type,
+      ...(target.container && { container: target.container }),
+      ...(target.bucket && { bucket: target.bucket }),
+      ...(target.directory && { directory: target.directory })
+    }
+    const attempts = (previous.attempts ?? 0) + 1
+
+    try {
+      const storage = await getTargetStorage(target)
+      const result = await deliverSubmission(uploadId, upload, {
+        storage: bindStorage(storage, targetOptions),
+        staged,
+        pathContext,
+        // Uploads staged before targets were tracked kept their blocks here
+        resume:
+          previous.blockUpload ??
+          (target.id === 'azure' ? upload.azureBlockUpload : undefined),
+        onBlocksStaged: (blockUpload) => {
+          deliveries[target.id] = { ...deliveries[target.id], blockUpload }
+          return redisUploadStore.updateUpload(uploadId, {
+            deliveries: { ...deliveries }
+          })
+        }
+      })
+
+      deliveries[target.id] = {
+        ...location,
+        status: DeliveryStatus.DELIVERED,
+        attempts,
+        ...result,
+        deliveredAt: new Date().toISOString(),
+        blockUpload: null
+      }
+      await recordDelivery(UploadEvent.DELIVERED, {
+        target: target.id,
+        type: target.type,
+        blobName: result.blobName,
+        manifestBlobName: result.manifestBlobName
+      })
+    } catch (error) {
+      logger.error('Delivery to target failed', {
+        uploadId,
+        target: target.id,
+        error: error.message
+      })
+
+      deliveries[target.id] = {
+        ...deliveries[target.id],
+        ...location,
+        status: DeliveryStatus.FAILED,
+        attempts,
+        error: error.message
+      }
+      failures.push({ targetId: target.id, error })
+      await recordDelivery(UploadEvent.DELIVERY_FAILED, {
+        target: target.id,
+        type: target.type,
+        error: error.message
+      })
+    }
+  }
+
+  if (failures.length) {
+    throw new DeliveryError(failures)
+  }
+
+  return { targets, deliveries }
+}
+
+/**
+ * Find the delivery to the first Azure target, which the azure* fields of
+ * the upload record describe for existing consumers
+ * @param {Array<object>} targets - Resolved delivery targets
+ * @param {object} deliveries - Deliveries keyed by target id
+ * @returns {object|undefined} Delivery, if the upload went to Azure
+ */
+export const getAzureDelivery = (targets, deliveries) => {
+  const target = targets.find(({ type }) => type === DeliveryTargetType.AZURE)
+  return target && deliveries[target.id]
+}
@@ -0,0 +1,100 @@
+/**
+ * Submission Manifest
+ *
+ * Every delivery to Azure ends with a manifest next to the submission's
+ * files. It is written only after every other file has been delivered, so
+ * it acts as a commit marker: the data platform processes a submission once
+ * its manifest exists and can check each file against the listed size and
+ * SHA-256 checksum.
+ */
+
+export const MANIFEST_FILENAME = 'manifest.json'
+export const MANIFEST_VERSION = 1
+
+/**
+ * Roles of the files listed in a manifest
+ */
+export const ManifestFileRole = Object.freeze({
+  SPREADSHEET: 'spreadsheet',
+  FORM_DATA: 'form-data',
+  NORMALISED_CSV: 'normalised-csv',
+  NORMALISED_JSONL: 'normalised-jsonl'
+})
+
+/**
+ * Build the manifest of a delivered submission
+ * @param {string} uploadId - Upload identifier
+ * @param {object} upload - Tracked upload record
+ * @param {Array<{role: string, blobName: string, filename: string, contentType: string, size: number, sha256: string}>} files
+ *   Delivered files
+ * @param {Date} [deliveredAt] - When the delivery completed
+ * @returns {object} Manifest
+ */
+export const buildSubmissionManifest = (
+  uploadId,
+  upload,
+  files,
+  deliveredAt = new Date()
+) => ({
+  manifestVersion: MANIFEST_VERSION,
+  uploadId,
+  submissionId: upload.formData?.submissionId ?? null,
+  form: {
+    id: upload.formId ?? upload.formData?.formId ?? null,
+    slug: upload.formSlug ?? null,
+    version: upload.formVersion ?? null
+  },
+  submitter: upload.formData?.submittedBy ?? upload.uploadedBy ?? null,
+  organisation:
+    upload.formData?.organisationId ?? upload.organisationId ?? null,
+  scan: {
+    status: upload.virusScanStatus ?? null,
+    scannedAt: upload.processedAt ?? null
+  },
+  timestamps: {
+    uploadedAt: upload.uploadedAt ?? null,
+    submittedAt: upload.formData?.submittedAt ?? null,
+    deliveredAt: deliveredAt.toISOString()
+  },
+  files
+})
+
+/**
+ * Write the manifest of a submission after all of its files
+ * @param {string} uploadId - Upload identifier
+ * @param {object} upload - Tracked upload record
+ * @param {Array<object>} files - Delivered files (see buildSubmissionManifest)
+ * @param {object} options - Delivery options
+ * @param {object} options.storage - Storage service exposing uploadFile
+ * @param {object} options.pathContext - Blob path context of the submission
+ * @returns {Promise<{blobName: string, manifest: object}>} Delivered manifest
+ */
+export const deliverSubmissionManifest = async (
+  uploadId,
+  upload,
+  files,
+  { storage, pathContext }
+) => {
+  const manifest = buildSubmissionManifest(uploadId, upload, files)
+  const buffer = Buffer.from(JSON.stringify(manifest, null, 2))
+
+  const result = await storage.uploadFile(
+    uploadId,
+    {
+      buffer,
+      originalname: MANIFEST_FILENAME,
+      mimetype: 'application/json',
+      size: buffer.length
+    },
+    {
+      originalName: MANIFEST_FILENAME,
+      contentType: 'application/json',
+      type: 'manifest',
+      fileCount: String(files.length),
+      transferredAt: manifest.timestamps.deliveredAt
+    },
+    { pathContext }
+  )
+
+  return { blobName: result.blobName, manifest }
+}
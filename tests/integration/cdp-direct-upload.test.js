@@ -0,0 +1,351 @@
+import { createHash } from 'node:crypto'
+import fsp from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import {
+  describe,
+  test,
+  expect,
+  vi,
+  beforeAll,
+  afterAll,
+  beforeEach
+} from 'vitest'
+import { createCdpUploaderStub } from '../../tools/cdp-uploader-stub/server.js'
+import { createOidcStub } from '../../tools/oidc-stub/server.js'
+import { config } from '../../src/config/config.js'
+import { uploadConfig } from '../../src/config/upload-config.js'
+import { oidcClient } from '../../src/server/auth/oidc-client.js'
+import { jobQueue } from '../../src/server/services/job-queue.js'
+import { redisUploadStore } from '../../src/server/services/redis-upload-store.js'
+import { uploadStagingStore } from '../../src/server/services/upload-staging-store.js'
+import { userProfileStore } from '../../src/server/services/user-profile-store.js'
+import { createServer } from '../../src/server/server.js'
+import { uploadController } from '../../src/server/upload/controller.js'
+import { metadata as batRabiesMetadata } from '../../src/server/forms/bat-rabies.js'
+import { DELIVERY_JOB, deliverUpload } from '../../src/server/upload/jobs.js'
+import { cdpUploaderService } from '../../src/server/upload/services/cdp-uploader-service.js'
+
+// Enough of the EICAR test file for the stand-in to detect it
+const eicar = 'X5O!P%@AP EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*'
+
+/**
+ * Runs CDP_UPLOADER_MODE=direct against the CDP uploader stand-in: the
+ * "browser" posts the form to CDP itself and follows the redirects back to
+ * the portal, and the result is read from CDP's status response. The
+ * browser is signed in as a submitter through the OIDC stand-in.
+ */
+describe('Direct uploads to the CDP uploader', () => {
+  const { callbackAuthToken } = uploadConfig.getCdpUploaderConfig()
+  let stub
+  let oidcStub
+  let portal
+  let directory
+  let original
+  let submitter
+
+  /**
+   * Cookie of the given name set by a response, for the next request
+   */
+  const responseCookie = (response, name) =>
+    [response.headers['set-cookie']]
+      .flat()
+      .find((cookie) => cookie?.startsWith(`${name}=`))
+      ?.split(';')[0]
+
+  /**
+   * Sign in as a stand-in user and pick up the CSRF token a page gives them
+   * @returns {Promise<{cookie: string, crumb: string}>} Cookies to send
+   *   and the CSRF token to post
+   */
+  const signIn = async (user) => {
+    const started = await portal.inject('/auth/sign-in?redirect=/portal')
+    const authorise = new URL(started.headers.location)
+    const chosen = await fetch(`${oidcStub.info.uri}/authorize`, {
+      method: 'POST',
+      body: new URLSearchParams({
+        ...Object.fromEntries(authorise.searchParams),
+        sub: user.sub
+      }),
+      redirect: 'manual'
+    })
+    const callback = new URL(chosen.headers.get('location'))
+    const returned = await portal.inject({
+      url: `${callback.pathname}${callback.search}`,
+      headers: { cookie: responseCookie(started, 'session') }
+    })
+    const session = responseCookie(returned, 'session')
+
+    const page = await portal.inject({
+      url: '/portal',
+      headers: { cookie: session, accept: 'text/html' }
+    })
+    const crumb = responseCookie(page, 'crumb')
+
+    return { cookie: `${session}; ${crumb}`, crumb: crumb.split('=')[1] }
+  }
+
+  /**
+   * Post JSON to the portal as a signed-in user, by default the submitter
+   */
+  const postAs = (url, payload, user = submitter) =>
+    portal.inject({
+      method: 'POST',
+      url,
+      headers: { cookie: user.cookie },
+      payload: { ...payload, crumb: user.crumb }
+    })
+
+  /**
+   * Initiate an upload and post a form with a file to CDP, as the browser
+   * does, following the redirect back to the portal
+   */
+  const uploadThroughBrowser = async (content, filename = 'results.csv') => {
+    const initiate = await postAs('/upload/initiate', {
+      redirect: '/bat-rabies/upload',
+      formId: 'bat-rabies'
+    })
+    expect(initiate.statusCode).toBe(201)
+    const { uploadId, uploadUrl } = initiate.result
+
+    const form = new FormData()
+    form.append('description', 'March returns')
+    form.append('upload', new Blob([content], { type: 'text/csv' }), filename)
+    const posted = await fetch(uploadUrl, {
+      method: 'POST',
+      body: form,
+      redirect: 'manual'
+    })
+    expect(posted.status).toBe(302)
+
+    const returned = await fetch(posted.headers.get('location'), {
+      headers: { cookie: submitter.cookie },
+      redirect: 'manual'
+    })
+
+    return { uploadId, returned }
+  }
+
+  beforeAll(async () => {
+    directory = await fsp.mkdtemp(path.join(os.tmpdir(), 'apha-sdo-direct-'))
+    original = {
+      endpoint: uploadConfig.cdpUploaderConfig.endpoint,
+      mode: uploadConfig.cdpUploaderConfig.mode,
+      defaultTargets: config.get('storage.delivery.defaultTargets'),
+      filesystem: { ...uploadConfig.filesystemConfig },
+      stagingDirectory: uploadStagingStore.directory,
+      redisAvailable: redisUploadStore.redisAvailable,
+      profilesInRedis: userProfileStore.redisAvailable,
+      port: config.get('port'),
+      discoveryUrl: config.get('auth.oidc.discoveryUrl')
+    }
+
+    oidcStub = await createOidcStub({ port: 0 })
+    await oidcStub.start()
+    config.set(
+      'auth.oidc.discoveryUrl',
+      `${oidcStub.info.uri}/.well-known/openid-configuration`
+    )
+    oidcClient.reset()
+    userProfileStore.redisAvailable = false
+
+    // The browser follows CDP's redirect back to the portal and CDP calls
+    // back to it, so it listens on a free port
+    config.set('port', 0)
+    portal = await createServer()
+    await portal.start()
+
+    stub = await createCdpUploaderStub({
+      port: 0,
+      callbackToken: callbackAuthToken,
+      scanDelay: 10,
+      portalUrl: portal.info.uri
+    })
+    await stub.start()
+
+    uploadConfig.cdpUploaderConfig.endpoint = stub.info.uri
+    uploadConfig.cdpUploaderConfig.mode = 'direct'
+    config.set('storage.delivery.defaultTargets', ['filesystem'])
+    uploadConfig.filesystemConfig.enabled = true
+    uploadConfig.filesystemConfig.directory = path.join(directory, 'storage')
+    uploadStagingStore.directory = path.join(directory, 'staging')
+    redisUploadStore.redisAvailable = false
+
+    submitter = await signIn(oidcStub.app.users[0])
+  })
+
+  afterAll(async () => {
+    await stub.stop()
+    await oidcStub.stop()
+    await portal.stop({ timeout: 0 })
+    config.set('port', original.port)
+    config.set('auth.oidc.discoveryUrl', original.discoveryUrl)
+    oidcClient.reset()
+    userProfileStore.redisAvailable = original.profilesInRedis
+    uploadConfig.cdpUploaderConfig.endpoint = original.endpoint
+    uploadConfig.cdpUploaderConfig.mode = original.mode
+    config.set('storage.delivery.defaultTargets', original.defaultTargets)
+    Object.assign(uploadConfig.filesystemConfig, original.filesystem)
+    uploadStagingStore.directory = original.stagingDirectory
+    redisUploadStore.redisAvailable = original.redisAvailable
+    await fsp.rm(directory, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    vi.stubEnv('CALLBACK_URL', `${portal.info.uri}/upload/callback`)
+    vi.spyOn(jobQueue, 'enqueue').mockImplementation(async (type) => ({
+      id: `${type}:job`
+    }))
+    vi.spyOn(uploadController, 'handleCdpStatusCallback')
+    stub.app.callbacks.length = 0
+  })
+
+  test('takes a clean file from the browser through CDP to delivery', async () => {
+    const content = 'species,count\nbat,1\n'
+
+    const { uploadId, returned } = await uploadThroughBrowser(content)
+
+    expect(returned.status).toBe(302)
+    expect(returned.headers.get('location')).toBe(
+      `/bat-rabies/upload?uploadId=${uploadId}`
+    )
+
+    await vi.waitFor(() => expect(stub.app.callbacks).toHaveLength(1))
+    expect(stub.app.callbacks[0]).toMatchObject({
+      status: 200,
+      payload: { uploadStatus: 'ready', metadata: { uploadId } }
+    })
+    expect(uploadController.handleCdpStatusCallback).toHaveBeenCalledOnce()
+    expect(jobQueue.enqueue).toHaveBeenCalledWith(
+      DELIVERY_JOB,
+      { uploadId },
+      { key: uploadId }
+    )
+
+    const upload = await redisUploadStore.getUpload(uploadId)
+    expect(upload).toMatchObject({
+      status: 'callback_received',
+      virusScanStatus: 'clean',
+      uploadMode: 'direct',
+      filename: 'results.csv',
+      size: content.length,
+      sha256: createHash('sha256').update(content).digest('hex'),
+      formId: 'bat-rabies',
+      formData: { description: 'March returns' },
+      uploadedBy: oidcStub.app.users[0].sub
+    })
+
+    // The stand-in keeps no files, so fetching from the CDP bucket stages
+    // the posted content instead
+    vi.spyOn(cdpUploaderService, 'fetchScannedFile').mockImplementation(
+      async (id) =>
+        (await uploadStagingStore.stage(id, Buffer.from(content))).size
+    )
+
+    await deliverUpload({
+      id: `${DELIVERY_JOB}:job`,
+      payload: { uploadId },
+      attempts: 1,
+      maxAttempts: 3
+    })
+
+    expect(cdpUploaderService.fetchScannedFile).toHaveBeenCalledWith(
+      uploadId,
+      expect.objectContaining({ s3Key: upload.s3Key })
+    )
+    expect(await redisUploadStore.getUpload(uploadId)).toMatchObject({
+      status: 'completed',
+      deliveries: { filesystem: { status: 'delivered' } }
+    })
+  })
+
+  test('delivers only to the targets the form declares', async () => {
+    const returns = path.join(directory, 'returns')
+    batRabiesMetadata.deliveryTargets = [
+      { id: 'returns', type: 'filesystem', directory: returns }
+    ]
+    const content = 'species,count\nbat,2\n'
+
+    try {
+      const { uploadId } = await uploadThroughBrowser(content)
+      await vi.waitFor(() => expect(stub.app.callbacks).toHaveLength(1))
+
+      expect(await redisUploadStore.getUpload(uploadId)).toMatchObject({
+        formSlug: 'bat-rabies',
+        deliveryTargets: batRabiesMetadata.deliveryTargets
+      })
+
+      vi.spyOn(cdpUploaderService, 'fetchScannedFile').mockImplementation(
+        async (id) =>
+          (await uploadStagingStore.stage(id, Buffer.from(content))).size
+      )
+      await deliverUpload({
+        id: `${DELIVERY_JOB}:job`,
+        payload: { uploadId },
+        attempts: 1,
+        maxAttempts: 3
+      })
+
+      const { deliveries } = await redisUploadStore.getUpload(uploadId)
+      expect(Object.keys(deliveries)).toEqual(['returns'])
+      expect(deliveries.returns.status).toBe('delivered')
+      expect(
+        await fsp.readFile(path.join(returns, deliveries.returns.blobName))
+      ).toEqual(Buffer.from(content))
+    } finally {
+      delete batRabiesMetadata.deliveryTargets
+    }
+  })
+
+  test('records why CDP rejected a file and never transfers it', async () => {
+    const { uploadId } = await uploadThroughBrowser(eicar)
+
+    await vi.waitFor(() => expect(stub.app.callbacks).toHaveLength(1))
+
+    expect(jobQueue.enqueue).not.toHaveBeenCalled()
+    expect(await redisUploadStore.getUpload(uploadId)).toMatchObject({
+      status: 'quarantined',
+      virusScanStatus: 'rejected',
+      error: 'The selected file contains a virus'
+    })
+  })
+
+  test('refuses uploads to a form closed to the organisation', async () => {
+    const farmer = await signIn(
+      oidcStub.app.users.find((user) => user.firstName === 'Jo')
+    )
+
+    vi.spyOn(cdpUploaderService, 'initiateUpload')
+
+    const response = await postAs(
+      '/upload/initiate',
+      { redirect: '/bat-rabies/upload', formId: 'bat-rabies' },
+      farmer
+    )
+
+    expect(response.statusCode).toBe(403)
+    expect(cdpUploaderService.initiateUpload).not.toHaveBeenCalled()
+  })
+
+  test('refuses to redirect away from the portal', async () => {
+    const response = await postAs('/upload/initiate', {
+      redirect: '//example.com/upload'
+    })
+
+    expect(response.statusCode).toBe(400)
+  })
+
+  test('only initiates uploads in direct mode', async () => {
+    uploadConfig.cdpUploaderConfig.mode = 'proxy'
+
+    try {
+      const response = await postAs('/upload/initiate', {
+        redirect: '/bat-rabies/upload'
+      })
+
+      expect(response.statusCode).toBe(409)
+    } finally {
+      uploadConfig.cdpUploaderConfig.mode = 'direct'
+    }
+  })
+})
@@ -0,0 +1,206 @@
+import fsp from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import {
+  describe,
+  test,
+  expect,
+  vi,
+  beforeAll,
+  afterAll,
+  beforeEach
+} from 'vitest'
+import {
+  createCdpUploaderStub,
+  scanFile
+} from '../../tools/cdp-uploader-stub/server.js'
+import { config } from '../../src/config/config.js'
+import { uploadConfig } from '../../src/config/upload-config.js'
+import { jobQueue } from '../../src/server/services/job-queue.js'
+import { redisUploadStore } from '../../src/server/services/redis-upload-store.js'
+import { createServer } from '../../src/server/server.js'
+import { uploadStagingStore } from '../../src/server/services/upload-staging-store.js'
+import { DELIVERY_JOB, deliverUpload } from '../../src/server/upload/jobs.js'
+import { cdpUploaderService } from '../../src/server/upload/services/cdp-uploader-service.js'
+import { filesystemStorageService } from '../../src/server/upload/services/filesystem-storage-service.js'
+
+// Enough of the EICAR test file for the stand-in to detect it
+const eicar = Buffer.from('X5O!P%@AP EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*')
+
+describe('CDP uploader stand-in', () => {
+  const { callbackAuthToken } = uploadConfig.getCdpUploaderConfig()
+  let stub
+  let portal
+  let directory
+  let original
+
+  beforeAll(async () => {
+    directory = await fsp.mkdtemp(path.join(os.tmpdir(), 'apha-sdo-cdp-'))
+    original = {
+      endpoint: uploadConfig.cdpUploaderConfig.endpoint,
+      port: config.get('port'),
+      defaultTargets: config.get('storage.delivery.defaultTargets'),
+      filesystem: { ...uploadConfig.filesystemConfig },
+      stagingDirectory: uploadStagingStore.directory,
+      redisAvailable: redisUploadStore.redisAvailable
+    }
+
+    stub = await createCdpUploaderStub({
+      port: 0,
+      callbackToken: callbackAuthToken,
+      scanDelay: 10
+    })
+    await stub.start()
+
+    // Receives the stand-in's callbacks on the portal's own route, as
+    // configured for CDP, on a free port
+    config.set('port', 0)
+    portal = await createServer()
+    await portal.start()
+
+    uploadConfig.cdpUploaderConfig.endpoint = stub.info.uri
+    config.set('storage.delivery.defaultTargets', ['filesystem'])
+    uploadConfig.filesystemConfig.enabled = true
+    uploadConfig.filesystemConfig.directory = path.join(directory, 'storage')
+    uploadStagingStore.directory = path.join(directory, 'staging')
+    redisUploadStore.redisAvailable = false
+  })
+
+  afterAll(async () => {
+    await stub.stop()
+    await portal.stop({ timeout: 0 })
+    uploadConfig.cdpUploaderConfig.endpoint = original.endpoint
+    config.set('port', original.port)
+    config.set('storage.delivery.defaultTargets', original.defaultTargets)
+    Object.assign(uploadConfig.filesystemConfig, original.filesystem)
+    uploadStagingStore.directory = original.stagingDirectory
+    redisUploadStore.redisAvailable = original.redisAvailable
+    await fsp.rm(directory, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    vi.stubEnv('CALLBACK_URL', `${portal.info.uri}/upload/callback`)
+    vi.spyOn(jobQueue, 'enqueue').mockImplementation(async (type) => ({
+      id: `${type}:job`
+    }))
+    stub.app.callbacks.length = 0
+  })
+
+  test('scans files as clean, infected or quarantined', () => {
+    expect(scanFile(Buffer.from('species,count'), 'results.csv')).toBe('clean')
+    expect(scanFile(eicar, 'results.csv')).toBe('infected')
+    expect(scanFile(Buffer.from('species'), 'quarantine-me.csv')).toBe(
+      'quarantined'
+    )
+  })
+
+  test('refuses requests without the callback token', async () => {
+    const response = await stub.inject({
+      method: 'POST',
+      url: '/initiate',
+      payload: { callback: 'http://localhost/upload/callback' }
+    })
+
+    expect(response.statusCode).toBe(401)
+  })
+
+  test('takes a clean file from upload through callback to delivery', async () => {
+    const content = Buffer.from('species,count\nbat,1\n')
+
+    const { uploadId } = await cdpUploaderService.uploadFile({
+      file: content,
+      metadata: { originalName: 'results.csv', contentType: 'text/csv' }
+    })
+    await vi.waitFor(() => expect(stub.app.callbacks).toHaveLength(1))
+
+    expect(stub.app.callbacks[0]).toMatchObject({
+      status: 200,
+      payload: { uploadId, virusScanStatus: 'clean' }
+    })
+    expect(jobQueue.enqueue).toHaveBeenCalledWith(
+      DELIVERY_JOB,
+      { uploadId },
+      { key: uploadId }
+    )
+
+    const status = await stub.inject(`/status/${uploadId}`)
+    expect(status.result).toMatchObject({
+      status: 'complete',
+      virusScanStatus: 'clean',
+      size: content.length
+    })
+
+    await deliverUpload({
+      id: `${DELIVERY_JOB}:job`,
+      payload: { uploadId },
+      attempts: 1,
+      maxAttempts: 3
+    })
+
+    const upload = await redisUploadStore.getUpload(uploadId)
+    expect(upload.status).toBe('completed')
+    const download = await filesystemStorageService.downloadFile(
+      uploadId,
+      upload.deliveries.filesystem.blobName
+    )
+    expect(download.contentLength).toBe(content.length)
+  })
+
+  test('takes the callbacks the forms engine asks for on /file', async () => {
+    vi.stubEnv('CALLBACK_URL', `${portal.info.uri}/file`)
+
+    const { uploadId } = await cdpUploaderService.uploadFile({
+      file: Buffer.from('species,count\nbat,1\n'),
+      metadata: { originalName: 'results.csv', contentType: 'text/csv' }
+    })
+    await vi.waitFor(() => expect(stub.app.callbacks).toHaveLength(1))
+
+    expect(stub.app.callbacks[0]).toMatchObject({
+      status: 200,
+      payload: { uploadId, virusScanStatus: 'clean' }
+    })
+    expect(jobQueue.enqueue).toHaveBeenCalledWith(
+      DELIVERY_JOB,
+      { uploadId },
+      { key: uploadId }
+    )
+  })
+
+  test('refuses file uploads to /file without a session', async () => {
+    const { statusCode } = await portal.inject({
+      method: 'POST',
+      url: '/file',
+      headers: {
+        'content-type': 'multipart/form-data; boundary=upload',
+        accept: 'application/json'
+      },
+      payload: [
+        '--upload',
+        'Content-Disposition: form-data; name="file"; filename="results.csv"',
+        'Content-Type: text/csv',
+        '',
+        'species,count',
+        '--upload--',
+        ''
+      ].join('\r\n')
+    })
+
+    expect(statusCode).toBe(401)
+  })
+
+  test('quarantines a file carrying the EICAR test signature', async () => {
+    const { uploadId } = await cdpUploaderService.uploadFile({
+      file: eicar,
+      metadata: { originalName: 'results.csv', contentType: 'text/csv' }
+    })
+    await vi.waitFor(() => expect(stub.app.callbacks).toHaveLength(1))
+
+    expect(stub.app.callbacks[0].payload.virusScanStatus).toBe('infected')
+    expect(jobQueue.enqueue).not.toHaveBeenCalled()
+    expect(await redisUploadStore.getUpload(uploadId)).toMatchObject({
+      status: 'quarantined',
+      virusScanStatus: 'infected'
+    })
+    expect(await uploadStagingStore.getSize(uploadId)).toBeNull()
+  })
+})
@@ -0,0 +1,111 @@
+import { createHash } from 'node:crypto'
+import fsp from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { buffer as readAll } from 'node:stream/consumers'
+import { describe, test, expect, beforeAll, afterAll } from 'vitest'
+import { config } from '../../src/config/config.js'
+import { uploadConfig } from '../../src/config/upload-config.js'
+import { redisUploadStore } from '../../src/server/services/redis-upload-store.js'
+import { uploadStagingStore } from '../../src/server/services/upload-staging-store.js'
+import { deliverUpload } from '../../src/server/upload/jobs.js'
+import { filesystemStorageService } from '../../src/server/upload/services/filesystem-storage-service.js'
+
+/**
+ * Runs the post-scan delivery of a staged submission end to end, with the
+ * filesystem provider as the only delivery target and Redis replaced by the
+ * store's in-memory fallback, so it needs no cloud storage or services.
+ */
+describe('Delivery to the filesystem provider', () => {
+  const uploadId = 'filesystem-delivery-1'
+  const content = Buffer.from('species,count\nbat,1\n')
+  const formData = { submissionId: 'submission-1', submittedBy: 'user-1' }
+  let directory
+  let original
+
+  beforeAll(async () => {
+    directory = await fsp.mkdtemp(path.join(os.tmpdir(), 'apha-sdo-delivery-'))
+    original = {
+      defaultTargets: config.get('storage.delivery.defaultTargets'),
+      filesystem: { ...uploadConfig.filesystemConfig },
+      stagingDirectory: uploadStagingStore.directory,
+      redisAvailable: redisUploadStore.redisAvailable
+    }
+
+    config.set('storage.delivery.defaultTargets', ['filesystem'])
+    uploadConfig.filesystemConfig.enabled = true
+    uploadConfig.filesystemConfig.directory = path.join(directory, 'storage')
+    uploadStagingStore.directory = path.join(directory, 'staging')
+    redisUploadStore.redisAvailable = false
+  })
+
+  afterAll(async () => {
+    config.set('storage.delivery.defaultTargets', original.defaultTargets)
+    Object.assign(uploadConfig.filesystemConfig, original.filesystem)
+    uploadStagingStore.directory = original.stagingDirectory
+    redisUploadStore.redisAvailable = original.redisAvailable
+    await fsp.rm(directory, { recursive: true, force: true })
+  })
+
+  test('delivers every file of a staged submission and its manifest', async () => {
+    await uploadStagingStore.stage(uploadId, content)
+    await redisUploadStore.setUpload(uploadId, {
+      status: 'callback_received',
+      virusScanStatus: 'clean',
+      filename: 'results.csv',
+      originalFilename: 'results.csv',
+      contentType: 'text/csv',
+      sha256: createHash('sha256').update(content).digest('hex'),
+      formSlug: 'bat-rabies',
+      formData,
+      jsonFilename: 'results.json',
+      jsonBuffer: Buffer.from(JSON.stringify(formData)).toString('base64')
+    })
+
+    await deliverUpload({
+      id: `azure-transfer:${uploadId}`,
+      payload: { uploadId },
+      attempts: 1,
+      maxAttempts: 3
+    })
+
+    const upload = await redisUploadStore.getUpload(uploadId)
+    expect(upload).toMatchObject({
+      status: 'completed',
+      azureTransferred: true,
+      deliveries: {
+        filesystem: { type: 'filesystem', status: 'delivered', attempts: 1 }
+      }
+    })
+    expect(await uploadStagingStore.getSize(uploadId)).toBeNull()
+
+    const { files } = await filesystemStorageService.listFiles('bat-rabies/')
+    const names = files.map(({ name }) => path.posix.basename(name))
+    expect(names).toEqual(
+      expect.arrayContaining(['results.csv', 'results.json', 'manifest.json'])
+    )
+
+    const { blobName, manifestBlobName } = upload.deliveries.filesystem
+    const download = await filesystemStorageService.downloadFile(
+      uploadId,
+      blobName
+    )
+    expect(await readAll(download.stream)).toEqual(content)
+
+    const manifest = JSON.parse(
+      await readAll(
+        (
+          await filesystemStorageService.downloadFile(
+            uploadId,
+            manifestBlobName
+          )
+        ).stream
+      )
+    )
+    expect(manifest).toMatchObject({
+      uploadId,
+      submissionId: 'submission-1',
+      submitter: 'user-1'
+    })
+  })
+})
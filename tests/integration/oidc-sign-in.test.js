@@ -0,0 +1,547 @@
+import fsp from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { describe, test, expect, beforeAll, afterAll, afterEach } from 'vitest'
+import { createOidcStub } from '../../tools/oidc-stub/server.js'
+import { config } from '../../src/config/config.js'
+import { createServer } from '../../src/server/server.js'
+import { oidcClient } from '../../src/server/auth/oidc-client.js'
+import { createDownloadUrl } from '../../src/server/upload/services/download-links.js'
+import { redisUploadStore } from '../../src/server/services/redis-upload-store.js'
+import { uploadStagingStore } from '../../src/server/services/upload-staging-store.js'
+import { userProfileStore } from '../../src/server/services/user-profile-store.js'
+import { SpreadsheetUploadPageController } from '../../src/server/forms/controllers/spreadsheet-upload-page-controller.js'
+import services from '../../src/server/forms.js'
+
+/**
+ * Signs in to the portal through the OIDC stand-in, as a browser would:
+ * the portal sends the browser to the provider, the user picks who to sign
+ * in as and the provider returns the browser to /auth/callback.
+ */
+describe('Sign in with OIDC', () => {
+  let stub
+  let server
+  let original
+  let profilesInRedis
+
+  /**
+   * Session cookie set by a response, for the next request
+   */
+  const sessionCookie = (response) =>
+    [response.headers['set-cookie']]
+      .flat()
+      .find((cookie) => cookie?.startsWith('session='))
+      ?.split(';')[0]
+
+  /**
+   * Sign in as a stand-in user, starting from a page that needs a session
+   * @returns {Promise<{cookie: string, location: string}>} Session cookie
+   *   and where the callback redirected to
+   */
+  const signIn = async (page = '/portal', user = stub.app.users[0]) => {
+    const requested = await server.inject({
+      url: page,
+      headers: { accept: 'text/html' }
+    })
+    expect(requested.statusCode).toBe(302)
+
+    const started = await server.inject({ url: requested.headers.location })
+    expect(started.statusCode).toBe(302)
+    const authorise = new URL(started.headers.location)
+    expect(authorise.origin).toBe(stub.info.uri)
+    expect(authorise.searchParams.get('code_challenge_method')).toBe('S256')
+
+    const chosen = await fetch(`${stub.info.uri}/authorize`, {
+      method: 'POST',
+      body: new URLSearchParams({
+        ...Object.fromEntries(authorise.searchParams),
+        sub: user.sub
+      }),
+      redirect: 'manual'
+    })
+    expect(chosen.status).toBe(302)
+    const callback = new URL(chosen.headers.get('location'))
+
+    const returned = await server.inject({
+      url: `${callback.pathname}${callback.search}`,
+      headers: { cookie: sessionCookie(started) }
+    })
+    expect(returned.statusCode).toBe(302)
+
+    return {
+      cookie: sessionCookie(returned),
+      location: returned.headers.location
+    }
+  }
+
+  beforeAll(async () => {
+    stub = await createOidcStub({ port: 0 })
+    await stub.start()
+
+    original = {
+      discoveryUrl: config.get('auth.oidc.discoveryUrl'),
+      refreshBefore: config.get('auth.oidc.refreshBefore')
+    }
+    config.set(
+      'auth.oidc.discoveryUrl',
+      `${stub.info.uri}/.well-known/openid-configuration`
+    )
+    oidcClient.reset()
+
+    // Profiles and audit logs are kept in memory, with no Redis to reach
+    profilesInRedis = userProfileStore.redisAvailable
+    userProfileStore.redisAvailable = false
+
+    server = await createServer()
+    await server.initialize()
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+    await stub.stop()
+    config.set('auth.oidc.discoveryUrl', original.discoveryUrl)
+    oidcClient.reset()
+    userProfileStore.redisAvailable = profilesInRedis
+  })
+
+  afterEach(() => {
+    config.set('auth.oidc.refreshBefore', original.refreshBefore)
+    stub.app.tokenRequests.length = 0
+  })
+
+  test('signs a user in and returns them to the page they asked for', async () => {
+    const { cookie, location } = await signIn('/portal')
+
+    expect(location).toBe('/portal')
+
+    const portal = await server.inject({
+      url: '/portal',
+      headers: { cookie, accept: 'text/html' }
+    })
+    expect(portal.statusCode).toBe(200)
+    expect(stub.app.tokenRequests).toEqual(['authorization_code'])
+  })
+
+  test('sends page requests without a session to sign in', async () => {
+    const { statusCode, headers } = await server.inject({
+      url: '/portal?tab=forms',
+      headers: { accept: 'text/html' }
+    })
+
+    expect(statusCode).toBe(302)
+    expect(headers.location).toBe(
+      `/auth/sign-in?redirect=${encodeURIComponent('/portal?tab=forms')}`
+    )
+  })
+
+  test('refuses API requests without a session', async () => {
+    const { statusCode } = await server.inject({
+      url: '/upload/status/upload-1',
+      headers: { accept: 'application/json' }
+    })
+
+    expect(statusCode).toBe(401)
+  })
+
+  test('refuses signed download links without a session', async () => {
+    const { statusCode } = await server.inject({
+      url: createDownloadUrl('upload-1'),
+      headers: { accept: 'application/json' }
+    })
+
+    expect(statusCode).toBe(401)
+  })
+
+  test('keeps public pages public', async () => {
+    const { statusCode } = await server.inject({ url: '/health' })
+
+    expect(statusCode).toBe(200)
+  })
+
+  test('refuses a callback that does not match the sign in', async () => {
+    const started = await server.inject({ url: '/auth/sign-in' })
+
+    const { statusCode } = await server.inject({
+      url: '/auth/callback?code=some-code&state=another-state',
+      headers: { cookie: sessionCookie(started) }
+    })
+
+    expect(statusCode).toBe(401)
+    expect(stub.app.tokenRequests).toEqual([])
+  })
+
+  test('refuses to redirect away from the portal after sign in', async () => {
+    const { statusCode } = await server.inject({
+      url: '/auth/sign-in?redirect=//example.com/'
+    })
+
+    expect(statusCode).toBe(400)
+  })
+
+  test('refreshes the tokens before the access token expires', async () => {
+    const { cookie } = await signIn('/portal')
+
+    // Every token is now within the refresh window
+    config.set('auth.oidc.refreshBefore', 2 * 60 * 60 * 1000)
+
+    const portal = await server.inject({
+      url: '/portal',
+      headers: { cookie, accept: 'text/html' }
+    })
+
+    expect(portal.statusCode).toBe(200)
+    expect(stub.app.tokenRequests).toEqual([
+      'authorization_code',
+      'refresh_token'
+    ])
+  })
+  test('signs out of the portal and the identity provider', async () => {
+    const { cookie } = await signIn('/portal')
+
+    const signedOut = await server.inject({
+      url: '/signout',
+      headers: { cookie }
+    })
+
+    expect(signedOut.statusCode).toBe(302)
+    const logout = new URL(signedOut.headers.location)
+    expect(`${logout.origin}${logout.pathname}`).toBe(`${stub.info.uri}/logout`)
+    expect(logout.searchParams.get('post_logout_redirect_uri')).toBe(
+      config.get('auth.oidc.postLogoutRedirectUrl')
+    )
+    expect(logout.searchParams.has('id_token_hint')).toBe(true)
+    expect(stub.app.revocations).toHaveLength(1)
+
+    const portal = await server.inject({
+      url: '/portal',
+      headers: { cookie, accept: 'text/html' }
+    })
+    expect(portal.statusCode).toBe(302)
+  })
+
+  test('ends the session when the identity provider logs it out', async () => {
+    const { cookie } = await signIn('/portal')
+    const sid = [...stub.app.sessions.keys()].at(-1)
+    const logoutToken = await stub.app.endSession(sid)
+
+    const { statusCode, headers } = await server.inject({
+      method: 'POST',
+      url: '/auth/backchannel-logout',
+      payload: { logout_token: logoutToken }
+    })
+
+    expect(statusCode).toBe(200)
+    expect(headers['cache-control']).toBe('no-store')
+
+    const portal = await server.inject({
+      url: '/portal',
+      headers: { cookie, accept: 'text/html' }
+    })
+    expect(portal.statusCode).toBe(302)
+    expect(portal.headers.location).toBe('/auth/sign-in?redirect=%2Fportal')
+  })
+
+  test('refuses a back-channel logout it cannot verify', async () => {
+    const { statusCode, result } = await server.inject({
+      method: 'POST',
+      url: '/auth/backchannel-logout',
+      payload: { logout_token: 'not-a-token' }
+    })
+
+    expect(statusCode).toBe(400)
+    expect(result).toMatchObject({ error: 'invalid_request' })
+  })
+
+  describe('roles', () => {
+    const userNamed = (firstName) =>
+      stub.app.users.find((user) => user.firstName === firstName)
+
+    /**
+     * Post as a signed-in user, with the CSRF token a page would give them
+     */
+    const post = async (url, cookie) => {
+      const page = await server.inject({
+        url: '/portal',
+        headers: { cookie, accept: 'text/html' }
+      })
+      const crumb = [page.headers['set-cookie']]
+        .flat()
+        .find((header) => header?.startsWith('crumb='))
+        ?.split(';')[0]
+
+      return server.inject({
+        method: 'POST',
+        url,
+        headers: { cookie: `${cookie}; ${crumb}` },
+        payload: { crumb: crumb.split('=')[1] }
+      })
+    }
+
+    test('keeps a form limited to some organisations from everyone else', async () => {
+      const { cookie } = await signIn('/portal', userNamed('Jo'))
+
+      const form = await server.inject({
+        url: '/bat-rabies',
+        headers: { cookie, accept: 'text/html' }
+      })
+      const portal = await server.inject({
+        url: '/portal',
+        headers: { cookie, accept: 'text/html' }
+      })
+
+      expect(form.statusCode).toBe(403)
+      expect(portal.result).not.toContain('href="/bat-rabies"')
+    })
+
+    test.each(['Vera', 'Priya'])(
+      'opens the bat rabies form to %s',
+      async (firstName) => {
+        const { cookie } = await signIn('/portal', userNamed(firstName))
+
+        const form = await server.inject({
+          url: '/bat-rabies',
+          headers: { cookie, accept: 'text/html' }
+        })
+
+        expect(form.statusCode).toBe(302)
+        expect(form.headers.location).toBe('/bat-rabies/sample-details')
+      }
+    )
+
+    test('keeps pipeline and processing routes from submitters', async () => {
+      const { cookie } = await signIn('/portal', userNamed('Sam'))
+
+      const trigger = await post('/upload/pipeline/trigger', cookie)
+      const processUpload = await post(
+        '/upload/process/0b7c5a36-0a36-4b4f-8d8a-5d7f1f4e2c01',
+        cookie
+      )
+
+      expect(trigger.statusCode).toBe(403)
+      expect(processUpload.statusCode).toBe(403)
+    })
+
+    test('lets platform operators trigger the pipeline', async () => {
+      const { cookie } = await signIn('/portal', userNamed('Tom'))
+
+      const trigger = await post('/upload/pipeline/trigger', cookie)
+
+      expect(trigger.statusCode).toBe(200)
+    })
+  })
+  describe('organisation scoping', () => {
+    const laboratory = '5e1a7c3b-0d2f-4b8e-9a61-7f3c2d9e4b10'
+    let redisAvailable
+    let stagingDirectory
+
+    const userNamed = (firstName) =>
+      stub.app.users.find((user) => user.firstName === firstName)
+
+    const getAs = async (url, firstName) => {
+      const { cookie } = await signIn('/portal', userNamed(firstName))
+      return server.inject({
+        url,
+        headers: { cookie, accept: 'application/json' }
+      })
+    }
+
+    /**
+     * Check a file uploaded on the bat rabies upload page as the forms
+     * engine would hand it over, straight from CDP and so not tracked
+     * @returns {Promise<Array<object>>} Error summary entries
+     */
+    const uploadOnFormPage = async (uploadId, content, firstName) => {
+      await uploadStagingStore.stage(uploadId, Buffer.from(content))
+
+      const page = Object.create(SpreadsheetUploadPageController.prototype)
+      Object.assign(page, {
+        fileUpload: { name: 'resultsFile' },
+        model: { services: { formsService: services.formsService } },
+        getFilesFromState: () => [
+          {
+            uploadId,
+            status: {
+              form: {
+                file: { filename: 'results.csv', contentLength: content.length }
+              }
+            }
+          }
+        ]
+      })
+
+      return page.validateUploadedFiles(
+        {
+          params: { slug: 'bat-rabies' },
+          auth: {
+            credentials: {
+              id: userNamed(firstName).sub,
+              organisationId: laboratory
+            }
+          },
+          logger: { info: () => {} }
+        },
+        {}
+      )
+    }
+
+    beforeAll(async () => {
+      redisAvailable = redisUploadStore.redisAvailable
+      redisUploadStore.redisAvailable = false
+      stagingDirectory = uploadStagingStore.directory
+      uploadStagingStore.directory = await fsp.mkdtemp(
+        path.join(os.tmpdir(), 'apha-sdo-reports-')
+      )
+
+      await redisUploadStore.setUpload('lab-upload', {
+        filename: 'returns.csv',
+        status: 'uploaded',
+        uploadedBy: userNamed('Vera').sub,
+        organisationId: laboratory
+      })
+    })
+
+    afterAll(async () => {
+      redisUploadStore.redisAvailable = redisAvailable
+      await fsp.rm(uploadStagingStore.directory, {
+        recursive: true,
+        force: true
+      })
+      uploadStagingStore.directory = stagingDirectory
+    })
+
+    test.each(['Vera', 'Sam', 'Priya'])(
+      "shows %s the laboratory's upload",
+      async (firstName) => {
+        const status = await getAs('/upload/status/lab-upload', firstName)
+        const list = await getAs('/upload/status', firstName)
+
+        expect(status.statusCode).toBe(200)
+        expect(status.result).toMatchObject({ organisationId: laboratory })
+        expect(list.result.uploads.map(({ uploadId }) => uploadId)).toContain(
+          'lab-upload'
+        )
+      }
+    )
+
+    test('hides the upload from other organisations', async () => {
+      const status = await getAs('/upload/status/lab-upload', 'Jo')
+      const history = await getAs('/upload/status/lab-upload/history', 'Jo')
+      const download = await getAs(createDownloadUrl('lab-upload'), 'Jo')
+      const list = await getAs('/upload/status', 'Jo')
+
+      expect(status.statusCode).toBe(404)
+      expect(history.statusCode).toBe(404)
+      expect(download.statusCode).toBe(404)
+      expect(list.result.uploads).toEqual([])
+    })
+
+    test("serves the error report of a form page upload to the uploader's organisation only", async () => {
+      const errors = await uploadOnFormPage(
+        'engine-upload',
+        'species,count\nbat,1\n',
+        'Vera'
+      )
+      const { href } = errors.at(-1)
+      expect(href).toBe('/upload/report/engine-upload?format=csv')
+
+      const uploader = await getAs(href, 'Vera')
+      const colleague = await getAs(href, 'Sam')
+      const outsider = await getAs(href, 'Jo')
+
+      expect(uploader.statusCode).toBe(200)
+      expect(uploader.headers['content-disposition']).toBe(
+        'attachment; filename="results-errors.csv"'
+      )
+      expect(colleague.statusCode).toBe(200)
+      expect(outsider.statusCode).toBe(404)
+    })
+  })
+
+  describe('account management', () => {
+    const userNamed = (firstName) =>
+      stub.app.users.find((user) => user.firstName === firstName)
+
+    const getPage = (url, cookie) =>
+      server.inject({ url, headers: { cookie, accept: 'text/html' } })
+
+    /**
+     * Post the settings form, with the CSRF token the page gives the user
+     */
+    const savePreferences = async (cookie, preferences) => {
+      const page = await getPage('/management', cookie)
+      const crumb = [page.headers['set-cookie']]
+        .flat()
+        .find((header) => header?.startsWith('crumb='))
+        ?.split(';')[0]
+
+      return server.inject({
+        method: 'POST',
+        url: '/management',
+        headers: { cookie: `${cookie}; ${crumb}` },
+        payload: { crumb: crumb.split('=')[1], ...preferences }
+      })
+    }
+
+    test("shows the signed-in user's own details", async () => {
+      const { cookie } = await signIn('/management', userNamed('Priya'))
+
+      const { statusCode, result } = await getPage('/management', cookie)
+
+      expect(statusCode).toBe(200)
+      expect(result).toContain(userNamed('Priya').email)
+      expect(result).toContain('APHA reviewer')
+      expect(result).not.toContain('Sarah Johnson')
+    })
+
+    test('saves notification and report format preferences', async () => {
+      const { cookie } = await signIn('/management', userNamed('Sam'))
+
+      const saved = await savePreferences(cookie, {
+        notifications: 'system',
+        defaultReportFormat: 'csv'
+      })
+      const { result } = await getPage('/management', cookie)
+
+      expect(saved.statusCode).toBe(302)
+      expect(saved.headers.location).toBe('/management')
+      expect(result).toContain('Your preferences have been saved')
+      expect(result).toMatch(/value="system" checked/)
+      expect(result).not.toMatch(/value="alerts" checked/)
+      expect(result).toMatch(/value="csv" checked/)
+    })
+
+    test('asks for a report format when none is chosen', async () => {
+      const { cookie } = await signIn('/management', userNamed('Sam'))
+
+      const { statusCode, result } = await savePreferences(cookie, {
+        notifications: ['alerts', 'reports']
+      })
+
+      expect(statusCode).toBe(400)
+      expect(result).toContain('Select a default report format')
+    })
+
+    test('lists the sign ins of the user', async () => {
+      const { cookie } = await signIn('/management', userNamed('Jo'))
+
+      const { result } = await getPage('/management/sign-in-history', cookie)
+
+      expect(result).toContain(userNamed('Jo').relationships[0].split(':')[2])
+      expect(result).not.toContain('There are no sign ins to show')
+    })
+
+    test('logs the uploads the user looked at, in their report format', async () => {
+      const { cookie } = await signIn('/management', userNamed('Tom'))
+      await savePreferences(cookie, { defaultReportFormat: 'xlsx' })
+
+      await server.inject({
+        url: '/upload/report/tom-upload',
+        headers: { cookie, accept: 'application/json' }
+      })
+      const { result } = await getPage('/management/data-access-log', cookie)
+
+      expect(result).toContain('Validation report (XLSX)')
+      expect(result).toContain('tom-upload')
+    })
+  })
+})
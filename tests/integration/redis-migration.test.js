@@ -42,6 +42,7 @@ describe('Redis Migration Integration Tests', () => {
       keys: vi.fn().mockResolvedValue([]),
       mget: vi.fn().mockResolvedValue([]),
       ttl: vi.fn().mockResolvedValue(3600),
+      eval: vi.fn().mockResolvedValue(1),
       on: vi.fn(),
       quit: vi.fn().mockResolvedValue('OK')
     }
@@ -130,7 +131,7 @@ describe('Redis Migration Integration Tests', () => {
       const existingData = {
         uploadId,
         filename: 'update.xlsx',
-        status: 'uploaded',
+        status: 'processing',
         createdAt: new Date().toISOString()
       }
 
@@ -138,7 +139,6 @@ describe('Redis Migration Integration Tests', () => {
       redisUploadStore.redisClient.get.mockResolvedValue(
         JSON.stringify(existingData)
       )
-      redisUploadStore.redisClient.ttl.mockResolvedValue(1800) // 30 minutes remaining
 
       const updates = {
         status: 'completed',
@@ -147,15 +147,19 @@ describe('Redis Migration Integration Tests', () => {
 
       await redisUploadStore.updateUpload(uploadId, updates)
 
-      // Should preserve remaining TTL
-      expect(redisUploadStore.redisClient.setex).toHaveBeenCalledWith(
+      // Replaced only if unchanged since it was read, by a script that keeps
+      // the remaining TTL
+      expect(redisUploadStore.redisClient.eval).toHaveBeenCalledWith(
+        expect.stringContaining("redis.call('TTL', KEYS[1])"),
+        1,
         'uploads:test-update-003',
-        1800,
-        expect.any(String)
+        JSON.stringify(existingData),
+        expect.any(String),
+        redisUploadStore.defaultTTL
       )
 
       // Verify updated data
-      const serializedData = redisUploadStore.redisClient.setex.mock.calls[0][2]
+      const serializedData = redisUploadStore.redisClient.eval.mock.calls[0][4]
       const parsedData = JSON.parse(serializedData)
       expect(parsedData).toEqual(
         expect.objectContaining({
@@ -564,11 +568,11 @@ describe('Redis Migration Integration Tests', () => {
       const baseData = {
         uploadId,
         filename: 'concurrent.xlsx',
-        status: 'uploaded'
+        status: 'processing'
       }
 
       // Reset the mock call count before this test
-      redisUploadStore.redisClient.setex.mockClear()
+      redisUploadStore.redisClient.eval.mockClear()
 
       // Mock get method to return the base data for all concurrent reads
       redisUploadStore.redisClient.get.mockResolvedValue(
@@ -596,7 +600,7 @@ describe('Redis Migration Integration Tests', () => {
       })
 
       // Verify Redis was called for each update (should be exactly 4)
-      expect(redisUploadStore.redisClient.setex).toHaveBeenCalledTimes(4)
+      expect(redisUploadStore.redisClient.eval).toHaveBeenCalledTimes(4)
     })
   })
 
@@ -712,6 +716,7 @@ describe('Redis Migration Integration Tests', () => {
           })
         ),
         ttl: vi.fn().mockResolvedValue(-1),
+        eval: vi.fn().mockResolvedValue(1),
         on: vi.fn()
       }
       redisUploadStore.redisAvailable = true
@@ -726,7 +731,7 @@ describe('Redis Migration Integration Tests', () => {
       await redisUploadStore.updateUpload(uploadId, newFormatUpdate)
 
       // Should have preserved legacy fields and added new ones
-      const serializedData = redisUploadStore.redisClient.setex.mock.calls[0][2]
+      const serializedData = redisUploadStore.redisClient.eval.mock.calls[0][4]
       const migrated = JSON.parse(serializedData)
 
       expect(migrated).toEqual(
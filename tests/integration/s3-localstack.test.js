@@ -0,0 +1,58 @@
+import { describe, test, expect, beforeAll } from 'vitest'
+import { buffer as readAll } from 'node:stream/consumers'
+import { createHash } from 'node:crypto'
+import { CreateBucketCommand } from '@aws-sdk/client-s3'
+import { uploadConfig } from '../../src/config/upload-config.js'
+import { s3StorageService } from '../../src/server/upload/services/s3-storage-service.js'
+
+// Runs against LocalStack from compose.yml when pointed at it, e.g.
+// S3_ENABLED=true S3_ENDPOINT=http://localhost:4566 S3_FORCE_PATH_STYLE=true
+//   npx vitest run tests/integration/s3-localstack.test.js
+describe.runIf(process.env.S3_ENDPOINT && uploadConfig.s3Config.enabled)(
+  'S3 storage against LocalStack',
+  () => {
+    const uploadId = `localstack-${Date.now()}`
+    const content = Buffer.from('species,count\nbat,1\n')
+    const pathContext = { uploadId, formSlug: 'localstack' }
+
+    beforeAll(async () => {
+      try {
+        await uploadConfig
+          .getS3Client()
+          .send(
+            new CreateBucketCommand({ Bucket: uploadConfig.s3Config.bucket })
+          )
+      } catch (error) {
+        if (error.name !== 'BucketAlreadyOwnedByYou') throw error
+      }
+    })
+
+    test('delivers, lists, presigns, downloads and deletes an object', async () => {
+      const result = await s3StorageService.uploadFile(
+        uploadId,
+        content,
+        {
+          originalName: 'results.csv',
+          sha256: createHash('sha256').update(content).digest('hex')
+        },
+        { pathContext }
+      )
+      const key = result.blobName
+
+      const listed = await s3StorageService.listFiles('localstack/')
+      expect(listed.files.map(({ name }) => name)).toContain(key)
+
+      const { sasUrl } = await s3StorageService.generateSasUrl(uploadId, key)
+      const response = await fetch(sasUrl)
+      expect(Buffer.from(await response.arrayBuffer())).toEqual(content)
+
+      const download = await s3StorageService.downloadFile(uploadId, key)
+      expect(await readAll(download.stream)).toEqual(content)
+
+      expect(await s3StorageService.deleteFile(uploadId, key)).toEqual({
+        success: true,
+        deleted: true
+      })
+    })
+  }
+)
@@ -1,12 +1,24 @@
-import { vi, describe, it, expect, beforeEach } from 'vitest'
-import { azureStorageService } from '../../../src/server/upload/services/azure-storage-service.js'
+import { createHash } from 'node:crypto'
+import { Readable } from 'node:stream'
+import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  azureStorageService,
+  BlobExistsError
+} from '../../../src/server/upload/services/azure-storage-service.js'
+import { ChecksumMismatchError } from '../../../src/server/upload/services/checksum.js'
+import {
+  BlobSASPermissions,
+  StorageSharedKeyCredential,
+  generateBlobSASQueryParameters
+} from '@azure/storage-blob'
 
 // Mock the upload config
 vi.mock('../../../src/config/upload-config.js', () => ({
   uploadConfig: {
     azureConfig: {
       enabled: true,
-      containerName: 'test-container'
+      containerName: 'test-container',
+      blobPathTemplate: '{formSlug}/{yyyy}/{mm}/{submissionId}/{filename}'
     },
     getAzureBlobClient: vi.fn()
   }
@@ -15,6 +27,12 @@ vi.mock('../../../src/config/upload-config.js', () => ({
 // Mock Azure storage blob SDK
 vi.mock('@azure/storage-blob')
 
+// Blobs are filed by submission date, which delivery always passes
+const uploadOptions = (uploadId, options = {}) => ({
+  pathContext: { uploadId, submittedAt: '2025-01-01T00:00:00.000Z' },
+  ...options
+})
+
 describe('azureStorageService', () => {
   beforeEach(() => {
     vi.clearAllMocks()
@@ -60,7 +78,8 @@ describe('azureStorageService', () => {
       const result = await azureStorageService.uploadFile(
         uploadId,
         file,
-        metadata
+        metadata,
+        uploadOptions(uploadId)
       )
 
       // Assert
@@ -74,12 +93,16 @@ describe('azureStorageService', () => {
         file.buffer.length,
         expect.objectContaining({
           blobHTTPHeaders: {
-            blobContentType: file.mimetype
+            blobContentType: file.mimetype,
+            blobContentMD5: expect.any(Buffer)
           },
+          transactionalContentMD5: expect.any(Buffer),
+          conditions: { ifNoneMatch: '*' },
           metadata: expect.objectContaining({
             uploadId,
             originalName: file.originalname,
-            uploadedBy: metadata.uploadedBy
+            uploadedBy: metadata.uploadedBy,
+            sha256: expect.stringMatching(/^[0-9a-f]{64}$/)
           })
         })
       )
@@ -87,7 +110,9 @@ describe('azureStorageService', () => {
       expect(result).toMatchObject({
         success: true,
         uploadId,
-        blobName: file.originalname,
+        blobName: expect.stringMatching(
+          /^direct-upload\/\d{4}\/\d{2}\/test-upload-123\/test\.xlsx$/
+        ),
         url: 'https://test.blob.core.windows.net/test-container/test.xlsx',
         plainUrl: 'https://test.blob.core.windows.net/test-container/test.xlsx',
         size: file.buffer.length,
@@ -127,7 +152,12 @@ describe('azureStorageService', () => {
       uploadConfig.getAzureBlobClient.mockResolvedValue(mockBlobServiceClient)
 
       // Act
-      const result = await azureStorageService.uploadFile(uploadId, file)
+      const result = await azureStorageService.uploadFile(
+        uploadId,
+        file,
+        {},
+        uploadOptions(uploadId)
+      )
 
       // Assert
       expect(result).toMatchObject({
@@ -138,6 +168,65 @@ describe('azureStorageService', () => {
       })
     })
 
+    it('should stream file uploads instead of buffering them', async () => {
+      // Arrange
+      const uploadId = 'test-upload-stream'
+      const stream = Readable.from([Buffer.from('col1,col2\n1,2')])
+      const file = {
+        originalname: 'streamed.csv',
+        stream,
+        mimetype: 'text/csv',
+        size: 13
+      }
+
+      const mockBlockBlobClient = {
+        upload: vi.fn(),
+        uploadStream: vi.fn().mockResolvedValue({
+          etag: '"test-etag"',
+          lastModified: new Date()
+        }),
+        url: 'https://test.blob.core.windows.net/test-container/streamed.csv'
+      }
+
+      const mockContainerClient = {
+        createIfNotExists: vi.fn().mockResolvedValue({ succeeded: true }),
+        getBlockBlobClient: vi.fn().mockReturnValue(mockBlockBlobClient)
+      }
+
+      const mockBlobServiceClient = {
+        getContainerClient: vi.fn().mockReturnValue(mockContainerClient)
+      }
+
+      const { uploadConfig } = await import(
+        '../../../src/config/upload-config.js'
+      )
+      uploadConfig.getAzureBlobClient.mockResolvedValue(mockBlobServiceClient)
+
+      // Act
+      const result = await azureStorageService.uploadFile(
+        uploadId,
+        file,
+        {},
+        uploadOptions(uploadId)
+      )
+
+      // Assert
+      expect(mockBlockBlobClient.upload).not.toHaveBeenCalled()
+      expect(mockBlockBlobClient.uploadStream).toHaveBeenCalledWith(
+        stream,
+        expect.any(Number),
+        expect.any(Number),
+        expect.objectContaining({
+          blobHTTPHeaders: { blobContentType: 'text/csv' }
+        })
+      )
+      expect(result).toMatchObject({
+        success: true,
+        blobName: expect.stringMatching(/\/test-upload-stream\/streamed\.csv$/),
+        size: 13
+      })
+    })
+
     it('should reject container creation with public access', async () => {
       // This test validates that our mock correctly simulates the Azure behavior
       const mockContainerClient = {
@@ -202,31 +291,442 @@ describe('azureStorageService', () => {
       )
       uploadConfig.getAzureBlobClient.mockResolvedValue(mockBlobServiceClient)
 
+      const pathContext = {
+        uploadId,
+        formSlug: 'bat-rabies',
+        submissionId: 'submission-1',
+        submittedAt: '2025-03-04T10:00:00.000Z'
+      }
+
       // Act - Upload spreadsheet
       const spreadsheetResult = await azureStorageService.uploadFile(
         uploadId,
         spreadsheetFile,
-        { type: 'spreadsheet' }
+        { type: 'spreadsheet' },
+        { pathContext }
       )
 
       // Act - Upload JSON with same uploadId
       const jsonResult = await azureStorageService.uploadFile(
         uploadId,
         jsonFile,
-        { type: 'form-data', relatedSpreadsheet: 'data.xlsx' }
+        { type: 'form-data', relatedSpreadsheet: 'data.xlsx' },
+        { pathContext }
       )
 
-      // Assert - Both files should be in the root folder
-      expect(spreadsheetResult.blobName).toBe(spreadsheetFile.originalname)
-      expect(jsonResult.blobName).toBe(jsonFile.originalname)
-
-      // Verify getBlockBlobClient was called with correct paths (root level)
+      // Assert - Both files should be in the submission's folder
+      expect(spreadsheetResult.blobName).toBe(
+        'bat-rabies/2025/03/submission-1/data.xlsx'
+      )
+      expect(jsonResult.blobName).toBe(
+        'bat-rabies/2025/03/submission-1/data.json'
+      )
       expect(mockContainerClient.getBlockBlobClient).toHaveBeenCalledWith(
-        'data.xlsx'
+        'bat-rabies/2025/03/submission-1/data.xlsx'
       )
       expect(mockContainerClient.getBlockBlobClient).toHaveBeenCalledWith(
-        'data.json'
+        'bat-rabies/2025/03/submission-1/data.json'
+      )
+    })
+
+    describe('block uploads', () => {
+      const content = Buffer.from('0123456789')
+      const file = {
+        originalname: 'data.csv',
+        size: content.length,
+        createReadStream: ({ start, end }) =>
+          Readable.from([content.subarray(start, end + 1)])
+      }
+      const blockId = (index) =>
+        Buffer.from(`block-${String(index).padStart(6, '0')}`).toString(
+          'base64'
+        )
+      let mockBlockBlobClient
+      let uploadConfig
+
+      beforeEach(async () => {
+        mockBlockBlobClient = {
+          stageBlock: vi.fn().mockResolvedValue({}),
+          commitBlockList: vi.fn().mockResolvedValue({ etag: '"committed"' }),
+          getBlockList: vi.fn(),
+          url: 'https://test.blob.core.windows.net/test-container/data.csv'
+        }
+        ;({ uploadConfig } = await import(
+          '../../../src/config/upload-config.js'
+        ))
+        uploadConfig.azureConfig.blockSize = 4
+        uploadConfig.azureConfig.uploadConcurrency = 2
+        uploadConfig.getAzureBlobClient.mockResolvedValue({
+          getContainerClient: () => ({
+            createIfNotExists: vi.fn(),
+            getBlockBlobClient: () => mockBlockBlobClient
+          })
+        })
+      })
+
+      afterEach(() => {
+        delete uploadConfig.azureConfig.blockSize
+        delete uploadConfig.azureConfig.uploadConcurrency
+      })
+
+      it('should stage the file in blocks and commit them in order', async () => {
+        const result = await azureStorageService.uploadFile(
+          'upload-1',
+          file,
+          { type: 'spreadsheet' },
+          uploadOptions('upload-1')
+        )
+
+        const staged = mockBlockBlobClient.stageBlock.mock.calls
+          .map(([id, body]) => [id, body.toString()])
+          .sort()
+        expect(staged).toEqual([
+          [blockId(0), '0123'],
+          [blockId(1), '4567'],
+          [blockId(2), '89']
+        ])
+        expect(mockBlockBlobClient.stageBlock.mock.calls[0][3]).toEqual({
+          transactionalContentMD5: expect.any(Buffer)
+        })
+        expect(mockBlockBlobClient.commitBlockList).toHaveBeenCalledWith(
+          [blockId(0), blockId(1), blockId(2)],
+          expect.objectContaining({
+            conditions: { ifNoneMatch: '*' },
+            metadata: expect.objectContaining({ type: 'spreadsheet' })
+          })
+        )
+        expect(result).toMatchObject({ success: true, etag: '"committed"' })
+      })
+
+      it('should report the staged blocks after each one', async () => {
+        const onBlocksStaged = vi.fn()
+
+        const result = await azureStorageService.uploadFile(
+          'upload-1',
+          file,
+          {},
+          uploadOptions('upload-1', { onBlocksStaged })
+        )
+
+        expect(onBlocksStaged).toHaveBeenCalledTimes(3)
+        expect(onBlocksStaged).toHaveBeenLastCalledWith({
+          blobName: result.blobName,
+          blockSize: 4,
+          blockIds: expect.arrayContaining([blockId(0), blockId(1), blockId(2)])
+        })
+      })
+
+      it('should resume from the blocks an earlier attempt staged', async () => {
+        mockBlockBlobClient.getBlockList.mockResolvedValue({
+          uncommittedBlocks: [{ name: blockId(0) }, { name: blockId(1) }]
+        })
+        const { blobName } = await azureStorageService.uploadFile(
+          'upload-1',
+          file,
+          {},
+          uploadOptions('upload-1')
+        )
+        mockBlockBlobClient.stageBlock.mockClear()
+
+        await azureStorageService.uploadFile(
+          'upload-1',
+          file,
+          {},
+          uploadOptions('upload-1', {
+            resume: {
+              blobName,
+              blockSize: 4,
+              blockIds: [blockId(0), blockId(1)]
+            }
+          })
+        )
+
+        expect(mockBlockBlobClient.getBlockList).toHaveBeenCalledWith(
+          'uncommitted'
+        )
+        expect(mockBlockBlobClient.stageBlock).toHaveBeenCalledTimes(1)
+        expect(mockBlockBlobClient.stageBlock).toHaveBeenCalledWith(
+          blockId(2),
+          expect.any(Buffer),
+          2,
+          expect.any(Object)
+        )
+      })
+
+      it('should stage every block again when the block size changed', async () => {
+        const { blobName } = await azureStorageService.uploadFile(
+          'upload-1',
+          file,
+          {},
+          uploadOptions('upload-1')
+        )
+        mockBlockBlobClient.stageBlock.mockClear()
+
+        await azureStorageService.uploadFile(
+          'upload-1',
+          file,
+          {},
+          uploadOptions('upload-1', {
+            resume: { blobName, blockSize: 8, blockIds: [blockId(0)] }
+          })
+        )
+
+        expect(mockBlockBlobClient.getBlockList).not.toHaveBeenCalled()
+        expect(mockBlockBlobClient.stageBlock).toHaveBeenCalledTimes(3)
+      })
+    })
+
+    describe('checksums', () => {
+      const content = Buffer.from('col1,col2\n1,2')
+      const sha256 = createHash('sha256').update(content).digest('hex')
+      let mockBlockBlobClient
+
+      beforeEach(async () => {
+        mockBlockBlobClient = {
+          upload: vi.fn().mockResolvedValue({ etag: '"test-etag"' }),
+          uploadStream: vi.fn().mockResolvedValue({ etag: '"test-etag"' }),
+          download: vi.fn(),
+          deleteIfExists: vi.fn().mockResolvedValue({ succeeded: true }),
+          url: 'https://test.blob.core.windows.net/test-container/data.csv'
+        }
+
+        const { uploadConfig } = await import(
+          '../../../src/config/upload-config.js'
+        )
+        uploadConfig.getAzureBlobClient.mockResolvedValue({
+          getContainerClient: () => ({
+            createIfNotExists: vi.fn(),
+            getBlockBlobClient: () => mockBlockBlobClient
+          })
+        })
+      })
+
+      it('should send the Content-MD5 of a buffer', async () => {
+        await azureStorageService.uploadFile(
+          'upload-1',
+          { originalname: 'data.csv', buffer: content },
+          {},
+          uploadOptions('upload-1')
+        )
+
+        const [, , options] = mockBlockBlobClient.upload.mock.calls[0]
+        const md5 = createHash('md5').update(content).digest()
+        expect(options.transactionalContentMD5).toEqual(md5)
+        expect(options.blobHTTPHeaders.blobContentMD5).toEqual(md5)
+        expect(options.metadata.sha256).toBe(sha256)
+      })
+
+      it('should not send a buffer that differs from its checksum', async () => {
+        await expect(
+          azureStorageService.uploadFile(
+            'upload-1',
+            { originalname: 'data.csv', buffer: content },
+            { sha256: 'f'.repeat(64) },
+            uploadOptions('upload-1')
+          )
+        ).rejects.toThrow(ChecksumMismatchError)
+        expect(mockBlockBlobClient.upload).not.toHaveBeenCalled()
+      })
+
+      it('should read a streamed blob back and check it', async () => {
+        mockBlockBlobClient.download.mockResolvedValue({
+          readableStreamBody: Readable.from([content])
+        })
+
+        const result = await azureStorageService.uploadFile(
+          'upload-1',
+          { originalname: 'data.csv', stream: Readable.from([content]) },
+          { sha256 },
+          uploadOptions('upload-1')
+        )
+
+        expect(result).toMatchObject({ success: true, sha256 })
+        expect(mockBlockBlobClient.uploadStream.mock.calls[0][3]).toMatchObject(
+          { metadata: { sha256 } }
+        )
+        expect(mockBlockBlobClient.deleteIfExists).not.toHaveBeenCalled()
+      })
+
+      it('should delete a streamed blob that does not match', async () => {
+        mockBlockBlobClient.download.mockResolvedValue({
+          readableStreamBody: Readable.from([Buffer.from('corrupted')])
+        })
+
+        await expect(
+          azureStorageService.uploadFile(
+            'upload-1',
+            { originalname: 'data.csv', stream: Readable.from([content]) },
+            { sha256 },
+            uploadOptions('upload-1')
+          )
+        ).rejects.toThrow(ChecksumMismatchError)
+        expect(mockBlockBlobClient.deleteIfExists).toHaveBeenCalled()
+      })
+    })
+
+    describe('when the blob already exists', () => {
+      const file = {
+        originalname: 'data.csv',
+        buffer: Buffer.from('a,b'),
+        mimetype: 'text/csv'
+      }
+      let mockBlockBlobClient
+
+      beforeEach(async () => {
+        const conflict = Object.assign(new Error('BlobAlreadyExists'), {
+          statusCode: 409
+        })
+        mockBlockBlobClient = {
+          upload: vi.fn().mockRejectedValue(conflict),
+          getProperties: vi.fn(),
+          url: 'https://test.blob.core.windows.net/test-container/data.csv'
+        }
+
+        const { uploadConfig } = await import(
+          '../../../src/config/upload-config.js'
+        )
+        uploadConfig.getAzureBlobClient.mockResolvedValue({
+          getContainerClient: () => ({
+            createIfNotExists: vi.fn(),
+            getBlockBlobClient: () => mockBlockBlobClient
+          })
+        })
+      })
+
+      it('should treat a blob written by an earlier attempt as delivered', async () => {
+        mockBlockBlobClient.getProperties.mockResolvedValue({
+          etag: '"existing"',
+          metadata: { uploadid: 'upload-1' }
+        })
+
+        const result = await azureStorageService.uploadFile(
+          'upload-1',
+          file,
+          {},
+          uploadOptions('upload-1')
+        )
+
+        expect(result).toMatchObject({ success: true, etag: '"existing"' })
+      })
+
+      it("should refuse to overwrite another upload's blob", async () => {
+        mockBlockBlobClient.getProperties.mockResolvedValue({
+          metadata: { uploadid: 'upload-2' }
+        })
+
+        await expect(
+          azureStorageService.uploadFile(
+            'upload-1',
+            file,
+            {},
+            uploadOptions('upload-1')
+          )
+        ).rejects.toThrow(BlobExistsError)
+      })
+    })
+
+    it('should not upload without the submission date of a dated path', async () => {
+      const getBlockBlobClient = vi.fn()
+      const { uploadConfig } = await import(
+        '../../../src/config/upload-config.js'
+      )
+      uploadConfig.getAzureBlobClient.mockResolvedValue({
+        getContainerClient: vi.fn().mockReturnValue({
+          createIfNotExists: vi.fn().mockResolvedValue({ succeeded: true }),
+          getBlockBlobClient
+        })
+      })
+
+      await expect(
+        azureStorageService.uploadFile('upload-1', {
+          originalname: 'data.csv',
+          buffer: Buffer.from('a,b')
+        })
+      ).rejects.toThrow(
+        'No submission date to build the blob path of upload upload-1'
+      )
+      expect(getBlockBlobClient).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('generateSasUrl', () => {
+    let blobServiceClient
+    let mockBlockBlobClient
+
+    beforeEach(async () => {
+      mockBlockBlobClient = {
+        exists: vi.fn().mockResolvedValue(true),
+        url: 'https://account.blob.core.windows.net/test-container/a/data.csv'
+      }
+      blobServiceClient = {
+        accountName: 'account',
+        credential: new StorageSharedKeyCredential('account', 'key'),
+        getUserDelegationKey: vi.fn().mockResolvedValue({ value: 'key' }),
+        getContainerClient: () => ({
+          getBlockBlobClient: () => mockBlockBlobClient
+        })
+      }
+
+      const { uploadConfig } = await import(
+        '../../../src/config/upload-config.js'
       )
+      uploadConfig.getAzureBlobClient.mockResolvedValue(blobServiceClient)
+      generateBlobSASQueryParameters.mockReturnValue({
+        toString: () => 'sas-token'
+      })
+    })
+
+    it('should sign an account SAS with the requested permissions and expiry', async () => {
+      const before = Date.now()
+
+      const result = await azureStorageService.generateSasUrl(
+        'upload-1',
+        'a/data.csv',
+        'r',
+        0.25
+      )
+
+      expect(BlobSASPermissions.parse).toHaveBeenCalledWith('r')
+      const [[options, credential]] = generateBlobSASQueryParameters.mock.calls
+      expect(credential).toBe(blobServiceClient.credential)
+      expect(options).toMatchObject({
+        containerName: 'test-container',
+        blobName: 'a/data.csv',
+        protocol: 'https'
+      })
+      expect(options.expiresOn.getTime() - before).toBeGreaterThanOrEqual(
+        15 * 60 * 1000
+      )
+      expect(options.expiresOn.getTime() - before).toBeLessThan(16 * 60 * 1000)
+      expect(result).toMatchObject({
+        success: true,
+        sasUrl: `${mockBlockBlobClient.url}?sas-token`,
+        expiresOn: options.expiresOn.toISOString()
+      })
+    })
+
+    it('should sign a user delegation SAS without an account key', async () => {
+      blobServiceClient.credential = {}
+
+      await azureStorageService.generateSasUrl('upload-1', 'a/data.csv')
+
+      const [[options, delegationKey, accountName]] =
+        generateBlobSASQueryParameters.mock.calls
+      expect(blobServiceClient.getUserDelegationKey).toHaveBeenCalledWith(
+        options.startsOn,
+        options.expiresOn
+      )
+      expect(delegationKey).toEqual({ value: 'key' })
+      expect(accountName).toBe('account')
+    })
+
+    it('should not sign URLs for blobs that do not exist', async () => {
+      mockBlockBlobClient.exists.mockResolvedValue(false)
+
+      await expect(
+        azureStorageService.generateSasUrl('upload-1', 'a/data.csv')
+      ).rejects.toThrow('File not found')
+      expect(generateBlobSASQueryParameters).not.toHaveBeenCalled()
     })
   })
 })
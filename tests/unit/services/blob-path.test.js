@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildBlobPath,
+  getBlobPathContext
+} from '../../../src/server/upload/services/blob-path.js'
+
+const TEMPLATE = '{formSlug}/{yyyy}/{mm}/{submissionId}/{filename}'
+
+describe('blob path', () => {
+  describe('buildBlobPath', () => {
+    it('should fill the template from the submission', () => {
+      const blobName = buildBlobPath(
+        TEMPLATE,
+        {
+          uploadId: 'upload-1',
+          formSlug: 'bat-rabies',
+          submissionId: 'submission-1',
+          submittedAt: '2025-03-04T23:30:00.000Z'
+        },
+        'results_2025.xlsx'
+      )
+
+      expect(blobName).toBe('bat-rabies/2025/03/submission-1/results_2025.xlsx')
+    })
+
+    it('should fall back to the upload id and a direct upload folder', () => {
+      const blobName = buildBlobPath(
+        '{formSlug}/{yyyy}-{mm}-{dd}/{submissionId}/{filename}',
+        { uploadId: 'upload-1', submittedAt: '2025-12-01T00:00:00.000Z' },
+        'data.csv'
+      )
+
+      expect(blobName).toBe('direct-upload/2025-12-01/upload-1/data.csv')
+    })
+
+    it('should keep each value within its own path segment', () => {
+      const blobName = buildBlobPath(
+        '{formSlug}/{uploadId}/{filename}',
+        { uploadId: '..', formSlug: 'a/b' },
+        '../../etc passwd'
+      )
+
+      expect(blobName).toBe('a-b/-/..-..-etc-passwd')
+    })
+
+    it('should reject a date template when the submission date is missing', () => {
+      expect(() =>
+        buildBlobPath(TEMPLATE, { uploadId: 'upload-1' }, 'data.csv')
+      ).toThrow('No submission date to build the blob path of upload upload-1')
+    })
+
+    it('should not need a date when the template has none', () => {
+      expect(
+        buildBlobPath('{uploadId}/{filename}', { uploadId: 'upload-1' }, 'x')
+      ).toBe('upload-1/x')
+    })
+
+    it('should reject templates without the filename', () => {
+      expect(() =>
+        buildBlobPath('{formSlug}/{uploadId}', { uploadId: 'upload-1' }, 'x')
+      ).toThrow('Blob path template must include {filename}')
+    })
+
+    it('should reject unknown placeholders', () => {
+      expect(() =>
+        buildBlobPath('{tenant}/{filename}', { uploadId: 'upload-1' }, 'x')
+      ).toThrow('Unknown placeholder {tenant} in blob path template')
+    })
+  })
+
+  describe('getBlobPathContext', () => {
+    it('should prefer the form submission over the upload record', () => {
+      expect(
+        getBlobPathContext('upload-1', {
+          formId: 'form-id',
+          formSlug: 'bat-rabies',
+          uploadedAt: '2025-01-01T00:00:00.000Z',
+          formData: {
+            submissionId: 'submission-1',
+            submittedAt: '2025-01-02T00:00:00.000Z'
+          }
+        })
+      ).toEqual({
+        uploadId: 'upload-1',
+        formSlug: 'bat-rabies',
+        formId: 'form-id',
+        submissionId: 'submission-1',
+        submittedAt: '2025-01-02T00:00:00.000Z'
+      })
+    })
+
+    it('should fall back to the date delivery started', () => {
+      expect(
+        getBlobPathContext('upload-1', {
+          deliveryStartedAt: '2025-01-03T00:00:00.000Z'
+        }).submittedAt
+      ).toBe('2025-01-03T00:00:00.000Z')
+    })
+  })
+})
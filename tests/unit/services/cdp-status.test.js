@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isCdpStatusResponse,
+  readCdpStatus
+} from '../../../src/server/upload/services/cdp-status.js'
+
+const file = {
+  fileId: 'file-1',
+  filename: 'results.csv',
+  contentType: 'text/csv',
+  fileStatus: 'complete',
+  contentLength: 20,
+  checksumSha256: Buffer.from('ab'.repeat(32), 'hex').toString('base64'),
+  detectedContentType: 'text/csv',
+  s3Key: 'staging/cdp-1/file-1',
+  s3Bucket: 'cdp-bucket'
+}
+
+const status = (overrides = {}, fileOverrides = {}) => ({
+  uploadStatus: 'ready',
+  metadata: { uploadId: 'upload-1' },
+  form: {
+    description: 'March returns',
+    upload: { ...file, ...fileOverrides }
+  },
+  numberOfRejectedFiles: 0,
+  ...overrides
+})
+
+describe('readCdpStatus', () => {
+  it('should read a clean file and the other form fields', () => {
+    expect(readCdpStatus(status())).toEqual({
+      uploadStatus: 'ready',
+      metadata: { uploadId: 'upload-1' },
+      fields: { description: 'March returns' },
+      file: {
+        fileId: 'file-1',
+        filename: 'results.csv',
+        contentType: 'text/csv',
+        size: 20,
+        sha256: 'ab'.repeat(32),
+        s3Key: 'staging/cdp-1/file-1',
+        s3Bucket: 'cdp-bucket'
+      },
+      virusScanStatus: 'clean',
+      error: undefined
+    })
+  })
+
+  it('should report a rejected file with its error message', () => {
+    const result = readCdpStatus(
+      status(
+        { numberOfRejectedFiles: 1 },
+        {
+          fileStatus: 'rejected',
+          hasError: true,
+          errorMessage: 'The selected file contains a virus'
+        }
+      )
+    )
+
+    expect(result).toMatchObject({
+      virusScanStatus: 'rejected',
+      error: 'The selected file contains a virus'
+    })
+  })
+
+  it('should report the scan as pending until the upload is ready', () => {
+    expect(
+      readCdpStatus(
+        status({ uploadStatus: 'pending' }, { fileStatus: 'pending' })
+      ).virusScanStatus
+    ).toBe('pending')
+    expect(
+      readCdpStatus({ uploadStatus: 'initiated', metadata: {}, form: {} })
+    ).toMatchObject({ file: undefined, virusScanStatus: 'pending' })
+  })
+
+  it('should reject a ready upload with no file', () => {
+    expect(
+      readCdpStatus(status({ form: { description: 'March returns' } }))
+    ).toMatchObject({
+      virusScanStatus: 'rejected',
+      error: 'No file was uploaded'
+    })
+  })
+
+  it('should take the first file of a field holding several', () => {
+    const result = readCdpStatus(
+      status({
+        form: { upload: [file, { ...file, fileId: 'file-2' }] }
+      })
+    )
+
+    expect(result.file.fileId).toBe('file-1')
+    expect(result.fields).toEqual({})
+  })
+})
+
+describe('isCdpStatusResponse', () => {
+  it('should tell status responses from proxy mode callbacks', () => {
+    expect(isCdpStatusResponse(status())).toBe(true)
+    expect(
+      isCdpStatusResponse({ uploadId: 'upload-1', virusScanStatus: 'clean' })
+    ).toBe(false)
+  })
+})
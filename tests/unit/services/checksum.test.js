@@ -0,0 +1,56 @@
+import { Readable } from 'node:stream'
+import { describe, it, expect } from 'vitest'
+import {
+  ChecksumMismatchError,
+  assertChecksum,
+  computeMd5,
+  computeSha256,
+  computeStreamSha256
+} from '../../../src/server/upload/services/checksum.js'
+
+const ABC_SHA256 =
+  'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+
+describe('checksum', () => {
+  describe('computeSha256', () => {
+    it('should return the hex digest of the content', () => {
+      expect(computeSha256(Buffer.from('abc'))).toBe(ABC_SHA256)
+    })
+  })
+
+  describe('computeStreamSha256', () => {
+    it('should give the same digest as the buffered content', async () => {
+      const stream = Readable.from([Buffer.from('a'), Buffer.from('bc')])
+
+      expect(await computeStreamSha256(stream)).toBe(ABC_SHA256)
+    })
+  })
+
+  describe('computeMd5', () => {
+    it('should return the raw digest used for Content-MD5', () => {
+      expect(computeMd5(Buffer.from('abc')).toString('base64')).toBe(
+        'kAFQmDzST7DWlj99KOF/cg=='
+      )
+    })
+  })
+
+  describe('assertChecksum', () => {
+    it('should accept a matching copy', () => {
+      expect(() =>
+        assertChecksum(ABC_SHA256, ABC_SHA256, 'staged file')
+      ).not.toThrow()
+    })
+
+    it('should accept uploads received without a checksum', () => {
+      expect(() =>
+        assertChecksum(undefined, ABC_SHA256, 'staged file')
+      ).not.toThrow()
+    })
+
+    it('should reject a copy that differs', () => {
+      expect(() => assertChecksum(ABC_SHA256, 'other', 'staged file')).toThrow(
+        ChecksumMismatchError
+      )
+    })
+  })
+})
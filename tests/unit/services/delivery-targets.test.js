@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DeliveryTargetError,
+  findDeliveredFile,
+  getTargetOptions,
+  resolveDeliveryTargets
+} from '../../../src/server/upload/services/delivery-targets.js'
+import { metadata as exampleMetadata } from '../../../src/server/forms/example-form.js'
+import { metadata as contactMetadata } from '../../../src/server/forms/contact-form.js'
+import { metadata as batRabiesMetadata } from '../../../src/server/forms/bat-rabies.js'
+import { uploadConfig } from '../../../src/config/upload-config.js'
+
+describe('delivery targets', () => {
+  describe('resolveDeliveryTargets', () => {
+    it('should deliver to the configured default targets when a form declares none', () => {
+      expect(resolveDeliveryTargets(undefined)).toEqual([
+        { id: 'azure', type: 'azure' }
+      ])
+      expect(resolveDeliveryTargets([])).toEqual([
+        { id: 'azure', type: 'azure' }
+      ])
+    })
+
+    it('should name each target after its type unless given an id', () => {
+      expect(
+        resolveDeliveryTargets([
+          { type: 'azure' },
+          { id: 'archive', type: 's3', bucket: 'apha-archive' }
+        ])
+      ).toEqual([
+        { id: 'azure', type: 'azure' },
+        { id: 'archive', type: 's3', bucket: 'apha-archive' }
+      ])
+    })
+
+    it('should reject unknown types and duplicate ids', () => {
+      expect(() => resolveDeliveryTargets([{ type: 'ftp' }])).toThrow(
+        DeliveryTargetError
+      )
+      expect(() =>
+        resolveDeliveryTargets([{ type: 's3' }, { type: 's3' }])
+      ).toThrow('Duplicate delivery target id s3')
+    })
+
+    it('should accept the targets every form declares', () => {
+      for (const { deliveryTargets } of [
+        exampleMetadata,
+        contactMetadata,
+        batRabiesMetadata
+      ]) {
+        expect(() => resolveDeliveryTargets(deliveryTargets)).not.toThrow()
+      }
+    })
+  })
+
+  describe('getTargetOptions', () => {
+    it('should leave targets using the configured location unchanged', () => {
+      expect(getTargetOptions({ id: 'azure', type: 'azure' })).toEqual({})
+    })
+
+    it('should place files under the prefix of a target', () => {
+      expect(
+        getTargetOptions({
+          id: 'archive',
+          type: 's3',
+          bucket: 'apha-archive',
+          prefix: '/bat-rabies/'
+        })
+      ).toEqual({
+        bucket: 'apha-archive',
+        pathTemplate: `bat-rabies/${uploadConfig.s3Config.keyTemplate}`
+      })
+    })
+
+    it('should use the path template and container a target gives', () => {
+      expect(
+        getTargetOptions({
+          id: 'azure',
+          type: 'azure',
+          container: 'bat-rabies',
+          pathTemplate: '{submissionId}/{filename}'
+        })
+      ).toEqual({
+        container: 'bat-rabies',
+        pathTemplate: '{submissionId}/{filename}'
+      })
+    })
+  })
+
+  describe('findDeliveredFile', () => {
+    it('should serve the first target that was delivered to', () => {
+      expect(
+        findDeliveredFile({
+          deliveries: {
+            azure: { type: 'azure', status: 'failed' },
+            archive: {
+              type: 's3',
+              bucket: 'apha-archive',
+              status: 'delivered',
+              blobName: 'results.xlsx'
+            }
+          }
+        })
+      ).toEqual({
+        target: {
+          id: 'archive',
+          type: 's3',
+          container: undefined,
+          bucket: 'apha-archive'
+        },
+        blobName: 'results.xlsx'
+      })
+    })
+
+    it('should fall back to Azure for uploads delivered before targets were tracked', () => {
+      expect(
+        findDeliveredFile({
+          azureTransferred: true,
+          azureBlobName: 'results.xlsx'
+        })
+      ).toEqual({
+        target: { id: 'azure', type: 'azure' },
+        blobName: 'results.xlsx'
+      })
+    })
+
+    it('should find nothing before the upload is delivered', () => {
+      expect(findDeliveredFile({ status: 'processing' })).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createDownloadUrl,
+  verifyDownloadUrl
+} from '../../../src/server/upload/services/download-links.js'
+
+const issuedAt = new Date('2025-03-04T10:00:00.000Z')
+
+const parse = (url) => {
+  const { pathname, searchParams } = new URL(url, 'http://localhost')
+  return {
+    pathname,
+    expires: Number(searchParams.get('expires')),
+    signature: searchParams.get('signature')
+  }
+}
+
+describe('download links', () => {
+  it('should sign a link to the download route', () => {
+    const { pathname, expires, signature } = parse(
+      createDownloadUrl('upload-1', issuedAt)
+    )
+
+    expect(pathname).toBe('/download/upload-1')
+    expect(expires).toBe(issuedAt.getTime() / 1000 + 24 * 60 * 60)
+    expect(signature).toMatch(/^[0-9a-f]{64}$/)
+  })
+
+  it('should accept an unexpired link for the same upload', () => {
+    const { expires, signature } = parse(
+      createDownloadUrl('upload-1', issuedAt)
+    )
+
+    expect(verifyDownloadUrl('upload-1', expires, signature, issuedAt)).toBe(
+      true
+    )
+  })
+
+  it('should reject a link issued for another upload', () => {
+    const { expires, signature } = parse(
+      createDownloadUrl('upload-2', issuedAt)
+    )
+
+    expect(verifyDownloadUrl('upload-1', expires, signature, issuedAt)).toBe(
+      false
+    )
+  })
+
+  it('should reject a link whose expiry was changed', () => {
+    const { expires, signature } = parse(
+      createDownloadUrl('upload-1', issuedAt)
+    )
+
+    expect(
+      verifyDownloadUrl('upload-1', expires + 3600, signature, issuedAt)
+    ).toBe(false)
+  })
+
+  it('should reject an expired link', () => {
+    const { expires, signature } = parse(
+      createDownloadUrl('upload-1', issuedAt)
+    )
+    const later = new Date((expires + 1) * 1000)
+
+    expect(verifyDownloadUrl('upload-1', expires, signature, later)).toBe(false)
+  })
+
+  it('should reject a link without a signature', () => {
+    expect(verifyDownloadUrl('upload-1', undefined, undefined, issuedAt)).toBe(
+      false
+    )
+  })
+})
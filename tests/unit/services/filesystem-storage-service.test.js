@@ -0,0 +1,250 @@
+import { createHash } from 'node:crypto'
+import fsp from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+import { buffer as readAll } from 'node:stream/consumers'
+import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { filesystemStorageService } from '../../../src/server/upload/services/filesystem-storage-service.js'
+import { BlobExistsError } from '../../../src/server/upload/services/azure-storage-service.js'
+import { ChecksumMismatchError } from '../../../src/server/upload/services/checksum.js'
+import { uploadConfig } from '../../../src/config/upload-config.js'
+
+vi.mock('../../../src/config/upload-config.js', () => ({
+  uploadConfig: {
+    azureConfig: { enabled: false },
+    filesystemConfig: {
+      enabled: true,
+      pathTemplate: '{formSlug}/{yyyy}/{mm}/{submissionId}/{filename}'
+    }
+  }
+}))
+
+const sha256Of = (content) => createHash('sha256').update(content).digest('hex')
+
+const pathContext = {
+  uploadId: 'upload-1',
+  formSlug: 'bat-rabies',
+  submissionId: 'submission-1',
+  submittedAt: '2025-03-14T10:00:00.000Z'
+}
+
+const content = Buffer.from('species,count\nbat,1\n')
+
+describe('filesystemStorageService', () => {
+  let directory
+
+  beforeEach(async () => {
+    directory = await fsp.mkdtemp(path.join(os.tmpdir(), 'apha-sdo-fs-'))
+    uploadConfig.filesystemConfig.enabled = true
+    uploadConfig.filesystemConfig.directory = directory
+  })
+
+  afterEach(async () => {
+    await fsp.rm(directory, { recursive: true, force: true })
+  })
+
+  describe('uploadFile', () => {
+    it('should write the file under the path template with its metadata', async () => {
+      const result = await filesystemStorageService.uploadFile(
+        'upload-1',
+        content,
+        {
+          originalName: 'results.csv',
+          contentType: 'text/csv',
+          sha256: sha256Of(content)
+        },
+        { pathContext }
+      )
+
+      expect(result).toMatchObject({
+        success: true,
+        blobName: 'bat-rabies/2025/03/submission-1/results.csv',
+        size: content.length,
+        contentType: 'text/csv',
+        sha256: sha256Of(content)
+      })
+      expect(await fsp.readFile(path.join(directory, result.blobName))).toEqual(
+        content
+      )
+    })
+
+    it('should stream staged files into place', async () => {
+      const result = await filesystemStorageService.uploadFile(
+        'upload-1',
+        {
+          createReadStream: () => Readable.from([content]),
+          originalname: 'results.csv',
+          size: content.length
+        },
+        { sha256: sha256Of(content) },
+        { pathContext }
+      )
+
+      expect(await fsp.readFile(path.join(directory, result.blobName))).toEqual(
+        content
+      )
+    })
+
+    it('should place files in the directory and path of a target', async () => {
+      const targetDirectory = path.join(directory, 'archive')
+
+      const result = await filesystemStorageService.uploadFile(
+        'upload-1',
+        content,
+        { originalName: 'results.csv' },
+        {
+          pathContext,
+          directory: targetDirectory,
+          pathTemplate: 'bat-rabies/{submissionId}/{filename}'
+        }
+      )
+
+      expect(result.blobName).toBe('bat-rabies/submission-1/results.csv')
+      expect(
+        await fsp.readFile(path.join(targetDirectory, result.blobName))
+      ).toEqual(content)
+    })
+
+    it('should accept a retried write for the same upload', async () => {
+      const write = () =>
+        filesystemStorageService.uploadFile(
+          'upload-1',
+          content,
+          { originalName: 'results.csv' },
+          { pathContext }
+        )
+
+      await write()
+
+      await expect(write()).resolves.toMatchObject({ success: true })
+    })
+
+    it('should never overwrite a file written for another upload', async () => {
+      await filesystemStorageService.uploadFile(
+        'upload-1',
+        content,
+        { originalName: 'results.csv' },
+        { pathContext }
+      )
+
+      await expect(
+        filesystemStorageService.uploadFile(
+          'upload-2',
+          Buffer.from('other'),
+          { originalName: 'results.csv' },
+          { pathContext }
+        )
+      ).rejects.toThrow(BlobExistsError)
+    })
+
+    it('should leave nothing behind when the content does not match its checksum', async () => {
+      await expect(
+        filesystemStorageService.uploadFile(
+          'upload-1',
+          content,
+          { originalName: 'results.csv', sha256: 'a'.repeat(64) },
+          { pathContext }
+        )
+      ).rejects.toThrow(ChecksumMismatchError)
+
+      expect((await filesystemStorageService.listFiles()).files).toEqual([])
+    })
+
+    it('should refuse to write when the provider is not enabled', async () => {
+      uploadConfig.filesystemConfig.enabled = false
+
+      await expect(
+        filesystemStorageService.uploadFile('upload-1', content)
+      ).rejects.toThrow('Filesystem storage is not enabled')
+    })
+  })
+
+  describe('downloadFile', () => {
+    it('should stream the file with its content type', async () => {
+      const { blobName } = await filesystemStorageService.uploadFile(
+        'upload-1',
+        content,
+        { originalName: 'results.csv', contentType: 'text/csv' },
+        { pathContext }
+      )
+
+      const download = await filesystemStorageService.downloadFile(
+        'upload-1',
+        blobName
+      )
+
+      expect(download).toMatchObject({
+        success: true,
+        contentType: 'text/csv',
+        contentLength: content.length
+      })
+      expect(await readAll(download.stream)).toEqual(content)
+    })
+
+    it('should report files that do not exist', async () => {
+      expect(
+        await filesystemStorageService.downloadFile('upload-1', 'missing.csv')
+      ).toEqual({ success: false, error: 'File not found' })
+    })
+
+    it('should refuse names outside the storage directory', async () => {
+      await expect(
+        filesystemStorageService.downloadFile('upload-1', '../etc/passwd')
+      ).rejects.toThrow('Invalid file name')
+      await expect(
+        filesystemStorageService.downloadFile(
+          'upload-1',
+          '.metadata/results.csv.json'
+        )
+      ).rejects.toThrow('Invalid file name')
+    })
+  })
+
+  describe('listFiles, deleteFile and getContainerStats', () => {
+    it('should list, count and delete delivered files', async () => {
+      const { blobName } = await filesystemStorageService.uploadFile(
+        'upload-1',
+        content,
+        { originalName: 'results.csv' },
+        { pathContext }
+      )
+      await filesystemStorageService.uploadFile(
+        'upload-1',
+        Buffer.from('{}'),
+        { originalName: 'manifest.json' },
+        { pathContext: { ...pathContext, formSlug: 'contact' } }
+      )
+
+      const listed = await filesystemStorageService.listFiles('bat-rabies/')
+      expect(listed).toMatchObject({
+        success: true,
+        count: 1,
+        files: [{ name: blobName, size: content.length }]
+      })
+      expect(await filesystemStorageService.getContainerStats()).toMatchObject({
+        directory,
+        totalFiles: 2,
+        totalSize: content.length + 2
+      })
+
+      expect(
+        await filesystemStorageService.deleteFile('upload-1', blobName)
+      ).toEqual({ success: true, deleted: true })
+      expect(
+        await filesystemStorageService.deleteFile('upload-1', blobName)
+      ).toEqual({ success: false, deleted: false })
+      expect((await filesystemStorageService.listFiles()).count).toBe(1)
+    })
+
+    it('should list nothing before anything is delivered', async () => {
+      uploadConfig.filesystemConfig.directory = path.join(directory, 'empty')
+
+      expect(await filesystemStorageService.listFiles()).toEqual({
+        success: true,
+        files: [],
+        count: 0
+      })
+    })
+  })
+})
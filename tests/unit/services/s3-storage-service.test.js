@@ -0,0 +1,302 @@
+import { createHash } from 'node:crypto'
+import { Readable } from 'node:stream'
+import { vi, describe, it, expect, beforeEach } from 'vitest'
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client
+} from '@aws-sdk/client-s3'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
+import { s3StorageService } from '../../../src/server/upload/services/s3-storage-service.js'
+import { BlobExistsError } from '../../../src/server/upload/services/azure-storage-service.js'
+import { ChecksumMismatchError } from '../../../src/server/upload/services/checksum.js'
+import { uploadConfig } from '../../../src/config/upload-config.js'
+
+// The list paginator only accepts a real client
+const client = new S3Client({ region: 'eu-west-2' })
+client.send = vi.fn()
+
+vi.mock('../../../src/config/upload-config.js', () => ({
+  uploadConfig: {
+    azureConfig: { enabled: false },
+    s3Config: {
+      enabled: true,
+      bucket: 'test-bucket',
+      keyTemplate: '{formSlug}/{yyyy}/{mm}/{submissionId}/{filename}'
+    },
+    getS3Client: vi.fn()
+  }
+}))
+
+vi.mock('@aws-sdk/s3-request-presigner', () => ({
+  getSignedUrl: vi.fn()
+}))
+
+const sha256Of = (content) => createHash('sha256').update(content).digest('hex')
+
+const pathContext = {
+  uploadId: 'upload-1',
+  formSlug: 'bat-rabies',
+  submissionId: 'submission-1',
+  submittedAt: '2025-03-04T10:00:00.000Z'
+}
+
+const s3Error = (name, httpStatusCode) =>
+  Object.assign(new Error(name), { name, $metadata: { httpStatusCode } })
+
+const sentCommands = (type) =>
+  client.send.mock.calls
+    .map(([command]) => command)
+    .filter((command) => command instanceof type)
+
+describe('s3StorageService', () => {
+  beforeEach(() => {
+    client.send.mockReset()
+    uploadConfig.getS3Client.mockReturnValue(client)
+  })
+
+  it('should refuse to run when S3 is not enabled', async () => {
+    uploadConfig.getS3Client.mockReturnValueOnce(null)
+
+    await expect(
+      s3StorageService.uploadFile('upload-1', Buffer.from('data'))
+    ).rejects.toThrow('Amazon S3 is not enabled')
+  })
+
+  describe('uploadFile', () => {
+    it('should write a buffer under the key template with its checksums', async () => {
+      const content = Buffer.from('species,count\nbat,1\n')
+      client.send.mockResolvedValueOnce({ ETag: '"etag"' })
+
+      const result = await s3StorageService.uploadFile(
+        'upload-1',
+        { buffer: content, originalname: 'results.csv', mimetype: 'text/csv' },
+        { sha256: sha256Of(content) },
+        { pathContext }
+      )
+
+      const [put] = sentCommands(PutObjectCommand)
+      expect(put.input).toMatchObject({
+        Bucket: 'test-bucket',
+        Key: 'bat-rabies/2025/03/submission-1/results.csv',
+        ContentLength: content.length,
+        ContentType: 'text/csv',
+        ContentMD5: createHash('md5').update(content).digest('base64'),
+        ChecksumSHA256: createHash('sha256').update(content).digest('base64'),
+        IfNoneMatch: '*',
+        Metadata: expect.objectContaining({
+          uploadId: 'upload-1',
+          originalName: 'results.csv',
+          sha256: sha256Of(content)
+        })
+      })
+      expect(result).toMatchObject({
+        success: true,
+        blobName: 'bat-rabies/2025/03/submission-1/results.csv',
+        url: 's3://test-bucket/bat-rabies/2025/03/submission-1/results.csv',
+        etag: '"etag"',
+        sha256: sha256Of(content)
+      })
+    })
+
+    it('should reject a buffer that does not match the expected checksum', async () => {
+      await expect(
+        s3StorageService.uploadFile(
+          'upload-1',
+          Buffer.from('changed'),
+          { originalName: 'results.csv', sha256: sha256Of('original') },
+          { pathContext }
+        )
+      ).rejects.toThrow(ChecksumMismatchError)
+      expect(client.send).not.toHaveBeenCalled()
+    })
+
+    it('should stream a staged file with its length and expected checksum', async () => {
+      const stream = Readable.from(['data'])
+      const createReadStream = vi.fn().mockReturnValue(stream)
+      client.send.mockResolvedValueOnce({ ETag: '"etag"' })
+
+      await s3StorageService.uploadFile(
+        'upload-1',
+        { createReadStream, size: 4, originalname: 'results.xlsx' },
+        { sha256: sha256Of('data') },
+        { pathContext }
+      )
+
+      const [put] = sentCommands(PutObjectCommand)
+      expect(put.input.Body).toBe(stream)
+      expect(put.input.ContentLength).toBe(4)
+      expect(put.input.ChecksumSHA256).toBe(
+        createHash('sha256').update('data').digest('base64')
+      )
+    })
+
+    it('should report content S3 rejects as a checksum mismatch', async () => {
+      client.send.mockRejectedValueOnce(s3Error('BadDigest', 400))
+
+      await expect(
+        s3StorageService.uploadFile(
+          'upload-1',
+          {
+            createReadStream: () => Readable.from(['data']),
+            size: 4,
+            originalname: 'results.xlsx'
+          },
+          { sha256: sha256Of('other') },
+          { pathContext }
+        )
+      ).rejects.toThrow(ChecksumMismatchError)
+    })
+
+    it('should accept an object an earlier attempt wrote for the same upload', async () => {
+      client.send
+        .mockRejectedValueOnce(s3Error('PreconditionFailed', 412))
+        .mockResolvedValueOnce({
+          ETag: '"existing"',
+          Metadata: { uploadid: 'upload-1' }
+        })
+
+      const result = await s3StorageService.uploadFile(
+        'upload-1',
+        Buffer.from('data'),
+        { originalName: 'results.csv' },
+        { pathContext }
+      )
+
+      expect(result.etag).toBe('"existing"')
+    })
+
+    it('should never overwrite another upload’s object', async () => {
+      client.send
+        .mockRejectedValueOnce(s3Error('PreconditionFailed', 412))
+        .mockResolvedValueOnce({ Metadata: { uploadid: 'upload-2' } })
+
+      await expect(
+        s3StorageService.uploadFile(
+          'upload-1',
+          Buffer.from('data'),
+          { originalName: 'results.csv' },
+          { pathContext }
+        )
+      ).rejects.toThrow(BlobExistsError)
+    })
+  })
+
+  describe('downloadFile', () => {
+    it('should return the object stream and properties', async () => {
+      const body = Readable.from(['data'])
+      client.send.mockResolvedValueOnce({
+        Body: body,
+        ContentType: 'text/csv',
+        ContentLength: 4
+      })
+
+      const result = await s3StorageService.downloadFile('upload-1', 'a/b.csv')
+
+      expect(sentCommands(GetObjectCommand)[0].input).toEqual({
+        Bucket: 'test-bucket',
+        Key: 'a/b.csv'
+      })
+      expect(result).toMatchObject({
+        success: true,
+        stream: body,
+        contentType: 'text/csv',
+        contentLength: 4
+      })
+    })
+
+    it('should report a missing object', async () => {
+      client.send.mockRejectedValueOnce(s3Error('NoSuchKey', 404))
+
+      const result = await s3StorageService.downloadFile('upload-1', 'a/b.csv')
+
+      expect(result).toEqual({ success: false, error: 'File not found' })
+    })
+  })
+
+  describe('generateSasUrl', () => {
+    it('should presign a read of an existing object', async () => {
+      client.send.mockResolvedValueOnce({})
+      getSignedUrl.mockResolvedValueOnce('https://s3.example/a/b.csv?sig')
+
+      const result = await s3StorageService.generateSasUrl(
+        'upload-1',
+        'a/b.csv',
+        'r',
+        5 / 60
+      )
+
+      const [, command, options] = getSignedUrl.mock.calls[0]
+      expect(command).toBeInstanceOf(GetObjectCommand)
+      expect(command.input).toEqual({ Bucket: 'test-bucket', Key: 'a/b.csv' })
+      expect(options).toEqual({ expiresIn: 300 })
+      expect(result).toMatchObject({
+        success: true,
+        sasUrl: 'https://s3.example/a/b.csv?sig'
+      })
+    })
+
+    it('should not presign a missing object', async () => {
+      client.send.mockRejectedValueOnce(s3Error('NotFound', 404))
+
+      await expect(
+        s3StorageService.generateSasUrl('upload-1', 'a/b.csv')
+      ).rejects.toThrow('File not found')
+      expect(getSignedUrl).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('listFiles', () => {
+    it('should list every page under a prefix', async () => {
+      client.send
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'bat-rabies/a.csv', Size: 1 }],
+          IsTruncated: true,
+          NextContinuationToken: 'next'
+        })
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'bat-rabies/b.csv', Size: 2 }]
+        })
+
+      const result = await s3StorageService.listFiles('bat-rabies/')
+
+      expect(sentCommands(ListObjectsV2Command)[1].input).toMatchObject({
+        Bucket: 'test-bucket',
+        Prefix: 'bat-rabies/',
+        ContinuationToken: 'next'
+      })
+      expect(result.files.map(({ name }) => name)).toEqual([
+        'bat-rabies/a.csv',
+        'bat-rabies/b.csv'
+      ])
+      expect(result.count).toBe(2)
+    })
+  })
+
+  describe('deleteFile', () => {
+    it('should delete an existing object', async () => {
+      client.send.mockResolvedValueOnce({}).mockResolvedValueOnce({})
+
+      const result = await s3StorageService.deleteFile('upload-1', 'a/b.csv')
+
+      expect(sentCommands(HeadObjectCommand)).toHaveLength(1)
+      expect(sentCommands(DeleteObjectCommand)[0].input).toEqual({
+        Bucket: 'test-bucket',
+        Key: 'a/b.csv'
+      })
+      expect(result).toEqual({ success: true, deleted: true })
+    })
+
+    it('should report a missing object as not deleted', async () => {
+      client.send.mockRejectedValueOnce(s3Error('NotFound', 404))
+
+      const result = await s3StorageService.deleteFile('upload-1', 'a/b.csv')
+
+      expect(result).toEqual({ success: false, deleted: false })
+      expect(sentCommands(DeleteObjectCommand)).toHaveLength(0)
+    })
+  })
+})
@@ -126,7 +126,7 @@ describe('SpreadsheetValidator', () => {
 
       expect(result.isValid).toBe(false)
       expect(result.errors).toContain(
-        'File type application/pdf is not allowed. Supported types: .csv, .xls, .xlsx'
+        'File type application/pdf is not allowed. Supported types: .csv, .xls, .xlsx, .xlsm, .xlsb and .ods'
       )
     })
 
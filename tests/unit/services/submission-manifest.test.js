@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  MANIFEST_FILENAME,
+  buildSubmissionManifest,
+  deliverSubmissionManifest
+} from '../../../src/server/upload/services/submission-manifest.js'
+import { computeSha256 } from '../../../src/server/upload/services/checksum.js'
+
+const upload = {
+  uploadedAt: '2025-03-04T10:00:00.000Z',
+  processedAt: '2025-03-04T10:00:05.000Z',
+  virusScanStatus: 'clean',
+  formSlug: 'bat-rabies',
+  formVersion: '2025-02-01T00:00:00.000Z',
+  formData: {
+    formId: 'form-1',
+    submissionId: 'submission-1',
+    submittedAt: '2025-03-04T10:00:00.000Z',
+    submittedBy: 'user-1',
+    organisationId: 'org-1'
+  }
+}
+
+const files = [
+  {
+    role: 'spreadsheet',
+    blobName: 'bat-rabies/2025/03/submission-1/results.xlsx',
+    filename: 'results.xlsx',
+    contentType: 'application/vnd.ms-excel',
+    size: 3,
+    sha256: computeSha256(Buffer.from('abc'))
+  }
+]
+
+describe('submission manifest', () => {
+  describe('buildSubmissionManifest', () => {
+    it('should describe the submission and its files', () => {
+      const manifest = buildSubmissionManifest(
+        'upload-1',
+        upload,
+        files,
+        new Date('2025-03-04T10:01:00.000Z')
+      )
+
+      expect(manifest).toEqual({
+        manifestVersion: 1,
+        uploadId: 'upload-1',
+        submissionId: 'submission-1',
+        form: {
+          id: 'form-1',
+          slug: 'bat-rabies',
+          version: '2025-02-01T00:00:00.000Z'
+        },
+        submitter: 'user-1',
+        organisation: 'org-1',
+        scan: { status: 'clean', scannedAt: '2025-03-04T10:00:05.000Z' },
+        timestamps: {
+          uploadedAt: '2025-03-04T10:00:00.000Z',
+          submittedAt: '2025-03-04T10:00:00.000Z',
+          deliveredAt: '2025-03-04T10:01:00.000Z'
+        },
+        files
+      })
+    })
+
+    it('should leave unknown details empty for direct uploads', () => {
+      const manifest = buildSubmissionManifest('upload-1', {}, [])
+
+      expect(manifest).toMatchObject({
+        submissionId: null,
+        form: { id: null, slug: null, version: null },
+        submitter: null,
+        organisation: null,
+        files: []
+      })
+    })
+
+    it('should name the user who uploaded a file with no form', () => {
+      const manifest = buildSubmissionManifest(
+        'upload-1',
+        { uploadedBy: 'user-2', organisationId: 'org-2' },
+        []
+      )
+
+      expect(manifest.submitter).toBe('user-2')
+      expect(manifest.organisation).toBe('org-2')
+    })
+  })
+
+  describe('deliverSubmissionManifest', () => {
+    it('should write the manifest next to the submission files', async () => {
+      const storage = {
+        uploadFile: vi.fn().mockResolvedValue({
+          blobName: 'bat-rabies/2025/03/submission-1/manifest.json'
+        })
+      }
+      const pathContext = { uploadId: 'upload-1' }
+
+      const result = await deliverSubmissionManifest(
+        'upload-1',
+        upload,
+        files,
+        {
+          storage,
+          pathContext
+        }
+      )
+
+      const [[, file, metadata, options]] = storage.uploadFile.mock.calls
+      expect(result.blobName).toBe(
+        'bat-rabies/2025/03/submission-1/manifest.json'
+      )
+      expect(file.originalname).toBe(MANIFEST_FILENAME)
+      expect(JSON.parse(file.buffer.toString())).toEqual(result.manifest)
+      expect(metadata).toMatchObject({ type: 'manifest', fileCount: '1' })
+      expect(options).toEqual({ pathContext })
+    })
+  })
+})
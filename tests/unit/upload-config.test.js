@@ -3,11 +3,18 @@ import { uploadConfig } from '../../src/config/upload-config.js'
 
 describe('Upload Configuration', () => {
   describe('File Type Support', () => {
-    it('should include only CSV, XLS, and XLSX in allowed file types', () => {
+    it('should include every registered spreadsheet format in allowed file types', () => {
       const config = uploadConfig.getFormsEngineConfig()
 
       expect(config.allowedFileTypes).toBeDefined()
-      expect(config.allowedFileTypes).toEqual(['.csv', '.xls', '.xlsx'])
+      expect(config.allowedFileTypes).toEqual([
+        '.csv',
+        '.xls',
+        '.xlsx',
+        '.xlsm',
+        '.xlsb',
+        '.ods'
+      ])
     })
 
     it('should include all supported spreadsheet formats', () => {
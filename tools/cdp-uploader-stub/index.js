@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+/**
+ * Run the CDP uploader stand-in
+ * Usage: node tools/cdp-uploader-stub/index.js
+ * Then point the portal at it: CDP_UPLOADER_ENDPOINT=http://localhost:7337
+ */
+
+import { createCdpUploaderStub } from './server.js'
+
+const server = await createCdpUploaderStub({
+  port: Number(process.env.PORT ?? 7337),
+  host: process.env.HOST ?? 'localhost',
+  callbackToken: process.env.CALLBACK_AUTH_TOKEN,
+  scanDelay: Number(process.env.CDP_STUB_SCAN_DELAY ?? 3000),
+  portalUrl: process.env.PORTAL_URL
+})
+
+server.events.on({ name: 'log', channels: 'app' }, (event) =>
+  console.warn(event.tags.join(','), event.data)
+)
+
+await server.start()
+console.info(`CDP uploader stand-in listening on ${server.info.uri}`)
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await server.stop({ timeout: 1000 })
+    process.exit(0)
+  })
+}
@@ -0,0 +1,356 @@
+import { createHash, randomUUID } from 'node:crypto'
+import { buffer as readAll } from 'node:stream/consumers'
+import Hapi from '@hapi/hapi'
+
+/**
+ * CDP Uploader Stand-in
+ *
+ * A local stand-in for the CDP uploader, implementing the endpoints
+ * CdpUploaderService calls (`/initiate`, `/upload-and-scan/{uploadId}`,
+ * `/status/{uploadId}` and `/health`) so the upload pipeline can run end to
+ * end without external services. Files are not kept: each is "scanned"
+ * after a delay and the result is sent to the callback URL given on
+ * initiate, authenticated with the callback token.
+ *
+ * Uploads initiated with a `redirect` follow CDP's documented flow, as used
+ * by direct mode (CDP_UPLOADER_MODE=direct): the browser posts its form to
+ * the upload URL without a token and is redirected back to the portal, and
+ * the status and callback are CDP's status response (`uploadStatus`,
+ * `metadata` and `form`, with the file's `fileStatus`, `hasError` and
+ * `errorMessage`).
+ *
+ * The scan result is taken from the file:
+ * - content containing the EICAR test signature is `infected`
+ * - a filename containing `quarantine` is `quarantined`
+ * - anything else is `clean`
+ */
+
+// Part of the EICAR anti-virus test file, which scanners detect it by. The
+// full signature is not kept here so scanners do not flag this file.
+const EICAR_MARKER = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE'
+
+export const ScanResult = Object.freeze({
+  CLEAN: 'clean',
+  INFECTED: 'infected',
+  QUARANTINED: 'quarantined'
+})
+
+/**
+ * Work out the scan result of a file
+ * @param {Buffer} content - File content
+ * @param {string} filename - File name
+ * @returns {string} Scan result
+ */
+export const scanFile = (content, filename = '') => {
+  if (content.includes(EICAR_MARKER)) return ScanResult.INFECTED
+  if (/quarantine/i.test(filename)) return ScanResult.QUARANTINED
+  return ScanResult.CLEAN
+}
+
+// What CDP tells the user about each rejected file
+const rejectionMessages = {
+  [ScanResult.INFECTED]: 'The selected file contains a virus',
+  [ScanResult.QUARANTINED]: 'The selected file could not be scanned'
+}
+
+/**
+ * Status response of an upload in CDP's documented shape
+ * @param {object} upload - Upload state
+ * @returns {object} Status response
+ */
+const toCdpStatus = (upload) => {
+  const form = { ...upload.fields }
+
+  if (upload.file) {
+    const rejected = upload.virusScanStatus !== ScanResult.CLEAN
+    const scanned = upload.status === 'complete'
+
+    form[upload.file.field] = {
+      fileId: upload.file.fileId,
+      filename: upload.filename,
+      contentType: upload.contentType,
+      fileStatus: scanned ? (rejected ? 'rejected' : 'complete') : 'pending',
+      contentLength: upload.file.contentLength,
+      checksumSha256: upload.file.checksumSha256,
+      detectedContentType: upload.contentType,
+      s3Key: upload.s3Key,
+      s3Bucket: upload.bucket,
+      ...(scanned &&
+        rejected && {
+          hasError: true,
+          errorMessage: rejectionMessages[upload.virusScanStatus]
+        })
+    }
+  }
+
+  return {
+    uploadStatus:
+      { initiated: 'initiated', pending: 'pending' }[upload.status] ?? 'ready',
+    metadata: upload.metadata,
+    form,
+    numberOfRejectedFiles:
+      upload.status === 'complete' &&
+      upload.virusScanStatus !== ScanResult.CLEAN
+        ? 1
+        : 0
+  }
+}
+
+/**
+ * Create the stand-in server. It is returned unstarted; call `start()` on it.
+ * @param {object} [options] - Server options
+ * @param {number} [options.port] - Port to listen on, 0 for any free port
+ * @param {string} [options.host] - Host to listen on
+ * @param {string} [options.callbackToken] - Token callbacks are sent with and
+ *   requests must carry
+ * @param {number} [options.scanDelay] - How long a scan takes, in milliseconds
+ * @param {number} [options.maxFileSize] - Largest file accepted, in bytes
+ * @param {string} [options.portalUrl] - Base URL relative redirects are sent
+ *   to, as the portal is on another origin than the stand-in
+ * @returns {Promise<import('@hapi/hapi').Server>} Server. `server.app.uploads`
+ *   holds the state of each upload and `server.app.callbacks` every callback
+ *   sent, with the status it got back
+ */
+export const createCdpUploaderStub = async ({
+  port = 7337,
+  host = 'localhost',
+  callbackToken = 'dev-callback-token-12345678901234567890123456789012',
+  scanDelay = 3000,
+  maxFileSize = 104857600,
+  portalUrl = 'http://localhost:3000'
+} = {}) => {
+  const server = Hapi.server({ port, host })
+  const uploads = new Map()
+  const callbacks = []
+  const timers = new Set()
+
+  server.app.uploads = uploads
+  server.app.callbacks = callbacks
+
+  server.events.on('stop', () => {
+    for (const timer of timers) clearTimeout(timer)
+    timers.clear()
+  })
+
+  const isAuthorised = (request) =>
+    request.headers.authorization === `Bearer ${callbackToken}`
+
+  const unauthorised = (h) =>
+    h.response({ error: 'Unauthorized' }).code(401).takeover()
+
+  /**
+   * Send the scan result of an upload to its callback URL
+   * @param {object} upload - Upload state
+   */
+  const sendCallback = async (upload) => {
+    const payload = upload.redirect
+      ? toCdpStatus(upload)
+      : {
+          uploadId: upload.uploadId,
+          status: upload.virusScanStatus,
+          virusScanStatus: upload.virusScanStatus,
+          filename: upload.filename,
+          contentType: upload.contentType,
+          size: upload.size,
+          s3Key: upload.s3Key,
+          bucket: upload.bucket,
+          scannedAt: upload.scannedAt
+        }
+
+    try {
+      const response = await fetch(upload.callback, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${callbackToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+      })
+      callbacks.push({ url: upload.callback, payload, status: response.status })
+    } catch (error) {
+      callbacks.push({ url: upload.callback, payload, error: error.message })
+      server.log(['warn', 'callback'], {
+        uploadId: upload.uploadId,
+        error: error.message
+      })
+    }
+  }
+
+  server.route([
+    {
+      method: 'GET',
+      path: '/health',
+      handler: () => ({ status: 'ok', stub: true })
+    },
+
+    {
+      method: 'POST',
+      path: '/initiate',
+      options: {
+        pre: [
+          {
+            method: (request, h) =>
+              isAuthorised(request) ? h.continue : unauthorised(h)
+          }
+        ]
+      },
+      handler: (request, h) => {
+        const { payload = {} } = request
+        // The documented flow has a redirect and may leave out the callback
+        if (!payload.callback && !payload.redirect) {
+          return h.response({ error: 'callback is required' }).code(400)
+        }
+
+        const uploadId = randomUUID()
+        uploads.set(uploadId, {
+          uploadId,
+          status: 'initiated',
+          virusScanStatus: 'pending',
+          bucket: payload.bucket ?? payload.s3Bucket,
+          prefix: payload.prefix ?? payload.s3Path ?? '',
+          filename: payload.filename,
+          contentType: payload.contentType,
+          callback: payload.callback,
+          redirect: payload.redirect,
+          metadata: payload.metadata ?? {},
+          initiatedAt: new Date().toISOString()
+        })
+
+        // The browser posts to the upload URL, so it must be absolute
+        const baseUrl = payload.redirect
+          ? `${request.server.info.protocol}://${request.info.host}`
+          : ''
+
+        return h
+          .response({
+            uploadId,
+            uploadUrl: `${baseUrl}/upload-and-scan/${uploadId}`,
+            statusUrl: `${baseUrl}/status/${uploadId}`
+          })
+          .code(201)
+      }
+    },
+
+    {
+      method: 'POST',
+      path: '/upload-and-scan/{uploadId}',
+      options: {
+        pre: [
+          {
+            // Browsers post documented uploads without a token
+            method: (request, h) =>
+              isAuthorised(request) ||
+              uploads.get(request.params.uploadId)?.redirect
+                ? h.continue
+                : unauthorised(h)
+          }
+        ],
+        payload: {
+          output: 'stream',
+          parse: true,
+          multipart: { output: 'stream' },
+          maxBytes: maxFileSize
+        }
+      },
+      handler: async (request, h) => {
+        const upload = uploads.get(request.params.uploadId)
+        if (!upload) {
+          return h.response({ error: 'Upload not found' }).code(404)
+        }
+        if (upload.status !== 'initiated') {
+          return h.response({ error: 'File already uploaded' }).code(409)
+        }
+
+        // Any form field can hold the file in the documented flow
+        const parts = Object.entries(request.payload ?? {})
+        const [field, part] =
+          parts.find(([name, value]) =>
+            upload.redirect ? value?.hapi?.filename : name === 'file'
+          ) ?? []
+        if (typeof part?.pipe !== 'function') {
+          return h.response({ error: 'file is required' }).code(400)
+        }
+        const file = await readAll(part)
+        const { bucket, prefix } = request.payload
+
+        if (upload.redirect) {
+          const fileId = randomUUID()
+          Object.assign(upload, {
+            filename: part.hapi.filename,
+            contentType: part.hapi.headers['content-type'],
+            fields: Object.fromEntries(
+              parts.filter(([name]) => name !== field)
+            ),
+            file: {
+              field,
+              fileId,
+              contentLength: file.length,
+              checksumSha256: createHash('sha256').update(file).digest('base64')
+            }
+          })
+        }
+
+        Object.assign(upload, {
+          status: 'pending',
+          bucket: bucket ?? upload.bucket,
+          prefix: prefix ?? upload.prefix,
+          size: file.length,
+          s3Key: `${prefix ?? upload.prefix}${upload.uploadId}/${upload.file?.fileId ?? upload.filename}`,
+          uploadedAt: new Date().toISOString()
+        })
+
+        // The file is scanned now but the result only reported after the
+        // delay, as a real scan would take
+        const result = scanFile(file, upload.filename)
+        const timer = setTimeout(() => {
+          timers.delete(timer)
+          Object.assign(upload, {
+            status: 'complete',
+            virusScanStatus: result,
+            scannedAt: new Date().toISOString()
+          })
+          sendCallback(upload)
+        }, scanDelay)
+        timers.add(timer)
+
+        if (upload.redirect) {
+          return h.redirect(new URL(upload.redirect, portalUrl).href)
+        }
+
+        return h
+          .response({
+            uploadId: upload.uploadId,
+            status: upload.status,
+            s3Key: upload.s3Key
+          })
+          .code(202)
+      }
+    },
+
+    {
+      method: 'GET',
+      path: '/status/{uploadId}',
+      handler: (request, h) => {
+        const upload = uploads.get(request.params.uploadId)
+        if (!upload) {
+          return h.response({ error: 'Upload not found' }).code(404)
+        }
+
+        if (upload.redirect) {
+          return toCdpStatus(upload)
+        }
+
+        return {
+          uploadId: upload.uploadId,
+          status: upload.status,
+          virusScanStatus: upload.virusScanStatus,
+          filename: upload.filename,
+          size: upload.size,
+          s3Key: upload.s3Key
+        }
+      }
+    }
+  ])
+
+  return server
+}
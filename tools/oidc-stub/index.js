@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Run the OIDC stand-in for DEFRA ID
+ * Usage: node tools/oidc-stub/index.js
+ * Then point the portal at it:
+ * OIDC_DISCOVERY_URL=http://localhost:3939/.well-known/openid-configuration
+ */
+
+import { createOidcStub } from './server.js'
+
+const server = await createOidcStub({
+  port: Number(process.env.PORT ?? 3939),
+  host: process.env.HOST ?? 'localhost',
+  issuer: process.env.OIDC_STUB_ISSUER,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  tokenTtl: process.env.OIDC_STUB_TOKEN_TTL
+    ? Number(process.env.OIDC_STUB_TOKEN_TTL)
+    : undefined,
+  backChannelLogoutUri:
+    process.env.OIDC_STUB_BACKCHANNEL_LOGOUT_URI ??
+    'http://localhost:3000/auth/backchannel-logout'
+})
+
+server.events.on({ name: 'log', channels: 'app' }, (event) =>
+  console.warn(event.tags.join(','), event.data)
+)
+
+await server.start()
+console.info(`OIDC stand-in listening on ${server.info.uri}`)
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await server.stop({ timeout: 1000 })
+    process.exit(0)
+  })
+}
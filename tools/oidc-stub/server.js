@@ -0,0 +1,507 @@
+import {
+  createHash,
+  generateKeyPairSync,
+  randomBytes,
+  randomUUID,
+  sign
+} from 'node:crypto'
+import Hapi from '@hapi/hapi'
+
+/**
+ * OIDC Stand-in
+ *
+ * A local stand-in for DEFRA ID, implementing enough of OpenID Connect for
+ * the portal to sign users in without an external identity provider:
+ * discovery, `/authorize` (authorisation code flow with PKCE S256),
+ * `/token` (authorization_code and refresh_token grants, with the client
+ * secret posted or sent as basic auth), `/jwks`, `/userinfo`, `/revoke` and
+ * `/logout`.
+ *
+ * Each sign in starts a session, named by the `sid` claim of its tokens.
+ * Ending it at `/logout` creates a back-channel logout token, which is
+ * posted to the portal when a back-channel logout URI is given.
+ *
+ * There are no passwords: `/authorize` lists the stand-in's users and
+ * signing in as one is a button press. ID tokens are signed with an RSA key
+ * generated at start up, so tokens do not outlive the stand-in.
+ */
+
+// Organisations the users sign in for, as DEFRA ID relationship claims
+// (`relationshipId:organisationId:organisationName:loa:relationship:loa`)
+const LABORATORY =
+  '5e1a7c3b-0d2f-4b8e-9a61-7f3c2d9e4b10:Northgate Veterinary Laboratory'
+const APHA =
+  'c0a8e1f2-7b3d-4e5a-9c6b-1d2e3f4a5b60:Animal and Plant Health Agency'
+const FARM = '9d4b2a61-3c7e-4f80-b1d2-e5f6a7b8c901:Westmoor Farm Partnership'
+
+/**
+ * Claims of a user signed in for an organisation, with roles there
+ * (`relationshipId:roleName:status`)
+ * @param {string} relationshipId - Relationship to the organisation
+ * @param {string} organisation - Organisation id and name
+ * @param {string[]} [roles] - Role names
+ * @returns {object} Claims
+ * @private
+ */
+const memberOf = (relationshipId, organisation, roles = []) => ({
+  currentRelationshipId: relationshipId,
+  relationships: [`${relationshipId}:${organisation}:0:Employee:0`],
+  roles: roles.map((role) => `${relationshipId}:${role}:3`)
+})
+
+export const DEFAULT_USERS = Object.freeze([
+  Object.freeze({
+    sub: '2f7c1c9e-1d0b-4a4e-9f3c-6b2f8d5a1e01',
+    email: 'vet.officer@example.com',
+    firstName: 'Vera',
+    lastName: 'Fielding',
+    ...memberOf('rel-vera', LABORATORY)
+  }),
+  Object.freeze({
+    sub: '8a3e5b7d-44c1-4c3f-8e2a-0d9b6c4f7a02',
+    email: 'lab.submitter@example.com',
+    firstName: 'Sam',
+    lastName: 'Okafor',
+    ...memberOf('rel-sam', LABORATORY, ['Organisation Admin'])
+  }),
+  Object.freeze({
+    sub: 'd6e2f0a4-9b1c-4d73-8f5e-2a7c9b3e1d03',
+    email: 'reviewer@apha.example.com',
+    firstName: 'Priya',
+    lastName: 'Natarajan',
+    ...memberOf('rel-priya', APHA, ['APHA Reviewer'])
+  }),
+  Object.freeze({
+    sub: '4b9d7e1f-2c6a-4e08-a3b5-8f1d0c7e6a04',
+    email: 'operator@apha.example.com',
+    firstName: 'Tom',
+    lastName: 'Hale',
+    ...memberOf('rel-tom', APHA, ['Platform Operator'])
+  }),
+  Object.freeze({
+    sub: '7c1a3f5e-8d2b-4a96-b0e4-6f9a2d5c8b05',
+    email: 'farmer@example.com',
+    firstName: 'Jo',
+    lastName: 'Marsh',
+    ...memberOf('rel-jo', FARM)
+  })
+])
+
+/**
+ * Escape text for HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+      })[char]
+  )
+
+/**
+ * Body of an OAuth error response
+ * @param {object} h - Response toolkit
+ * @param {string} error - OAuth error code
+ * @param {string} description - What went wrong
+ * @param {number} [code] - HTTP status
+ * @returns {object} Response
+ */
+const oauthError = (h, error, description, code = 400) =>
+  h.response({ error, error_description: description }).code(code)
+
+/**
+ * Create the stand-in server. It is returned unstarted; call `start()` on it.
+ * @param {object} [options] - Server options
+ * @param {number} [options.port] - Port to listen on, 0 for any free port
+ * @param {string} [options.host] - Host to listen on
+ * @param {string} [options.issuer] - Issuer URL, by default the server's own
+ * @param {string} [options.clientId] - Only client allowed to sign in
+ * @param {string} [options.clientSecret] - That client's secret
+ * @param {object[]} [options.users] - Users that can sign in, each with the
+ *   claims its ID token carries (`sub`, `email`, `firstName`, `lastName`...)
+ * @param {number} [options.tokenTtl] - Lifetime of access and ID tokens, in
+ *   seconds
+ * @param {string} [options.backChannelLogoutUri] - Where logout tokens are
+ *   posted when a session ends
+ * @returns {Promise<import('@hapi/hapi').Server>} Server. `server.app.users`
+ *   holds the users, `server.app.sessions` the open sessions by sid,
+ *   `server.app.tokenRequests` the grant type of every token request,
+ *   `server.app.revocations` every token revoked and
+ *   `server.app.logoutTokens` every logout token created.
+ *   `server.app.endSession(sid)` ends a session as `/logout` does and
+ *   returns its logout token.
+ */
+export const createOidcStub = async ({
+  port = 3939,
+  host = 'localhost',
+  issuer,
+  clientId = 'apha-sdo-portal',
+  clientSecret = 'dev-client-secret',
+  users = DEFAULT_USERS,
+  tokenTtl = 3600,
+  backChannelLogoutUri
+} = {}) => {
+  const server = Hapi.server({ port, host })
+  const { publicKey, privateKey } = generateKeyPairSync('rsa', {
+    modulusLength: 2048
+  })
+  const kid = randomUUID()
+  const codes = new Map()
+  const accessTokens = new Map()
+  const refreshTokens = new Map()
+  const sessions = new Map()
+  const tokenRequests = []
+  const revocations = []
+  const logoutTokens = []
+
+  server.app.users = users
+  server.app.sessions = sessions
+  server.app.tokenRequests = tokenRequests
+  server.app.revocations = revocations
+  server.app.logoutTokens = logoutTokens
+
+  const getIssuer = () => issuer ?? server.info.uri
+
+  /**
+   * Sign claims as an RS256 JWT
+   * @param {object} claims - Token claims
+   * @returns {string} JWT
+   */
+  const signJwt = (claims) => {
+    const encode = (part) =>
+      Buffer.from(JSON.stringify(part)).toString('base64url')
+    const data = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(claims)}`
+    return `${data}.${sign('RSA-SHA256', Buffer.from(data), privateKey).toString('base64url')}`
+  }
+
+  /**
+   * Issue tokens for a signed-in user
+   * @param {object} grant - The user, scope, nonce and session signed in
+   *   with
+   * @returns {object} Token response
+   */
+  const issueTokens = ({ user, scope, nonce, sid }) => {
+    const now = Math.floor(Date.now() / 1000)
+    const accessToken = randomBytes(32).toString('base64url')
+    accessTokens.set(accessToken, { user, expiresAt: (now + tokenTtl) * 1000 })
+
+    const response = {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: tokenTtl,
+      scope,
+      id_token: signJwt({
+        iss: getIssuer(),
+        aud: clientId,
+        iat: now,
+        exp: now + tokenTtl,
+        sid,
+        ...(nonce && { nonce }),
+        name: `${user.firstName} ${user.lastName}`,
+        ...user
+      })
+    }
+
+    if (scope.split(' ').includes('offline_access')) {
+      const refreshToken = randomBytes(32).toString('base64url')
+      refreshTokens.set(refreshToken, { user, scope, sid })
+      response.refresh_token = refreshToken
+    }
+    return response
+  }
+
+  /**
+   * Check the client credentials of a token request
+   * @param {object} request - Request
+   * @returns {boolean} Whether the client is ours
+   */
+  const isClient = (request) => {
+    const [scheme, value] = request.headers.authorization?.split(' ') ?? []
+    const [id, secret] =
+      scheme === 'Basic'
+        ? Buffer.from(value, 'base64').toString().split(':')
+        : [request.payload.client_id, request.payload.client_secret]
+
+    return id === clientId && secret === clientSecret
+  }
+
+  /**
+   * End a session: its refresh tokens stop working and a logout token is
+   * created, and posted to the back-channel logout URI if there is one
+   * @param {string} sid - Session id
+   * @returns {Promise<string|null>} Logout token, or null for an unknown
+   *   session
+   */
+  const endSession = async (sid) => {
+    const session = sessions.get(sid)
+    if (!session) {
+      return null
+    }
+
+    sessions.delete(sid)
+    for (const [token, grant] of refreshTokens) {
+      if (grant.sid === sid) refreshTokens.delete(token)
+    }
+
+    const logoutToken = signJwt({
+      iss: getIssuer(),
+      aud: clientId,
+      iat: Math.floor(Date.now() / 1000),
+      jti: randomUUID(),
+      sub: session.user.sub,
+      sid,
+      events: { 'http://schemas.openid.net/event/backchannel-logout': {} }
+    })
+    logoutTokens.push(logoutToken)
+
+    if (backChannelLogoutUri) {
+      try {
+        await fetch(backChannelLogoutUri, {
+          method: 'POST',
+          headers: { 'content-type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({ logout_token: logoutToken })
+        })
+      } catch (error) {
+        server.log(['warn', 'logout'], { sid, error: error.message })
+      }
+    }
+    return logoutToken
+  }
+
+  server.app.endSession = endSession
+
+  server.route([
+    {
+      method: 'GET',
+      path: '/.well-known/openid-configuration',
+      handler: () => {
+        const base = getIssuer()
+        return {
+          issuer: base,
+          authorization_endpoint: `${base}/authorize`,
+          token_endpoint: `${base}/token`,
+          userinfo_endpoint: `${base}/userinfo`,
+          jwks_uri: `${base}/jwks`,
+          end_session_endpoint: `${base}/logout`,
+          revocation_endpoint: `${base}/revoke`,
+          backchannel_logout_supported: true,
+          backchannel_logout_session_supported: true,
+          response_types_supported: ['code'],
+          grant_types_supported: ['authorization_code', 'refresh_token'],
+          subject_types_supported: ['public'],
+          id_token_signing_alg_values_supported: ['RS256'],
+          code_challenge_methods_supported: ['S256'],
+          token_endpoint_auth_methods_supported: [
+            'client_secret_post',
+            'client_secret_basic'
+          ],
+          scopes_supported: ['openid', 'profile', 'email', 'offline_access']
+        }
+      }
+    },
+
+    {
+      method: 'GET',
+      path: '/jwks',
+      handler: () => ({
+        keys: [
+          {
+            ...publicKey.export({ format: 'jwk' }),
+            kid,
+            alg: 'RS256',
+            use: 'sig'
+          }
+        ]
+      })
+    },
+
+    {
+      method: 'GET',
+      path: '/authorize',
+      handler: (request, h) => {
+        const { query } = request
+        if (query.client_id !== clientId) {
+          return oauthError(h, 'unauthorized_client', 'Unknown client_id')
+        }
+        if (
+          query.response_type !== 'code' ||
+          !query.redirect_uri ||
+          !query.code_challenge ||
+          query.code_challenge_method !== 'S256'
+        ) {
+          return oauthError(
+            h,
+            'invalid_request',
+            'response_type=code, redirect_uri and an S256 code_challenge are required'
+          )
+        }
+
+        const hidden = Object.entries(query)
+          .map(
+            ([name, value]) =>
+              `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`
+          )
+          .join('')
+        const buttons = users
+          .map(
+            (user) =>
+              `<p><button name="sub" value="${escapeHtml(user.sub)}">Sign in as ${escapeHtml(user.firstName)} ${escapeHtml(user.lastName)} (${escapeHtml(user.email)}${user.relationships ? `, ${escapeHtml(user.relationships[0].split(':')[2])}` : ''})</button></p>`
+          )
+          .join('')
+
+        return h
+          .response(
+            `<!DOCTYPE html><html lang="en"><head><title>OIDC stand-in</title></head><body><h1>Sign in</h1><form method="post" action="/authorize">${hidden}${buttons}</form></body></html>`
+          )
+          .type('text/html')
+      }
+    },
+
+    {
+      method: 'POST',
+      path: '/authorize',
+      handler: (request, h) => {
+        const { payload } = request
+        const user = users.find(({ sub }) => sub === payload.sub)
+        if (!user || payload.client_id !== clientId) {
+          return oauthError(h, 'access_denied', 'Unknown user or client')
+        }
+
+        const code = randomBytes(32).toString('base64url')
+        const sid = randomUUID()
+        sessions.set(sid, { user })
+        codes.set(code, {
+          user,
+          sid,
+          redirectUri: payload.redirect_uri,
+          codeChallenge: payload.code_challenge,
+          nonce: payload.nonce,
+          scope: payload.scope ?? 'openid'
+        })
+
+        const redirect = new URL(payload.redirect_uri)
+        redirect.searchParams.set('code', code)
+        if (payload.state) {
+          redirect.searchParams.set('state', payload.state)
+        }
+        return h.redirect(redirect.href)
+      }
+    },
+
+    {
+      method: 'POST',
+      path: '/token',
+      handler: (request, h) => {
+        const { payload = {} } = request
+        tokenRequests.push(payload.grant_type)
+
+        if (!isClient(request)) {
+          return oauthError(h, 'invalid_client', 'Bad client credentials', 401)
+        }
+
+        if (payload.grant_type === 'authorization_code') {
+          const grant = codes.get(payload.code)
+          codes.delete(payload.code)
+
+          if (!grant || grant.redirectUri !== payload.redirect_uri) {
+            return oauthError(h, 'invalid_grant', 'Unknown or used code')
+          }
+          const challenge = createHash('sha256')
+            .update(String(payload.code_verifier))
+            .digest('base64url')
+          if (challenge !== grant.codeChallenge) {
+            return oauthError(h, 'invalid_grant', 'PKCE verification failed')
+          }
+          return issueTokens(grant)
+        }
+
+        if (payload.grant_type === 'refresh_token') {
+          // Refresh tokens are single use; a new one comes with the tokens
+          const grant = refreshTokens.get(payload.refresh_token)
+          refreshTokens.delete(payload.refresh_token)
+
+          if (!grant || !sessions.has(grant.sid)) {
+            return oauthError(h, 'invalid_grant', 'Unknown refresh token')
+          }
+          return issueTokens(grant)
+        }
+
+        return oauthError(h, 'unsupported_grant_type', 'Unsupported grant')
+      }
+    },
+
+    {
+      method: 'GET',
+      path: '/userinfo',
+      handler: (request, h) => {
+        const [, token] = request.headers.authorization?.split(' ') ?? []
+        const access = accessTokens.get(token)
+        if (!access || access.expiresAt < Date.now()) {
+          return oauthError(h, 'invalid_token', 'Unknown or expired', 401)
+        }
+        return access.user
+      }
+    },
+
+    {
+      method: 'POST',
+      path: '/revoke',
+      handler: (request, h) => {
+        const { payload = {} } = request
+        if (!isClient(request)) {
+          return oauthError(h, 'invalid_client', 'Bad client credentials', 401)
+        }
+
+        // Unknown tokens are not an error, as the outcome is the same
+        refreshTokens.delete(payload.token)
+        accessTokens.delete(payload.token)
+        revocations.push(payload.token)
+        return h.response().code(200)
+      }
+    },
+
+    {
+      method: 'GET',
+      path: '/logout',
+      handler: async (request, h) => {
+        const {
+          id_token_hint: idTokenHint,
+          post_logout_redirect_uri: redirectUri,
+          state
+        } = request.query
+
+        // The hint is one of our own ID tokens, naming the session to end
+        const [, encodedClaims] = String(idTokenHint ?? '').split('.')
+        if (encodedClaims) {
+          try {
+            const { sid } = JSON.parse(
+              Buffer.from(encodedClaims, 'base64url').toString()
+            )
+            await endSession(sid)
+          } catch {
+            return oauthError(h, 'invalid_request', 'Bad id_token_hint')
+          }
+        }
+
+        if (!redirectUri) {
+          return h.response('Signed out').type('text/plain')
+        }
+
+        const redirect = new URL(redirectUri)
+        if (state) {
+          redirect.searchParams.set('state', state)
+        }
+        return h.redirect(redirect.href)
+      }
+    }
+  ])
+
+  return server
+}